@@ -13,9 +13,46 @@
 // Patrón de comunicación usado aquí:
 //   Child → Parent: hijo emite CustomEvent → padre escucha con @evento
 //   Parent → Child: padre pasa datos al hijo vía property binding (.prop)
+//   Estado compartido: el usuario seleccionado, el filtro y la vista
+//                      (cards | tabla) viven en store.js; app-shell los lee
+//                      con StoreController y los escribe con setState.
+//                      persist() los guarda en localStorage y los
+//                      sincroniza entre pestañas.
+//   URL: RouterController refleja la selección y el filtro en la URL:
+//          /users            → lista sin selección
+//          /users/3?q=ann    → usuario 3 seleccionado, lista filtrada por "ann"
+//        Así se pueden compartir enlaces, guardar marcadores y usar "atrás".
+//   Selección múltiple: ds-user-list en selection-mode="multiple". Con más
+//        de un usuario marcado aparece la barra de acciones en lote
+//        (exportar / eliminar).
+//   Importar: "Importar CSV" valida el fichero fila a fila, enseña los
+//        errores en un ds-dialog y crea los usuarios válidos con
+//        createUser (ver services/user-transfer.js).
+//   Edición: "Editar" cambia la ficha por ds-user-form. El cambio se pinta
+//        en la lista y en la ficha ANTES de que responda la API (optimista)
+//        y se deshace si la API falla.
+//   Tema: los colores salen de los tokens --ds-* (styles/tokens.js). Sin
+//        atributo se sigue prefers-color-scheme; <app-shell theme="dark">
+//        o theme="light" lo fuerza para toda la app, y se copia al <html>
+//        (data-ds-theme) para que el fondo de la página también cambie.
+//   Idioma: todos los textos salen de i18n (i18n/i18n.js). El primero se
+//        detecta con navigator.language; el selector de la cabecera lo
+//        cambia al momento (setLocale) y persist() lo recuerda.
 // ─────────────────────────────────────────────────────────────────────────────
 
 import { LitElement, html, css } from "lit";
+import { store, getState, setState } from "./store.js";
+import { persist } from "./store-persist.js";
+import { buildUrl } from "./router.js";
+import { deleteUser, getUserById } from "./services/user-service.js";
+import { StoreController } from "./controllers/store-controller.js";
+import { RouterController } from "./controllers/router-controller.js";
+import { confirm } from "./components/ds-dialog.js";
+import { toast } from "./components/ds-toaster.js";
+import { downloadUsers, importUsers, parseUsersCsv } from "./services/user-transfer.js";
+import { LocaleController } from "./controllers/locale-controller.js";
+import { LOCALES, localeStore, setLocale, t } from "./i18n/i18n.js";
+import { themeStyles } from "./styles/tokens.js";
 
 // Importar los componentes los registra automáticamente en el customElements registry.
 // El index.html solo necesita un <script> apuntando a este archivo.
@@ -24,132 +61,730 @@ import "./components/ds-button.js";
 import "./components/ds-card.js";
 import "./components/ds-alert.js";
 import "./components/ds-user-list.js";
+import "./components/ds-user-detail.js";
+import "./components/ds-user-form.js";
+import "./components/ds-toaster.js";
+import "./components/ds-select.js";
+
+// ─── Persistencia ────────────────────────────────────────────────────────────
+// Solo las claves de la lista blanca sobreviven al reload. Si algún día cambia
+// la forma de lo guardado, subir `version` y añadir `migrate`.
+persist(store, {
+  key: "lit-ds-lab:state",
+  keys: ["selectedUser", "userFilter", "userView"],
+  version: 1,
+});
+
+// El idioma vive en su propio store (ver i18n.js) y se guarda aparte: lo
+// elegido a mano gana a lo detectado en navigator.language.
+persist(localeStore, {
+  key: "lit-ds-lab:locale",
+  keys: ["locale"],
+  version: 1,
+});
+
+// Opciones del selector de idioma: cada idioma con su propio nombre
+// ("English" también en la interfaz en español).
+const LOCALE_OPTIONS = Object.entries(LOCALES).map(([value, label]) => ({ value, label }));
+
+// ─── Rutas ───────────────────────────────────────────────────────────────────
+// Gana la primera que encaja (ver router.js). "/" redirige a la lista.
+const ROUTES = [
+  { path: "/", redirect: "/users" },
+  { path: "/users", name: "users" },
+  { path: "/users/:id", name: "user" },
+  { path: "*", name: "not-found" },
+];
 
 class AppShell extends LitElement {
+  // ─── Propiedades reactivas ────────────────────────────────────────────────
+  // theme → 'light' | 'dark' | sin valor (sigue al sistema). reflect: true
+  //         porque el tema lo aplica el CSS con :host([theme="dark"]).
+  //
   // ─── Estado interno ───────────────────────────────────────────────────────
-  // _selectedUser es estado privado (state: true) — no forma parte de la API
-  // pública de app-shell. Cuando cambia, Lit re-renderiza automáticamente
-  // y <ds-card> recibe el nuevo usuario via property binding en el template.
+  // _userStatus → estado de la carga del usuario pedido por la URL:
+  //               'idle' | 'loading' | 'not-found' | 'error'
+  // _userError  → mensaje si la carga falla por algo distinto de un 404
+  // _bulkUsers  → usuarios marcados con los checkbox de la lista
+  // _bulkStatus → 'idle' | 'deleting'
+  // _bulkError  → { failed, total } si alguna eliminación en lote falla
+  //               (el mensaje se compone al pintar, en el idioma activo)
+  // _editing    → usuario que se está editando (null → se muestra la ficha)
+  // _import     → importación CSV en curso (null → sin diálogo):
+  //               { fileName, users, errors, status, done, created }
+  //               status: 'review' | 'importing' | 'done'
   static properties = {
-    _selectedUser: { type: Object, state: true },
+    theme: { type: String, reflect: true },
+    _userStatus: { type: String, state: true },
+    _userError: { type: String, state: true },
+    _bulkUsers: { type: Array, state: true },
+    _bulkStatus: { type: String, state: true },
+    _bulkError: { type: Object, state: true },
+    _editing: { type: Object, state: true },
+    _import: { type: Object, state: true },
   };
 
+  // ─── Estado compartido ────────────────────────────────────────────────────
+  // El usuario seleccionado ya no es estado privado de app-shell: vive en
+  // store.js para que cualquier otro componente pueda leerlo.
+  //
+  // StoreController se suscribe al conectar, se desuscribe al desconectar y
+  // solo pide re-render cuando cambia state.selectedUser.
+  // this._selection.value → el usuario seleccionado (null al inicio).
+  // this._filter.value    → el texto del filtro de la lista.
+  //
+  // RouterController → this._router.route / params / query de la URL actual.
+  // Se crea DESPUÉS de los StoreController: al conectar, los controllers se
+  // ejecutan en orden y el router ya encuentra el store hidratado.
   constructor() {
     super();
-    this._selectedUser = null; // ningún usuario seleccionado al inicio
-  }
-  static styles = css`
-    :host {
-      display: block;
-      max-width: 1200px;
-      margin: 0 auto;
-      padding: 28px 24px;
-    }
+    this.theme = null; // null → prefers-color-scheme
+    this._userStatus = "idle";
+    this._userError = null;
+    this._userRequest = null; // AbortController de la carga por URL
+    this._bulkUsers = [];
+    this._bulkStatus = "idle";
+    this._bulkError = null;
+    this._editing = null;
+    this._import = null;
+    this._rollbackSave = null; // deshace el cambio optimista en la lista
+    this._selection = new StoreController(this, (state) => state.selectedUser);
+    this._filter = new StoreController(this, (state) => state.userFilter);
+    this._view = new StoreController(this, (state) => state.userView);
+    this._locale = new LocaleController(this);
+    this._router = new RouterController(this, ROUTES, {
+      onChange: (match, options) => this._onRouteChange(match, options),
+    });
+  }
 
-    @media (min-width: 768px) {
+  connectedCallback() {
+    super.connectedCallback();
+    this._syncDocumentTheme();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._userRequest?.abort();
+    delete document.documentElement.dataset.dsTheme;
+  }
+
+  willUpdate(changed) {
+    if (changed.has("theme")) this._syncDocumentTheme();
+  }
+
+  // El <body> (fondo de la página) está fuera de app-shell: lee los tokens
+  // del documento, que siguen a data-ds-theme (ver styles/tokens.js).
+  _syncDocumentTheme() {
+    const { dataset } = document.documentElement;
+    if (this.theme) dataset.dsTheme = this.theme;
+    else delete dataset.dsTheme;
+  }
+  // themeStyles va primero: define los tokens en el host y el resto de
+  // reglas (y todos los ds-* de dentro) ya los leen.
+  static styles = [
+    themeStyles,
+    css`
       :host {
-        padding: 36px 32px;
+        display: block;
+        color: var(--ds-color-text);
+        font-family: var(--ds-font-family);
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 28px 24px;
       }
-    }
-    @media (min-width: 1280px) {
-      :host {
-        padding: 40px 40px;
+
+      @media (min-width: 768px) {
+        :host {
+          padding: 36px 32px;
+        }
+      }
+      @media (min-width: 1280px) {
+        :host {
+          padding: 40px 40px;
+        }
       }
-    }
 
-    h1 {
-      font-size: 1.8rem;
-      font-weight: 800;
-      color: #0f172a;
-      letter-spacing: -0.02em;
-      margin-bottom: 18px;
-    }
+      .app-header {
+        display: flex;
+        align-items: flex-end;
+        justify-content: space-between;
+        gap: var(--ds-space-4);
+        margin-bottom: 18px;
+      }
 
-    h2 {
-      font-size: 0.75rem;
-      font-weight: 700;
-      color: #94a3b8;
-      text-transform: uppercase;
-      letter-spacing: 0.1em;
-      margin-bottom: 12px;
-    }
+      h1 {
+        font-size: var(--ds-font-size-xl);
+        font-weight: var(--ds-font-weight-heavy);
+        color: var(--ds-color-text);
+        letter-spacing: -0.02em;
+      }
 
-    /* Layout pro: 1 columna en mobile, 2 en desktop */
-    .layout {
-      display: grid;
-      gap: 28px;
-    }
+      .locale-switch {
+        width: 140px;
+      }
 
-    @media (min-width: 1024px) {
+      h2 {
+        font-size: var(--ds-font-size-xs);
+        font-weight: var(--ds-font-weight-bold);
+        color: var(--ds-color-text-subtle);
+        text-transform: uppercase;
+        letter-spacing: 0.1em;
+        margin-bottom: var(--ds-space-3);
+      }
+
+      /* Layout pro: 1 columna en mobile, 2 en desktop */
       .layout {
-        grid-template-columns: 1fr 420px; /* panel derecho fijo */
-        align-items: start;
-        gap: 32px;
+        display: grid;
+        gap: 28px;
       }
-    }
 
-    section {
-      margin: 0; /* evita spacing “por defecto” que a veces se te cruza */
-    }
+      @media (min-width: 1024px) {
+        .layout {
+          grid-template-columns: 1fr 420px; /* panel derecho fijo */
+          align-items: start;
+          gap: var(--ds-space-6);
+        }
+      }
 
-    /* Panel derecho: que se sienta como “detalle” */
-    .selected ds-card {
-      width: 100%;
-    }
+      section {
+        margin: 0; /* evita spacing “por defecto” que a veces se te cruza */
+      }
 
-    /* El texto de vacío mejor alineado con UI */
-    p {
-      color: #94a3b8;
-      font-style: normal;
-      font-size: 0.9rem;
-      padding: 12px 0;
-    }
-  `;
+      /* Panel derecho: que se sienta como “detalle” */
+      .selected ds-user-detail,
+      .selected ds-user-form {
+        width: 100%;
+      }
+
+      .detail-actions {
+        margin-top: var(--ds-space-3);
+      }
+
+      /* El texto de vacío mejor alineado con UI */
+      p {
+        color: var(--ds-color-text-subtle);
+        font-style: normal;
+        font-size: var(--ds-font-size-md);
+        padding: var(--ds-space-3) 0;
+      }
+
+      .not-found {
+        color: var(--ds-color-warning-text);
+      }
+
+      .bulk-bar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 10px;
+        padding: 10px 14px;
+        margin-bottom: var(--ds-space-4);
+        border: 1px solid var(--ds-color-primary-border);
+        border-radius: 12px;
+        background: var(--ds-color-primary-subtle);
+      }
+
+      .list-header {
+        display: flex;
+        align-items: baseline;
+        justify-content: space-between;
+        gap: var(--ds-space-3);
+      }
+
+      .import-summary {
+        padding: 0;
+        color: var(--ds-color-text-secondary);
+      }
+
+      .import-errors {
+        max-height: 200px;
+        margin: var(--ds-space-2) 0 0;
+        padding-left: 18px;
+        overflow-y: auto;
+        color: var(--ds-color-error-text);
+        font-size: var(--ds-font-size-md);
+      }
+
+      .bulk-bar span {
+        flex: 1;
+        color: var(--ds-color-primary-text);
+        font-size: var(--ds-font-size-md);
+        font-weight: var(--ds-font-weight-medium);
+      }
+    `,
+  ];
   // ─── Template ─────────────────────────────────────────────────────────────
-  // @click=${this._onUserSelected} → escucha el evento del hijo.
-  // Aquí usamos @click nativo porque ds-button re-emite el click del botón
-  // interno. En el Bloque 5 usaremos @ds-user-selected cuando tengamos
-  // ds-user-list emitiendo su propio CustomEvent.
+  // @ds-user-selected=${this._onUserSelected} → escucha el CustomEvent que
+  // emite ds-user-list al elegir un usuario (bubbles + composed). Los
+  // botones usan @ds-click, el evento propio de ds-button, no el click nativo.
   //
   // Render condicional con ternario:
-  //   _selectedUser !== null → muestra la card con los datos del usuario
-  //   _selectedUser === null → muestra mensaje de "ningún usuario seleccionado"
+  //   selectedUser !== null → muestra la card con los datos del usuario
+  //   selectedUser === null → muestra mensaje de "ningún usuario seleccionado"
   //
-  // Property binding .user en <ds-card> → pasa el objeto completo al hijo.
+  // Property binding .user en <ds-user-detail> → pasa el objeto completo al hijo.
   // El punto (.) indica property binding: asigna como propiedad JS, no atributo HTML.
   // Permite pasar objetos, arrays y cualquier tipo JS (los atributos solo soportan strings).
+  //
+  // Ruta desconocida → vista "no encontrado" con botón para volver a la lista.
+  //
+  // <ds-toaster> → región de notificaciones de la app. Cualquier toast()
+  // (p. ej. los errores de recarga de ds-user-list) sale aquí. Va fuera del
+  // condicional de la ruta: si cambiara de rama, Lit crearía otro toaster y
+  // los toasts en cola (p. ej. "el usuario no existe") se perderían.
   render() {
     return html`
-      <h1>DS App</h1>
+      ${this._renderHeader()}
+      ${this._router.route?.name === "not-found" ? this._renderNotFound() : this._renderUsers()}
+      <ds-toaster></ds-toaster>
+    `;
+  }
+
+  _renderNotFound() {
+    return html`
+      <p class="not-found">${t("app.notFound")}</p>
+      <ds-button @ds-click=${() => this._router.navigate("/users")}>
+        ${t("app.goToUsers")}
+      </ds-button>
+    `;
+  }
+
+  _renderUsers() {
+    return html`
       <div class="layout">
         <section class="list">
-          <h2>Usuarios</h2>
+          <div class="list-header">
+            <h2>${t("app.users")}</h2>
+            <ds-button size="sm" variant="outline" @ds-click=${this._pickImportFile}>
+              ${t("import.open")}
+            </ds-button>
+            <input
+              class="import-file"
+              type="file"
+              accept=".csv,text/csv"
+              hidden
+              @change=${this._onImportFile}
+            />
+          </div>
+          ${this._renderBulkBar()}
           <ds-user-list
+            selection-mode="multiple"
+            error-display="toast"
+            .filter=${this._filter.value}
+            .view=${this._view.value}
+            .selected=${this._bulkUsers.map((user) => user.id)}
             @ds-user-selected=${this._onUserSelected}
+            @ds-selection-change=${this._onSelectionChange}
+            @ds-filter-change=${this._onFilterChange}
+            @ds-view-change=${this._onViewChange}
           ></ds-user-list>
         </section>
 
         <section class="selected">
-          <h2>Usuario seleccionado</h2>
-          ${this._selectedUser
-            ? html`
-                <ds-card elevated>
-                  <span slot="header">${this._selectedUser.name}</span>
-                  ${this._selectedUser.email}
-                </ds-card>
-              `
-            : html`<p>Ningún usuario seleccionado</p>`}
+          <h2>${t("app.selectedUser")}</h2>
+          ${this._renderSelected()}
         </section>
       </div>
+      ${this._renderImportDialog()}
+    `;
+  }
+
+  // ─── Template parcial: _renderHeader ──────────────────────────────────────
+  // Título + selector de idioma. Cambiar de idioma no recarga nada:
+  // setLocale → cada componente con LocaleController se vuelve a pintar.
+  _renderHeader() {
+    return html`
+      <header class="app-header">
+        <h1>DS App</h1>
+        <ds-select
+          class="locale-switch"
+          label=${t("app.language")}
+          .options=${LOCALE_OPTIONS}
+          .value=${this._locale.value}
+          @change=${(e) => setLocale(e.target.value)}
+        ></ds-select>
+      </header>
+    `;
+  }
+
+  // ─── Template parcial: _renderBulkBar ─────────────────────────────────────
+  // Solo con más de un usuario marcado: con uno, el panel de detalle ya
+  // basta. El error de la última eliminación se muestra aunque la barra
+  // ya no tenga selección.
+  _renderBulkBar() {
+    const count = this._bulkUsers.length;
+    const error = this._bulkError
+      ? html`<ds-alert
+          type="error"
+          .message=${t("app.deleteError", {
+            failed: this._bulkError.failed,
+            count: this._bulkError.total,
+          })}
+        ></ds-alert>`
+      : "";
+    if (count < 2) return error;
+    const busy = this._bulkStatus === "deleting";
+    return html`
+      ${error}
+      <div class="bulk-bar" role="toolbar" aria-label=${t("app.bulkActions")}>
+        <span>${t("app.bulkSelected", { count })}</span>
+        <ds-button variant="secondary" ?disabled=${busy} @ds-click=${this._exportSelected}>
+          ${t("app.export")}
+        </ds-button>
+        <ds-button variant="danger" ?disabled=${busy} @ds-click=${this._deleteSelected}>
+          ${busy ? t("app.deleting") : t("app.delete")}
+        </ds-button>
+        <ds-button variant="secondary" ?disabled=${busy} @ds-click=${this._clearBulkSelection}>
+          ${t("app.deselect")}
+        </ds-button>
+      </div>
+    `;
+  }
+
+  // ─── Template parcial: _renderImportDialog ────────────────────────────────
+  // review    → resumen + errores por fila; el usuario decide si sigue
+  // importing → progreso; Escape y el fondo no cierran (se veta el cierre)
+  // done      → solo queda abierto si hubo errores, para poder leerlos
+  _renderImportDialog() {
+    const state = this._import;
+    if (!state) return "";
+    const { status, users, errors } = state;
+    const summary = {
+      review: t("import.review", {
+        file: state.fileName,
+        valid: t("import.validRows", { count: users.length }),
+        invalid: t("import.invalidRows", { count: errors.length }),
+      }),
+      importing: t("import.importing", { done: state.done, total: users.length }),
+      done: t("import.done", { created: state.created, count: users.length }),
+    }[status];
+    return html`
+      <ds-dialog
+        heading=${t("import.title")}
+        open
+        @ds-request-close=${this._onImportRequestClose}
+        @ds-close=${this._closeImport}
+      >
+        <p class="import-summary" role="status">${summary}</p>
+        ${errors.length
+          ? html`<ul class="import-errors">
+              ${errors.map((item) => html`<li>${this._formatImportError(item)}</li>`)}
+            </ul>`
+          : ""}
+        ${status === "done"
+          ? html`<ds-button slot="footer" autofocus @ds-click=${this._closeImport}>
+              ${t("common.close")}
+            </ds-button>`
+          : html`
+              <ds-button
+                slot="footer"
+                variant="secondary"
+                ?disabled=${status === "importing"}
+                @ds-click=${this._closeImport}
+              >
+                ${t("common.cancel")}
+              </ds-button>
+              <ds-button
+                slot="footer"
+                autofocus
+                ?disabled=${!users.length}
+                ?loading=${status === "importing"}
+                @ds-click=${this._runImport}
+              >
+                ${t("import.run", { count: users.length })}
+              </ds-button>
+            `}
+      </ds-dialog>
+    `;
+  }
+
+  // "Fila 3 — email: Introduce un email válido". El campo es la columna
+  // del CSV, tal cual. Los errores de fichero y de la API no son de un
+  // campo: van sin prefijo.
+  _formatImportError({ row, errors }) {
+    const messages = Object.entries(errors).map(([field, message]) =>
+      field === "file" || field === "request" ? message : `${field}: ${message}`,
+    );
+    return t("import.rowError", { row, messages: messages.join("; ") });
+  }
+
+  // ─── Template parcial: _renderSelected ────────────────────────────────────
+  // Primero el estado de la carga por URL (loading / 404 / error) y, si no
+  // hay nada pendiente, el usuario seleccionado o el mensaje de vacío.
+  _renderSelected() {
+    if (this._userStatus === "loading") return html`<p>${t("app.loadingUser")}</p>`;
+    if (this._userStatus === "not-found") {
+      return html`<p class="not-found">
+        ${t("app.userNotFound", { id: this._router.params.id })}
+      </p>`;
+    }
+    if (this._userStatus === "error") {
+      return html`<p class="not-found">
+        ${t("app.userLoadError", { error: this._userError })}
+      </p>`;
+    }
+
+    const selectedUser = this._selection.value;
+    if (!selectedUser) return html`<p>${t("app.noSelection")}</p>`;
+
+    // El formulario recibe la copia guardada en _editing, no selectedUser:
+    // el cambio optimista (y su rollback) cambian selectedUser y no deben
+    // reiniciar lo que hay escrito en el formulario.
+    if (this._editing) {
+      return html`
+        <ds-user-form
+          .user=${this._editing}
+          @ds-user-save=${this._onUserSave}
+          @ds-user-saved=${this._onUserSaved}
+          @ds-user-save-error=${this._onUserSaveError}
+          @ds-user-form-cancel=${this._closeEditor}
+        ></ds-user-form>
+      `;
+    }
+    return html`
+      <ds-user-detail .user=${selectedUser}></ds-user-detail>
+      <div class="detail-actions">
+        <ds-button variant="secondary" @ds-click=${() => (this._editing = selectedUser)}>
+          ${t("app.edit")}
+        </ds-button>
+      </div>
     `;
   }
 
   // ─── Handler: _onUserSelected ─────────────────────────────────────────────
-  // Actualiza el estado interno con el usuario seleccionado.
-  // Recibe e.detail.user desde ds-user-list.
+  // Guarda en el store el usuario seleccionado y lo refleja en la URL
+  // (pushState → el botón "atrás" vuelve a la selección anterior).
+  // Recibe e.detail.user desde ds-user-list. El re-render llega solo:
+  // setState → StoreController detecta el cambio → requestUpdate.
 
   _onUserSelected(e) {
-    this._selectedUser = e.detail.user;
+    const { user } = e.detail;
+    setState({ selectedUser: user }, "select user");
+    this._router.navigate(buildUrl(`/users/${user.id}`, this._router.query));
+  }
+
+  // ─── Edición con actualización optimista ──────────────────────────────────
+  // ds-user-save       → pintar ya el cambio (lista + ficha)
+  // ds-user-saved      → la versión del servidor sustituye a la optimista
+  // ds-user-save-error → rollback en la lista y la ficha; el formulario
+  //                      sigue abierto con el error y lo escrito
+  _onUserSave(e) {
+    const { user } = e.detail;
+    this._rollbackSave = this._list?.upsertUser(user) ?? null;
+    setState({ selectedUser: user }, "edit user");
+  }
+
+  _onUserSaved(e) {
+    const { user } = e.detail;
+    this._list?.upsertUser(user);
+    this._rollbackSave = null;
+    setState({ selectedUser: user }, "save user");
+    this._editing = null;
+  }
+
+  _onUserSaveError(e) {
+    this._rollbackSave?.();
+    this._rollbackSave = null;
+    setState({ selectedUser: e.detail.previous }, "rollback user");
+  }
+
+  _closeEditor() {
+    this._editing = null;
+  }
+
+  get _list() {
+    return this.renderRoot.querySelector("ds-user-list");
+  }
+
+  // ─── Selección múltiple y acciones en lote ────────────────────────────────
+  _onSelectionChange(e) {
+    this._bulkUsers = e.detail.users;
+  }
+
+  _clearBulkSelection() {
+    this._bulkUsers = [];
+  }
+
+  // Descarga los usuarios marcados como JSON (sin pasar por el servidor).
+  _exportSelected() {
+    downloadUsers(this._bulkUsers, "json", t("app.exportFilename"));
+  }
+
+  // ─── Importación CSV ──────────────────────────────────────────────────────
+  // El <input type="file"> está oculto: el ds-button lo abre con click().
+  // value = "" → elegir otra vez el mismo fichero vuelve a disparar change.
+  _pickImportFile() {
+    this.renderRoot.querySelector(".import-file").click();
+  }
+
+  async _onImportFile(e) {
+    const input = e.target;
+    const [file] = input.files;
+    input.value = "";
+    if (!file) return;
+    const { users, errors } = parseUsersCsv(await file.text());
+    this._import = { fileName: file.name, users, errors, status: "review", done: 0, created: 0 };
+  }
+
+  // Se crean solo las filas válidas. Si todo entra, el diálogo se cierra y
+  // basta con el toast; si la API rechaza alguna, sus errores se suman a
+  // los de validación y el diálogo sigue abierto.
+  async _runImport() {
+    const { users } = this._import;
+    this._import = { ...this._import, status: "importing" };
+    const { created, errors } = await importUsers(users, {
+      onProgress: ({ done }) => (this._import = { ...this._import, done }),
+    });
+    const allErrors = [...this._import.errors, ...errors].sort((a, b) => a.row - b.row);
+    this._import = { ...this._import, status: "done", created: created.length, errors: allErrors };
+    if (created.length) {
+      toast(t("import.imported", { count: created.length }));
+      this._list?.reload();
+    }
+    if (!allErrors.length) this._closeImport();
+  }
+
+  _onImportRequestClose(e) {
+    if (this._import?.status === "importing") e.preventDefault();
+  }
+
+  _closeImport() {
+    this._import = null;
+  }
+
+  // Antes de borrar se pide confirmación con confirm() de ds-dialog (modal
+  // del design system en vez del window.confirm del navegador).
+  // allSettled → un fallo no detiene el resto de borrados. Los que fallan
+  // siguen marcados para poder reintentar. Si el usuario del panel de
+  // detalle se ha borrado, se limpia la selección y la URL.
+  async _deleteSelected() {
+    const users = this._bulkUsers;
+    const confirmed = await confirm({
+      title: t("app.deleteTitle"),
+      message: t("app.deleteMessage", { count: users.length }),
+      variant: "danger",
+      confirmLabel: t("app.delete"),
+    });
+    if (!confirmed) return;
+
+    this._bulkStatus = "deleting";
+    this._bulkError = null;
+    this._editing = null;
+    // El editor se cierra: un rollback pendiente de la edición ya no aplica
+    // (reload() va a pintar la lista del servidor).
+    this._rollbackSave = null;
+    const results = await Promise.allSettled(users.map((user) => deleteUser(user.id)));
+    const failed = users.filter((_, i) => results[i].status === "rejected");
+    const deleted = users.filter((_, i) => results[i].status === "fulfilled");
+
+    this._bulkUsers = failed;
+    this._bulkStatus = "idle";
+    if (failed.length) {
+      this._bulkError = { failed: failed.length, total: users.length };
+    }
+
+    const current = getState().selectedUser;
+    if (current && deleted.some((user) => user.id === current.id)) {
+      setState({ selectedUser: null }, "delete users");
+      this._router.navigate(buildUrl("/users", this._router.query));
+    }
+    this._list?.reload();
+  }
+
+  // ─── Handler: _onFilterChange ─────────────────────────────────────────────
+  // Guarda el filtro en el store → persist() lo escribe en localStorage.
+  // En la URL va con replace: cada tecla no debe crear una entrada de historial.
+  _onFilterChange(e) {
+    const { filter } = e.detail;
+    setState({ userFilter: filter }, "filter users");
+    this._router.navigate(
+      buildUrl(window.location.pathname, { ...this._router.query, q: filter }),
+      { replace: true },
+    );
+  }
+
+  // ─── Handler: _onViewChange ───────────────────────────────────────────────
+  // Cards o tabla: preferencia del usuario, no estado de la URL → solo store
+  // (y localStorage vía persist).
+  _onViewChange(e) {
+    setState({ userView: e.detail.view }, "switch user view");
+  }
+
+  // ─── Router: _onRouteChange ───────────────────────────────────────────────
+  // Sincroniza URL → store en cada cambio de ruta (carga, atrás/adelante,
+  // navigate). Regla: si la URL trae el dato, manda la URL. En la PRIMERA
+  // carga, si la URL no trae nada pero el store sí (rehidratado por
+  // persist), se completa la URL con lo del store (replace, sin historial).
+  //
+  // Cada navigate() dentro de este método vuelve a resolver la ruta
+  // síncronamente → return justo después para no procesarla dos veces.
+  _onRouteChange({ route, params, query }, { initial }) {
+    const { selectedUser, userFilter } = getState();
+
+    // Al cambiar de usuario (o salir de /users/:id) se cierra el editor.
+    if (this._editing && String(this._editing.id) !== params.id) this._editing = null;
+
+    // ── Filtro ↔ ?q= ──
+    if ("q" in query) {
+      if (query.q !== userFilter) setState({ userFilter: query.q }, "route: filter");
+    } else if (initial && userFilter && route?.name !== "not-found") {
+      this._router.navigate(
+        buildUrl(window.location.pathname, { ...query, q: userFilter }),
+        { replace: true },
+      );
+      return;
+    } else if (userFilter) {
+      setState({ userFilter: "" }, "route: filter");
+    }
+
+    // ── Selección ↔ /users/:id ──
+    if (route?.name === "user") {
+      this._loadRouteUser(params.id);
+      return;
+    }
+
+    this._userRequest?.abort();
+    this._userStatus = "idle";
+    if (route?.name !== "users" || !selectedUser) return;
+    if (initial) {
+      this._router.navigate(buildUrl(`/users/${selectedUser.id}`, query), { replace: true });
+      return;
+    }
+    setState({ selectedUser: null }, "route: clear selection");
+  }
+
+  // ─── Router: _loadRouteUser ───────────────────────────────────────────────
+  // /users/:id → el usuario puede venir de un enlace compartido: hay que
+  // pedirlo a la API (getUserById sirve de caché si la lista ya lo tiene).
+  //   404         → estado 'not-found'
+  //   otro error  → estado 'error'
+  //   AbortError  → otra navegación lo dejó obsoleto: se ignora
+  async _loadRouteUser(id) {
+    this._userRequest?.abort();
+    const current = getState().selectedUser;
+    if (current && String(current.id) === id) {
+      this._userStatus = "idle";
+      return;
+    }
+
+    const controller = new AbortController();
+    this._userRequest = controller;
+    this._userStatus = "loading";
+    try {
+      const user = await getUserById(id, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setState({ selectedUser: user }, "route: load user");
+      this._userStatus = "idle";
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      setState({ selectedUser: null }, "route: load user");
+      if (error.status === 404) {
+        this._userStatus = "not-found";
+      } else {
+        this._userError = error.message;
+        this._userStatus = "error";
+      }
+    }
   }
 }
 
@@ -5,17 +5,30 @@
 // cierre manual y tipos visuales (success, error, warning).
 //
 // API pública:
-//   @property type    → 'success' | 'error' | 'warning'  (default: 'success')
-//   @property message → String con el texto del alert     (default: '')
-//   @event    ds-close → emitido cuando el alert se cierra (manual o automático)
+//   @property type        → 'success' | 'error' | 'warning'  (default: 'success')
+//   @property message     → String con el texto del alert     (default: '')
+//   @property duration    → ms hasta el autocierre; 0 → no se cierra solo
+//                           (default: 5000)
+//   @property actionLabel → texto de un botón de acción ("Undo", "Retry"...)
+//                           atributo: action-label
+//   @event    ds-close        → emitido cuando el alert se cierra (manual o automático)
+//   @event    ds-alert-action → emitido al pulsar el botón de acción (y se cierra)
 //
 // Uso en HTML:
 //   <ds-alert type="success" message="Guardado correctamente"></ds-alert>
 //   <ds-alert type="error"   message="Ha ocurrido un error"></ds-alert>
 //   <ds-alert type="warning" message="Ten cuidado"></ds-alert>
+//   <ds-alert message="Usuario eliminado" action-label="Undo" duration="0"></ds-alert>
+//
+// El temporizador se pausa mientras el ratón está encima o el foco está
+// dentro (da tiempo a leer y a llegar al botón de acción) y sigue con el
+// tiempo que le quedaba al salir.
 // ─────────────────────────────────────────────────────────────────────────────
 
 import { LitElement, html, css } from "lit";
+import { LocaleController } from "../controllers/locale-controller.js";
+import { t } from "../i18n/i18n.js";
+import "../styles/tokens.js";
 
 export class DsAlert extends LitElement {
   // ─── Propiedades reactivas ────────────────────────────────────────────────
@@ -26,61 +39,152 @@ export class DsAlert extends LitElement {
   //   No se refleja en el atributo HTML, no forma parte de la API pública.
   //   Controla si el alert se renderiza o no.
   static properties = {
-    type:     { type: String },
-    message:  { type: String },
-    _visible: { type: Boolean, state: true },
+    type:        { type: String },
+    message:     { type: String },
+    duration:    { type: Number },
+    actionLabel: { type: String, attribute: "action-label" },
+    _visible:    { type: Boolean, state: true },
   };
 
   constructor() {
     super();
     this.type = "success";
     this.message = "";
+    this.duration = 5000;
+    this.actionLabel = "";
     this._visible = true; // visible por defecto al crearse
+    this._timer = null;
+    this._remaining = 0; // ms que le quedan al autocierre
+    this._startedAt = 0;
+    // Motivos de pausa activos ('hover', 'focus'): el timer solo corre
+    // cuando no queda ninguno.
+    this._pausedBy = new Set();
+    this._locale = new LocaleController(this);
+
+    this.addEventListener("mouseenter", () => this._pause("hover"));
+    this.addEventListener("mouseleave", () => this._resume("hover"));
+    this.addEventListener("focusin", () => this._pause("focus"));
+    // focusout también salta al moverse entre el botón de acción y el de
+    // cerrar: solo se reanuda si el foco sale del alert.
+    this.addEventListener("focusout", (e) => {
+      // (relatedTarget llega retargeteado: dentro del shadow → el host)
+      if (!this.contains(e.relatedTarget)) this._resume("focus");
+    });
   }
 
   // ─── Estilos encapsulados ─────────────────────────────────────────────────
   // Las clases .success, .error, .warning se aplican dinámicamente en el
   // template con interpolación de string: class="alert ${this.type}"
+  // Cada tipo toma su pareja fondo/texto de los tokens → cambian con el tema.
   static styles = css`
     :host {
       display: block;
     }
 
     .alert {
-      padding: 12px 16px;
-      border-radius: 6px;
+      padding: var(--ds-space-3) var(--ds-space-4);
+      border-radius: var(--ds-radius-md);
       display: flex;
       align-items: center;
       justify-content: space-between;
-      font-size: 0.95rem;
+      font-size: var(--ds-font-size-base);
     }
 
-    .success { background: #d1fae5; color: #065f46; }
-    .error   { background: #fee2e2; color: #991b1b; }
-    .warning { background: #fef3c7; color: #92400e; }
+    .success { background: var(--ds-color-success-bg); color: var(--ds-color-success-text); }
+    .error   { background: var(--ds-color-error-bg);   color: var(--ds-color-error-text); }
+    .warning { background: var(--ds-color-warning-bg); color: var(--ds-color-warning-text); }
+
+    .message {
+      flex: 1;
+    }
+
+    .action-btn {
+      margin-left: var(--ds-space-3);
+      padding: 2px var(--ds-space-2);
+      border: 1px solid currentColor;
+      border-radius: var(--ds-radius-sm);
+      background: none;
+      color: inherit;
+      font: inherit;
+      font-size: var(--ds-font-size-sm);
+      font-weight: var(--ds-font-weight-medium);
+      cursor: pointer;
+    }
 
     .close-btn {
+      margin-left: var(--ds-space-2);
       background: none;
       border: none;
       cursor: pointer;
-      font-size: 1rem;
+      font-size: var(--ds-font-size-lg);
       color: inherit; /* hereda el color del tipo de alert */
     }
   `;
 
-  // ─── Lifecycle: firstUpdated ──────────────────────────────────────────────
-  // Se llama UNA sola vez cuando el Shadow DOM existe por primera vez.
-  // Es el momento correcto para arrancar el timer de autocierre.
+  // ─── Lifecycle: updated ───────────────────────────────────────────────────
+  // El timer de autocierre arranca tras el primer render y vuelve a empezar
+  // si cambia `duration` (el primer render también cuenta como cambio).
   //
   // ⚠️  Por qué no en el constructor:
   //     En el constructor el Shadow DOM aún no existe y el componente
-  //     no está conectado al DOM. firstUpdated garantiza que todo está listo.
+  //     no está conectado al DOM.
   //
-  // ⚠️  Por qué no en connectedCallback:
-  //     connectedCallback puede llamarse múltiples veces si el elemento
-  //     se mueve en el DOM. firstUpdated solo se llama una vez.
-  firstUpdated() {
-    setTimeout(() => this._close(), 5000);
+  // ⚠️  connectedCallback / disconnectedCallback:
+  //     el timer se para al sacar el alert del DOM (si no, seguiría vivo y
+  //     emitiría ds-close desde un elemento desconectado) y se reanuda si
+  //     vuelve a entrar.
+  updated(changed) {
+    if (changed.has("duration")) {
+      this._stopTimer();
+      this._remaining = this.duration;
+      this._startTimer();
+    }
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasUpdated) this._startTimer();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._stopTimer();
+  }
+
+  // ─── Temporizador ─────────────────────────────────────────────────────────
+  // duration 0 (o no finita) → alert fijo: solo se cierra a mano.
+  _startTimer() {
+    this._stopTimer();
+    const sticky = !(this.duration > 0) || !Number.isFinite(this.duration);
+    if (sticky || !this._visible || this._pausedBy.size > 0) return;
+    this._startedAt = Date.now();
+    this._timer = setTimeout(() => this._close(), this._remaining);
+  }
+
+  // Guarda lo que quedaba para continuar desde ahí, no desde el principio.
+  _stopTimer() {
+    if (this._timer === null) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._remaining = Math.max(0, this._remaining - (Date.now() - this._startedAt));
+  }
+
+  _pause(reason) {
+    this._pausedBy.add(reason);
+    this._stopTimer();
+  }
+
+  _resume(reason) {
+    this._pausedBy.delete(reason);
+    this._startTimer();
+  }
+
+  _onAction() {
+    this.dispatchEvent(new CustomEvent("ds-alert-action", {
+      bubbles: true,
+      composed: true,
+    }));
+    this._close();
   }
 
   // ─── Método privado: _close ───────────────────────────────────────────────
@@ -90,6 +194,8 @@ export class DsAlert extends LitElement {
   // Emite ds-close para notificar al padre que el alert se cerró,
   // tanto si fue por el timer como por el botón manual.
   _close() {
+    if (!this._visible) return;
+    this._stopTimer();
     this._visible = false;
     this.dispatchEvent(new CustomEvent("ds-close", {
       bubbles: true,
@@ -115,8 +221,11 @@ export class DsAlert extends LitElement {
 
     return html`
       <div class="alert ${this.type}">
-        <span>${icons[this.type]} ${this.message}</span>
-        <button class="close-btn" @click=${this._close}>✕</button>
+        <span class="message">${icons[this.type]} ${this.message}</span>
+        ${this.actionLabel
+          ? html`<button class="action-btn" @click=${this._onAction}>${this.actionLabel}</button>`
+          : ""}
+        <button class="close-btn" aria-label=${t("common.close")} @click=${this._close}>✕</button>
       </div>
     `;
   }
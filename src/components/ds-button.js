@@ -2,28 +2,60 @@
 // DsButton — LitElement component
 //
 // Propósito: botón reutilizable del design system con variantes visuales,
-// estado disabled y evento personalizado ds-click.
+// tamaños, estado de carga, iconos, modo enlace y envío de formularios.
 //
 // API pública:
-//   @property variant  → 'primary' | 'secondary' | 'danger'  (default: 'primary')
+//   @property variant  → 'primary' | 'secondary' | 'danger' | 'outline' | 'ghost'
+//                        (default: 'primary')
+//   @property size     → 'sm' | 'md' | 'lg'  (default: 'md')
 //   @property disabled → Boolean con reflect (default: false)
-//   @event    ds-click → emitido al hacer click si no está disabled
+//   @property loading  → Boolean con reflect: spinner + aria-busy, bloquea clicks
+//   @property type     → 'button' | 'submit' | 'reset'  (default: 'button')
+//   @property href     → si tiene valor se pinta un <a> en vez de un <button>
+//   @property target / rel → se pasan al <a> en modo enlace
+//   @event    ds-click → emitido al hacer click si no está disabled ni loading
+//   @slot     (default) → texto del botón
+//   @slot     prefix / suffix → iconos antes / después del texto
 //
 // Uso en HTML:
 //   <ds-button>Guardar</ds-button>
 //   <ds-button variant="danger">Eliminar</ds-button>
 //   <ds-button disabled>No disponible</ds-button>
+//   <ds-button size="sm" variant="outline">Filtrar</ds-button>
+//   <ds-button loading>Guardando...</ds-button>
+//   <ds-button href="/users" variant="ghost">Ver usuarios</ds-button>
+//   <ds-button><span slot="prefix">＋</span>Nuevo</ds-button>
+//   <form><ds-button type="submit">Enviar</ds-button></form>
+//
+// ¿Por qué type="submit" necesita código?
+//   Un <button type="submit"> DENTRO del Shadow DOM no ve el <form> del
+//   light DOM: el shadow root corta la relación. Con `formAssociated` +
+//   attachInternals() el navegador sí asocia el HOST al formulario, y al
+//   hacer click llamamos nosotros a form.requestSubmit() / form.reset().
+//   requestSubmit (y no submit) → valida y lanza el evento `submit`, igual
+//   que un botón nativo. El default es 'button' (no 'submit' como en HTML)
+//   para que los ds-button que ya viven dentro de formularios no empiecen
+//   a enviarlos.
 //
 // CSS custom properties (para personalizar desde fuera sin romper encapsulación):
 //   --ds-button-bg           → color de fondo del botón primary
 //   --ds-button-secondary-bg → color de fondo del botón secondary
 //   --ds-button-danger-bg    → color de fondo del botón danger
+// Si no se definen, se usan los tokens del tema (--ds-color-primary...).
 // ─────────────────────────────────────────────────────────────────────────────
 
-import { LitElement, html, css } from "lit";
+import { LitElement, html, css, nothing } from "lit";
 import { classMap } from "lit/directives/class-map.js";
+import "../styles/tokens.js";
 
 class DSButton extends LitElement {
+  // Form-associated: el host pertenece al <form> que lo contiene
+  // (this._internals.form) y recibe formDisabledCallback de <fieldset disabled>.
+  static formAssociated = true;
+
+  // delegatesFocus → host.focus() enfoca el <button>/<a> interno.
+  static shadowRootOptions = { ...LitElement.shadowRootOptions, delegatesFocus: true };
+
   // ─── Propiedades reactivas ────────────────────────────────────────────────
   // static properties define la API pública del componente.
   // Cada propiedad declarada aquí:
@@ -33,16 +65,33 @@ class DSButton extends LitElement {
   // type: String/Boolean → cómo convertir el atributo HTML (string) al tipo JS
   // reflect: true        → sincroniza la propiedad JS con el atributo HTML
   //                        necesario para poder usar :host([disabled]) en CSS
+  //
+  // _formDisabled → @state: deshabilitado por un <fieldset disabled>
   static properties = {
     variant:  { type: String },
+    size:     { type: String, reflect: true },
     disabled: { type: Boolean, reflect: true },
+    loading:  { type: Boolean, reflect: true },
+    type:     { type: String },
+    href:     { type: String },
+    target:   { type: String },
+    rel:      { type: String },
+    _formDisabled: { type: Boolean, state: true },
   };
 
   constructor() {
     super(); // siempre primero — inicializa LitElement
+    this._internals = this.attachInternals();
     // Valores por defecto de las propiedades
     this.variant = "primary";
+    this.size = "md";
     this.disabled = false;
+    this.loading = false;
+    this.type = "button";
+    this.href = "";
+    this.target = "";
+    this.rel = "";
+    this._formDisabled = false;
   }
 
   // ─── Estilos encapsulados ────────────────────────────────────────────────
@@ -56,7 +105,11 @@ class DSButton extends LitElement {
   //
   // var(--nombre, fallback) → CSS custom property con valor por defecto
   //   si el consumidor define --ds-button-bg en su CSS, lo usará
-  //   si no, usará el color fallback (#3b82f6)
+  //   si no, usará el token del tema (--ds-color-primary)
+  //
+  // :focus-visible → el anillo solo aparece al llegar con teclado, no al
+  //   hacer click con el ratón. outline (y no box-shadow) → se ve también en
+  //   modo de alto contraste de Windows.
   static styles = css`
     :host {
       display: inline-block;
@@ -67,20 +120,98 @@ class DSButton extends LitElement {
       cursor: not-allowed;
     }
 
-    button {
-      padding: 8px 16px;
-      border: none;
-      border-radius: 4px;
-      font-size: 1rem;
+    :host([loading]) {
+      cursor: progress;
+    }
+
+    .button {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      gap: var(--ds-space-2);
+      box-sizing: border-box;
+      padding: var(--ds-space-2) var(--ds-space-4);
+      border: 1px solid transparent;
+      border-radius: var(--ds-radius-sm);
+      font: inherit;
+      font-size: var(--ds-font-size-lg);
+      line-height: 1.25;
+      text-decoration: none;
       cursor: pointer;
-      color: white;
+      color: var(--ds-color-primary-contrast);
+    }
+
+    .button:focus {
+      outline: none;
+    }
+
+    .button:focus-visible {
+      outline: 2px solid var(--ds-color-primary);
+      outline-offset: 2px;
+    }
+
+    /* ── Tamaños ── */
+    .sm { padding: var(--ds-space-1) var(--ds-space-3); font-size: var(--ds-font-size-sm); }
+    .lg { padding: var(--ds-space-3) var(--ds-space-5); font-size: 1.1rem; }
+
+    /* ── Variantes ── */
+    .primary   { background-color: var(--ds-button-bg, var(--ds-color-primary)); }
+    .secondary { background-color: var(--ds-button-secondary-bg, var(--ds-color-secondary)); }
+    .danger    { background-color: var(--ds-button-danger-bg, var(--ds-color-danger)); }
+
+    .outline {
+      background-color: transparent;
+      border-color: var(--ds-color-primary);
+      color: var(--ds-color-primary-text);
+    }
+
+    .ghost {
+      background-color: transparent;
+      color: var(--ds-color-primary-text);
+    }
+
+    .outline:hover,
+    .ghost:hover {
+      background-color: var(--ds-color-primary-subtle);
     }
 
-    .primary   { background-color: var(--ds-button-bg, #3b82f6); }
-    .secondary { background-color: var(--ds-button-secondary-bg, #6b7280); }
-    .danger    { background-color: var(--ds-button-danger-bg, #ef4444); }
+    /* ── Carga ── */
+    .spinner {
+      width: 1em;
+      height: 1em;
+      box-sizing: border-box;
+      border: 2px solid currentColor;
+      border-right-color: transparent;
+      border-radius: 50%;
+      animation: spin 0.7s linear infinite;
+    }
+
+    @keyframes spin {
+      to {
+        transform: rotate(360deg);
+      }
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .spinner {
+        animation-duration: 2s;
+      }
+    }
   `;
 
+  // ─── Callbacks de formulario ──────────────────────────────────────────────
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+  }
+
+  get form() {
+    return this._internals.form;
+  }
+
+  get _isDisabled() {
+    return this.disabled || this._formDisabled;
+  }
+
   // ─── Template ────────────────────────────────────────────────────────────
   // render() devuelve el HTML del componente usando tagged template literals.
   // Lit llama a render() automáticamente cada vez que una @property o @state cambia.
@@ -92,33 +223,78 @@ class DSButton extends LitElement {
   //   @click=${...}    → event listener con cleanup automático al destruir el componente
   //   <slot>           → punto de proyección de contenido: el texto entre las etiquetas
   //                      aparece aquí. <ds-button>Guardar</ds-button> → "Guardar" en el slot
+  //
+  // loading → aria-disabled y NO disabled: un <button disabled> pierde el
+  // foco, y el usuario que pulsó con teclado se quedaría "en ninguna parte".
+  // El spinner sustituye al icono prefix mientras dura la carga.
   render() {
+    const classes = classMap({
+      button: true,
+      [this.variant]: true,
+      [this.size]: this.size !== "md",
+    });
+    const content = html`
+      ${this.loading
+        ? html`<span class="spinner" part="spinner" aria-hidden="true"></span>`
+        : html`<slot name="prefix"></slot>`}
+      <slot></slot>
+      <slot name="suffix"></slot>
+    `;
+
+    // Modo enlace: un <a> sin href no es navegable ni enfocable → así se
+    // "deshabilita" un enlace.
+    if (this.href) {
+      const inactive = this._isDisabled || this.loading;
+      return html`
+        <a
+          class=${classes}
+          part="button"
+          href=${inactive ? nothing : this.href}
+          target=${this.target || nothing}
+          rel=${this.rel || (this.target === "_blank" ? "noopener noreferrer" : nothing)}
+          role=${inactive ? "link" : nothing}
+          aria-disabled=${inactive ? "true" : nothing}
+          aria-busy=${this.loading ? "true" : nothing}
+          @click=${this._handleClick}
+        >
+          ${content}
+        </a>
+      `;
+    }
+
     return html`
       <button
-        ?disabled=${this.disabled}
-        class=${classMap({
-          primary:   this.variant === "primary",
-          secondary: this.variant === "secondary",
-          danger:    this.variant === "danger",
-        })}
+        class=${classes}
+        part="button"
+        type="button"
+        ?disabled=${this._isDisabled}
+        aria-disabled=${this.loading ? "true" : nothing}
+        aria-busy=${this.loading ? "true" : nothing}
         @click=${this._handleClick}
       >
-        <slot></slot>
+        ${content}
       </button>
     `;
   }
 
   // ─── Handler de evento ───────────────────────────────────────────────────
   // Guard: aunque ?disabled bloquea clicks del usuario en el <button> nativo,
-  // alguien podría llamar a _handleClick programáticamente desde JS.
-  // El guard lo protege en cualquier caso.
+  // alguien podría llamar a _handleClick programáticamente desde JS, y en
+  // loading el <button> NO está disabled. En esos casos el click se corta
+  // aquí: stopPropagation → tampoco llega a los @click del consumidor.
   //
   // CustomEvent 'ds-click':
   //   bubbles: true  → el evento sube por el árbol DOM
   //   composed: true → el evento cruza el Shadow DOM boundary
   //                    sin esto, el padre nunca lo recibiría
-  _handleClick() {
-    if (this.disabled) return;
+  //
+  // Después del ds-click, type="submit" / "reset" actúan sobre el <form>.
+  _handleClick(e) {
+    if (this._isDisabled || this.loading) {
+      e?.preventDefault();
+      e?.stopPropagation();
+      return;
+    }
 
     this.dispatchEvent(
       new CustomEvent("ds-click", {
@@ -126,6 +302,11 @@ class DSButton extends LitElement {
         composed: true,
       }),
     );
+
+    const form = this._internals.form;
+    if (this.href || !form) return;
+    if (this.type === "submit") form.requestSubmit();
+    else if (this.type === "reset") form.reset();
   }
 }
 
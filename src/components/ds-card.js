@@ -2,12 +2,32 @@
 // DsCard — LitElement component
 //
 // Propósito: contenedor de información del design system con soporte para
-// slots (contenido proyectado desde fuera) y variante elevated (con sombra).
+// slots (contenido proyectado desde fuera), variante elevated (con sombra),
+// modo interactivo (la card entera es un botón o un enlace) y modo plegable.
 //
 // API pública:
-//   @property elevated → Boolean con reflect (default: false)
-//   slot "header"      → contenido que aparece en la cabecera de la card
-//   slot (default)     → contenido principal del cuerpo de la card
+//   @property elevated    → Boolean con reflect (default: false)
+//   @property interactive → Boolean con reflect: enfocable, role="button",
+//                           estilos hover / active / focus y activación con
+//                           click, Enter o Space → ds-card-activate
+//   @property href        → con interactive: role="link" y, si nadie cancela
+//                           ds-card-activate, navega a esa URL
+//   @property selected    → Boolean con reflect: marca visual de seleccionada
+//   @property collapsible → Boolean con reflect: la cabecera pasa a ser un
+//                           botón que pliega / despliega el cuerpo
+//   @property open        → Boolean con reflect: cuerpo desplegado
+//                           (solo con collapsible; default: false)
+//   @method   toggle(open?) → pliega / despliega y emite ds-toggle
+//   @slot     media       → imagen / vídeo a sangre, encima de la cabecera
+//   @slot     header      → contenido que aparece en la cabecera de la card
+//   @slot     (default)   → contenido principal del cuerpo de la card
+//   @slot     footer      → acciones o metadatos al pie
+//   @event    ds-card-activate → la card interactiva se activó.
+//                                cancelable (evita la navegación de href).
+//                                detail: { originalEvent } → el click o la tecla
+//   @event    ds-toggle        → se plegó / desplegó. detail: { open }
+//
+// Cabecera, pie y media sin contenido no se pintan: ni borde ni hueco.
 //
 // Uso en HTML:
 //   <ds-card>
@@ -19,23 +39,67 @@
 //     <span slot="header">Con sombra</span>
 //     Esta card tiene elevación visual.
 //   </ds-card>
+//
+//   <ds-card interactive @ds-card-activate=${() => open(user)}>
+//     <img slot="media" src="avatar.png" alt="" />
+//     <span slot="header">Alice</span>
+//     alice@example.com
+//     <small slot="footer">Acme · Madrid</small>
+//   </ds-card>
+//
+//   <ds-card collapsible open>
+//     <span slot="header">Detalles</span>
+//     Se pliega al pulsar la cabecera.
+//   </ds-card>
+//
+// interactive y collapsible no se combinan: sería un botón (el de plegar)
+// dentro de otro botón (la card).
 // ─────────────────────────────────────────────────────────────────────────────
 
 import { LitElement, html, css } from "lit";
 import { classMap } from "lit/directives/class-map.js";
+import "../styles/tokens.js";
 
 class DSCard extends LitElement {
   // ─── Propiedades reactivas ────────────────────────────────────────────────
   // reflect: true → sincroniza la propiedad JS con el atributo HTML.
   // Permite seleccionar el host con :host([elevated]) en CSS
   // y usar <ds-card elevated> directamente en el HTML.
+  //
+  // _hasMedia / _hasHeader / _hasFooter → @state: el slot tiene contenido
   static properties = {
     elevated: { type: Boolean, reflect: true },
+    interactive: { type: Boolean, reflect: true },
+    href: { type: String },
+    selected: { type: Boolean, reflect: true },
+    collapsible: { type: Boolean, reflect: true },
+    open: { type: Boolean, reflect: true },
+    _hasMedia: { type: Boolean, state: true },
+    _hasHeader: { type: Boolean, state: true },
+    _hasFooter: { type: Boolean, state: true },
   };
 
   constructor() {
     super();
+    // ElementInternals → role por defecto SIN escribir el atributo: si el
+    // consumidor pone role="option" (ds-user-list), el suyo gana.
+    this._internals = this.attachInternals();
     this.elevated = false; // sin sombra por defecto
+    this.interactive = false;
+    this.href = "";
+    this.selected = false;
+    this.collapsible = false;
+    this.open = false;
+    this._hasMedia = false;
+    this._hasHeader = false;
+    this._hasFooter = false;
+    this._ownTabindex = false; // el tabindex lo puso la card, no el consumidor
+
+    // Listeners en el host (y no en el template): el foco y el click son
+    // del propio <ds-card>, no de un elemento interno.
+    this.addEventListener("click", this._onClick);
+    this.addEventListener("keydown", this._onKeyDown);
+    this.addEventListener("keyup", this._onKeyUp);
   }
 
   // ─── Estilos encapsulados ─────────────────────────────────────────────────
@@ -46,45 +110,210 @@ class DSCard extends LitElement {
   // .card.elevated → clase combinada: solo aplica cuando el div tiene AMBAS
   //                  clases "card" y "elevated" al mismo tiempo.
   //
+  // El padding vive en cada sección y no en .card: así el slot media llega
+  // hasta los bordes (overflow: hidden recorta sus esquinas).
+  //
+  // Plegado animado: .collapse es un grid de una fila que pasa de 1fr a
+  // 0fr. A diferencia de height: auto, grid-template-rows SÍ se anima.
+  //
   // ::slotted(*) → estila el contenido proyectado desde fuera (light DOM).
   static styles = css`
     :host {
       display: block;
+      outline: none;
     }
 
     .card {
-      border: 1px solid #e2e8f0;
-      border-radius: 14px;
-      padding: 18px 18px;
-      background: #fff;
-      box-shadow: 0 1px 2px rgba(15, 23, 42, 0.06);
+      overflow: hidden;
+      border: 1px solid var(--ds-color-border);
+      border-radius: var(--ds-radius-xl);
+      background: var(--ds-color-surface);
+      box-shadow: var(--ds-shadow-sm);
       /* PRO: no fuerces altura fija en todos los contextos */
       min-height: 0;
     }
 
     .card.elevated {
       border-color: transparent;
-      box-shadow:
-        0 10px 30px rgba(15, 23, 42, 0.12),
-        0 2px 6px rgba(15, 23, 42, 0.06);
+      box-shadow: var(--ds-shadow-lg);
+    }
+
+    .card-media ::slotted(img),
+    .card-media ::slotted(video) {
+      display: block;
+      width: 100%;
+      height: auto;
     }
 
     .card-header {
-      font-size: 0.95rem;
-      font-weight: 700;
-      color: #0f172a;
-      margin-bottom: 10px;
+      font-size: var(--ds-font-size-base);
+      font-weight: var(--ds-font-weight-bold);
+      color: var(--ds-color-text);
+      margin: 0 18px;
+      padding: 18px 0 10px;
+      border-bottom: 1px solid var(--ds-color-border-muted);
+    }
+
+    .card-body {
+      padding: 18px;
+    }
+
+    .card-header:not([hidden]) + .collapse .card-body {
+      padding-top: 10px;
+    }
+
+    .card-body:has(+ .card-footer:not([hidden])) {
       padding-bottom: 10px;
-      border-bottom: 1px solid #f1f5f9;
     }
 
-    ::slotted(*) {
+    .card-footer {
+      margin: 0 18px;
+      padding: 10px 0 18px;
+      border-top: 1px solid var(--ds-color-border-muted);
+    }
+
+    [hidden] {
+      display: none !important;
+    }
+
+    ::slotted(:not([slot="media"])) {
       font-size: 0.92rem;
-      color: #475569;
+      color: var(--ds-color-text-tertiary);
       line-height: 1.35;
     }
+
+    /* ── Interactiva ── */
+    :host([interactive]) {
+      cursor: pointer;
+    }
+
+    :host([interactive]) .card {
+      transition:
+        border-color 0.15s ease,
+        box-shadow 0.15s ease,
+        transform 0.1s ease;
+    }
+
+    :host([interactive]:hover) .card {
+      border-color: var(--ds-color-primary-border);
+      box-shadow: var(--ds-shadow-lg);
+    }
+
+    :host([interactive]:active) .card {
+      transform: scale(0.99);
+      box-shadow: var(--ds-shadow-sm);
+    }
+
+    :host([selected]) .card {
+      border-color: var(--ds-color-primary);
+      box-shadow: 0 0 0 1px var(--ds-color-primary);
+    }
+
+    :host(:focus-visible) .card {
+      outline: 2px solid var(--ds-color-primary);
+      outline-offset: 2px;
+    }
+
+    /* ── Plegable ── */
+    .toggle {
+      display: flex;
+      align-items: center;
+      gap: var(--ds-space-2);
+      width: 100%;
+      padding: 0;
+      border: none;
+      background: none;
+      color: inherit;
+      font: inherit;
+      text-align: start;
+      cursor: pointer;
+    }
+
+    .toggle:focus-visible {
+      outline: 2px solid var(--ds-color-primary);
+      outline-offset: 2px;
+      border-radius: var(--ds-radius-sm);
+    }
+
+    .toggle slot {
+      display: block;
+      flex: 1;
+    }
+
+    .chevron {
+      color: var(--ds-color-text-muted);
+      transition: transform 0.2s ease;
+    }
+
+    :host([collapsible]:not([open])) .chevron {
+      transform: rotate(-90deg);
+    }
+
+    :host([collapsible]:not([open])) .card-header {
+      border-bottom-color: transparent;
+    }
+
+    .collapse {
+      display: grid;
+      grid-template-rows: 1fr;
+      transition: grid-template-rows 0.2s ease;
+    }
+
+    .collapse > .inner {
+      min-height: 0;
+      overflow: hidden;
+    }
+
+    :host([collapsible]:not([open])) .collapse {
+      grid-template-rows: 0fr;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .card,
+      .chevron,
+      .collapse {
+        transition: none !important;
+      }
+    }
   `;
 
+  // ─── Lifecycle: willUpdate ────────────────────────────────────────────────
+  // slotchange llega después del primer render: sin este valor inicial la
+  // cabecera parpadearía (oculta → visible) en cada card nueva.
+  willUpdate(changed) {
+    if (!this.hasUpdated) {
+      this._hasMedia = this._slotted("media");
+      this._hasHeader = this._slotted("header");
+      this._hasFooter = this._slotted("footer");
+    }
+    if (changed.has("interactive") || changed.has("href")) this._syncInteractive();
+  }
+
+  _slotted(name) {
+    return this.querySelector(`:scope > [slot='${name}']`) !== null;
+  }
+
+  // role y tabindex del host según el modo. El tabindex se añade solo si
+  // el consumidor no puso uno (ds-user-list gestiona el suyo: roving
+  // tabindex) y se quita solo si lo añadimos nosotros.
+  _syncInteractive() {
+    this._internals.role = this.interactive ? (this.href ? "link" : "button") : null;
+    if (this.interactive && !this.hasAttribute("tabindex")) {
+      this.setAttribute("tabindex", "0");
+      this._ownTabindex = true;
+    } else if (!this.interactive && this._ownTabindex) {
+      this.removeAttribute("tabindex");
+      this._ownTabindex = false;
+    }
+  }
+
+  // ─── API pública ──────────────────────────────────────────────────────────
+  toggle(open = !this.open) {
+    if (open === this.open) return;
+    this.open = open;
+    this._emit("ds-toggle", { open });
+  }
+
   // ─── Template ─────────────────────────────────────────────────────────────
   // classMap({ card: true, elevated: this.elevated }) →
   //   si elevated=false → class="card"
@@ -92,21 +321,110 @@ class DSCard extends LitElement {
   //
   // <slot name="header"> → slot nombrado.
   //   Recibe el contenido que tenga slot="header" en el HTML del consumidor.
-  //   Si el consumidor no pone nada, el div .card-header queda vacío.
+  //   Si el consumidor no pone nada, .card-header queda hidden (en modo
+  //   collapsible se pinta igual: es el botón de plegar).
   //
   // <slot> → slot por defecto.
   //   Recibe todo el contenido que NO tenga atributo slot="...".
   //   Es el cuerpo principal de la card.
+  //
+  // Plegada → el cuerpo queda inert: fuera del orden de Tab y del árbol de
+  // accesibilidad aunque siga en el DOM (lo necesita la animación).
   render() {
+    const collapsed = this.collapsible && !this.open;
     return html`
-      <div class=${classMap({ card: true, elevated: this.elevated })}>
-        <div class="card-header">
-          <slot name="header"></slot>
+      <div class=${classMap({ card: true, elevated: this.elevated })} part="card">
+        <div class="card-media" part="media" ?hidden=${!this._hasMedia}>
+          <slot name="media" @slotchange=${this._onSlotChange}></slot>
+        </div>
+        <div
+          class="card-header"
+          part="header"
+          ?hidden=${!this._hasHeader && !this.collapsible}
+        >
+          ${this.collapsible ? this._renderToggle() : this._renderHeaderSlot()}
+        </div>
+        <div class="collapse">
+          <div class="inner" id="content" ?inert=${collapsed}>
+            <div class="card-body" part="body"><slot></slot></div>
+            <div class="card-footer" part="footer" ?hidden=${!this._hasFooter}>
+              <slot name="footer" @slotchange=${this._onSlotChange}></slot>
+            </div>
+          </div>
         </div>
-        <slot></slot>
       </div>
     `;
   }
+
+  _renderHeaderSlot() {
+    return html`<slot name="header" @slotchange=${this._onSlotChange}></slot>`;
+  }
+
+  _renderToggle() {
+    return html`
+      <button
+        class="toggle"
+        type="button"
+        aria-expanded=${this.open ? "true" : "false"}
+        aria-controls="content"
+        @click=${() => this.toggle()}
+      >
+        ${this._renderHeaderSlot()}
+        <span class="chevron" aria-hidden="true">▾</span>
+      </button>
+    `;
+  }
+
+  // ─── Handlers ─────────────────────────────────────────────────────────────
+  _onSlotChange(e) {
+    const has = e.target.assignedElements().length > 0;
+    if (e.target.name === "media") this._hasMedia = has;
+    else if (e.target.name === "header") this._hasHeader = has;
+    else if (e.target.name === "footer") this._hasFooter = has;
+  }
+
+  // Clicks que vienen de un control propio del contenido (un checkbox, un
+  // enlace, un botón) son de ese control: no activan la card.
+  _onClick(e) {
+    if (!this.interactive) return;
+    const origin = e.composedPath()[0];
+    if (origin !== this && origin.closest?.("a, button, input, select, textarea, label")) return;
+    this._activate(e);
+  }
+
+  // Como un <button> nativo: Enter activa al pulsar, Space al soltar (y su
+  // keydown se cancela para que no haga scroll). Un enlace solo con Enter.
+  // e.target !== this → la tecla es de un control del contenido.
+  _onKeyDown(e) {
+    if (!this.interactive || e.target !== this) return;
+    if (e.key === "Enter" && !e.repeat) {
+      e.preventDefault();
+      this._activate(e);
+    } else if (e.key === " " && !this.href) {
+      e.preventDefault();
+    }
+  }
+
+  _onKeyUp(e) {
+    if (!this.interactive || e.target !== this || this.href) return;
+    if (e.key === " ") this._activate(e);
+  }
+
+  _activate(originalEvent) {
+    const allowed = this.dispatchEvent(
+      new CustomEvent("ds-card-activate", {
+        detail: { originalEvent },
+        bubbles: true,
+        composed: true,
+        cancelable: true,
+      }),
+    );
+    if (allowed && this.href) window.location.assign(this.href);
+  }
+
+  _emit(name, detail) {
+    this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+  }
 }
 
 customElements.define("ds-card", DSCard);
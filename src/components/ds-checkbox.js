@@ -0,0 +1,126 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsCheckbox — LitElement component (form-associated)
+//
+// Propósito: casilla del design system que participa en un <form> nativo
+// (ver ds-form-control.js).
+//
+// API pública (además de la común de DsFormControl):
+//   @property checked → marcada o no (el atributo es el estado inicial)
+//   @property value   → lo que se envía si está marcada   (default: 'on')
+//   required          → hay que marcarla (p. ej. "Acepto las condiciones")
+//   @event    input / change → como en el checkbox nativo
+//
+// Como en el nativo: desmarcada, el campo NO aparece en el FormData.
+//
+// Uso en HTML:
+//   <ds-checkbox name="terms" required label="I accept the terms"></ds-checkbox>
+//   <ds-checkbox name="news" value="yes" checked>
+//     <span slot="label">Send me <b>news</b></span>
+//   </ds-checkbox>
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { html, css } from "lit";
+import { live } from "lit/directives/live.js";
+import { DsFormControl, formControlStyles } from "./ds-form-control.js";
+import { focusRing } from "../styles/form-styles.js";
+
+export class DsCheckbox extends DsFormControl {
+  static properties = {
+    checked: { type: Boolean },
+  };
+
+  static styles = [
+    formControlStyles,
+    css`
+      .row {
+        display: flex;
+        align-items: center;
+        gap: var(--ds-space-2);
+      }
+
+      /* La casilla no es una caja de texto: fuera padding y fondo */
+      .control {
+        width: 18px;
+        height: 18px;
+        margin: 0;
+        padding: 0;
+        accent-color: var(--ds-color-primary);
+        cursor: pointer;
+      }
+
+      .control:focus {
+        box-shadow: none;
+      }
+
+      .control:focus-visible {
+        ${focusRing}
+        border-radius: var(--ds-radius-sm);
+      }
+
+      .label {
+        font-size: var(--ds-font-size-md);
+        font-weight: 400;
+        color: var(--ds-color-text);
+        cursor: pointer;
+      }
+    `,
+  ];
+
+  constructor() {
+    super();
+    this.checked = false;
+    this.value = "on";
+    this._defaultChecked = null;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this._defaultChecked === null) this._defaultChecked = this.checked;
+  }
+
+  // null → el campo no se envía (igual que un checkbox nativo desmarcado).
+  _formValue() {
+    return this.checked ? this.value : null;
+  }
+
+  formResetCallback() {
+    this.checked = this._defaultChecked ?? false;
+    this._touched = false;
+  }
+
+  formStateRestoreCallback(state) {
+    this.checked = state != null;
+  }
+
+  _onInput(e) {
+    this.checked = e.target.checked;
+  }
+
+  // La etiqueta va DESPUÉS de la casilla, como es habitual en un checkbox.
+  render() {
+    return html`
+      <div class="field">
+        <div class="row">
+          <input
+            id="control"
+            class="control"
+            part="control"
+            type="checkbox"
+            .checked=${live(this.checked)}
+            ?required=${this.required}
+            ?disabled=${this._isDisabled}
+            aria-invalid=${this._showError ? "true" : "false"}
+            aria-describedby=${this._describedBy}
+            @input=${this._onInput}
+            @change=${this._onChange}
+            @blur=${this._onBlur}
+          />
+          ${this._renderLabel()}
+        </div>
+        ${this._renderMessages()}
+      </div>
+    `;
+  }
+}
+
+customElements.define("ds-checkbox", DsCheckbox);
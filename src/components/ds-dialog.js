@@ -0,0 +1,354 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsDialog — LitElement component + confirm()
+//
+// Propósito: ventana modal del design system sobre el <dialog> nativo.
+//
+// ¿Por qué <dialog> + showModal() y no un <div> con z-index?
+//   showModal() da gratis lo difícil de un modal:
+//     - "top layer": queda por encima de todo, sin pelearse con z-index
+//     - ::backdrop para el fondo oscurecido
+//     - el resto de la página pasa a ser inert → no se puede hacer click
+//       ni llegar con Tab a nada de fuera: ESE es el focus trap
+//     - el lector de pantalla lo anuncia como diálogo modal
+//
+// API pública:
+//   @property open    → Boolean con reflect: abre/cierra el diálogo
+//   @property heading → título (o slot "header")
+//   @method   show() / close() → abrir / cerrar sin preguntar a nadie
+//   @method   requestClose(reason) → cierre "educado": emite
+//             ds-request-close y solo cierra si nadie lo cancela
+//   @slot     header  → cabecera (sustituye al heading)
+//   @slot     (default) → cuerpo
+//   @slot     footer  → acciones; si está vacío el pie no se pinta
+//   @event    ds-open          → el diálogo se abrió
+//   @event    ds-request-close → Escape, click en el fondo o botón ✕.
+//                                cancelable: preventDefault() lo veta.
+//                                detail: { reason: 'escape' | 'backdrop' | 'close-button' }
+//   @event    ds-close         → el diálogo se cerró. detail: { reason }
+//
+// Uso en HTML:
+//   <ds-dialog heading="Editar usuario" ?open=${editing}
+//              @ds-request-close=${(e) => dirty && e.preventDefault()}
+//              @ds-close=${() => (editing = false)}>
+//     <ds-user-form ...></ds-user-form>
+//     <ds-button slot="footer">Cerrar</ds-button>
+//   </ds-dialog>
+//
+// Foco: al abrir va al elemento con [autofocus] del contenido (o al botón
+// de cerrar); al cerrar vuelve a donde estaba antes de abrir.
+//
+// confirm({ title, message, variant, confirmLabel, cancelLabel }):
+//   crea un ds-dialog temporal con dos ds-button y devuelve una Promise
+//   que resuelve true (confirmar) o false (cancelar, Escape, fondo...).
+//     if (await confirm({ title: "¿Eliminar?", variant: "danger" })) ...
+//   Sin title / confirmLabel / cancelLabel se usan los textos de i18n en el
+//   idioma activo al llamar a confirm().
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { LitElement, html, css, render } from "lit";
+import { LocaleController } from "../controllers/locale-controller.js";
+import { t } from "../i18n/i18n.js";
+import "../styles/tokens.js";
+import "./ds-button.js";
+
+// Elemento con el foco "de verdad": document.activeElement se queda en el
+// host de un shadow root; se baja hasta el elemento interno.
+function deepActiveElement() {
+  let active = document.activeElement;
+  while (active?.shadowRoot?.activeElement) active = active.shadowRoot.activeElement;
+  return active;
+}
+
+export class DsDialog extends LitElement {
+  // ─── Propiedades reactivas ────────────────────────────────────────────────
+  // _hasFooter → @state: el slot footer tiene contenido
+  static properties = {
+    open: { type: Boolean, reflect: true },
+    heading: { type: String },
+    _hasFooter: { type: Boolean, state: true },
+  };
+
+  constructor() {
+    super();
+    this.open = false;
+    this.heading = "";
+    this._hasFooter = false;
+    this._closeReason = null;
+    this._returnFocus = null; // elemento al que vuelve el foco al cerrar
+    this._pointerDownOnBackdrop = false;
+    this._locale = new LocaleController(this);
+  }
+
+  // El <dialog> no lleva padding: así cualquier click cuyo target sea el
+  // propio <dialog> es un click en el fondo (::backdrop), no en el panel.
+  static styles = css`
+    dialog {
+      width: min(480px, calc(100vw - 2 * var(--ds-space-4)));
+      max-height: calc(100vh - 2 * var(--ds-space-6));
+      padding: 0;
+      border: none;
+      border-radius: var(--ds-radius-xl);
+      background: var(--ds-color-surface);
+      color: var(--ds-color-text);
+      box-shadow: var(--ds-shadow-lg);
+    }
+
+    dialog::backdrop {
+      background: var(--ds-color-backdrop);
+    }
+
+    .panel {
+      display: grid;
+      gap: var(--ds-space-4);
+      padding: 18px;
+    }
+
+    .header {
+      display: flex;
+      align-items: center;
+      gap: var(--ds-space-3);
+    }
+
+    .heading {
+      flex: 1;
+      margin: 0;
+      font-size: 1.1rem;
+      font-weight: var(--ds-font-weight-bold);
+    }
+
+    .close-btn {
+      padding: var(--ds-space-1) var(--ds-space-2);
+      border: none;
+      border-radius: var(--ds-radius-sm);
+      background: none;
+      color: var(--ds-color-text-muted);
+      font-size: var(--ds-font-size-lg);
+      cursor: pointer;
+    }
+
+    .close-btn:focus-visible {
+      outline: 2px solid var(--ds-color-primary);
+      outline-offset: 2px;
+    }
+
+    .body {
+      color: var(--ds-color-text-tertiary);
+      font-size: var(--ds-font-size-base);
+      line-height: 1.45;
+      overflow-wrap: anywhere;
+    }
+
+    .footer {
+      display: flex;
+      justify-content: flex-end;
+      gap: var(--ds-space-2);
+    }
+
+    .footer[hidden] {
+      display: none;
+    }
+  `;
+
+  // ─── API pública ──────────────────────────────────────────────────────────
+  show() {
+    this.open = true;
+  }
+
+  close() {
+    this.open = false;
+  }
+
+  requestClose(reason) {
+    const allowed = this.dispatchEvent(
+      new CustomEvent("ds-request-close", {
+        detail: { reason },
+        bubbles: true,
+        composed: true,
+        cancelable: true,
+      }),
+    );
+    if (!allowed) return false;
+    this._closeReason = reason;
+    this.open = false;
+    return true;
+  }
+
+  // ─── Lifecycle: willUpdate ────────────────────────────────────────────────
+  // slotchange llega después del primer render: sin este valor inicial el
+  // pie nacería oculto y su [autofocus] no se podría enfocar al abrir.
+  willUpdate() {
+    if (!this.hasUpdated) {
+      this._hasFooter = this.querySelector(":scope > [slot='footer']") !== null;
+    }
+  }
+
+  // ─── Lifecycle: updated ───────────────────────────────────────────────────
+  // `open` es la fuente de verdad; el <dialog> se sincroniza con ella.
+  updated(changed) {
+    if (!changed.has("open")) return;
+    const dialog = this._dialog;
+    if (this.open && !dialog.open) {
+      this._returnFocus = deepActiveElement();
+      this._closeReason = null;
+      dialog.showModal();
+      this._focusInitial();
+      this._emit("ds-open", {});
+    } else if (!this.open && dialog.open) {
+      dialog.close();
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._restoreFocus();
+  }
+
+  // Si el [autofocus] es un componente Lit recién creado (p. ej. los
+  // ds-button de confirm()) su botón interno aún no existe: se espera a
+  // que pinte antes de enfocarlo.
+  async _focusInitial() {
+    const target = this.querySelector("[autofocus]") ?? this.renderRoot.querySelector(".close-btn");
+    await target.updateComplete;
+    if (this.open) target.focus();
+  }
+
+  get _dialog() {
+    return this.renderRoot.querySelector("dialog");
+  }
+
+  // ─── Template ─────────────────────────────────────────────────────────────
+  render() {
+    return html`
+      <dialog
+        part="dialog"
+        aria-labelledby="heading"
+        @keydown=${this._onKeyDown}
+        @cancel=${this._onCancel}
+        @close=${this._onNativeClose}
+        @pointerdown=${this._onPointerDown}
+        @click=${this._onClick}
+      >
+        <div class="panel">
+          <header class="header" part="header">
+            <h2 class="heading" id="heading"><slot name="header">${this.heading}</slot></h2>
+            <button
+              class="close-btn"
+              aria-label=${t("common.close")}
+              @click=${() => this.requestClose("close-button")}
+            >
+              ✕
+            </button>
+          </header>
+          <div class="body" part="body"><slot></slot></div>
+          <footer class="footer" part="footer" ?hidden=${!this._hasFooter}>
+            <slot name="footer" @slotchange=${this._onFooterChange}></slot>
+          </footer>
+        </div>
+      </dialog>
+    `;
+  }
+
+  // ─── Handlers ─────────────────────────────────────────────────────────────
+  // Escape se intercepta en keydown: si se esperase al evento `cancel`,
+  // Chrome cierra igualmente a la segunda pulsación aunque se cancele, y el
+  // veto de ds-request-close dejaría de funcionar.
+  _onKeyDown(e) {
+    if (e.key !== "Escape") return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.requestClose("escape");
+  }
+
+  // Otras peticiones de cierre del navegador (p. ej. "atrás" en Android).
+  _onCancel(e) {
+    e.preventDefault();
+    this.requestClose("escape");
+  }
+
+  // El <dialog> ya se cerró (por nosotros o por el navegador): se alinea
+  // `open`, se devuelve el foco y se avisa.
+  _onNativeClose() {
+    this.open = false;
+    this._restoreFocus();
+    this._emit("ds-close", { reason: this._closeReason });
+  }
+
+  // Solo cuenta como click en el fondo si empezó y acabó ahí: seleccionar
+  // texto arrastrando desde dentro del panel hacia fuera no cierra.
+  _onPointerDown(e) {
+    this._pointerDownOnBackdrop = e.target === this._dialog;
+  }
+
+  _onClick(e) {
+    const onBackdrop = e.target === this._dialog && this._pointerDownOnBackdrop;
+    this._pointerDownOnBackdrop = false;
+    if (onBackdrop) this.requestClose("backdrop");
+  }
+
+  _onFooterChange(e) {
+    this._hasFooter = e.target.assignedElements().length > 0;
+  }
+
+  _restoreFocus() {
+    const target = this._returnFocus;
+    this._returnFocus = null;
+    if (target?.isConnected) target.focus();
+  }
+
+  _emit(name, detail) {
+    this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+  }
+}
+
+customElements.define("ds-dialog", DsDialog);
+
+// ─── confirm ─────────────────────────────────────────────────────────────────
+// variant "danger" → botón de confirmar en rojo y el foco empieza en
+// Cancelar: un Enter distraído no borra nada.
+export function confirm({
+  title = t("dialog.confirmTitle"),
+  message = "",
+  variant = "primary",
+  confirmLabel = t("common.confirm"),
+  cancelLabel = t("common.cancel"),
+} = {}) {
+  return new Promise((resolve) => {
+    const dialog = document.createElement("ds-dialog");
+    const danger = variant === "danger";
+    let confirmed = false;
+    const finish = (result) => {
+      confirmed = result;
+      dialog.close();
+    };
+
+    dialog.heading = title;
+    render(
+      html`
+        <p>${message}</p>
+        <ds-button
+          slot="footer"
+          variant="secondary"
+          ?autofocus=${danger}
+          @ds-click=${() => finish(false)}
+        >
+          ${cancelLabel}
+        </ds-button>
+        <ds-button
+          slot="footer"
+          variant=${danger ? "danger" : "primary"}
+          ?autofocus=${!danger}
+          @ds-click=${() => finish(true)}
+        >
+          ${confirmLabel}
+        </ds-button>
+      `,
+      dialog,
+    );
+    dialog.addEventListener("ds-close", () => {
+      dialog.remove();
+      resolve(confirmed);
+    });
+    document.body.append(dialog);
+    dialog.show();
+  });
+}
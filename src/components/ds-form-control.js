@@ -0,0 +1,286 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsFormControl — clase base de los campos de formulario del design system
+//
+// Propósito: lo común a ds-input, ds-textarea, ds-select y ds-checkbox.
+// No se registra como elemento: cada campo la extiende y pinta su control.
+//
+// ¿Qué es un "form-associated custom element"?
+//   Con `static formAssociated = true` + attachInternals(), el navegador
+//   trata al elemento como un campo más de su <form>:
+//     - su valor viaja en el submit y aparece en new FormData(form)
+//     - form.checkValidity() / reportValidity() lo tienen en cuenta
+//     - form.reset() y <fieldset disabled> le llegan como callbacks
+//     - funciona <label for="id-del-ds-input">
+//
+// Validación: el control nativo (dentro del shadow DOM) hace el trabajo.
+// Le pasamos required / pattern / minlength... y copiamos su `validity`
+// al elemento con internals.setValidity. Así los mensajes y las reglas son
+// exactamente los del navegador, sin reimplementarlos.
+//
+// API pública común:
+//   @property name      → nombre del campo en el FormData
+//   @property value     → valor actual (el atributo `value` es el inicial)
+//   @property label     → texto de la etiqueta            (o slot "label")
+//   @property hint      → texto de ayuda bajo el campo     (o slot "hint")
+//   @property error     → error propio (p. ej. del servidor): invalida el
+//                         campo con ese mensaje hasta que se vacíe
+//   @property required / disabled
+//   @slot     label / hint / error → sustituyen al texto por defecto
+//   form, validity, validationMessage, willValidate,
+//   checkValidity(), reportValidity() → como en un <input> nativo
+//
+// El error se enseña cuando el usuario ya pasó por el campo (blur) o
+// cuando el formulario intentó enviarse (evento `invalid`), no antes.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { LitElement, html, css, nothing } from "lit";
+import { controlBase, focusRing, invalidRing } from "../styles/form-styles.js";
+import "../styles/tokens.js";
+
+export class DsFormControl extends LitElement {
+  static formAssociated = true;
+
+  // delegatesFocus → host.focus() y el click en el <label> del host llevan
+  // el foco al control interno.
+  static shadowRootOptions = { ...LitElement.shadowRootOptions, delegatesFocus: true };
+
+  // ─── Propiedades reactivas ────────────────────────────────────────────────
+  // _touched           → @state: el usuario ya pasó por el campo
+  // _validationMessage → @state: mensaje del control nativo (vacío = válido)
+  // _formDisabled      → @state: deshabilitado por un <fieldset disabled>
+  static properties = {
+    name: { type: String, reflect: true },
+    value: { type: String },
+    label: { type: String },
+    hint: { type: String },
+    error: { type: String },
+    required: { type: Boolean, reflect: true },
+    disabled: { type: Boolean, reflect: true },
+    _touched: { type: Boolean, state: true },
+    _validationMessage: { type: String, state: true },
+    _formDisabled: { type: Boolean, state: true },
+  };
+
+  constructor() {
+    super();
+    this._internals = this.attachInternals();
+    this.name = "";
+    this.value = "";
+    this.label = "";
+    this.hint = "";
+    this.error = "";
+    this.required = false;
+    this.disabled = false;
+    this._touched = false;
+    this._validationMessage = "";
+    this._formDisabled = false;
+    // Valor inicial (el del atributo) para form.reset(). Se captura al
+    // conectar: en el constructor los atributos aún no se han leído.
+    this._defaultValue = null;
+
+    // El navegador lanza `invalid` en cada campo inválido al intentar
+    // enviar el formulario → a partir de ahí se enseña el error.
+    this.addEventListener("invalid", () => {
+      this._touched = true;
+    });
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this._defaultValue === null) this._defaultValue = this.value;
+  }
+
+  // ─── API de campo nativo ──────────────────────────────────────────────────
+  get form() {
+    return this._internals.form;
+  }
+
+  get validity() {
+    return this._internals.validity;
+  }
+
+  get validationMessage() {
+    return this._internals.validationMessage;
+  }
+
+  get willValidate() {
+    return this._internals.willValidate;
+  }
+
+  checkValidity() {
+    return this._internals.checkValidity();
+  }
+
+  reportValidity() {
+    this._touched = true;
+    return this._internals.reportValidity();
+  }
+
+  // ─── Callbacks de formulario ──────────────────────────────────────────────
+  formResetCallback() {
+    this.value = this._defaultValue ?? "";
+    this._touched = false;
+  }
+
+  formDisabledCallback(disabled) {
+    this._formDisabled = disabled;
+  }
+
+  // Autocompletado / volver atrás en el historial: el navegador devuelve
+  // lo que guardamos con setFormValue.
+  formStateRestoreCallback(state) {
+    this.value = state ?? "";
+  }
+
+  // ─── Estado para las subclases ────────────────────────────────────────────
+  get _isDisabled() {
+    return this.disabled || this._formDisabled;
+  }
+
+  get _showError() {
+    return this._touched && Boolean(this._validationMessage);
+  }
+
+  // El control nativo del shadow DOM (input, textarea, select).
+  get _control() {
+    return this.renderRoot?.querySelector(".control") ?? null;
+  }
+
+  // Lo que se envía en el FormData. ds-checkbox lo sobreescribe.
+  _formValue() {
+    return this.value;
+  }
+
+  // ─── Lifecycle: updated ───────────────────────────────────────────────────
+  // Tras cada render el control nativo ya tiene el valor y las restricciones
+  // nuevas → se copian al elemento. `error` entra como customValidity.
+  updated() {
+    const control = this._control;
+    if (!control) return;
+    this._internals.setFormValue(this._formValue());
+    control.setCustomValidity(this.error ?? "");
+    if (control.validity.valid) {
+      this._internals.setValidity({});
+    } else {
+      this._internals.setValidity(control.validity, control.validationMessage, control);
+    }
+    if (control.validationMessage !== this._validationMessage) {
+      this._validationMessage = control.validationMessage;
+    }
+  }
+
+  // ─── Handlers comunes del control ─────────────────────────────────────────
+  // `input` es composed → cruza el shadow DOM solo. `change` NO lo es →
+  // se vuelve a emitir desde el host para que el formulario lo vea.
+  _onInput(e) {
+    this.value = e.target.value;
+  }
+
+  _onChange() {
+    this.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  _onBlur() {
+    this._touched = true;
+  }
+
+  // ─── Templates parciales comunes ──────────────────────────────────────────
+  _renderLabel() {
+    return html`
+      <label class="label" for="control" part="label">
+        <slot name="label">${this.label}</slot>
+        ${this.required ? html`<span class="required" aria-hidden="true">*</span>` : ""}
+      </label>
+    `;
+  }
+
+  // El hint siempre está (lo referencia aria-describedby); el error solo
+  // cuando hay que enseñarlo. role="alert" → se anuncia al aparecer.
+  _renderMessages() {
+    return html`
+      <div class="hint" id="hint" part="hint"><slot name="hint">${this.hint}</slot></div>
+      ${this._showError
+        ? html`<div class="error" id="error" role="alert" part="error">
+            <slot name="error">${this._validationMessage}</slot>
+          </div>`
+        : ""}
+    `;
+  }
+
+  // aria-* comunes para el control nativo.
+  get _describedBy() {
+    return this._showError ? "hint error" : "hint";
+  }
+
+  // Atributo opcional: sin valor → no se pone (minlength="" sería 0).
+  _optional(value) {
+    return value == null || value === "" ? nothing : value;
+  }
+}
+
+// ─── Estilos comunes ─────────────────────────────────────────────────────────
+// El anillo de foco y la caja del campo son los de form-styles.js.
+export const formControlStyles = css`
+  :host {
+    display: block;
+  }
+
+  :host([disabled]) {
+    opacity: 0.6;
+  }
+
+  .field {
+    display: grid;
+    gap: var(--ds-space-1);
+  }
+
+  .label {
+    font-size: var(--ds-font-size-sm);
+    font-weight: var(--ds-font-weight-medium);
+    color: var(--ds-color-text-secondary);
+  }
+
+  .required {
+    color: var(--ds-color-danger-strong);
+    margin-left: 2px;
+  }
+
+  .control {
+    ${controlBase}
+  }
+
+  .control:focus {
+    ${focusRing}
+  }
+
+  .control[aria-invalid="true"] {
+    border-color: var(--ds-color-danger-strong);
+  }
+
+  .control[aria-invalid="true"]:focus {
+    ${invalidRing}
+  }
+
+  .control:disabled {
+    background: var(--ds-color-surface-muted);
+    cursor: not-allowed;
+  }
+
+  .control::placeholder {
+    color: var(--ds-color-text-subtle);
+  }
+
+  .control::-webkit-search-cancel-button {
+    cursor: pointer;
+  }
+
+  .hint {
+    color: var(--ds-color-text-muted);
+    font-size: var(--ds-font-size-sm);
+  }
+
+  .error {
+    color: var(--ds-color-danger-text);
+    font-size: var(--ds-font-size-sm);
+  }
+`;
@@ -0,0 +1,95 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsInput — LitElement component (form-associated)
+//
+// Propósito: campo de texto del design system que participa en un <form>
+// nativo como un <input> más (ver ds-form-control.js).
+//
+// API pública (además de la común de DsFormControl):
+//   @property type         → 'text' | 'email' | 'url' | 'tel' | 'number' |
+//                            'password' | 'search'          (default: 'text')
+//   @property placeholder
+//   @property pattern      → expresión regular que debe cumplir el valor
+//   @property minLength    → atributo: minlength
+//   @property maxLength    → atributo: maxlength
+//   @property min / max / step → para type="number"
+//   @property autocomplete
+//   @event    input / change → como en el <input> nativo
+//
+// Uso en HTML:
+//   <form>
+//     <ds-input name="email" type="email" label="Email" required
+//               hint="We never share it"></ds-input>
+//     <ds-input name="zip" label="Zip" pattern="[0-9]{5}">
+//       <span slot="error">Five digits, please</span>
+//     </ds-input>
+//   </form>
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { html } from "lit";
+import { live } from "lit/directives/live.js";
+import { DsFormControl, formControlStyles } from "./ds-form-control.js";
+
+export class DsInput extends DsFormControl {
+  static properties = {
+    type: { type: String },
+    placeholder: { type: String },
+    pattern: { type: String },
+    minLength: { type: Number, attribute: "minlength" },
+    maxLength: { type: Number, attribute: "maxlength" },
+    min: { type: String },
+    max: { type: String },
+    step: { type: String },
+    autocomplete: { type: String },
+  };
+
+  static styles = formControlStyles;
+
+  constructor() {
+    super();
+    this.type = "text";
+    this.placeholder = "";
+    this.pattern = "";
+    this.minLength = null;
+    this.maxLength = null;
+    this.min = "";
+    this.max = "";
+    this.step = "";
+    this.autocomplete = "";
+  }
+
+  // live() → .value solo se asigna si difiere de lo que ya tiene el <input>.
+  // Reasignar lo mismo borra la marca de "editado por el usuario" y con ella
+  // la validación de minlength/maxlength (tooShort / tooLong).
+  render() {
+    return html`
+      <div class="field">
+        ${this._renderLabel()}
+        <input
+          id="control"
+          class="control"
+          part="control"
+          type=${this.type}
+          .value=${live(this.value ?? "")}
+          placeholder=${this._optional(this.placeholder)}
+          pattern=${this._optional(this.pattern)}
+          minlength=${this._optional(this.minLength)}
+          maxlength=${this._optional(this.maxLength)}
+          min=${this._optional(this.min)}
+          max=${this._optional(this.max)}
+          step=${this._optional(this.step)}
+          autocomplete=${this._optional(this.autocomplete)}
+          ?required=${this.required}
+          ?disabled=${this._isDisabled}
+          aria-invalid=${this._showError ? "true" : "false"}
+          aria-describedby=${this._describedBy}
+          @input=${this._onInput}
+          @change=${this._onChange}
+          @blur=${this._onBlur}
+        />
+        ${this._renderMessages()}
+      </div>
+    `;
+  }
+}
+
+customElements.define("ds-input", DsInput);
@@ -0,0 +1,117 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsSelect — LitElement component (form-associated)
+//
+// Propósito: desplegable del design system que participa en un <form>
+// nativo (ver ds-form-control.js).
+//
+// API pública (además de la común de DsFormControl):
+//   @property options     → [{ value, label, disabled? }]
+//   @property placeholder → primera opción vacía ("Choose one...").
+//                           Con `required`, dejarla elegida es un error.
+//   <option> hijos        → alternativa a `options` escrita en el HTML
+//   @event    input / change → como en el <select> nativo
+//
+// Uso en HTML:
+//   <ds-select name="role" label="Role" placeholder="Choose one..." required>
+//     <option value="admin">Admin</option>
+//     <option value="editor">Editor</option>
+//   </ds-select>
+//
+//   <ds-select .options=${[{ value: "es", label: "Español" }]}></ds-select>
+//
+// ⚠️  Un <select> dentro del shadow DOM no puede mostrar <option> que vienen
+//     por <slot>. Los <option> hijos se leen (y se vuelven a leer si cambian)
+//     y se pintan como copias dentro del <select> interno.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { html, css } from "lit";
+import { DsFormControl, formControlStyles } from "./ds-form-control.js";
+
+export class DsSelect extends DsFormControl {
+  static properties = {
+    options: { type: Array },
+    placeholder: { type: String },
+    _childOptions: { type: Array, state: true },
+  };
+
+  static styles = [
+    formControlStyles,
+    css`
+      select {
+        cursor: pointer;
+      }
+    `,
+  ];
+
+  constructor() {
+    super();
+    this.options = [];
+    this.placeholder = "";
+    this._childOptions = [];
+  }
+
+  // `options` tiene prioridad; si está vacío se usan los <option> hijos.
+  get _options() {
+    return this.options?.length ? this.options : this._childOptions;
+  }
+
+  // <slot> oculto: no pinta nada, solo avisa (slotchange) cuando cambian
+  // los <option> hijos.
+  _onSlotChange() {
+    this._childOptions = [...this.querySelectorAll(":scope > option")].map((option) => ({
+      value: option.value,
+      label: option.textContent.trim(),
+      disabled: option.disabled,
+    }));
+  }
+
+  // ?selected en cada <option> (y no .value en el <select>): Lit asigna las
+  // propiedades del <select> ANTES de crear sus hijos, así que .value
+  // llegaría cuando aún no existe la opción.
+  render() {
+    return html`
+      <div class="field">
+        ${this._renderLabel()}
+        <select
+          id="control"
+          class="control"
+          part="control"
+          ?required=${this.required}
+          ?disabled=${this._isDisabled}
+          aria-invalid=${this._showError ? "true" : "false"}
+          aria-describedby=${this._describedBy}
+          @input=${this._onInput}
+          @change=${this._onChange}
+          @blur=${this._onBlur}
+        >
+          ${this.placeholder
+            ? html`<option value="" ?selected=${!this.value}>${this.placeholder}</option>`
+            : ""}
+          ${this._options.map(
+            ({ value, label, disabled }) => html`
+              <option
+                .value=${String(value)}
+                ?selected=${String(value) === String(this.value)}
+                ?disabled=${disabled}
+              >${label ?? value}</option>
+            `,
+          )}
+        </select>
+        <div hidden><slot @slotchange=${this._onSlotChange}></slot></div>
+        ${this._renderMessages()}
+      </div>
+    `;
+  }
+
+  // Sin placeholder ni value, el <select> nativo elige la primera opción:
+  // el valor del elemento tiene que ser ese, igual que en un select nativo.
+  updated(changed) {
+    const control = this._control;
+    if (control && control.value !== String(this.value ?? "")) {
+      this.value = control.value;
+    }
+    super.updated(changed);
+  }
+}
+
+customElements.define("ds-select", DsSelect);
@@ -0,0 +1,680 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsTable — LitElement component
+//
+// Propósito: tabla de datos genérica del design system. Recibe filas y
+// definiciones de columna; ordena, selecciona, oculta y redimensiona
+// columnas sin saber nada de qué datos pinta.
+//
+// API pública:
+//   @property columns       → definiciones de columna:
+//                               {
+//                                 key      → ruta del valor ('name', 'company.name')
+//                                 header   → texto de la cabecera (default: key)
+//                                 render   → (row, value) => template (default: value)
+//                                 sortable → Boolean: click en la cabecera ordena
+//                                 width    → ancho inicial: 160 (px) o '20%'
+//                                 hidden   → Boolean: oculta de inicio
+//                               }
+//   @property rows          → array de objetos a pintar
+//   @property rowKey        → campo con el id de cada fila (default: 'id')
+//                             atributo: row-key
+//   @property sort / order  → columna y sentido de la ordenación
+//   @property manualSort    → Boolean: la tabla NO reordena las filas, solo
+//                             emite ds-sort-change (el host ya las trae
+//                             ordenadas: p. ej. desde el servidor)
+//                             atributo: manual-sort
+//   @property selectionMode → 'none' | 'single' | 'multiple'  (default: 'none')
+//                             atributo: selection-mode
+//   @property selected      → ids seleccionados
+//   @property columnPicker  → Boolean: menú "Columns" para mostrar/ocultar
+//                             atributo: column-picker
+//   @property label         → nombre accesible de la tabla
+//   @cssprop  --ds-table-height → alto máximo del área con scroll; la
+//                                 cabecera queda fija (default: none)
+//   @event    ds-sort-change      → detail: { sort, order }
+//   @event    ds-selection-change → detail: { selected: [ids], rows: [filas] }
+//   @event    ds-row-activate     → click, Enter o Space (fuera de multiple) en
+//                                   una fila. detail: { row, originalEvent }
+//   @event    ds-columns-change   → detail: { hidden: [keys] }
+//   @event    ds-column-resize    → al soltar el tirador. detail: { key, width }
+//
+// Uso en HTML:
+//   <ds-table
+//     label="Users"
+//     selection-mode="multiple"
+//     column-picker
+//     .rows=${users}
+//     .columns=${[
+//       { key: "name", header: "Name", sortable: true, width: 200 },
+//       { key: "email", header: "Email", render: (u) => html`<a href="mailto:${u.email}">${u.email}</a>` },
+//       { key: "company.name", header: "Company", sortable: true, hidden: true },
+//     ]}
+//     @ds-row-activate=${(e) => open(e.detail.row)}
+//   ></ds-table>
+//
+// Teclado: las filas usan roving tabindex (como el listbox de
+// ds-user-list) → Tab entra y sale de la tabla en un paso; ↑/↓, Home y End
+// mueven la fila activa. Enter activa; Space activa o, en multiple, marca.
+// Los tiradores de ancho son separadores enfocables: ←/→ estrechan/ensanchan.
+//
+// Con selección, la tabla se expone como role="grid" (+ aria-multiselectable
+// en multiple): aria-selected en un <tr> solo se anuncia dentro de un grid.
+// Sin selección sigue siendo una tabla normal.
+//
+// Textos propios (menú de columnas, tabla vacía, etiquetas de los checkbox)
+// en el idioma activo (i18n.js). `label` y los `header` los pone el host ya
+// traducidos: con otro idioma, basta con pasar un array de columnas nuevo.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { LitElement, html, css, nothing } from "lit";
+import { repeat } from "lit/directives/repeat.js";
+import { classMap } from "lit/directives/class-map.js";
+import { compareBy, getPath } from "../utils/search.js";
+import { LocaleController } from "../controllers/locale-controller.js";
+import { t } from "../i18n/i18n.js";
+import "../styles/tokens.js";
+
+// Ancho mínimo al redimensionar y paso de las flechas en el tirador.
+const MIN_COLUMN_WIDTH = 60;
+const RESIZE_STEP = 16;
+
+const ARIA_SORT = { asc: "ascending", desc: "descending" };
+
+export class DsTable extends LitElement {
+  // ─── Propiedades reactivas ────────────────────────────────────────────────
+  // _hidden   → @state: keys de las columnas ocultas (Set → nuevo en cada cambio)
+  // _widths   → @state: anchos en px fijados con el tirador { key: px }
+  // _activeKey → @state: fila con tabindex="0" (null → la primera)
+  static properties = {
+    columns: { type: Array },
+    rows: { type: Array },
+    rowKey: { type: String, attribute: "row-key" },
+    sort: { type: String },
+    order: { type: String },
+    manualSort: { type: Boolean, attribute: "manual-sort" },
+    selectionMode: { type: String, attribute: "selection-mode" },
+    selected: { type: Array },
+    columnPicker: { type: Boolean, attribute: "column-picker" },
+    label: { type: String },
+    _hidden: { state: true },
+    _widths: { state: true },
+    _activeKey: { state: true },
+  };
+
+  constructor() {
+    super();
+    this.columns = [];
+    this.rows = [];
+    this.rowKey = "id";
+    this.sort = "";
+    this.order = "asc";
+    this.manualSort = false;
+    this.selectionMode = "none";
+    this.selected = [];
+    this.columnPicker = false;
+    this.label = "";
+    this._hidden = new Set();
+    this._widths = {};
+    this._activeKey = null;
+    this._resize = null; // arrastre en curso: { key, startX, startWidth }
+    this._locale = new LocaleController(this);
+  }
+
+  // table-layout: fixed → los anchos de <col> mandan (y el tirador funciona);
+  // sin él el navegador recalcula según el contenido de las celdas.
+  // La cabecera es sticky dentro de .scroller: sigue visible al hacer scroll
+  // cuando --ds-table-height limita el alto.
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .toolbar {
+      display: flex;
+      justify-content: flex-end;
+      margin-bottom: var(--ds-space-2);
+    }
+
+    .columns-menu {
+      position: relative;
+      font-size: var(--ds-font-size-md);
+    }
+
+    .columns-menu summary {
+      padding: 6px 10px;
+      border: 1px solid var(--ds-color-border);
+      border-radius: var(--ds-radius-lg);
+      background: var(--ds-color-surface);
+      color: var(--ds-color-text-secondary);
+      cursor: pointer;
+      list-style: none;
+    }
+
+    .columns-menu summary::-webkit-details-marker {
+      display: none;
+    }
+
+    .columns-menu[open] .menu {
+      position: absolute;
+      right: 0;
+      z-index: 2;
+      display: grid;
+      gap: 6px;
+      min-width: 160px;
+      margin-top: var(--ds-space-1);
+      padding: 10px 12px;
+      border: 1px solid var(--ds-color-border);
+      border-radius: var(--ds-radius-lg);
+      background: var(--ds-color-surface);
+      box-shadow: var(--ds-shadow-lg);
+    }
+
+    .menu label {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      color: var(--ds-color-text-secondary);
+      cursor: pointer;
+    }
+
+    .scroller {
+      max-height: var(--ds-table-height, none);
+      overflow: auto;
+      border: 1px solid var(--ds-color-border);
+      border-radius: var(--ds-radius-xl);
+      background: var(--ds-color-surface);
+    }
+
+    table {
+      width: 100%;
+      table-layout: fixed;
+      border-collapse: separate;
+      border-spacing: 0;
+      font-size: var(--ds-font-size-md);
+      color: var(--ds-color-text-tertiary);
+    }
+
+    th {
+      position: sticky;
+      top: 0;
+      z-index: 1;
+      padding: 0;
+      border-bottom: 1px solid var(--ds-color-border);
+      background: var(--ds-color-surface-muted);
+      color: var(--ds-color-text-secondary);
+      font-weight: var(--ds-font-weight-medium);
+      text-align: start;
+    }
+
+    .th-label,
+    .sort-btn {
+      display: block;
+      box-sizing: border-box;
+      width: 100%;
+      padding: 10px 12px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .sort-btn {
+      border: none;
+      background: none;
+      color: inherit;
+      font: inherit;
+      text-align: inherit;
+      cursor: pointer;
+    }
+
+    .sort-btn:hover {
+      color: var(--ds-color-text);
+    }
+
+    .sort-icon {
+      margin-left: 4px;
+      color: var(--ds-color-text-subtle);
+    }
+
+    th[aria-sort="ascending"] .sort-icon,
+    th[aria-sort="descending"] .sort-icon {
+      color: var(--ds-color-primary-text);
+    }
+
+    .resizer {
+      position: absolute;
+      top: 0;
+      right: 0;
+      width: 8px;
+      height: 100%;
+      cursor: col-resize;
+      touch-action: none;
+    }
+
+    .resizer::after {
+      content: "";
+      position: absolute;
+      top: 25%;
+      right: 3px;
+      height: 50%;
+      border-right: 2px solid var(--ds-color-border);
+    }
+
+    .resizer:hover::after,
+    .resizer:focus-visible::after {
+      border-right-color: var(--ds-color-primary);
+    }
+
+    td {
+      padding: 10px 12px;
+      border-bottom: 1px solid var(--ds-color-border-muted);
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    tbody tr:last-child td {
+      border-bottom: none;
+    }
+
+    tbody tr {
+      cursor: pointer;
+      outline: none;
+    }
+
+    tbody tr:hover td {
+      background: var(--ds-color-surface-muted);
+    }
+
+    tbody tr.selected td {
+      background: var(--ds-color-primary-subtle);
+    }
+
+    tbody tr:focus-visible td {
+      box-shadow: inset 0 2px 0 var(--ds-color-primary), inset 0 -2px 0 var(--ds-color-primary);
+    }
+
+    .select-col {
+      width: 44px;
+    }
+
+    th.select-cell,
+    td.select-cell {
+      padding: 0;
+      text-align: center;
+    }
+
+    input[type="checkbox"] {
+      margin: 0;
+      accent-color: var(--ds-color-primary);
+      cursor: pointer;
+    }
+
+    button:focus-visible,
+    summary:focus-visible,
+    .resizer:focus-visible {
+      outline: 2px solid var(--ds-color-primary);
+      outline-offset: -2px;
+    }
+
+    .empty {
+      padding: var(--ds-space-5);
+      text-align: center;
+      color: var(--ds-color-text-muted);
+    }
+  `;
+
+  // ─── Lifecycle: willUpdate ────────────────────────────────────────────────
+  // Columnas nuevas → las ocultas de inicio salen de su `hidden`. Lo que el
+  // usuario ya eligió en el menú para las columnas que siguen se respeta.
+  willUpdate(changed) {
+    if (changed.has("columns")) {
+      const previous = changed.get("columns") ?? [];
+      const known = new Set(previous.map((column) => column.key));
+      this._hidden = new Set(
+        this.columns
+          .filter((column) => (known.has(column.key) ? this._hidden.has(column.key) : column.hidden))
+          .map((column) => column.key),
+      );
+    }
+  }
+
+  // ─── Getters computados ───────────────────────────────────────────────────
+  get _visibleColumns() {
+    return this.columns.filter((column) => !this._hidden.has(column.key));
+  }
+
+  // Copia antes de ordenar: rows es del host y no se muta.
+  get _sortedRows() {
+    if (this.manualSort || !this.sort) return this.rows;
+    return [...this.rows].sort(compareBy(this.sort, this.order));
+  }
+
+  _key(row) {
+    return getPath(row, this.rowKey);
+  }
+
+  // Los ids se comparan como string, igual que en ds-user-list.
+  _isSelected(row) {
+    const key = String(this._key(row));
+    return this.selected.some((id) => String(id) === key);
+  }
+
+  // ─── Template ─────────────────────────────────────────────────────────────
+  render() {
+    const columns = this._visibleColumns;
+    const rows = this._sortedRows;
+    const multiple = this.selectionMode === "multiple";
+    const selectable = this.selectionMode !== "none";
+    return html`
+      ${this.columnPicker ? this._renderColumnPicker() : ""}
+      <div class="scroller" part="scroller">
+        <table
+          role=${selectable ? "grid" : nothing}
+          aria-multiselectable=${multiple ? "true" : nothing}
+          aria-label=${this.label || nothing}
+          aria-rowcount=${rows.length + 1}
+        >
+          <colgroup>
+            ${multiple ? html`<col class="select-col" />` : ""}
+            ${columns.map((column) => html`<col style=${this._widthStyle(column)} />`)}
+          </colgroup>
+          <thead>
+            <tr>
+              ${multiple ? this._renderSelectAll(rows) : ""}
+              ${columns.map((column) => this._renderHeader(column))}
+            </tr>
+          </thead>
+          <tbody @keydown=${(e) => this._onKeyDown(e, rows)}>
+            ${rows.length
+              ? repeat(
+                  rows,
+                  (row) => this._key(row),
+                  (row, index) => this._renderRow(row, index, rows, columns),
+                )
+              : html`<tr>
+                  <td class="empty" colspan=${columns.length + (multiple ? 1 : 0)}>
+                    <slot name="empty">${t("table.empty")}</slot>
+                  </td>
+                </tr>`}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  _widthStyle(column) {
+    const width = this._widths[column.key] ?? column.width;
+    if (width == null) return nothing;
+    return `width: ${typeof width === "number" ? `${width}px` : width}`;
+  }
+
+  // ─── Template parcial: cabecera ───────────────────────────────────────────
+  // aria-sort solo en las columnas ordenables: "none" le dice al lector de
+  // pantalla que se PUEDE ordenar por ella.
+  _renderHeader(column) {
+    const header = column.header ?? column.key;
+    const sorted = column.sortable && this.sort === column.key;
+    return html`
+      <th
+        scope="col"
+        data-key=${column.key}
+        aria-sort=${column.sortable ? (sorted ? ARIA_SORT[this.order] : "none") : nothing}
+      >
+        ${column.sortable
+          ? html`<button class="sort-btn" type="button" @click=${() => this._toggleSort(column)}>
+              ${header}<span class="sort-icon" aria-hidden="true"
+                >${sorted ? (this.order === "desc" ? "↓" : "↑") : "↕"}</span
+              >
+            </button>`
+          : html`<span class="th-label">${header}</span>`}
+        <span
+          class="resizer"
+          role="separator"
+          aria-orientation="vertical"
+          aria-label=${t("table.resize", { column: header })}
+          tabindex="0"
+          @pointerdown=${(e) => this._onResizeStart(e, column)}
+          @pointermove=${this._onResizeMove}
+          @pointerup=${this._onResizeEnd}
+          @pointercancel=${this._onResizeEnd}
+          @keydown=${(e) => this._onResizeKey(e, column)}
+        ></span>
+      </th>
+    `;
+  }
+
+  // Tres estados, como el "Select all" de ds-user-list.
+  _renderSelectAll(rows) {
+    const count = rows.filter((row) => this._isSelected(row)).length;
+    return html`
+      <th class="select-cell" scope="col">
+        <input
+          type="checkbox"
+          aria-label=${t("table.selectAll")}
+          .checked=${count > 0 && count === rows.length}
+          .indeterminate=${count > 0 && count < rows.length}
+          ?disabled=${!rows.length}
+          @change=${(e) => this._selectAll(rows, e.target.checked)}
+        />
+      </th>
+    `;
+  }
+
+  _renderRow(row, index, rows, columns) {
+    const selectable = this.selectionMode !== "none";
+    const selected = selectable && this._isSelected(row);
+    const key = this._key(row);
+    const active = key === this._key(this._activeRow(rows));
+    return html`
+      <tr
+        class=${classMap({ selected })}
+        data-key=${key}
+        tabindex=${active ? "0" : "-1"}
+        aria-rowindex=${index + 2}
+        aria-selected=${selectable ? String(selected) : nothing}
+        @click=${(e) => this._onRowClick(e, row)}
+        @focus=${() => (this._activeKey = key)}
+      >
+        ${this.selectionMode === "multiple"
+          ? html`<td class="select-cell">
+              <input
+                type="checkbox"
+                tabindex="-1"
+                aria-label=${t("table.selectRow", { row: index + 1 })}
+                .checked=${selected}
+                @click=${(e) => this._onCheckboxClick(e, row)}
+              />
+            </td>`
+          : ""}
+        ${columns.map((column) => {
+          const value = getPath(row, column.key);
+          return html`<td>${column.render ? column.render(row, value) : (value ?? "")}</td>`;
+        })}
+      </tr>
+    `;
+  }
+
+  // ─── Template parcial: menú de columnas ───────────────────────────────────
+  // <details> → abre/cierra y se anuncia como desplegable sin JS propio.
+  // La última columna visible no se puede ocultar: una tabla sin columnas
+  // no enseña nada.
+  _renderColumnPicker() {
+    const visible = this._visibleColumns.length;
+    return html`
+      <div class="toolbar">
+        <details class="columns-menu">
+          <summary>${t("table.columns")}</summary>
+          <div class="menu">
+            ${this.columns.map((column) => {
+              const shown = !this._hidden.has(column.key);
+              return html`<label>
+                <input
+                  type="checkbox"
+                  .checked=${shown}
+                  ?disabled=${shown && visible === 1}
+                  @change=${(e) => this._setColumnVisible(column.key, e.target.checked)}
+                />
+                ${column.header ?? column.key}
+              </label>`;
+            })}
+          </div>
+        </details>
+      </div>
+    `;
+  }
+
+  // ─── Ordenación ───────────────────────────────────────────────────────────
+  // Primer click → asc; en la misma columna alterna asc/desc.
+  _toggleSort(column) {
+    if (this.sort === column.key) {
+      this.order = this.order === "desc" ? "asc" : "desc";
+    } else {
+      this.sort = column.key;
+      this.order = "asc";
+    }
+    this._emit("ds-sort-change", { sort: this.sort, order: this.order });
+  }
+
+  // ─── Selección ────────────────────────────────────────────────────────────
+  _onRowClick(e, row) {
+    this._activeKey = this._key(row);
+    this._activate(row, e);
+  }
+
+  // El checkbox marca sin activar la fila (marcar ≠ abrir).
+  _onCheckboxClick(e, row) {
+    e.stopPropagation();
+    this._activeKey = this._key(row);
+    this._toggleRow(row);
+  }
+
+  // En single, activar una fila también la selecciona.
+  _activate(row, originalEvent) {
+    if (this.selectionMode === "single") this._setSelection([this._key(row)]);
+    this._emit("ds-row-activate", { row, originalEvent });
+  }
+
+  _toggleRow(row) {
+    const key = String(this._key(row));
+    this._setSelection(
+      this._isSelected(row)
+        ? this.selected.filter((id) => String(id) !== key)
+        : [...this.selected, this._key(row)],
+    );
+  }
+
+  // Marca / desmarca las filas visibles; lo seleccionado fuera de ellas se queda.
+  _selectAll(rows, checked) {
+    const keys = rows.map((row) => this._key(row));
+    const visible = new Set(keys.map(String));
+    const rest = this.selected.filter((id) => !visible.has(String(id)));
+    this._setSelection(checked ? [...rest, ...keys] : rest);
+  }
+
+  _setSelection(ids) {
+    this.selected = ids;
+    const wanted = new Set(ids.map(String));
+    const rows = this.rows.filter((row) => wanted.has(String(this._key(row))));
+    this._emit("ds-selection-change", { selected: ids, rows });
+  }
+
+  // ─── Teclado ──────────────────────────────────────────────────────────────
+  // Delegación en el <tbody>: solo cuenta si la tecla viene de una fila (el
+  // checkbox de la fila va por su cuenta).
+  _onKeyDown(e, rows) {
+    const tr = e.target.closest?.("tr");
+    if (!tr || e.target !== tr || !rows.length) return;
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    const current = this._activeIndex(rows);
+
+    let next;
+    switch (e.key) {
+      case "ArrowDown": next = current + 1; break;
+      case "ArrowUp": next = current - 1; break;
+      case "Home": next = 0; break;
+      case "End": next = rows.length - 1; break;
+      case "Enter":
+        e.preventDefault();
+        this._activate(rows[current], e);
+        return;
+      case " ":
+        e.preventDefault(); // sin esto, Space hace scroll
+        if (this.selectionMode === "multiple") this._toggleRow(rows[current]);
+        else this._activate(rows[current], e);
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    if (next < 0 || next >= rows.length) return;
+    this._focusRow(rows[next]);
+  }
+
+  _activeIndex(rows) {
+    return Math.max(0, rows.findIndex((row) => this._key(row) === this._activeKey));
+  }
+
+  _activeRow(rows) {
+    return rows[this._activeIndex(rows)];
+  }
+
+  async _focusRow(row) {
+    this._activeKey = this._key(row);
+    await this.updateComplete;
+    this.renderRoot.querySelector(`tbody tr[tabindex="0"]`)?.focus();
+  }
+
+  // ─── Visibilidad de columnas ──────────────────────────────────────────────
+  _setColumnVisible(key, visible) {
+    const hidden = new Set(this._hidden);
+    if (visible) hidden.delete(key);
+    else hidden.add(key);
+    this._hidden = hidden;
+    this._emit("ds-columns-change", { hidden: [...hidden] });
+  }
+
+  // ─── Redimensionado ───────────────────────────────────────────────────────
+  // setPointerCapture → el tirador sigue recibiendo pointermove aunque el
+  // puntero salga de él (arrastrar rápido no "suelta" la columna).
+  _onResizeStart(e, column) {
+    e.preventDefault();
+    e.target.setPointerCapture(e.pointerId);
+    this._resize = {
+      key: column.key,
+      startX: e.clientX,
+      startWidth: e.target.closest("th").getBoundingClientRect().width,
+    };
+  }
+
+  _onResizeMove(e) {
+    if (!this._resize) return;
+    const { key, startX, startWidth } = this._resize;
+    this._setWidth(key, startWidth + e.clientX - startX);
+  }
+
+  _onResizeEnd() {
+    if (!this._resize) return;
+    const { key } = this._resize;
+    this._resize = null;
+    this._emit("ds-column-resize", { key, width: this._widths[key] });
+  }
+
+  _onResizeKey(e, column) {
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+    e.preventDefault();
+    const width = e.target.closest("th").getBoundingClientRect().width;
+    this._setWidth(column.key, width + (e.key === "ArrowRight" ? RESIZE_STEP : -RESIZE_STEP));
+    this._emit("ds-column-resize", { key: column.key, width: this._widths[column.key] });
+  }
+
+  _setWidth(key, width) {
+    this._widths = { ...this._widths, [key]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) };
+  }
+
+  _emit(name, detail) {
+    this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+  }
+}
+
+customElements.define("ds-table", DsTable);
@@ -0,0 +1,75 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsTextarea — LitElement component (form-associated)
+//
+// Propósito: texto de varias líneas del design system que participa en un
+// <form> nativo (ver ds-form-control.js).
+//
+// API pública (además de la común de DsFormControl):
+//   @property rows         → alto inicial en líneas          (default: 3)
+//   @property placeholder
+//   @property minLength    → atributo: minlength
+//   @property maxLength    → atributo: maxlength
+//   @event    input / change → como en el <textarea> nativo
+//
+// Uso en HTML:
+//   <ds-textarea name="bio" label="Bio" rows="5" maxlength="280"></ds-textarea>
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { html, css } from "lit";
+import { live } from "lit/directives/live.js";
+import { DsFormControl, formControlStyles } from "./ds-form-control.js";
+
+export class DsTextarea extends DsFormControl {
+  static properties = {
+    rows: { type: Number },
+    placeholder: { type: String },
+    minLength: { type: Number, attribute: "minlength" },
+    maxLength: { type: Number, attribute: "maxlength" },
+  };
+
+  static styles = [
+    formControlStyles,
+    css`
+      textarea {
+        resize: vertical;
+        min-height: 2.5em;
+      }
+    `,
+  ];
+
+  constructor() {
+    super();
+    this.rows = 3;
+    this.placeholder = "";
+    this.minLength = null;
+    this.maxLength = null;
+  }
+
+  render() {
+    return html`
+      <div class="field">
+        ${this._renderLabel()}
+        <textarea
+          id="control"
+          class="control"
+          part="control"
+          rows=${this.rows}
+          .value=${live(this.value ?? "")}
+          placeholder=${this._optional(this.placeholder)}
+          minlength=${this._optional(this.minLength)}
+          maxlength=${this._optional(this.maxLength)}
+          ?required=${this.required}
+          ?disabled=${this._isDisabled}
+          aria-invalid=${this._showError ? "true" : "false"}
+          aria-describedby=${this._describedBy}
+          @input=${this._onInput}
+          @change=${this._onChange}
+          @blur=${this._onBlur}
+        ></textarea>
+        ${this._renderMessages()}
+      </div>
+    `;
+  }
+}
+
+customElements.define("ds-textarea", DsTextarea);
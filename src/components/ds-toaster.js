@@ -0,0 +1,156 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsToaster — LitElement component + toast()
+//
+// Propósito: notificaciones "toast" apiladas en una esquina de la pantalla.
+// Cada toast es un ds-alert; el toaster decide cuáles se ven y los quita
+// del DOM al cerrarse.
+//
+// API pública:
+//   @property max      → toasts visibles a la vez (default: 3). El resto
+//                        espera en cola y entra cuando se cierra uno.
+//   @method   show(options) → añade un toast; devuelve { id, dismiss() }
+//   @method   dismiss(id)   → cierra un toast (visible o en cola)
+//   @method   clear()       → cierra todos
+//
+//   toast(options | message) → lo mismo que show(), sin tener a mano el
+//     elemento: usa el último ds-toaster conectado y, si no hay ninguno,
+//     crea uno en <body>.
+//
+//   options: {
+//     type     → 'success' | 'error' | 'warning'  (default: 'success')
+//     message  → texto del toast
+//     duration → ms hasta el autocierre; 0 → fijo   (default: 5000)
+//     action   → { label, onClick } → botón de acción ("Undo", "Retry"...)
+//   }
+//
+// Uso:
+//   import { toast } from "./components/ds-toaster.js";
+//   toast("Guardado");
+//   const { dismiss } = toast({
+//     type: "warning",
+//     message: "Usuario eliminado",
+//     duration: 0,
+//     action: { label: "Undo", onClick: () => restore(user) },
+//   });
+//
+// Accesibilidad: la pila es una región aria-live="polite" → el lector de
+// pantalla lee cada toast al aparecer, sin interrumpir lo que esté leyendo.
+// El temporizador se pausa con hover y con foco (lo hace ds-alert).
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { LitElement, html, css } from "lit";
+import { repeat } from "lit/directives/repeat.js";
+import { LocaleController } from "../controllers/locale-controller.js";
+import { t } from "../i18n/i18n.js";
+import "../styles/tokens.js";
+import "./ds-alert.js";
+
+// Toasters conectados, en orden de conexión. toast() usa el último: si
+// app-shell monta el suyo, gana sobre el que se creó por defecto en <body>.
+const toasters = [];
+let nextId = 1;
+
+export class DsToaster extends LitElement {
+  // ─── Propiedades reactivas ────────────────────────────────────────────────
+  // _toasts → @state: visibles + en cola, en orden de llegada
+  static properties = {
+    max: { type: Number },
+    _toasts: { type: Array, state: true },
+  };
+
+  constructor() {
+    super();
+    this.max = 3;
+    this._toasts = [];
+    this._locale = new LocaleController(this);
+  }
+
+  // fixed → los toasts flotan sobre la página sin empujar el layout.
+  // pointer-events: none en la pila → los huecos entre toasts no tapan
+  // clicks de lo que haya debajo; cada toast los recupera.
+  static styles = css`
+    :host {
+      position: fixed;
+      right: var(--ds-space-4);
+      bottom: var(--ds-space-4);
+      z-index: 1000;
+      width: min(380px, calc(100vw - 2 * var(--ds-space-4)));
+    }
+
+    .stack {
+      display: flex;
+      flex-direction: column;
+      gap: var(--ds-space-2);
+      pointer-events: none;
+    }
+
+    ds-alert {
+      pointer-events: auto;
+      border-radius: var(--ds-radius-md);
+      box-shadow: var(--ds-shadow-lg);
+    }
+  `;
+
+  connectedCallback() {
+    super.connectedCallback();
+    toasters.push(this);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    toasters.splice(toasters.indexOf(this), 1);
+  }
+
+  // ─── API pública ──────────────────────────────────────────────────────────
+  show(options = {}) {
+    const { type = "success", message = "", duration = 5000, action = null } =
+      typeof options === "string" ? { message: options } : options;
+    const id = nextId++;
+    this._toasts = [...this._toasts, { id, type, message, duration, action }];
+    return { id, dismiss: () => this.dismiss(id) };
+  }
+
+  dismiss(id) {
+    this._toasts = this._toasts.filter((item) => item.id !== id);
+  }
+
+  clear() {
+    this._toasts = [];
+  }
+
+  // ─── Template ─────────────────────────────────────────────────────────────
+  // Solo se pintan los `max` primeros: el resto no existe aún en el DOM, así
+  // que su temporizador (el de ds-alert) no corre mientras esperan.
+  // repeat con key = id → al cerrarse uno, los demás conservan su elemento
+  // (y su temporizador a medias).
+  render() {
+    const visible = this._toasts.slice(0, Math.max(1, this.max));
+    return html`
+      <div class="stack" role="region" aria-label=${t("toaster.label")} aria-live="polite">
+        ${repeat(
+          visible,
+          (item) => item.id,
+          (item) => html`
+            <ds-alert
+              type=${item.type}
+              .message=${item.message}
+              .duration=${item.duration}
+              .actionLabel=${item.action?.label ?? ""}
+              @ds-alert-action=${() => item.action?.onClick?.()}
+              @ds-close=${() => this.dismiss(item.id)}
+            ></ds-alert>
+          `,
+        )}
+      </div>
+    `;
+  }
+}
+
+customElements.define("ds-toaster", DsToaster);
+
+// ─── toast ───────────────────────────────────────────────────────────────────
+export function toast(options) {
+  const toaster =
+    toasters.at(-1) ?? document.body.appendChild(document.createElement("ds-toaster"));
+  return toaster.show(options);
+}
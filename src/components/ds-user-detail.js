@@ -0,0 +1,314 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsUserDetail — LitElement component
+//
+// Propósito: ficha completa de un usuario (contacto, dirección con geo y
+// empresa) con carga propia cuando solo se conoce el id.
+//
+// API pública:
+//   @property user    → objeto usuario completo (opcional)
+//   @property userId  → id a cargar con getUserById si no hay `user`
+//                       atributo: user-id
+//   @event    ds-user-copy-email   → al pulsar "Copy email"
+//                                    detail: { user, email }
+//   @event    ds-user-open-website → al pulsar "Open website"
+//                                    detail: { user, url }
+//
+// Los dos eventos son cancelables: si el host llama a e.preventDefault(),
+// el componente NO hace la acción por defecto (copiar al portapapeles /
+// abrir una pestaña) y el host puede hacer la suya.
+//
+// Textos y etiquetas en el idioma activo (i18n.js); cambian con setLocale.
+//
+// Uso en HTML:
+//   <ds-user-detail .user=${user}></ds-user-detail>
+//   <ds-user-detail user-id="3"></ds-user-detail>
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { LitElement, html, css } from "lit";
+import { getUserById } from "../services/user-service.js";
+import { LocaleController } from "../controllers/locale-controller.js";
+import { t } from "../i18n/i18n.js";
+import "../styles/tokens.js";
+
+import "./ds-alert.js";
+import "./ds-button.js";
+
+export class DsUserDetail extends LitElement {
+  // ─── Propiedades reactivas ────────────────────────────────────────────────
+  // user / userId → públicos: el host decide si pasa el objeto o solo el id.
+  //
+  // _status → @state: 'idle' | 'loading' | 'not-found' | 'error'
+  //           (solo para la carga por id)
+  // _loaded → @state: usuario cargado con getUserById
+  // _error  → @state: mensaje de error de la carga (no 404)
+  static properties = {
+    user: { type: Object },
+    userId: { type: String, attribute: "user-id" },
+    _status: { type: String, state: true },
+    _loaded: { type: Object, state: true },
+    _error: { type: String, state: true },
+  };
+
+  constructor() {
+    super();
+    this.user = null;
+    this.userId = null;
+    this._status = "idle";
+    this._loaded = null;
+    this._error = null;
+    this._abortController = null;
+    this._locale = new LocaleController(this);
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .detail {
+      border-radius: var(--ds-radius-xl);
+      background: var(--ds-color-surface);
+      padding: 18px;
+      box-shadow: var(--ds-shadow-lg);
+    }
+
+    header {
+      margin-bottom: 14px;
+    }
+
+    .name {
+      font-size: 1.1rem;
+      font-weight: var(--ds-font-weight-bold);
+      color: var(--ds-color-text);
+    }
+
+    .username {
+      color: var(--ds-color-text-muted);
+      font-size: var(--ds-font-size-md);
+    }
+
+    section {
+      padding: var(--ds-space-3) 0;
+      border-top: 1px solid var(--ds-color-border-muted);
+    }
+
+    h3 {
+      font-size: 0.7rem;
+      font-weight: var(--ds-font-weight-bold);
+      color: var(--ds-color-text-subtle);
+      text-transform: uppercase;
+      letter-spacing: 0.1em;
+      margin: 0 0 8px;
+    }
+
+    dl {
+      display: grid;
+      grid-template-columns: max-content 1fr;
+      gap: var(--ds-space-1) var(--ds-space-3);
+      margin: 0;
+      font-size: var(--ds-font-size-md);
+    }
+
+    dt {
+      color: var(--ds-color-text-muted);
+    }
+
+    dd {
+      margin: 0;
+      color: var(--ds-color-text);
+      overflow-wrap: anywhere;
+    }
+
+    .catch-phrase {
+      font-style: italic;
+    }
+
+    .actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: var(--ds-space-2);
+      padding-top: var(--ds-space-3);
+    }
+
+    p {
+      color: var(--ds-color-text-muted);
+      font-size: var(--ds-font-size-base);
+      padding: 10px 0;
+    }
+  `;
+
+  // ─── Lifecycle: willUpdate ────────────────────────────────────────────────
+  // Si cambia userId y no tenemos ya ese usuario en `user`, lo pedimos.
+  // Si el host quita el userId o pasa ese usuario en `user`, la carga por id
+  // sobra → se cancela y se olvida su estado (loading / error / not-found).
+  // willUpdate (y no updated) → el estado 'loading' entra en el MISMO render,
+  // sin un frame intermedio con datos viejos.
+  willUpdate(changed) {
+    if (!changed.has("userId") && !changed.has("user")) return;
+    if (this.userId == null || this.userId === "") return this._reset();
+    if (this.user && String(this.user.id) === String(this.userId)) return this._reset();
+    if (this._loaded && String(this._loaded.id) === String(this.userId)) return;
+    this._load();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._abortController?.abort();
+  }
+
+  // ─── Método privado: _load ────────────────────────────────────────────────
+  // Misma máquina de estados y cancelación que ds-user-list._loadUsers.
+  async _load({ force = false } = {}) {
+    this._abortController?.abort();
+    const controller = new AbortController();
+    this._abortController = controller;
+
+    this._status = "loading";
+    try {
+      const user = await getUserById(this.userId, { signal: controller.signal, force });
+      if (controller.signal.aborted) return;
+      this._loaded = user;
+      this._status = "idle";
+    } catch (error) {
+      if (error.name === "AbortError") return;
+      // 404 → estado propio: su mensaje se traduce al pintar.
+      this._error = error.message;
+      this._status = error.status === 404 ? "not-found" : "error";
+    }
+  }
+
+  _reset() {
+    this._abortController?.abort();
+    this._abortController = null;
+    this._status = "idle";
+    this._loaded = null;
+    this._error = null;
+  }
+
+  // El usuario a mostrar: el que pasa el host tiene prioridad sobre el cargado.
+  get _user() {
+    if (this.user && (this.userId == null || String(this.user.id) === String(this.userId))) {
+      return this.user;
+    }
+    return this._loaded;
+  }
+
+  // ─── Template ─────────────────────────────────────────────────────────────
+  // Cada sección solo se pinta si el usuario trae esos datos: un usuario
+  // recién creado puede no tener address ni company.
+  render() {
+    if (this._status === "loading") return html`<p>${t("userDetail.loading")}</p>`;
+    if (this._status === "error" || this._status === "not-found") {
+      const error = this._status === "not-found" ? t("userDetail.notFound") : this._error;
+      return html`
+        <ds-alert type="error" .message=${t("userDetail.loadError", { error })}></ds-alert>
+        <ds-button @ds-click=${() => this._load({ force: true })}>
+          ${t("common.retry")}
+        </ds-button>
+      `;
+    }
+
+    const user = this._user;
+    if (!user) return html``;
+    const { address, company } = user;
+
+    return html`
+      <article class="detail">
+        <header>
+          <div class="name">${user.name}</div>
+          ${user.username ? html`<div class="username">@${user.username}</div>` : ""}
+        </header>
+
+        <section class="contact">
+          <h3>${t("userDetail.contact")}</h3>
+          <dl>
+            ${this._field("field.email", user.email)}
+            ${this._field("field.phone", user.phone)}
+            ${this._field("field.website", user.website)}
+          </dl>
+        </section>
+
+        ${address
+          ? html`
+              <section class="address">
+                <h3>${t("userDetail.address")}</h3>
+                <dl>
+                  ${this._field("field.street", [address.street, address.suite].filter(Boolean).join(", "))}
+                  ${this._field("field.city", address.city)}
+                  ${this._field("field.zipcode", address.zipcode)}
+                  ${address.geo
+                    ? this._field("field.geo", `${address.geo.lat}, ${address.geo.lng}`)
+                    : ""}
+                </dl>
+              </section>
+            `
+          : ""}
+
+        ${company
+          ? html`
+              <section class="company">
+                <h3>${t("userDetail.company")}</h3>
+                <dl>
+                  ${this._field("field.name", company.name)}
+                  ${company.catchPhrase
+                    ? html`<dt>${t("field.catchPhrase")}</dt>
+                        <dd class="catch-phrase">${company.catchPhrase}</dd>`
+                    : ""}
+                  ${this._field("field.bs", company.bs)}
+                </dl>
+              </section>
+            `
+          : ""}
+
+        <div class="actions">
+          ${user.email
+            ? html`<ds-button variant="secondary" @ds-click=${this._copyEmail}>
+                ${t("userDetail.copyEmail")}
+              </ds-button>`
+            : ""}
+          ${user.website
+            ? html`<ds-button variant="secondary" @ds-click=${this._openWebsite}>
+                ${t("userDetail.openWebsite")}
+              </ds-button>`
+            : ""}
+        </div>
+      </article>
+    `;
+  }
+
+  // Par <dt>/<dd> — se omite si el valor está vacío. label → clave de i18n.
+  _field(label, value) {
+    if (value == null || value === "") return "";
+    return html`<dt>${t(label)}</dt><dd>${value}</dd>`;
+  }
+
+  // ─── Acciones ─────────────────────────────────────────────────────────────
+  // dispatchEvent devuelve false si algún listener llamó a preventDefault()
+  // (solo posible con cancelable: true) → en ese caso no hacemos nada más.
+  _copyEmail() {
+    const user = this._user;
+    if (!this._emit("ds-user-copy-email", { user, email: user.email })) return;
+    navigator.clipboard?.writeText(user.email).catch(() => {});
+  }
+
+  // jsonplaceholder devuelve "hildegard.org" → añadimos el protocolo.
+  _openWebsite() {
+    const user = this._user;
+    const url = /^https?:\/\//.test(user.website) ? user.website : `https://${user.website}`;
+    if (!this._emit("ds-user-open-website", { user, url })) return;
+    window.open(url, "_blank", "noopener");
+  }
+
+  _emit(name, detail) {
+    return this.dispatchEvent(
+      new CustomEvent(name, {
+        detail,
+        bubbles: true,
+        composed: true,
+        cancelable: true,
+      }),
+    );
+  }
+}
+
+customElements.define("ds-user-detail", DsUserDetail);
@@ -0,0 +1,267 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// DsUserForm — LitElement component
+//
+// Propósito: formulario para editar (o crear) un usuario con validación en
+// cliente y guardado a través de user-service.
+//
+// API pública:
+//   @property user → usuario a editar. null → formulario de alta (POST)
+//   @event    ds-user-save       → justo ANTES de la petición (solo edición)
+//                                  detail: { user: <optimista>, previous }
+//   @event    ds-user-saved      → la API confirmó el guardado
+//                                  detail: { user: <guardado>, previous }
+//   @event    ds-user-save-error → la API falló: hay que deshacer
+//                                  detail: { user, previous, error }
+//   @event    ds-user-form-cancel → al pulsar "Cancel"
+//
+// Actualización optimista (patrón):
+//   El formulario no conoce la lista; solo avisa. El host aplica el cambio
+//   en cuanto llega ds-user-save (la UI responde al instante) y lo deshace
+//   si llega ds-user-save-error:
+//
+//     @ds-user-save=${(e) => (rollback = list.upsertUser(e.detail.user))}
+//     @ds-user-save-error=${() => rollback()}
+//
+//   En el alta no hay optimismo: hasta que responde la API no hay id.
+//
+// Validación: validators.js. Cada campo es un ds-input que recibe su
+// mensaje en `error` y lo enseña él mismo: al salir del campo (blur) o al
+// intentar guardar. Al guardar con errores el foco va al primer campo
+// inválido.
+//
+// Etiquetas, botones y errores en el idioma activo (i18n.js): cambiar de
+// idioma con el formulario abierto no pierde lo escrito.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { LitElement, html, css } from "lit";
+import { keyed } from "lit/directives/keyed.js";
+import { createUser, updateUser } from "../services/user-service.js";
+import { validate } from "../utils/validators.js";
+import { USER_RULES } from "../utils/user-schema.js";
+import { LocaleController } from "../controllers/locale-controller.js";
+import { t } from "../i18n/i18n.js";
+import "../styles/tokens.js";
+
+import "./ds-alert.js";
+import "./ds-button.js";
+import "./ds-input.js";
+
+// Campos del formulario, en orden. company se edita como texto (company.name).
+// label → clave de i18n.
+const FIELDS = [
+  { name: "name", label: "field.name", type: "text", autocomplete: "name", required: true },
+  { name: "username", label: "field.username", type: "text", autocomplete: "username", required: true },
+  { name: "email", label: "field.email", type: "email", autocomplete: "email", required: true },
+  { name: "phone", label: "field.phone", type: "tel", autocomplete: "tel" },
+  { name: "website", label: "field.website", type: "text", autocomplete: "url" },
+  { name: "company", label: "field.company", type: "text", autocomplete: "organization" },
+];
+
+// Usuario de la API → valores planos del formulario (y al revés).
+const toValues = (user) => ({
+  name: user?.name ?? "",
+  username: user?.username ?? "",
+  email: user?.email ?? "",
+  phone: user?.phone ?? "",
+  website: user?.website ?? "",
+  company: user?.company?.name ?? "",
+});
+
+// Se parte del usuario original: PUT reemplaza el recurso completo y no
+// queremos perder address, geo, catchPhrase...
+const toUser = (values, user) => {
+  const trimmed = Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, value.trim()]),
+  );
+  const { company, ...fields } = trimmed;
+  return {
+    ...user,
+    ...fields,
+    company: { ...user?.company, name: company },
+  };
+};
+
+export class DsUserForm extends LitElement {
+  // ─── Propiedades reactivas ────────────────────────────────────────────────
+  // _values  → @state: lo que hay escrito en cada campo
+  // _status  → @state: 'idle' | 'saving'
+  // _error   → @state: mensaje si la API rechazó el guardado
+  static properties = {
+    user: { type: Object },
+    _values: { type: Object, state: true },
+    _status: { type: String, state: true },
+    _error: { type: String, state: true },
+  };
+
+  constructor() {
+    super();
+    this.user = null;
+    this._values = toValues(null);
+    this._status = "idle";
+    this._error = null;
+    this._locale = new LocaleController(this);
+  }
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    form {
+      display: grid;
+      gap: 14px;
+      border-radius: var(--ds-radius-xl);
+      background: var(--ds-color-surface);
+      padding: 18px;
+      box-shadow: var(--ds-shadow-lg);
+    }
+
+    .actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: var(--ds-space-2);
+    }
+  `;
+
+  // ─── Lifecycle: willUpdate ────────────────────────────────────────────────
+  // Otro usuario (o el mismo, recargado) → el formulario vuelve a empezar.
+  willUpdate(changed) {
+    if (!changed.has("user")) return;
+    this._values = toValues(this.user);
+    this._error = null;
+  }
+
+  // ─── Getter: _errors ──────────────────────────────────────────────────────
+  // { campo: mensaje } de los campos inválidos. Se calcula al pintar en vez
+  // de guardarse: siempre corresponde a lo escrito (un error desaparece en
+  // cuanto el valor es correcto) y sale en el idioma activo.
+  get _errors() {
+    return validate(this._values, USER_RULES);
+  }
+
+  // ─── Template ─────────────────────────────────────────────────────────────
+  // novalidate → la validación nativa del navegador (bocadillos) no se
+  // mezcla con la nuestra. "Save" es un ds-button type="submit": lanza el
+  // evento submit del <form> y acaba en _onSubmit.
+  //
+  // keyed(user) → con otro usuario los ds-input se crean de nuevo: ninguno
+  // arrastra el "ya tocado" (y con él los errores visibles) del anterior.
+  render() {
+    const saving = this._status === "saving";
+    const errors = this._errors;
+    return html`
+      <form novalidate @submit=${this._onSubmit} @keydown=${this._onKeyDown}>
+        ${this._error
+          ? html`<ds-alert
+              type="error"
+              .message=${t("userForm.saveError", { error: this._error })}
+            ></ds-alert>`
+          : ""}
+        ${keyed(
+          this.user,
+          FIELDS.map((field) => this._renderField(field, saving, errors)),
+        )}
+        <div class="actions">
+          <ds-button variant="secondary" ?disabled=${saving} @ds-click=${this._cancel}>
+            ${t("common.cancel")}
+          </ds-button>
+          <ds-button type="submit" ?loading=${saving}>${t("userForm.save")}</ds-button>
+        </div>
+      </form>
+    `;
+  }
+
+  // error → el mensaje de validators.js (o "" si el valor es válido). Pasa
+  // por delante del de la validación nativa (required, type="email").
+  _renderField({ name, label, type, autocomplete, required }, saving, errors) {
+    return html`
+      <ds-input
+        id=${`field-${name}`}
+        name=${name}
+        type=${type}
+        autocomplete=${autocomplete}
+        label=${t(label)}
+        ?required=${required}
+        ?disabled=${saving}
+        .value=${this._values[name]}
+        .error=${errors[name] ?? ""}
+        @input=${this._onInput}
+      ></ds-input>
+    `;
+  }
+
+  // ─── Handlers de campo ────────────────────────────────────────────────────
+  // Solo guardan el estado: los errores se recalculan en el render (ver
+  // _errors), así un error ya visible desaparece sin esperar al blur.
+  // e.target → el ds-input (el evento `input` sale de su shadow DOM).
+  _onInput(e) {
+    const { name, value } = e.target;
+    this._values = { ...this._values, [name]: value };
+  }
+
+  // Enter en un campo guarda. El "envío implícito" del navegador solo cuenta
+  // con botones nativos: un ds-button type="submit" envía al pulsarlo, pero
+  // no se entera del Enter en un campo.
+  _onKeyDown(e) {
+    if (e.key !== "Enter" || e.target.localName !== "ds-input") return;
+    e.preventDefault();
+    this._onSubmit(e);
+  }
+
+  // ─── _onSubmit ────────────────────────────────────────────────────────────
+  // 1. Validar todo. form.checkValidity() lanza `invalid` en cada ds-input
+  //    con error → todos enseñan su mensaje, aunque no se hayan tocado.
+  // 2. Edición: ds-user-save con el usuario optimista → el host lo pinta ya.
+  // 3. Petición: PUT si hay id, POST si es un alta.
+  // 4. OK → ds-user-saved. Error → ds-user-save-error (el host deshace) y
+  //    el formulario se queda abierto con lo escrito para reintentar.
+  async _onSubmit(e) {
+    e?.preventDefault();
+    if (this._status === "saving") return;
+
+    const errors = this._errors;
+    const invalid = FIELDS.find(({ name }) => errors[name]);
+    if (invalid) {
+      await this.updateComplete;
+      this.renderRoot.querySelector("form").checkValidity();
+      this.renderRoot.querySelector(`#field-${invalid.name}`)?.focus();
+      return;
+    }
+
+    const previous = this.user;
+    const user = toUser(this._values, previous);
+    const editing = previous?.id != null;
+
+    this._status = "saving";
+    this._error = null;
+    if (editing) this._emit("ds-user-save", { user, previous });
+    try {
+      const response = editing
+        ? await updateUser(previous.id, user)
+        : await createUser(user);
+      const saved = { ...user, ...response };
+      this._status = "idle";
+      this._emit("ds-user-saved", { user: saved, previous });
+    } catch (error) {
+      this._status = "idle";
+      this._error = error.message;
+      this._emit("ds-user-save-error", { user, previous, error });
+    }
+  }
+
+  _cancel() {
+    this._emit("ds-user-form-cancel", { user: this.user });
+  }
+
+  _emit(name, detail) {
+    this.dispatchEvent(
+      new CustomEvent(name, {
+        detail,
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+}
+
+customElements.define("ds-user-form", DsUserForm);
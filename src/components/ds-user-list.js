@@ -6,23 +6,192 @@
 //
 // API pública:
 //   @property limit          → número máximo de usuarios a mostrar (default: 10)
+//   @property mode           → 'client' | 'server'                 (default: 'client')
+//   @property pageSize       → usuarios por página en modo server   (default: 10)
+//                              atributo: page-size
+//   @property pagination     → 'pages' | 'load-more'               (default: 'pages')
+//   @property sort           → campo de ordenación, admite rutas   (default: '')
+//                              ('name', 'company.name'...)
+//   @property order          → 'asc' | 'desc'                      (default: 'asc')
+//   @property filter         → texto inicial del filtro            (default: '')
+//   @property searchFields   → campos donde busca el filtro (modo client)
+//                              atributo: search-fields="name,email,address.city"
+//   @property facets         → campos que se ofrecen como facetas (modo client)
+//                              atributo: facets="company.name,address.city"
+//   @property activeFacets   → facetas seleccionadas { "address.city": ["Roscoeview"] }
+//                              atributo: active-facets (JSON)
+//   @property selectionMode  → 'none' | 'single' | 'multiple'      (default: 'single')
+//                              atributo: selection-mode
+//   @property selected       → ids seleccionados; el host puede fijarlos
+//                              <ds-user-list .selected=${[1, 3]}>
+//   @property virtual        → scroll virtual: solo pinta las filas visibles
+//                              (default: false). Para listas largas:
+//                              <ds-user-list virtual limit="10000">
+//                              Solo aplica a la vista de cards.
+//   @property view           → 'cards' | 'table'                   (default: 'cards')
+//                              mismos datos filtrados, ordenados y
+//                              seleccionados; cambia solo cómo se pintan
+//   @property errorDisplay   → 'inline' | 'toast'                  (default: 'inline')
+//                              atributo: error-display. En 'toast' los
+//                              errores de recarga salen como toast (con
+//                              Retry) en vez de como aviso sobre la lista
+//   @cssprop  --ds-user-list-height → alto del área con scroll en modo
+//                                     virtual (default: 640px)
+//   @method   reload()       → vuelve a pedir los datos saltando la caché
+//   @method   clearFilters() → vacía la búsqueda y las facetas activas
+//   @method   upsertUser(user) → cambio optimista: sustituye (mismo id) o
+//                              añade un usuario; devuelve rollback()
+//   @method   exportUsers(format) → descarga lo que se ve ahora (filtrado y
+//                              ordenado) como 'csv' o 'json'. En modo
+//                              server, solo la página actual
+//   @slot     loading        → sustituye a las cards "esqueleto" de la carga
+//   @slot     error          → sustituye al alert de error (+ Retry)
+//   @slot     empty          → la API no devuelve ningún usuario
+//   @slot     no-matches     → hay usuarios, pero ninguno pasa el filtro
 //   @event    ds-user-selected → emitido al hacer click en un usuario
 //                               detail: { user: <objeto usuario> }
+//   @event    ds-selection-change → emitido al cambiar la selección
+//                               detail: { selected: [ids], users: [usuarios] }
+//   @event    ds-filter-change → emitido al escribir en el filtro
+//                               detail: { filter: <texto> }
+//   @event    ds-sort-change   → emitido al cambiar la ordenación
+//                               detail: { sort, order }
+//   @event    ds-facets-change → emitido al activar/desactivar una faceta
+//                               detail: { activeFacets }
+//   @event    ds-view-change   → emitido al cambiar entre cards y tabla
+//                               detail: { view }
+//
+// Selección:
+//   none     → sin selección; el click solo emite ds-user-selected.
+//   single   → el click selecciona esa card (y emite ds-user-selected).
+//   multiple → cada card lleva un checkbox. Shift+click selecciona el rango
+//              desde el último marcado; "Select all" marca todo lo que
+//              muestra el filtro actual. El click en la card sigue emitiendo
+//              ds-user-selected (abrir detalle ≠ seleccionar).
+//
+// Vistas: view="table" cambia las cards por un ds-table (una fila por
+// usuario, más fácil de recorrer por email o empresa). Es la misma lista:
+// ordenar desde una cabecera equivale al selector de orden y marcar una
+// fila cambia el mismo `selected`. El interruptor Cards / Table de la barra
+// de filtros emite ds-view-change para que el host recuerde la elección.
+//
+// Teclado y ARIA (vista cards): la lista es un listbox (role="option" en cada card) con
+// roving tabindex → Tab entra y sale de la lista en un solo paso y dentro
+// se navega con:
+//   ←/→ y ↑/↓   → elemento anterior/siguiente y misma columna arriba/abajo
+//                 (según las columnas que tenga el grid en ese momento)
+//   Home / End  → primero / último
+//   Enter       → como el click: abre el detalle (y selecciona en single)
+//   Space       → selecciona; en multiple marca/desmarca (shift → rango)
+//   letras      → type-ahead: salta al primer nombre que empieza así
+//
+// Estados vacíos y de carga (todos sobreescribibles con su slot):
+//   <ds-user-list>
+//     <div slot="no-matches">Nada por aquí. <button>Limpiar</button></div>
+//   </ds-user-list>
+// El contenido propio del host no puede llamar a los métodos privados:
+// para reintentar o limpiar, el host usa list.reload() / list.clearFilters().
+// Si falla una recarga cuando ya hay datos en pantalla, la lista se queda
+// y el error se muestra encima (error parcial) en vez de sustituirla, o
+// como toast con error-display="toast". Si falla la PRIMERA carga no hay
+// lista que conservar: el estado de error se pinta siempre en línea.
+//
+// Búsqueda (modo client): sin acentos ni mayúsculas en todos los
+// searchFields; las coincidencias se resaltan con <mark> en las cards.
+// Facetas: dentro de una misma faceta los valores se combinan con OR
+// (Madrid o Sevilla) y entre facetas con AND (empresa X y ciudad Y).
+//
+// filter + ds-filter-change permiten al host guardar el filtro fuera
+// (store, URL...) y restaurarlo después:
+//   <ds-user-list .filter=${f} @ds-filter-change=${(e) => save(e.detail.filter)}>
+//
+// Dos modos de datos:
+//   client → descarga TODO el dataset una vez; filtro y limit se aplican
+//            en memoria. Ideal para listas pequeñas (decenas de registros).
+//   server → pide una página cada vez (_page, _limit, _sort, _order, q).
+//            El filtro se envía al server como `q`. Escala a miles de registros.
+//
+//   <ds-user-list mode="server" page-size="20"></ds-user-list>
+//   <ds-user-list mode="server" pagination="load-more"></ds-user-list>
+//
+// Textos: todos salen de i18n (t("userList.*")) y cambian al momento con
+// setLocale; los números (páginas, contadores) con el formato del idioma.
 //
 // Patrón aplicado: máquina de estados mínima
 //   idle → loading → success
 //                 ↘ error
 // ─────────────────────────────────────────────────────────────────────────────
 
-import { html, css, LitElement } from "lit";
+import { html, css, LitElement, nothing } from "lit";
 import { repeat } from "lit/directives/repeat.js";
+import { classMap } from "lit/directives/class-map.js";
+import { styleMap } from "lit/directives/style-map.js";
 import { getUsers } from "../services/user-service.js";
+import { VirtualGridController } from "../controllers/virtual-grid-controller.js";
+import { LocaleController } from "../controllers/locale-controller.js";
+import { formatNumber, t } from "../i18n/i18n.js";
+import { toast } from "./ds-toaster.js";
+import { downloadUsers } from "../services/user-transfer.js";
+import { focusRing } from "../styles/form-styles.js";
+import "../styles/tokens.js";
+import {
+  compareBy,
+  getPath,
+  highlight,
+  matchesQuery,
+  normalize,
+} from "../utils/search.js";
 
 // Importar los sub-componentes usados en el template.
 // Necesario para que funcionen en tests (donde app-shell no los importa).
 // En el navegador también es buena práctica: el componente declara sus dependencias.
 import "./ds-card.js";
+import "./ds-table.js";
 import "./ds-alert.js";
+import "./ds-button.js";
+import "./ds-input.js";
+
+// Atributo "a,b,c" ↔ propiedad ["a", "b", "c"].
+const listConverter = {
+  fromAttribute: (value) =>
+    value ? value.split(",").map((item) => item.trim()).filter(Boolean) : [],
+  toAttribute: (value) => value.join(","),
+};
+
+// Etiquetas (claves de i18n) para los campos conocidos en los controles de
+// orden y facetas. Un campo que no esté aquí se muestra con su ruta tal cual.
+const FIELD_LABELS = {
+  name: "field.name",
+  email: "field.email",
+  username: "field.username",
+  "company.name": "field.company",
+  "address.city": "field.city",
+};
+
+const fieldLabel = (path) => (FIELD_LABELS[path] ? t(FIELD_LABELS[path]) : path);
+
+const SORT_FIELDS = ["name", "company.name"];
+
+// Columnas de la vista tabla. username empieza oculta: se puede mostrar
+// desde el menú "Columns" de ds-table.
+const TABLE_COLUMNS = [
+  { key: "name", width: "24%" },
+  { key: "email", width: "30%" },
+  { key: "username", hidden: true },
+  { key: "company.name" },
+  { key: "address.city" },
+];
+
+// Máximo de chips por faceta: con miles de usuarios una faceta puede tener
+// cientos de valores. Se muestran los más frecuentes (y siempre los activos).
+const FACET_LIMIT = 12;
+
+// Tiempo que se acumulan las letras del type-ahead antes de empezar de nuevo.
+const TYPEAHEAD_TIMEOUT = 500;
+
+// Máximo de cards esqueleto mientras carga: suficientes para llenar la
+// primera vista, sin pintar 100 si limit es 100.
+const SKELETON_COUNT = 6;
 
 class DsUserList extends LitElement {
   // ─── Propiedades reactivas ────────────────────────────────────────────────
@@ -38,12 +207,38 @@ class DsUserList extends LitElement {
   //
   // _error   → @state (privado): mensaje de error si el fetch falla
   // _filter  → @state (privado): texto del input de búsqueda
+  //
+  // Solo modo server:
+  // _page       → @state (privado): página actual (empieza en 1)
+  // _total      → @state (privado): total de registros según X-Total-Count
+  // _refreshing → @state (privado): hay una petición en curso pero ya
+  //               tenemos datos → se sigue mostrando la lista (atenuada)
+  //               en vez de volver al estado 'loading'
   static properties = {
     _users: { type: Array, state: true },
     limit: { type: Number },
+    mode: { type: String },
+    pageSize: { type: Number, attribute: "page-size" },
+    pagination: { type: String },
+    sort: { type: String },
+    order: { type: String },
+    filter: { type: String },
+    searchFields: { attribute: "search-fields", converter: listConverter },
+    facets: { converter: listConverter },
+    activeFacets: { type: Object, attribute: "active-facets" },
+    virtual: { type: Boolean },
+    view: { type: String },
+    selectionMode: { type: String, attribute: "selection-mode" },
+    selected: { type: Array },
+    errorDisplay: { type: String, attribute: "error-display" },
+    _activeId: { state: true },
     _status: { type: String, state: true },
     _error: { type: String, state: true },
     _filter: { type: String, state: true },
+    _page: { type: Number, state: true },
+    _total: { type: Number, state: true },
+    _refreshing: { type: Boolean, state: true },
+    _refreshError: { type: String, state: true },
   };
 
   constructor() {
@@ -53,6 +248,50 @@ class DsUserList extends LitElement {
     this._status = "idle";
     this._error = null;
     this._filter = "";
+    this.mode = "client";
+    this.pageSize = 10;
+    this.pagination = "pages";
+    this.sort = "";
+    this.order = "asc";
+    this.filter = "";
+    this.searchFields = ["name", "email", "username", "company.name", "address.city"];
+    this.facets = ["company.name", "address.city"];
+    this.activeFacets = {};
+    this.virtual = false;
+    this.view = "cards";
+    this.selectionMode = "single";
+    this.selected = [];
+    this.errorDisplay = "inline";
+    // Id del último checkbox marcado: origen del rango con shift+click.
+    this._anchorId = null;
+    // id (string) → usuario de todo lo seleccionado. En modo server _users
+    // solo tiene la página actual: el mapa conserva los de otras páginas.
+    this._selectedUsers = new Map();
+    // Roving tabindex: id de la card con tabindex="0" (null → la primera).
+    this._activeId = null;
+    this._typeahead = "";
+    this._typeaheadTimer = null;
+    this._page = 1;
+    this._total = 0;
+    this._refreshing = false;
+    this._refreshError = null;
+    // Timer del debounce de búsqueda en modo server.
+    this._searchTimer = null;
+    // AbortController de la petición en curso (null si no hay ninguna).
+    // No es reactivo: no afecta al render, solo a la cancelación.
+    this._abortController = null;
+    // Columnas de ds-table (ver _tableColumns) y el idioma de sus cabeceras.
+    this._columns = null;
+    this._columnsLocale = null;
+    // Re-render al cambiar de idioma (los textos se piden con t() al pintar).
+    this._locale = new LocaleController(this);
+    // Scroll virtual (solo se usa con `virtual`): sin viewport en el DOM
+    // el controller no hace nada. Mismos minmax y gap que .grid en el CSS.
+    this._virtual = new VirtualGridController(this, {
+      getScrollElement: () => this.renderRoot.querySelector(".viewport"),
+      minColumnWidth: 280,
+      gap: 16,
+    });
   }
 
   static styles = css`
@@ -62,45 +301,289 @@ class DsUserList extends LitElement {
     .filter {
       display: flex;
       align-items: center;
+      flex-wrap: wrap;
+      gap: var(--ds-space-3);
       margin-bottom: 20px;
     }
-    input {
-      width: 100%;
+
+    /* Buscador: ds-input con la etiqueta solo para el lector de pantalla
+       (el placeholder ya dice qué es) y sin el hueco del hint vacío. */
+    .search {
+      flex: 1 1 240px;
       max-width: 420px;
-      padding: 10px 12px;
-      margin-bottom: 16px;
-      border: 1px solid #e2e8f0;
-      border-radius: 10px;
-      font-size: 0.95rem;
-      color: #0f172a;
+    }
+
+    .search::part(label) {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+      clip-path: inset(50%);
+      white-space: nowrap;
+    }
+
+    .search::part(hint) {
+      display: none;
+    }
+
+    .sort,
+    .view-switch,
+    .export {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .view-switch .chip {
+      padding: 8px 12px;
+      border-radius: var(--ds-radius-lg);
+    }
+
+    select,
+    .order {
+      padding: 9px 10px;
+      border: 1px solid var(--ds-color-border);
+      border-radius: var(--ds-radius-lg);
+      font: inherit;
+      font-size: var(--ds-font-size-md);
+      color: var(--ds-color-text);
+      background: var(--ds-color-surface);
+      outline: none;
+    }
+
+    .order {
+      min-width: 40px;
+      cursor: pointer;
+    }
+
+    .order:disabled {
+      color: var(--ds-color-text-disabled);
+      cursor: default;
+    }
+
+    select:focus,
+    .order:focus-visible,
+    .chip:focus-visible {
+      ${focusRing}
+    }
+
+    .facets {
+      display: flex;
+      flex-direction: column;
+      gap: var(--ds-space-2);
+      margin-bottom: 20px;
+    }
+
+    .facet {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .facet-label {
+      font-size: 0.7rem;
+      font-weight: var(--ds-font-weight-bold);
+      color: var(--ds-color-text-subtle);
+      text-transform: uppercase;
+      letter-spacing: 0.1em;
+      margin-right: 4px;
+    }
+
+    .chip {
+      padding: 4px 10px;
+      border: 1px solid var(--ds-color-border);
+      border-radius: var(--ds-radius-full);
+      background: var(--ds-color-surface);
+      color: var(--ds-color-text-secondary);
+      font: inherit;
+      font-size: var(--ds-font-size-sm);
+      cursor: pointer;
       outline: none;
-      background: #fff;
     }
 
-    input::placeholder {
-      color: #94a3b8;
+    .chip[aria-pressed="true"] {
+      background: var(--ds-color-primary-subtle);
+      border-color: var(--ds-color-primary);
+      color: var(--ds-color-primary-text);
+    }
+
+    .chip .count {
+      color: var(--ds-color-text-subtle);
+      margin-left: 2px;
+    }
+
+    .meta {
+      margin-top: 6px;
+      color: var(--ds-color-text-muted);
+      font-size: 0.85rem;
+    }
+
+    input[type="checkbox"] {
+      margin: 0;
+      accent-color: var(--ds-color-primary);
+      cursor: pointer;
+    }
+
+    .select {
+      margin-right: 8px;
+      vertical-align: -2px;
+    }
+
+    .select-all {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      font-size: var(--ds-font-size-md);
+      color: var(--ds-color-text-secondary);
+      cursor: pointer;
+    }
+
+    .selection-count {
+      color: var(--ds-color-text-muted);
+      font-size: 0.85rem;
+    }
+
+    /* ── Esqueleto de carga ── */
+    ds-card.skeleton {
+      cursor: default;
+    }
+
+    .bone {
+      display: block;
+      height: 12px;
+      border-radius: var(--ds-radius-md);
+      background: linear-gradient(
+        90deg,
+        var(--ds-color-surface-muted) 25%,
+        var(--ds-color-border) 37%,
+        var(--ds-color-surface-muted) 63%
+      );
+      background-size: 400% 100%;
+      animation: shimmer 1.4s ease infinite;
+    }
+
+    .bone + .bone {
+      margin-top: var(--ds-space-2);
+    }
+
+    .bone.title {
+      width: 60%;
+      height: 14px;
+    }
+
+    .bone.short {
+      width: 40%;
+    }
+
+    @keyframes shimmer {
+      from {
+        background-position: 100% 50%;
+      }
+      to {
+        background-position: 0 50%;
+      }
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .bone {
+        animation: none;
+      }
+    }
+
+    /* ── Estados vacíos y error parcial ── */
+    .empty-state {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: var(--ds-space-2);
+      padding: 40px 16px;
+      border: 1px dashed var(--ds-color-border);
+      border-radius: var(--ds-radius-xl);
+      text-align: center;
+    }
+
+    .empty-state p {
+      padding: 0;
+      margin: 0;
+    }
+
+    .empty-state .empty-title {
+      color: var(--ds-color-text);
+      font-weight: var(--ds-font-weight-medium);
+    }
+
+    .partial-error {
+      display: flex;
+      align-items: center;
+      gap: var(--ds-space-3);
+      margin-bottom: var(--ds-space-4);
+    }
+
+    .partial-error ds-alert {
+      flex: 1;
+    }
+
+    .visually-hidden {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      padding: 0;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+      border: 0;
     }
 
-    input:focus {
-      border-color: #3b82f6;
-      box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.15);
+    mark {
+      background: var(--ds-color-highlight);
+      color: inherit;
+      border-radius: 2px;
     }
 
     .grid {
       display: grid;
       grid-template-columns: repeat(auto-fill, minmax(280px, 1fr));
+      /* Sin token: VirtualGridController calcula filas con este mismo gap */
       gap: 16px;
       align-items: stretch;
     }
 
+    /* Hover, foco y seleccionada los pinta ds-card (interactive / selected) */
     ds-card {
-      cursor: pointer;
       width: 100%;
     }
 
+    /* Modo virtual: el scroll vive dentro del componente. El padding del
+       grid ocupa el sitio de las filas que no se pintan. */
+    .viewport {
+      height: var(--ds-user-list-height, 640px);
+      overflow-y: auto;
+      overflow-anchor: none;
+    }
+
+    .grid.refreshing {
+      opacity: 0.6;
+      transition: opacity 0.15s ease;
+    }
+
+    .pager {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: var(--ds-space-3);
+      margin-top: 20px;
+    }
+
+    .pager span {
+      color: var(--ds-color-text-muted);
+      font-size: var(--ds-font-size-md);
+    }
+
     p {
-      color: #64748b;
-      font-size: 0.95rem;
+      color: var(--ds-color-text-muted);
+      font-size: var(--ds-font-size-base);
       padding: 10px 0;
     }
   `;
@@ -121,6 +604,51 @@ class DsUserList extends LitElement {
     this._loadUsers();
   }
 
+  // ─── Lifecycle: willUpdate ────────────────────────────────────────────────
+  // Se llama antes de cada render con el Map de propiedades que cambiaron.
+  // Si el consumidor cambia el modo o los parámetros de consulta DESPUÉS del
+  // primer render, hay que volver a pedir datos desde la página 1.
+  //
+  // hasUpdated es false en el primer ciclo → ahí no recargamos, ya lo hace
+  // firstUpdated (evita un doble fetch al montar).
+  //
+  // filter (público) → copia su valor en _filter (interno) solo si es
+  // distinto: cuando el host nos devuelve el mismo texto que acabamos de
+  // emitir con ds-filter-change, no hay nada que hacer.
+  willUpdate(changed) {
+    const filterChanged =
+      changed.has("filter") && (this.filter ?? "") !== this._filter;
+    if (filterChanged) this._filter = this.filter ?? "";
+
+    if (!this.hasUpdated) return;
+    // En modo client ordenar o paginar no pide datos nuevos: lo resuelve
+    // _filteredUsers sobre el dataset que ya tenemos.
+    const server = this.mode === "server";
+    const queryChanged = ["pageSize", "sort", "order"].some(
+      (key) => changed.has(key),
+    );
+    if (changed.has("mode") || (server && (queryChanged || filterChanged))) {
+      this._page = 1;
+      this._loadUsers();
+    }
+  }
+
+  // ─── Lifecycle: connectedCallback / disconnectedCallback ──────────────────
+  // Si el elemento se desconecta con un fetch en curso, lo cancelamos: nadie
+  // va a ver esa respuesta. Si vuelve a conectarse a mitad de carga
+  // (p. ej. se movió en el DOM), relanzamos la carga que quedó abortada.
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasUpdated && this._status === "loading") this._loadUsers();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this._searchTimer);
+    clearTimeout(this._typeaheadTimer);
+    this._abortController?.abort();
+  }
+
   // ─── Método privado: _loadUsers ───────────────────────────────────────────
   // Implementa la máquina de estados mínima para el ciclo de vida de un fetch:
   //
@@ -130,41 +658,296 @@ class DsUserList extends LitElement {
   //
   // Cada cambio de _status es independiente → Lit solo re-renderiza lo necesario.
   // El try/catch captura tanto errores de red como los lanzados por response.ok.
-  async _loadUsers() {
-    this._status = "loading";
+  //
+  // Cancelación: cada carga aborta la anterior antes de empezar. Así una
+  // respuesta lenta y obsoleta nunca pisa el estado de una carga más nueva.
+  // Un AbortError no es un error para el usuario → se ignora en el catch.
+  //
+  // force  → salta la caché de user-service (Retry: queremos ir a la red sí o sí).
+  // append → (modo server, "load more") añade la página a la lista en vez
+  //          de reemplazarla.
+  //
+  // Si ya hay datos en pantalla, no volvemos a 'loading': la lista sigue
+  // visible (y el input conserva el foco) mientras _refreshing = true.
+  async _loadUsers({ force = false, append = false } = {}) {
+    this._abortController?.abort();
+    const controller = new AbortController();
+    this._abortController = controller;
+
+    if (this._status === "success") this._refreshing = true;
+    else this._status = "loading";
     try {
-      const users = await getUsers();
-      this._users = users; // dataset completo — el limit se aplica en el getter
+      const options = { signal: controller.signal, force };
+      if (this.mode === "server") {
+        const { items, total } = await getUsers({
+          ...options,
+          page: this._page,
+          pageSize: this.pageSize,
+          sort: this.sort,
+          order: this.order,
+          q: this._filter,
+        });
+        if (controller.signal.aborted) return;
+        this._users = append ? [...this._users, ...items] : items;
+        this._total = total;
+      } else {
+        const users = await getUsers(options);
+        if (controller.signal.aborted) return;
+        this._users = users; // dataset completo — el limit se aplica en el getter
+      }
       this._status = "success";
+      this._refreshError = null;
     } catch (error) {
+      if (error.name === "AbortError") return;
+      // Error parcial: ya había datos → se quedan en pantalla (y "load more"
+      // vuelve a la página que sí se cargó).
+      if (this._status === "success") {
+        if (append) this._page -= 1;
+        this._reportRefreshError(error.message);
+        return;
+      }
       this._error = error.message;
       this._status = "error";
+    } finally {
+      if (this._abortController === controller) {
+        this._abortController = null;
+        this._refreshing = false;
+      }
+    }
+  }
+
+  // En modo toast el aviso no ocupa sitio en la lista: sale en el toaster
+  // con su propio Retry.
+  _reportRefreshError(message) {
+    if (this.errorDisplay !== "toast") {
+      this._refreshError = message;
+      return;
+    }
+    toast({
+      type: "warning",
+      message: t("userList.refreshError", { error: message }),
+      action: { label: t("common.retry"), onClick: () => this.reload() },
+    });
+  }
+
+  // ─── Método público: reload ───────────────────────────────────────────────
+  // Para el host: tras crear/borrar usuarios fuera de la lista.
+  reload() {
+    return this._loadUsers({ force: true });
+  }
+
+  // ─── Método público: upsertUser ───────────────────────────────────────────
+  // Para actualizaciones optimistas (ver ds-user-form). El rollback deshace
+  // SOLO este cambio: si mientras tanto la lista se recargó o cambió otro
+  // usuario, eso se respeta.
+  upsertUser(user) {
+    const index = this._users.findIndex((item) => String(item.id) === String(user.id));
+    const original = index === -1 ? null : this._users[index];
+    this._users =
+      index === -1
+        ? [...this._users, user]
+        : this._users.map((item, i) => (i === index ? user : item));
+
+    return () => {
+      this._users = original
+        ? this._users.map((item) => (item === user ? original : item))
+        : this._users.filter((item) => item !== user);
+    };
+  }
+
+  // ─── Método público: exportUsers ──────────────────────────────────────────
+  // _filteredUsers → el fichero tiene lo mismo que la pantalla: búsqueda,
+  // facetas, orden y limit aplicados.
+  exportUsers(format = "csv") {
+    downloadUsers(this._filteredUsers, format);
+  }
+
+  // ─── Paginación (modo server) ─────────────────────────────────────────────
+  get _pageCount() {
+    return Math.max(1, Math.ceil(this._total / this.pageSize));
+  }
+
+  _goToPage(page) {
+    this._page = Math.min(Math.max(1, page), this._pageCount);
+    this._loadUsers();
+  }
+
+  _loadMore() {
+    this._page += 1;
+    this._loadUsers({ append: true });
+  }
+
+  // ─── Handler: _onFilterInput ──────────────────────────────────────────────
+  // client → el filtro es local: basta con actualizar _filter.
+  // server → el filtro viaja como `q`. Debounce de 300 ms para no lanzar una
+  //          petición por tecla; cada búsqueda nueva vuelve a la página 1.
+  //
+  // En ambos modos se emite ds-filter-change para que el host pueda guardarlo.
+  _onFilterInput(e) {
+    this._filter = e.target.value;
+    this._emitFilterChange();
+    if (this.mode !== "server") return;
+    clearTimeout(this._searchTimer);
+    this._searchTimer = setTimeout(() => {
+      this._page = 1;
+      this._loadUsers();
+    }, 300);
+  }
+
+  // ─── Handlers: ordenación, vista y facetas ────────────────────────────────
+  // Cambian las propiedades públicas (el host puede fijarlas de inicio) y
+  // avisan con un evento para que el host pueda guardarlas. En modo server,
+  // willUpdate ve el cambio de sort/order y recarga la página 1.
+  _onSortChange(e) {
+    this.sort = e.target.value;
+    this._emitSortChange();
+  }
+
+  _toggleOrder() {
+    this.order = this.order === "desc" ? "asc" : "desc";
+    this._emitSortChange();
+  }
+
+  _setView(view) {
+    if (view === this.view) return;
+    this.view = view;
+    this.dispatchEvent(
+      new CustomEvent("ds-view-change", {
+        detail: { view },
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+
+  _emitSortChange() {
+    this.dispatchEvent(
+      new CustomEvent("ds-sort-change", {
+        detail: { sort: this.sort, order: this.order },
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+
+  // Objeto nuevo en cada cambio (no mutar): así Lit detecta el cambio
+  // de activeFacets por referencia.
+  _toggleFacet(path, value) {
+    const current = this.activeFacets?.[path] ?? [];
+    const values = current.includes(value)
+      ? current.filter((item) => item !== value)
+      : [...current, value];
+    const activeFacets = { ...this.activeFacets, [path]: values };
+    if (!values.length) delete activeFacets[path];
+    this.activeFacets = activeFacets;
+    this._emitFacetsChange();
+  }
+
+  _emitFacetsChange() {
+    this.dispatchEvent(
+      new CustomEvent("ds-facets-change", {
+        detail: { activeFacets: this.activeFacets },
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+
+  // ─── Método público: clearFilters ─────────────────────────────────────────
+  // Acción del estado "sin resultados". Emite los mismos eventos que si el
+  // usuario hubiera borrado el texto y desmarcado las facetas a mano.
+  clearFilters() {
+    const hadFacets = Object.keys(this.activeFacets ?? {}).length > 0;
+    this._filter = "";
+    this._emitFilterChange();
+    if (hadFacets) {
+      this.activeFacets = {};
+      this._emitFacetsChange();
+    }
+    if (this.mode !== "server") return;
+    clearTimeout(this._searchTimer);
+    this._page = 1;
+    this._loadUsers();
+  }
+
+  // ¿Hay algo filtrando? Distingue "no hay datos" de "no hay coincidencias".
+  get _hasQuery() {
+    return (
+      this._filter.trim() !== "" ||
+      Object.values(this.activeFacets ?? {}).some((values) => values.length)
+    );
+  }
+
+  // ─── Búsqueda y facetas (modo client) ─────────────────────────────────────
+  // _matchingUsers → usuarios que pasan el texto de búsqueda.
+  // _passesFacets  → OR dentro de cada faceta, AND entre facetas.
+  //                  `except` ignora una faceta: sirve para contar las
+  //                  opciones de esa faceta sin que se anulen entre sí.
+  get _matchingUsers() {
+    return this._users.filter((user) =>
+      matchesQuery(user, this._filter, this.searchFields),
+    );
+  }
+
+  _passesFacets(user, except) {
+    return Object.entries(this.activeFacets ?? {}).every(
+      ([path, values]) =>
+        path === except || !values.length || values.includes(getPath(user, path)),
+    );
+  }
+
+  // [{ value, count }] de una faceta, de más a menos frecuente.
+  _facetOptions(users, path) {
+    const counts = new Map();
+    for (const user of users) {
+      if (!this._passesFacets(user, path)) continue;
+      const value = getPath(user, path);
+      if (value == null || value === "") continue;
+      counts.set(value, (counts.get(value) ?? 0) + 1);
     }
+    return [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || compareBy("value")(a, b));
+  }
+
+  _emitFilterChange() {
+    this.dispatchEvent(
+      new CustomEvent("ds-filter-change", {
+        detail: { filter: this._filter },
+        bubbles: true,
+        composed: true,
+      }),
+    );
   }
 
   // ─── Getter computado: _filteredUsers ─────────────────────────────────────
   // Computed state: deriva un valor de otros estados sin almacenarlo.
   // Lit lo recalcula automáticamente en cada render porque depende de
-  // _users, _filter y limit — todos reactivos.
+  // _users, _filter, activeFacets, sort, order y limit — todos reactivos.
   //
+  // Orden del pipeline: búsqueda → facetas → orden → limit.
   // Ventaja de aplicar el limit aquí (y no en _loadUsers):
   //   → _users siempre tiene el dataset completo
   //   → Si limit cambia en runtime, el render refleja el nuevo valor sin refetch
+  //
+  // En modo server el filtrado, el orden y la paginación ya los hizo la API:
+  // _users es exactamente lo que hay que pintar.
   get _filteredUsers() {
-    if (!this._filter) return this._users.slice(0, this.limit);
-    return this._users
-      .filter((user) =>
-        user.name.toLowerCase().includes(this._filter.toLowerCase()),
-      )
-      .slice(0, this.limit);
+    if (this.mode === "server") return this._users;
+    const users = this._matchingUsers.filter((user) => this._passesFacets(user));
+    if (this.sort) users.sort(compareBy(this.sort, this.order));
+    return users.slice(0, this.limit);
   }
 
   // ─── Template ─────────────────────────────────────────────────────────────
-  // Render condicional por estado — 4 casos explícitos:
-  //   'idle'    → estado inicial antes de que firstUpdated dispare el fetch
-  //   'loading' → fetch en curso
-  //   'error'   → fetch fallido (red caída o status HTTP >= 400)
-  //   (default) → 'success' — muestra la lista filtrada
+  // Render condicional por estado — cada caso en su template parcial y
+  // dentro de un <slot> con nombre (el contenido por defecto del slot es el
+  // fallback: solo se ve si el host no pone nada en ese slot):
+  //   'idle' / 'loading' → cards esqueleto               (slot "loading")
+  //   'error'            → fetch fallido sin datos previos (slot "error")
+  //   'success' sin datos            → estado vacío       (slot "empty")
+  //   'success' sin coincidencias    → + limpiar filtro   (slot "no-matches")
+  //   (default)          → la lista filtrada (cards o tabla, según view)
   //
   // repeat(items, keyFn, templateFn):
   //   keyFn     → función que devuelve un identificador único por item (user.id)
@@ -172,44 +955,635 @@ class DsUserList extends LitElement {
   //               destruirlos y recrearlos cuando la lista cambia.
   //   templateFn → función que devuelve el template para cada item
   //
-  // @input en el <input> → actualiza _filter en cada tecla pulsada.
+  // @input en el ds-input → actualiza _filter en cada tecla pulsada.
   //   _filter es @state → Lit re-renderiza → _filteredUsers recalcula → lista actualizada.
-  //   Todo sin ningún refetch a la API.
+  //   En modo client, todo sin ningún refetch a la API.
+  //
+  // .value=${this._filter} → si el input se vuelve a crear (p. ej. tras un
+  //   error + Retry), recupera el texto que había.
   render() {
-    if (this._status === "idle") return html`<p>Pulsa para cargar</p>`;
-    if (this._status === "loading") return html`<p>Loading users...</p>`;
-    if (this._status === "error") {
-      return html`
+    if (this._status === "idle" || this._status === "loading") {
+      return this._renderLoading();
+    }
+    if (this._status === "error") return this._renderError();
+    // En modo server una búsqueda sin resultados también llega como [] →
+    // eso es "sin coincidencias", no "sin datos".
+    if (!this._users.length && !(this.mode === "server" && this._hasQuery)) {
+      return this._renderEmpty();
+    }
+    const hasMatches = this._filteredUsers.length > 0;
+    return html`
+      <div class="filter">
+        <ds-input
+          class="search"
+          type="search"
+          label=${t("userList.search")}
+          placeholder=${t("userList.search")}
+          .value=${this._filter}
+          @input=${this._onFilterInput}
+        ></ds-input>
+        ${this._renderSortControls()}
+        ${this._renderViewSwitch()}
+        ${this._renderExport()}
+        ${this.selectionMode === "multiple" && this.view !== "table"
+          ? this._renderSelectAll()
+          : ""}
+      </div>
+      ${this.mode === "server" ? "" : this._renderFacets()}
+      ${this._refreshError ? this._renderPartialError() : ""}
+      ${hasMatches ? this._renderUsers() : this._renderNoMatches()}
+      ${this.mode === "server" && hasMatches ? this._renderPager() : ""}
+    `;
+  }
+
+  // ─── Templates parciales: estados ─────────────────────────────────────────
+  // Esqueleto: mismo .grid que la lista real → al llegar los datos no hay
+  // salto de layout. aria-hidden en las cards falsas; el lector de pantalla
+  // solo oye el <p role="status">.
+  _renderLoading() {
+    const count = Math.min(
+      this.mode === "server" ? this.pageSize : this.limit,
+      SKELETON_COUNT,
+    );
+    return html`
+      <slot name="loading">
+        <p class="visually-hidden" role="status">${t("userList.loading")}</p>
+        <div class="grid" aria-hidden="true">
+          ${Array.from(
+            { length: count },
+            () => html`
+              <ds-card class="skeleton">
+                <span slot="header" class="bone title"></span>
+                <span class="bone"></span>
+                <span class="bone short"></span>
+              </ds-card>
+            `,
+          )}
+        </div>
+      </slot>
+    `;
+  }
+
+  _renderError() {
+    return html`
+      <slot name="error">
         <ds-alert
           type="error"
-          .message=${"Error loading users: " + this._error}
+          .message=${t("userList.loadError", { error: this._error })}
         ></ds-alert>
-        <ds-button @click=${this._loadUsers}>Retry</ds-button>
-      `;
+        <ds-button @click=${() => this._loadUsers({ force: true })}>
+          ${t("common.retry")}
+        </ds-button>
+      </slot>
+    `;
+  }
+
+  _renderPartialError() {
+    return html`
+      <div class="partial-error">
+        <ds-alert
+          type="warning"
+          .message=${t("userList.refreshError", { error: this._refreshError })}
+        ></ds-alert>
+        <ds-button variant="secondary" @ds-click=${this.reload}>${t("common.retry")}</ds-button>
+      </div>
+    `;
+  }
+
+  _renderEmpty() {
+    return html`
+      <slot name="empty">
+        <div class="empty-state" role="status">
+          <p class="empty-title">${t("userList.emptyTitle")}</p>
+          <p>${t("userList.emptyText")}</p>
+        </div>
+      </slot>
+    `;
+  }
+
+  _renderNoMatches() {
+    const filter = this._filter.trim();
+    return html`
+      <slot name="no-matches">
+        <div class="empty-state" role="status">
+          <p class="empty-title">
+            ${filter
+              ? t("userList.noMatchesQuery", { query: filter })
+              : t("userList.noMatches")}
+          </p>
+          <ds-button variant="secondary" @ds-click=${this.clearFilters}>
+            ${t("userList.clearFilters")}
+          </ds-button>
+        </div>
+      </slot>
+    `;
+  }
+
+  // ─── Template parcial: _renderUsers ───────────────────────────────────────
+  _renderUsers() {
+    if (this.view === "table") return this._renderTable();
+    return this.virtual ? this._renderVirtualGrid() : this._renderGrid();
+  }
+
+  // ─── Template parcial: _renderTable ───────────────────────────────────────
+  // manual-sort → ds-table no reordena: las filas ya llegan ordenadas por
+  // _filteredUsers (o por la API en modo server). Sus eventos se traducen a
+  // los de la lista (ver _onTable*).
+  _renderTable() {
+    return html`
+      <ds-table
+        label=${t("userList.label")}
+        column-picker
+        manual-sort
+        selection-mode=${this.selectionMode}
+        .rows=${this._filteredUsers}
+        .columns=${this._tableColumns}
+        .sort=${this.sort}
+        .order=${this.order}
+        .selected=${this.selected}
+        @ds-sort-change=${this._onTableSortChange}
+        @ds-selection-change=${this._onTableSelectionChange}
+        @ds-row-activate=${this._onTableRowActivate}
+      ></ds-table>
+    `;
+  }
+
+  // Misma referencia en cada render mientras no cambie el idioma: ds-table
+  // solo recalcula sus columnas cuando le llega un array nuevo (y las que
+  // el usuario ocultó siguen ocultas). El renderer lee this._filter al
+  // pintar → resalta la búsqueda.
+  get _tableColumns() {
+    if (this._columnsLocale !== this._locale.value) {
+      this._columnsLocale = this._locale.value;
+      this._columns = TABLE_COLUMNS.map((column) => ({
+        ...column,
+        header: fieldLabel(column.key),
+        sortable: true,
+        render: (user, value) => highlight(value, this._filter),
+      }));
     }
+    return this._columns;
+  }
+
+  // ─── Template parcial: _renderGrid / _renderVirtualGrid ───────────────────
+  // Normal  → una card por usuario.
+  // Virtual → solo las cards del rango visible; el padding del grid ocupa
+  //           el alto del resto. repeat() con key = id → al hacer scroll o
+  //           filtrar, las cards que siguen en el rango conservan su nodo
+  //           (y el foco, si lo tienen).
+  _renderGrid() {
+    const users = this._filteredUsers;
+    return this._renderListbox(users, 0, users.length);
+  }
+
+  _renderVirtualGrid() {
+    const users = this._filteredUsers;
+    const { start, end, paddingTop, paddingBottom, rowHeight } =
+      this._virtual.range(users.length);
     return html`
-      <div class="filter">
-        <input
-          type="text"
-          placeholder="Filter by name"
-          @input=${(e) => (this._filter = e.target.value)}
-        />
+      <div class="viewport">
+        ${this._renderListbox(users, start, end, {
+          paddingTop: `${paddingTop}px`,
+          paddingBottom: `${paddingBottom}px`,
+          gridAutoRows: `${rowHeight}px`,
+        })}
       </div>
-      <div class="grid">
+    `;
+  }
+
+  // ─── Template parcial: _renderListbox ─────────────────────────────────────
+  // El grid es el listbox. La option activa lleva el foco de verdad (roving
+  // tabindex): sin aria-activedescendant, que sería un segundo "actual".
+  _renderListbox(users, start, end, style = {}) {
+    return html`
+      <div
+        class=${classMap({ grid: true, refreshing: this._refreshing })}
+        style=${styleMap(style)}
+        role="listbox"
+        aria-label=${t("userList.label")}
+        aria-multiselectable=${this.selectionMode === "multiple" ? "true" : nothing}
+        @keydown=${this._onKeyDown}
+        @focusin=${this._onFocusIn}
+      >
         ${repeat(
-          this._filteredUsers,
+          users.slice(start, end),
           (user) => user.id,
-          (user) => html`
-            <ds-card @click=${() => this._selectUser(user)}>
-              <span slot="header">${user.name}</span>
-              ${user.email}
-            </ds-card>
-          `,
+          (user, i) => this._renderCard(user, start + i, users),
+        )}
+      </div>
+    `;
+  }
+
+  // aria-setsize / aria-posinset → en modo virtual no están todas las
+  // options en el DOM; así el lector de pantalla anuncia "3 de 10.000".
+  _renderCard(user, index, users) {
+    const selectable = this.selectionMode !== "none";
+    const selected = selectable && this._isSelected(user.id);
+    const active = user.id === this._activeUser(users)?.id;
+    return html`
+      <ds-card
+        id=${this._optionId(user)}
+        interactive
+        ?selected=${selected}
+        role="option"
+        tabindex=${active ? "0" : "-1"}
+        aria-selected=${selectable ? String(selected) : nothing}
+        aria-setsize=${users.length}
+        aria-posinset=${index + 1}
+        @ds-card-activate=${(e) => this._onCardActivate(e, user)}
+      >
+        <span slot="header">${this._renderCheckbox(user, selected)}${highlight(user.name, this._filter)}</span>
+        ${highlight(user.email, this._filter)}
+        ${this._renderMeta(user)}
+      </ds-card>
+    `;
+  }
+
+  _renderCheckbox(user, selected) {
+    if (this.selectionMode !== "multiple") return "";
+    return html`<input
+      class="select"
+      type="checkbox"
+      aria-label=${t("userList.selectUser", { name: user.name })}
+      tabindex="-1"
+      .checked=${selected}
+      @click=${(e) => this._onCheckboxClick(e, user)}
+    />`;
+  }
+
+  // ─── Template parcial: _renderSelectAll ────────────────────────────────────
+  // Tres estados: nada / parte (indeterminate) / todo lo visible seleccionado.
+  // indeterminate solo existe como propiedad → binding con punto.
+  _renderSelectAll() {
+    const users = this._filteredUsers;
+    const count = users.filter((user) => this._isSelected(user.id)).length;
+    return html`
+      <label class="select-all">
+        <input
+          type="checkbox"
+          .checked=${count > 0 && count === users.length}
+          .indeterminate=${count > 0 && count < users.length}
+          ?disabled=${!users.length}
+          @change=${this._onSelectAllChange}
+        />
+        ${t("userList.selectAll")}
+      </label>
+      ${this.selected.length
+        ? html`<span class="selection-count">
+            ${t("userList.selectedCount", { count: this.selected.length })}
+          </span>`
+        : ""}
+    `;
+  }
+
+  // ─── Template parcial: _renderMeta ────────────────────────────────────────
+  // Empresa · ciudad bajo el email, resaltadas también: la búsqueda mira en
+  // esos campos y el usuario tiene que ver POR QUÉ aparece una card.
+  _renderMeta(user) {
+    const parts = [user.company?.name, user.address?.city].filter(Boolean);
+    if (!parts.length) return "";
+    return html`<div class="meta">
+      ${parts.map(
+        (part, i) => html`${i ? " · " : ""}${highlight(part, this._filter)}`,
+      )}
+    </div>`;
+  }
+
+  // ─── Template parcial: _renderSortControls ────────────────────────────────
+  // <select> con los campos de SORT_FIELDS (más el sort actual si el host
+  // fijó otro) y un botón que alterna asc/desc.
+  _renderSortControls() {
+    const fields = SORT_FIELDS.includes(this.sort) || !this.sort
+      ? SORT_FIELDS
+      : [...SORT_FIELDS, this.sort];
+    return html`
+      <div class="sort">
+        <select aria-label=${t("userList.sortBy")} @change=${this._onSortChange}>
+          <option value="" ?selected=${!this.sort}>${t("userList.defaultOrder")}</option>
+          ${fields.map(
+            (field) => html`<option value=${field} ?selected=${field === this.sort}>
+              ${fieldLabel(field)}
+            </option>`,
+          )}
+        </select>
+        <button
+          class="order"
+          type="button"
+          ?disabled=${!this.sort}
+          aria-label=${t(this.order === "desc" ? "userList.descending" : "userList.ascending")}
+          @click=${this._toggleOrder}
+        >${this.order === "desc" ? "↓" : "↑"}</button>
+      </div>
+    `;
+  }
+
+  // ─── Template parcial: _renderExport ──────────────────────────────────────
+  _renderExport() {
+    return html`
+      <div class="export" role="group" aria-label=${t("userList.export")}>
+        <ds-button size="sm" variant="outline" @ds-click=${() => this.exportUsers("csv")}>
+          ${t("userList.exportCsv")}
+        </ds-button>
+        <ds-button size="sm" variant="ghost" @ds-click=${() => this.exportUsers("json")}>
+          ${t("userList.exportJson")}
+        </ds-button>
+      </div>
+    `;
+  }
+
+  // ─── Template parcial: _renderViewSwitch ──────────────────────────────────
+  // Dos chips aria-pressed (como las facetas): el pulsado es la vista actual.
+  _renderViewSwitch() {
+    return html`
+      <div class="view-switch" role="group" aria-label=${t("userList.view")}>
+        ${[["cards", "userList.viewCards"], ["table", "userList.viewTable"]].map(
+          ([view, label]) => html`<button
+            class="chip"
+            type="button"
+            aria-pressed=${this.view === view ? "true" : "false"}
+            @click=${() => this._setView(view)}
+          >${t(label)}</button>`,
         )}
       </div>
     `;
   }
 
+  // ─── Template parcial: _renderFacets ──────────────────────────────────────
+  // Un grupo de chips por faceta con su número de resultados. Los chips son
+  // <button aria-pressed> → el lector de pantalla los anuncia como toggles.
+  // Una faceta sin valores (ningún usuario tiene ese campo) no se pinta.
+  _renderFacets() {
+    if (!this.facets?.length) return "";
+    const users = this._matchingUsers;
+    return html`
+      <div class="facets">
+        ${this.facets.map((path) => {
+          const active = this.activeFacets?.[path] ?? [];
+          const options = this._facetOptions(users, path).filter(
+            (option, i) => i < FACET_LIMIT || active.includes(option.value),
+          );
+          if (!options.length && !active.length) return "";
+          return html`
+            <div class="facet" role="group" aria-label=${fieldLabel(path)}>
+              <span class="facet-label">${fieldLabel(path)}</span>
+              ${options.map(
+                ({ value, count }) => html`
+                  <button
+                    class="chip"
+                    type="button"
+                    aria-pressed=${active.includes(value) ? "true" : "false"}
+                    @click=${() => this._toggleFacet(path, value)}
+                  >${value} <span class="count">${formatNumber(count)}</span></button>
+                `,
+              )}
+            </div>
+          `;
+        })}
+      </div>
+    `;
+  }
+
+  // ─── Template parcial: _renderPager ───────────────────────────────────────
+  // Solo en modo server. Dos variantes según `pagination`:
+  //   'pages'     → Anterior · Página X de Y · Siguiente
+  //   'load-more' → un único botón mientras queden registros por traer
+  _renderPager() {
+    if (this.pagination === "load-more") {
+      if (this._users.length >= this._total) return "";
+      return html`
+        <div class="pager">
+          <ds-button
+            variant="secondary"
+            ?disabled=${this._refreshing}
+            @ds-click=${this._loadMore}
+          >${t("userList.loadMore")}</ds-button>
+        </div>
+      `;
+    }
+    return html`
+      <div class="pager">
+        <ds-button
+          variant="secondary"
+          ?disabled=${this._page <= 1 || this._refreshing}
+          @ds-click=${() => this._goToPage(this._page - 1)}
+        >${t("userList.previous")}</ds-button>
+        <span>${t("userList.page", { page: this._page, pages: this._pageCount })}</span>
+        <ds-button
+          variant="secondary"
+          ?disabled=${this._page >= this._pageCount || this._refreshing}
+          @ds-click=${() => this._goToPage(this._page + 1)}
+        >${t("userList.next")}</ds-button>
+      </div>
+    `;
+  }
+
+  // ─── Selección ────────────────────────────────────────────────────────────
+  // Los ids se comparan como string: el host puede pasarlos desde la URL
+  // ("3") y la API los devuelve como número (3).
+  _isSelected(id) {
+    return this.selected.some((selectedId) => String(selectedId) === String(id));
+  }
+
+  _onCardClick(user) {
+    this._activeId = user.id;
+    if (this.selectionMode === "single") this._setSelection([user.id]);
+    this._selectUser(user);
+  }
+
+  // ds-card-activate llega del click, de Enter o de Space (la card
+  // interactiva ya los gestiona). En modo multiple Space marca en vez de
+  // abrir, como el checkbox; con shift marca el rango.
+  _onCardActivate(e, user) {
+    const { originalEvent } = e.detail;
+    if (originalEvent.key === " " && this.selectionMode === "multiple") {
+      this._activeId = user.id;
+      this._toggleUser(user, originalEvent.shiftKey);
+    } else {
+      this._onCardClick(user);
+    }
+  }
+
+  // ─── Handlers: ds-table ───────────────────────────────────────────────────
+  // ds-sort-change y ds-selection-change de ds-table se llaman igual que los
+  // de la lista → stopPropagation para que el host no reciba los dos; la
+  // lista emite los suyos (con su detail) desde el camino de siempre.
+  _onTableSortChange(e) {
+    e.stopPropagation();
+    this.sort = e.detail.sort;
+    this.order = e.detail.order;
+    this._emitSortChange();
+  }
+
+  _onTableSelectionChange(e) {
+    e.stopPropagation();
+    this._setSelection(e.detail.selected);
+  }
+
+  // En single la selección ya llegó por ds-selection-change: aquí solo se
+  // abre el detalle, como el click en una card.
+  _onTableRowActivate(e) {
+    e.stopPropagation();
+    const user = e.detail.row;
+    this._activeId = user.id;
+    this._selectUser(user);
+  }
+
+  // El checkbox está dentro de la card → stopPropagation para que marcar
+  // no abra también el detalle.
+  _onCheckboxClick(e, user) {
+    e.stopPropagation();
+    this._activeId = user.id;
+    this._toggleUser(user, e.shiftKey);
+  }
+
+  // Marca/desmarca un usuario (modo multiple). range → desde el último
+  // marcado hasta este, en el orden en que se ven.
+  _toggleUser(user, range = false) {
+    const anchor = this._anchorId;
+    this._anchorId = user.id;
+
+    if (range && anchor != null) {
+      const ids = this._filteredUsers.map((item) => item.id);
+      const from = ids.findIndex((id) => String(id) === String(anchor));
+      const to = ids.indexOf(user.id);
+      if (from !== -1) {
+        const range = ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+        this._setSelection([
+          ...this.selected,
+          ...range.filter((id) => !this._isSelected(id)),
+        ]);
+        return;
+      }
+    }
+
+    this._setSelection(
+      this._isSelected(user.id)
+        ? this.selected.filter((id) => String(id) !== String(user.id))
+        : [...this.selected, user.id],
+    );
+  }
+
+  // ─── Teclado ──────────────────────────────────────────────────────────────
+  // Un solo listener en el listbox (delegación): las cards no necesitan
+  // cada una el suyo. Las flechas arriba/abajo saltan tantas posiciones como
+  // columnas tenga el grid AHORA (auto-fill cambia con el ancho).
+  // Sin wrap: en los bordes la tecla no hace nada.
+  _onKeyDown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    if (e.target.localName === "input") return; // el checkbox va por su cuenta
+    const users = this._filteredUsers;
+    if (!users.length) return;
+
+    const current = this._activeIndex(users);
+    const columns = getComputedStyle(e.currentTarget)
+      .gridTemplateColumns.split(" ").length;
+
+    let next;
+    switch (e.key) {
+      case "ArrowRight": next = current + 1; break;
+      case "ArrowLeft": next = current - 1; break;
+      case "ArrowDown": next = current + columns; break;
+      case "ArrowUp": next = current - columns; break;
+      case "Home": next = 0; break;
+      case "End": next = users.length - 1; break;
+      case "Enter":
+      case " ":
+        return; // los activa la propia ds-card → _onCardActivate
+      default:
+        if (e.key.length !== 1) return;
+        next = this._typeaheadIndex(e.key, users, current);
+    }
+
+    e.preventDefault();
+    if (next < 0 || next >= users.length) return;
+    this._focusUser(users, next);
+  }
+
+  // Si el foco llega a una card por otro camino (click, focus() del host),
+  // esa card pasa a ser la activa → el roving tabindex no se desincroniza.
+  _onFocusIn(e) {
+    const option = e.target.closest?.("[role='option']");
+    if (!option) return;
+    const user = this._filteredUsers.find((item) => this._optionId(item) === option.id);
+    if (user) this._activeId = user.id;
+  }
+
+  // ─── Type-ahead ───────────────────────────────────────────────────────────
+  // Las letras pulsadas seguidas (menos de TYPEAHEAD_TIMEOUT entre ellas) se
+  // acumulan: "jo" salta a "José". Con una sola letra se busca a partir del
+  // SIGUIENTE → pulsar "a" varias veces recorre todos los que empiezan por "a".
+  _typeaheadIndex(key, users, current) {
+    clearTimeout(this._typeaheadTimer);
+    this._typeahead += normalize(key);
+    this._typeaheadTimer = setTimeout(() => {
+      this._typeahead = "";
+    }, TYPEAHEAD_TIMEOUT);
+
+    const from = this._typeahead.length === 1 ? current + 1 : current;
+    for (let i = 0; i < users.length; i++) {
+      const index = (from + i) % users.length;
+      if (normalize(users[index].name).startsWith(this._typeahead)) return index;
+    }
+    return -1;
+  }
+
+  // ─── Roving tabindex ──────────────────────────────────────────────────────
+  // La card activa es la única con tabindex="0". Si el filtro la deja fuera,
+  // pasa a serlo la primera.
+  _activeIndex(users) {
+    return Math.max(0, users.findIndex((user) => user.id === this._activeId));
+  }
+
+  _activeUser(users) {
+    return users[this._activeIndex(users)];
+  }
+
+  _optionId(user) {
+    return `user-option-${user.id}`;
+  }
+
+  // En modo virtual la card puede no estar en el DOM: primero se hace
+  // scroll hasta su fila y, tras el render, se le da el foco.
+  async _focusUser(users, index) {
+    const user = users[index];
+    this._activeId = user.id;
+    if (this.virtual) this._virtual.scrollToIndex(index);
+    await this.updateComplete;
+    this.renderRoot.getElementById(this._optionId(user))?.focus();
+  }
+
+  // Select all → añade lo visible a la selección (no toca lo seleccionado
+  // fuera del filtro). Desmarcar → quita solo lo visible.
+  _onSelectAllChange(e) {
+    const ids = this._filteredUsers.map((user) => user.id);
+    const visible = new Set(ids.map(String));
+    const rest = this.selected.filter((id) => !visible.has(String(id)));
+    this._setSelection(e.target.checked ? [...rest, ...ids] : rest);
+  }
+
+  // Array nuevo en cada cambio → Lit detecta el cambio de `selected`.
+  // detail.users sale del mapa, no de _users: así incluye a los usuarios
+  // seleccionados en otras páginas (modo server), en el orden de `ids`.
+  _setSelection(ids) {
+    this.selected = ids;
+    const current = new Map(this._users.map((user) => [String(user.id), user]));
+    const selectedUsers = new Map();
+    for (const id of ids) {
+      const key = String(id);
+      const user = current.get(key) ?? this._selectedUsers.get(key);
+      if (user) selectedUsers.set(key, user);
+    }
+    this._selectedUsers = selectedUsers;
+    const users = [...selectedUsers.values()];
+    this.dispatchEvent(
+      new CustomEvent("ds-selection-change", {
+        detail: { selected: ids, users },
+        bubbles: true,
+        composed: true,
+      }),
+    );
+  }
+
   // ─── Método privado: _selectUser ─────────────────────────────────────────
   // Patrón Child → Parent: el hijo emite un CustomEvent con el dato en detail.
   // El padre (app-shell) lo escucha con @ds-user-selected en su template.
@@ -0,0 +1,30 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// LocaleController — Re-renderiza un componente al cambiar el idioma
+//
+// Propósito: los componentes piden sus textos con t() en render(). Cuando
+// cambia el idioma (setLocale), el host tiene que volver a pintarse; este
+// controller se encarga.
+//
+// Es un StoreController conectado al store de i18n (localeStore): misma
+// suscripción al conectar, misma limpieza al desconectar.
+//
+// API pública:
+//   new LocaleController(host)
+//   .value → idioma activo ('es' | 'en')
+//
+// Uso en un componente:
+//   constructor() {
+//     super();
+//     this._locale = new LocaleController(this);
+//   }
+//   render() { return html`<button>${t("common.retry")}</button>`; }
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { StoreController } from "./store-controller.js";
+import { localeStore } from "../i18n/i18n.js";
+
+export class LocaleController extends StoreController {
+  constructor(host) {
+    super(host, (state) => state.locale, { store: localeStore });
+  }
+}
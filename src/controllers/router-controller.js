@@ -0,0 +1,83 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// RouterController — Lit ReactiveController para router.js
+//
+// Propósito: que un componente sepa en qué ruta está y se re-renderice
+// cuando cambia, sin escribir a mano los listeners de popstate.
+//
+// API pública:
+//   new RouterController(host, routes, { onChange? })
+//     routes   → definición de rutas (ver router.js)
+//     onChange → (match, { initial }) se llama en cada cambio de ruta,
+//                antes del re-render. initial = true en la primera.
+//   .route     → la ruta activa (objeto de `routes`) o null
+//   .params    → parámetros de la ruta ({ id: "3" })
+//   .query     → query string como objeto ({ q: "ann" })
+//   .navigate(url, { replace }) → atajo de navigate() de router.js
+//
+// Uso:
+//   _router = new RouterController(this, ROUTES, {
+//     onChange: ({ route, params }) => { ... },
+//   });
+//   render() { return this._router.route?.name === "user" ? ... : ... }
+// ─────────────────────────────────────────────────────────────────────────────
+
+import {
+  LOCATION_CHANGE,
+  getLocation,
+  matchRoute,
+  navigate,
+} from "../router.js";
+
+export class RouterController {
+  constructor(host, routes, { onChange } = {}) {
+    this.host = host;
+    this.routes = routes;
+    this.onChange = onChange;
+    this.route = null;
+    this.params = {};
+    this.query = {};
+    this._initial = true;
+    // Arrow function → `this` fijo, y la misma referencia para poder
+    // quitar el listener en hostDisconnected.
+    this._onLocationChange = () => this._resolve();
+
+    host.addController(this);
+  }
+
+  hostConnected() {
+    window.addEventListener("popstate", this._onLocationChange);
+    window.addEventListener(LOCATION_CHANGE, this._onLocationChange);
+    this._resolve();
+  }
+
+  hostDisconnected() {
+    window.removeEventListener("popstate", this._onLocationChange);
+    window.removeEventListener(LOCATION_CHANGE, this._onLocationChange);
+  }
+
+  navigate(url, options) {
+    navigate(url, options);
+  }
+
+  // ─── _resolve ──────────────────────────────────────────────────────────────
+  // Lee la URL actual, busca la ruta y la expone en route/params/query.
+  // Una ruta con `redirect` se sustituye (replace) sin llegar a mostrarse.
+  _resolve() {
+    const { pathname, query } = getLocation();
+    const match = matchRoute(this.routes, pathname);
+
+    if (match?.route.redirect) {
+      navigate(match.route.redirect, { replace: true });
+      return;
+    }
+
+    this.route = match?.route ?? null;
+    this.params = match?.params ?? {};
+    this.query = query;
+
+    const initial = this._initial;
+    this._initial = false;
+    this.onChange?.({ route: this.route, params: this.params, query }, { initial });
+    this.host.requestUpdate();
+  }
+}
@@ -0,0 +1,69 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// StoreController — Lit ReactiveController para store.js
+//
+// Propósito: conectar un componente al store sin escribir a mano el
+// subscribe/unsubscribe en connectedCallback/disconnectedCallback.
+//
+// ¿Qué es un ReactiveController?
+//   Un objeto que se "engancha" al ciclo de vida del host (el componente).
+//   Lit llama a sus métodos hostConnected / hostDisconnected en el momento
+//   justo, así que la limpieza ya no depende de que nadie se acuerde.
+//
+// API pública:
+//   new StoreController(host, selector?, { store?, equals? })
+//     host     → el LitElement que usa el controller (normalmente `this`)
+//     selector → (state) => porción que interesa (default: estado completo)
+//     store    → store al que conectarse (default: el store por defecto)
+//     equals   → comparación de selecciones (default: Object.is)
+//   .value     → la porción seleccionada, siempre actualizada
+//
+// Uso en un componente:
+//   _selection = new StoreController(this, (state) => state.selectedUser);
+//   render() { return html`${this._selection.value?.name}`; }
+//
+// El host solo se re-renderiza (requestUpdate) cuando SU porción cambia.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { store as defaultStore } from "../store.js";
+
+export class StoreController {
+  constructor(host, selector = (state) => state, options = {}) {
+    const { store = defaultStore, equals = Object.is } = options;
+    this.host = host;
+    this.selector = selector;
+    this.store = store;
+    this.equals = equals;
+    this.value = selector(store.getState());
+    this._unsubscribe = null;
+
+    // Registra el controller en el host → Lit llamará a hostConnected, etc.
+    host.addController(this);
+  }
+
+  // ─── hostConnected ─────────────────────────────────────────────────────────
+  // Se llama cuando el host entra en el DOM (y si ya estaba conectado al
+  // registrar el controller). Si el estado cambió mientras el host estaba
+  // desconectado, recogemos el valor nuevo antes de suscribirnos.
+  hostConnected() {
+    const current = this.selector(this.store.getState());
+    if (!this.equals(this.value, current)) {
+      this.value = current;
+      this.host.requestUpdate();
+    }
+    this._unsubscribe = this.store.subscribe(
+      this.selector,
+      (value) => {
+        this.value = value;
+        this.host.requestUpdate();
+      },
+      { equals: this.equals },
+    );
+  }
+
+  // ─── hostDisconnected ──────────────────────────────────────────────────────
+  // Limpieza automática — el motivo principal de usar un controller.
+  hostDisconnected() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+}
@@ -0,0 +1,211 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// VirtualGridController — Lit ReactiveController para listas virtualizadas
+//
+// Propósito: con miles de elementos, pintar solo las filas visibles (más un
+// margen de "overscan" arriba y abajo) en vez de un nodo por elemento.
+//
+// Cómo funciona:
+//   El host pinta un contenedor con scroll (el "viewport") y dentro un grid
+//   con SOLO los elementos [start, end). Lo que no se pinta se sustituye por
+//   padding-top / padding-bottom del mismo alto → la barra de scroll mide
+//   lo mismo que si estuviera todo en el DOM.
+//
+//   Columnas: se calculan igual que `repeat(auto-fill, minmax(280px, 1fr))`
+//   a partir del ancho del viewport → el layout responsive sigue valiendo.
+//   Filas: todas del mismo alto (grid-auto-rows). Parte de `itemHeight` y
+//   crece si algún elemento pintado necesita más (nunca encoge → sin saltos).
+//   Los elementos se miden en un ResizeObserver, fuera del ciclo de update:
+//   observe() avisa una vez por cada elemento nuevo que pinta el host.
+//
+// API pública:
+//   new VirtualGridController(host, { getScrollElement, itemHeight?,
+//                                     minColumnWidth?, gap?, overscan? })
+//     getScrollElement → () => el viewport (se busca tras cada render)
+//     itemHeight       → alto estimado de una fila en px  (default: 120)
+//     minColumnWidth   → el minmax() del grid             (default: 280)
+//     gap              → el gap del grid                  (default: 16)
+//     overscan         → filas extra a cada lado          (default: 2)
+//   .range(count)  → { start, end, paddingTop, paddingBottom, rowHeight }
+//   .scrollToIndex(index) → desplaza el viewport hasta que se vea ese elemento
+//
+// Uso en un componente:
+//   _virtual = new VirtualGridController(this, {
+//     getScrollElement: () => this.renderRoot.querySelector(".viewport"),
+//   });
+//   render() {
+//     const { start, end, paddingTop, paddingBottom } = this._virtual.range(items.length);
+//     ... items.slice(start, end) ...
+//   }
+// ─────────────────────────────────────────────────────────────────────────────
+
+export class VirtualGridController {
+  constructor(host, options = {}) {
+    const {
+      getScrollElement,
+      itemHeight = 120,
+      minColumnWidth = 280,
+      gap = 16,
+      overscan = 2,
+    } = options;
+    this.host = host;
+    this.getScrollElement = getScrollElement;
+    this.minColumnWidth = minColumnWidth;
+    this.gap = gap;
+    this.overscan = overscan;
+    this.rowHeight = itemHeight;
+    this.columns = 1;
+    this._element = null;
+    this._width = 0;
+    this._height = 0;
+    this._scrollTop = 0;
+    this._firstRow = 0;
+    this._resizeObserver = null;
+    this._itemObserver = null;
+    // Elementos del grid que observa _itemObserver (para dejar de observar
+    // los que el host quita al hacer scroll).
+    this._items = new Set();
+    // Arrow functions → `this` fijo y la misma referencia para quitarlas.
+    this._onScroll = () => this._handleScroll();
+    this._onResize = () => this._measure();
+    this._onItemResize = (entries) =>
+      this._measureItems(entries.map((entry) => entry.target));
+
+    host.addController(this);
+  }
+
+  // ─── hostUpdated ───────────────────────────────────────────────────────────
+  // El viewport lo crea el render del host y puede aparecer, desaparecer o
+  // cambiar (loading → lista → error...). Tras cada render comprobamos si es
+  // otro elemento y movemos los listeners. Aquí no se mide nada: solo se
+  // actualiza qué elementos observa _itemObserver.
+  hostUpdated() {
+    const element = this.getScrollElement() ?? null;
+    if (element !== this._element) {
+      this._detach();
+      this._element = element;
+      if (element) this._attach(element);
+    }
+    if (element) this._observeItems(element);
+  }
+
+  hostDisconnected() {
+    this._detach();
+    this._element = null;
+  }
+
+  // ─── range ─────────────────────────────────────────────────────────────────
+  // Qué elementos hay que pintar para `count` elementos en total.
+  // Si el dataset encoge (p. ej. al filtrar) y el scroll guardado queda más
+  // allá del final, se recorta: el navegador hará lo mismo con el scroll real.
+  range(count) {
+    const pitch = this.rowHeight + this.gap;
+    const rows = Math.ceil(count / this.columns);
+    const maxScroll = Math.max(0, rows * pitch - this.gap - this._height);
+    const scrollTop = Math.min(this._scrollTop, maxScroll);
+
+    const firstRow = Math.max(0, Math.floor(scrollTop / pitch) - this.overscan);
+    const lastRow = Math.min(
+      rows,
+      Math.ceil((scrollTop + this._height) / pitch) + this.overscan,
+    );
+    return {
+      start: firstRow * this.columns,
+      end: Math.min(count, lastRow * this.columns),
+      paddingTop: firstRow * pitch,
+      paddingBottom: Math.max(0, (rows - lastRow) * pitch),
+      rowHeight: this.rowHeight,
+    };
+  }
+
+  // ─── scrollToIndex ─────────────────────────────────────────────────────────
+  // Mínimo desplazamiento para que la fila del elemento quede visible.
+  scrollToIndex(index) {
+    if (!this._element) return;
+    const pitch = this.rowHeight + this.gap;
+    const top = Math.floor(index / this.columns) * pitch;
+    const bottom = top + this.rowHeight;
+    const { scrollTop } = this._element;
+    if (top < scrollTop) this._element.scrollTop = top;
+    else if (bottom > scrollTop + this._height) {
+      this._element.scrollTop = bottom - this._height;
+    }
+    this._handleScroll();
+  }
+
+  _attach(element) {
+    element.addEventListener("scroll", this._onScroll, { passive: true });
+    this._resizeObserver = new ResizeObserver(this._onResize);
+    this._resizeObserver.observe(element);
+    this._itemObserver = new ResizeObserver(this._onItemResize);
+    // Medida síncrona: sin esperar al primer callback del ResizeObserver,
+    // el siguiente render ya usa el tamaño real.
+    this._scrollTop = element.scrollTop;
+    this._measure();
+  }
+
+  _detach() {
+    this._element?.removeEventListener("scroll", this._onScroll);
+    this._resizeObserver?.disconnect();
+    this._resizeObserver = null;
+    this._itemObserver?.disconnect();
+    this._itemObserver = null;
+    this._items.clear();
+  }
+
+  // ─── _handleScroll ─────────────────────────────────────────────────────────
+  // Solo re-renderiza cuando cambia la primera fila visible, no en cada píxel.
+  _handleScroll() {
+    this._scrollTop = this._element.scrollTop;
+    const firstRow = Math.floor(this._scrollTop / (this.rowHeight + this.gap));
+    if (firstRow === this._firstRow) return;
+    this._firstRow = firstRow;
+    this.host.requestUpdate();
+  }
+
+  // ─── _measure ──────────────────────────────────────────────────────────────
+  // Ancho → columnas (misma cuenta que auto-fill + minmax); alto → filas
+  // visibles. clientWidth excluye la barra de scroll, igual que el grid.
+  _measure() {
+    const element = this._element;
+    if (!element) return;
+    const width = element.clientWidth;
+    const height = element.clientHeight;
+    if (width === this._width && height === this._height) return;
+    this._width = width;
+    this._height = height;
+    this.columns = Math.max(
+      1,
+      Math.floor((width + this.gap) / (this.minColumnWidth + this.gap)),
+    );
+    this.host.requestUpdate();
+  }
+
+  // ─── _observeItems ─────────────────────────────────────────────────────────
+  // Observa solo los elementos nuevos: volver a llamar a observe() sobre uno
+  // ya observado lo notificaría otra vez en cada render.
+  _observeItems(element) {
+    const children = new Set(element.firstElementChild?.children ?? []);
+    for (const item of this._items) {
+      if (children.has(item)) continue;
+      this._itemObserver.unobserve(item);
+      this._items.delete(item);
+    }
+    for (const item of children) {
+      if (this._items.has(item)) continue;
+      this._itemObserver.observe(item);
+      this._items.add(item);
+    }
+  }
+
+  // Si algún elemento pintado desborda la fila, la fila crece para todos.
+  // Solo pide un render si el alto ha cambiado.
+  _measureItems(items) {
+    let tallest = this.rowHeight;
+    for (const item of items) {
+      tallest = Math.max(tallest, item.scrollHeight);
+    }
+    if (tallest === this.rowHeight) return;
+    this.rowHeight = tallest;
+    this.host.requestUpdate();
+  }
+}
@@ -0,0 +1,131 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// en.js — Catálogo de mensajes en inglés
+//
+// Mismas claves que es.js. Una clave que falte aquí sale en español (el
+// idioma por defecto), no vacía.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const en = {
+  // ── Comunes ──
+  "common.retry": "Retry",
+  "common.close": "Close",
+  "common.cancel": "Cancel",
+  "common.confirm": "Confirm",
+
+  // ── Campos de un usuario ──
+  "field.name": "Name",
+  "field.username": "Username",
+  "field.email": "Email",
+  "field.phone": "Phone",
+  "field.website": "Website",
+  "field.company": "Company",
+  "field.street": "Street",
+  "field.city": "City",
+  "field.zipcode": "Zip code",
+  "field.geo": "Geo",
+  "field.catchPhrase": "Motto",
+  "field.bs": "Business",
+
+  // ── Validación (validators.js) ──
+  "validation.required": "This field is required",
+  "validation.email": "Enter a valid email address",
+  "validation.url": "Enter a valid URL",
+
+  // ── app-shell ──
+  "app.language": "Language",
+  "app.notFound": "Page not found",
+  "app.goToUsers": "Go to users",
+  "app.users": "Users",
+  "app.selectedUser": "Selected user",
+  "app.loadingUser": "Loading user...",
+  "app.userNotFound": "User {id} does not exist",
+  "app.userLoadError": "Error loading user: {error}",
+  "app.noSelection": "No user selected",
+  "app.edit": "Edit",
+  "app.bulkActions": "Bulk actions",
+  "app.bulkSelected": { one: "{count} user selected", other: "{count} users selected" },
+  "app.export": "Export",
+  "app.exportFilename": "users",
+  "app.delete": "Delete",
+  "app.deleting": "Deleting...",
+  "app.deselect": "Deselect",
+  "app.deleteTitle": "Delete users",
+  "app.deleteMessage": {
+    one: "Delete {count} user? This cannot be undone.",
+    other: "Delete {count} users? This cannot be undone.",
+  },
+  "app.deleteError": {
+    one: "Could not delete {failed} of {count} user",
+    other: "Could not delete {failed} of {count} users",
+  },
+
+  // ── Importación CSV (app-shell) ──
+  "import.open": "Import CSV",
+  "import.title": "Import users",
+  "import.review": "{file}: {valid}, {invalid}.",
+  "import.validRows": { one: "{count} valid row", other: "{count} valid rows" },
+  "import.invalidRows": { one: "{count} with errors", other: "{count} with errors" },
+  "import.importing": "Importing {done} of {total}...",
+  "import.done": {
+    one: "{created} of {count} user imported.",
+    other: "{created} of {count} users imported.",
+  },
+  "import.run": { one: "Import {count} user", other: "Import {count} users" },
+  "import.imported": { one: "{count} user imported", other: "{count} users imported" },
+  "import.rowError": "Row {row} — {messages}",
+  "import.missingColumns": "Missing columns: {columns}",
+
+  // ── ds-user-list ──
+  "userList.label": "Users",
+  "userList.loading": "Loading users...",
+  "userList.loadError": "Error loading users: {error}",
+  "userList.refreshError": "Could not refresh users: {error}",
+  "userList.emptyTitle": "No users yet",
+  "userList.emptyText": "When users are added they will show up here.",
+  "userList.noMatchesQuery": "No users match “{query}”",
+  "userList.noMatches": "No users match the filters",
+  "userList.clearFilters": "Clear filters",
+  "userList.search": "Search users",
+  "userList.selectUser": "Select {name}",
+  "userList.selectAll": "Select all",
+  "userList.selectedCount": "{count} selected",
+  "userList.sortBy": "Sort by",
+  "userList.defaultOrder": "Default order",
+  "userList.ascending": "Ascending",
+  "userList.descending": "Descending",
+  "userList.export": "Export",
+  "userList.exportCsv": "Export CSV",
+  "userList.exportJson": "Export JSON",
+  "userList.view": "View",
+  "userList.viewCards": "Cards",
+  "userList.viewTable": "Table",
+  "userList.loadMore": "Load more",
+  "userList.previous": "Previous",
+  "userList.next": "Next",
+  "userList.page": "Page {page} of {pages}",
+
+  // ── ds-user-detail ──
+  "userDetail.loading": "Loading user...",
+  "userDetail.loadError": "Error loading user: {error}",
+  "userDetail.notFound": "User not found",
+  "userDetail.contact": "Contact",
+  "userDetail.address": "Address",
+  "userDetail.company": "Company",
+  "userDetail.copyEmail": "Copy email",
+  "userDetail.openWebsite": "Open website",
+
+  // ── ds-user-form ──
+  "userForm.saveError": "Could not save user: {error}",
+  "userForm.save": "Save",
+
+  // ── ds-table ──
+  "table.empty": "No data",
+  "table.columns": "Columns",
+  "table.resize": "Resize {column}",
+  "table.selectAll": "Select all rows",
+  "table.selectRow": "Select row {row}",
+
+  // ── ds-dialog / ds-toaster ──
+  "dialog.confirmTitle": "Are you sure?",
+  "toaster.label": "Notifications",
+};
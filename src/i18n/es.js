@@ -0,0 +1,135 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// es.js — Catálogo de mensajes en español (idioma por defecto)
+//
+// Claves planas con el componente delante ("userList.loading"). Un mensaje
+// con plural es un objeto por categoría de Intl.PluralRules (ver i18n.js).
+// Al añadir una clave aquí, añadirla también en en.js.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const es = {
+  // ── Comunes ──
+  "common.retry": "Reintentar",
+  "common.close": "Cerrar",
+  "common.cancel": "Cancelar",
+  "common.confirm": "Confirmar",
+
+  // ── Campos de un usuario ──
+  "field.name": "Nombre",
+  "field.username": "Usuario",
+  "field.email": "Email",
+  "field.phone": "Teléfono",
+  "field.website": "Web",
+  "field.company": "Empresa",
+  "field.street": "Calle",
+  "field.city": "Ciudad",
+  "field.zipcode": "Código postal",
+  "field.geo": "Coordenadas",
+  "field.catchPhrase": "Lema",
+  "field.bs": "Negocio",
+
+  // ── Validación (validators.js) ──
+  "validation.required": "Este campo es obligatorio",
+  "validation.email": "Introduce un email válido",
+  "validation.url": "Introduce una URL válida",
+
+  // ── app-shell ──
+  "app.language": "Idioma",
+  "app.notFound": "Página no encontrada",
+  "app.goToUsers": "Ir a usuarios",
+  "app.users": "Usuarios",
+  "app.selectedUser": "Usuario seleccionado",
+  "app.loadingUser": "Cargando usuario...",
+  "app.userNotFound": "El usuario {id} no existe",
+  "app.userLoadError": "Error cargando el usuario: {error}",
+  "app.noSelection": "Ningún usuario seleccionado",
+  "app.edit": "Editar",
+  "app.bulkActions": "Acciones en lote",
+  "app.bulkSelected": {
+    one: "{count} usuario seleccionado",
+    other: "{count} usuarios seleccionados",
+  },
+  "app.export": "Exportar",
+  "app.exportFilename": "usuarios",
+  "app.delete": "Eliminar",
+  "app.deleting": "Eliminando...",
+  "app.deselect": "Deseleccionar",
+  "app.deleteTitle": "Eliminar usuarios",
+  "app.deleteMessage": {
+    one: "¿Eliminar {count} usuario? Esta acción no se puede deshacer.",
+    other: "¿Eliminar {count} usuarios? Esta acción no se puede deshacer.",
+  },
+  "app.deleteError": {
+    one: "No se pudo eliminar {failed} de {count} usuario",
+    other: "No se pudieron eliminar {failed} de {count} usuarios",
+  },
+
+  // ── Importación CSV (app-shell) ──
+  "import.open": "Importar CSV",
+  "import.title": "Importar usuarios",
+  "import.review": "{file}: {valid}, {invalid}.",
+  "import.validRows": { one: "{count} fila válida", other: "{count} filas válidas" },
+  "import.invalidRows": { one: "{count} con errores", other: "{count} con errores" },
+  "import.importing": "Importando {done} de {total}...",
+  "import.done": {
+    one: "{created} de {count} usuario importado.",
+    other: "{created} de {count} usuarios importados.",
+  },
+  "import.run": { one: "Importar {count} usuario", other: "Importar {count} usuarios" },
+  "import.imported": { one: "{count} usuario importado", other: "{count} usuarios importados" },
+  "import.rowError": "Fila {row} — {messages}",
+  "import.missingColumns": "Faltan columnas: {columns}",
+
+  // ── ds-user-list ──
+  "userList.label": "Usuarios",
+  "userList.loading": "Cargando usuarios...",
+  "userList.loadError": "Error cargando los usuarios: {error}",
+  "userList.refreshError": "No se pudieron actualizar los usuarios: {error}",
+  "userList.emptyTitle": "Todavía no hay usuarios",
+  "userList.emptyText": "Cuando se añadan usuarios aparecerán aquí.",
+  "userList.noMatchesQuery": "Ningún usuario coincide con “{query}”",
+  "userList.noMatches": "Ningún usuario coincide con los filtros",
+  "userList.clearFilters": "Limpiar filtros",
+  "userList.search": "Buscar usuarios",
+  "userList.selectUser": "Seleccionar a {name}",
+  "userList.selectAll": "Seleccionar todo",
+  "userList.selectedCount": { one: "{count} seleccionado", other: "{count} seleccionados" },
+  "userList.sortBy": "Ordenar por",
+  "userList.defaultOrder": "Orden por defecto",
+  "userList.ascending": "Ascendente",
+  "userList.descending": "Descendente",
+  "userList.export": "Exportar",
+  "userList.exportCsv": "Exportar CSV",
+  "userList.exportJson": "Exportar JSON",
+  "userList.view": "Vista",
+  "userList.viewCards": "Tarjetas",
+  "userList.viewTable": "Tabla",
+  "userList.loadMore": "Cargar más",
+  "userList.previous": "Anterior",
+  "userList.next": "Siguiente",
+  "userList.page": "Página {page} de {pages}",
+
+  // ── ds-user-detail ──
+  "userDetail.loading": "Cargando usuario...",
+  "userDetail.loadError": "Error cargando el usuario: {error}",
+  "userDetail.notFound": "Usuario no encontrado",
+  "userDetail.contact": "Contacto",
+  "userDetail.address": "Dirección",
+  "userDetail.company": "Empresa",
+  "userDetail.copyEmail": "Copiar email",
+  "userDetail.openWebsite": "Abrir web",
+
+  // ── ds-user-form ──
+  "userForm.saveError": "No se pudo guardar el usuario: {error}",
+  "userForm.save": "Guardar",
+
+  // ── ds-table ──
+  "table.empty": "Sin datos",
+  "table.columns": "Columnas",
+  "table.resize": "Redimensionar {column}",
+  "table.selectAll": "Seleccionar todas las filas",
+  "table.selectRow": "Seleccionar fila {row}",
+
+  // ── ds-dialog / ds-toaster ──
+  "dialog.confirmTitle": "¿Seguro?",
+  "toaster.label": "Notificaciones",
+};
@@ -0,0 +1,130 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// i18n.js — Traducciones y formato según el idioma activo
+//
+// Propósito: que ningún componente escriba textos a mano. Cada texto visible
+// es una clave de los catálogos (es.js, en.js) y t() devuelve la versión del
+// idioma activo. Sin dependencias: interpolación propia y pluralización y
+// formatos con Intl.
+//
+// API pública:
+//   t(key, params?)       → texto traducido
+//   getLocale()           → idioma activo ('es' | 'en')
+//   setLocale(locale)     → cambia el idioma. Devuelve false si no hay
+//                           catálogo para ese idioma (y no cambia nada)
+//   detectLocale(languages?) → primer idioma soportado de
+//                           navigator.languages (default: DEFAULT_LOCALE)
+//   LOCALES               → { es: "Español", en: "English" } (para un selector)
+//   DEFAULT_LOCALE        → 'es': el de index.html y el de respaldo si a un
+//                           catálogo le falta una clave
+//   localeStore           → store (createStore) con { locale }. Se exporta
+//                           para LocaleController y para persist()
+//
+//   formatNumber(value, options?) → Intl.NumberFormat
+//   formatDate(value, options?)   → Intl.DateTimeFormat
+//   formatList(items, options?)   → Intl.ListFormat ("a, b y c")
+//
+// Mensajes:
+//   Interpolación → "Página {page} de {pages}" + { page: 2, pages: 5 }.
+//                   Los números se formatean con formatNumber (1.234 / 1,234).
+//   Plural        → el mensaje es un objeto con las categorías de
+//                   Intl.PluralRules y se elige con params.count:
+//                   { one: "{count} usuario", other: "{count} usuarios" }
+//                   Si falta la categoría, se usa `other`.
+//   Clave que no existe en ningún catálogo → se devuelve la propia clave
+//   (se ve en pantalla y se detecta enseguida).
+//
+// Uso en un componente (LocaleController re-renderiza al cambiar el idioma):
+//   _locale = new LocaleController(this);
+//   render() { return html`<p>${t("userList.loading")}</p>`; }
+//
+// El idioma también se copia en <html lang>: lectores de pantalla, guiones
+// y corrección ortográfica usan ese atributo.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { createStore } from "../store.js";
+import { es } from "./es.js";
+import { en } from "./en.js";
+
+const CATALOGS = { es, en };
+
+export const LOCALES = { es: "Español", en: "English" };
+
+export const DEFAULT_LOCALE = "es";
+
+// ─── Detección ───────────────────────────────────────────────────────────────
+// "en-US" → "en": basta con el idioma base; las variantes regionales solo
+// cambian los formatos, y de eso se ocupa Intl.
+export function detectLocale(languages = globalThis.navigator?.languages ?? []) {
+  for (const tag of languages) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    if (base in CATALOGS) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// ─── Estado ──────────────────────────────────────────────────────────────────
+// Un store propio y no el de la app: los ds-* se usan fuera de app-shell
+// y no deben depender de su estado.
+export const localeStore = createStore({ locale: detectLocale() });
+
+export function getLocale() {
+  return localeStore.getState().locale;
+}
+
+export function setLocale(locale) {
+  if (!(locale in CATALOGS)) return false;
+  localeStore.setState({ locale }, "set locale");
+  return true;
+}
+
+// <html lang> sigue al store, cambie por setLocale o por persist().
+const syncDocumentLang = (locale) => {
+  if (globalThis.document) document.documentElement.lang = locale;
+};
+syncDocumentLang(getLocale());
+localeStore.subscribe((state) => state.locale, syncDocumentLang);
+
+// ─── t ───────────────────────────────────────────────────────────────────────
+export function t(key, params = {}) {
+  const locale = getLocale();
+  const message = CATALOGS[locale][key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (message == null) return key;
+  const text =
+    typeof message === "object"
+      ? message[plural(locale, params.count)] ?? message.other
+      : message;
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value ?? "");
+  });
+}
+
+function plural(locale, count) {
+  return cached(Intl.PluralRules, locale).select(Number(count) || 0);
+}
+
+// ─── Formatos ────────────────────────────────────────────────────────────────
+// Crear un Intl.* es caro comparado con usarlo: se guarda uno por idioma y
+// opciones (una lista pinta el mismo formato cientos de veces).
+const _formatters = new Map();
+
+function cached(Formatter, locale, options = {}) {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!_formatters.has(key)) _formatters.set(key, new Formatter(locale, options));
+  return _formatters.get(key);
+}
+
+export function formatNumber(value, options) {
+  return cached(Intl.NumberFormat, getLocale(), options).format(value);
+}
+
+// Acepta Date, timestamp o string ISO ("2024-05-01").
+export function formatDate(value, options) {
+  const date = value instanceof Date ? value : new Date(value);
+  return cached(Intl.DateTimeFormat, getLocale(), options).format(date);
+}
+
+export function formatList(items, options) {
+  return cached(Intl.ListFormat, getLocale(), options).format(items.map(String));
+}
@@ -0,0 +1,103 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// router.js — Router mínimo basado en la History API
+//
+// Propósito: que la URL refleje lo que se ve en pantalla (deep links,
+// marcadores, botón "atrás") sin depender de ninguna librería.
+//
+// Patrón: funciones puras exportadas + un evento global para avisar de los
+// cambios de URL. La parte "Lit" vive en controllers/router-controller.js.
+//
+// API pública:
+//   matchRoute(routes, pathname) → { route, params } | null
+//   getLocation()                → { pathname, query } de la URL actual
+//   buildUrl(pathname, query)    → "/users/3?q=ann" (omite valores vacíos)
+//   navigate(url, { replace })   → cambia la URL y avisa a los routers
+//   LOCATION_CHANGE              → nombre del evento que emite navigate()
+//
+// Definición de rutas:
+//   [
+//     { path: "/users",     name: "users" },
+//     { path: "/users/:id", name: "user" },   // :id → params.id
+//     { path: "*",          name: "not-found" },
+//   ]
+//   Gana la PRIMERA que encaja → poner "*" siempre al final.
+//
+// ⚠️  pushState NO dispara popstate. Por eso navigate() emite su propio
+//     evento (LOCATION_CHANGE) y los routers escuchan ambos.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const LOCATION_CHANGE = "ds-location-change";
+
+// ─── matchRoute ──────────────────────────────────────────────────────────────
+// Compara segmento a segmento. Los segmentos ":nombre" capturan el valor
+// (decodificado) en params. La barra final se ignora: "/users/" = "/users".
+// Un segmento mal codificado ("/users/%E0") no encaja con ":nombre" → sigue
+// buscando y acaba en "*", en vez de lanzar URIError al cargar la página.
+export function matchRoute(routes, pathname) {
+  const segments = _split(pathname);
+
+  for (const route of routes) {
+    if (route.path === "*") return { route, params: {} };
+
+    const pattern = _split(route.path);
+    if (pattern.length !== segments.length) continue;
+
+    const params = {};
+    const matches = pattern.every((part, i) => {
+      if (part.startsWith(":")) {
+        const value = _decode(segments[i]);
+        if (value === null) return false;
+        params[part.slice(1)] = value;
+        return true;
+      }
+      return part === segments[i];
+    });
+    if (matches) return { route, params };
+  }
+  return null;
+}
+
+// ─── getLocation ─────────────────────────────────────────────────────────────
+// query → objeto plano a partir del query string: "?q=ann" → { q: "ann" }
+export function getLocation() {
+  const { pathname, search } = window.location;
+  return {
+    pathname,
+    query: Object.fromEntries(new URLSearchParams(search)),
+  };
+}
+
+// ─── buildUrl ────────────────────────────────────────────────────────────────
+// Los valores vacíos (null, undefined, "") no se añaden: así ?q= no ensucia
+// la URL cuando el filtro está vacío.
+export function buildUrl(pathname, query = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value != null && value !== "") params.set(key, value);
+  }
+  const search = params.toString();
+  return search ? `${pathname}?${search}` : pathname;
+}
+
+// ─── navigate ────────────────────────────────────────────────────────────────
+// replace: true → no añade entrada al historial (redirecciones, cambios de
+// filtro mientras se escribe). Si la URL no cambia, no hace nada.
+export function navigate(url, { replace = false } = {}) {
+  const current = window.location.pathname + window.location.search;
+  if (url === current) return;
+  if (replace) history.replaceState(null, "", url);
+  else history.pushState(null, "", url);
+  window.dispatchEvent(new Event(LOCATION_CHANGE));
+}
+
+function _decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+function _split(path) {
+  return path.split("/").filter(Boolean);
+}
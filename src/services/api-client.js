@@ -0,0 +1,205 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// api-client.js — Cliente HTTP configurable
+//
+// Propósito: centralizar TODO lo que tiene que ver con "cómo" se habla con la
+// API (URL base, cabeceras, timeout, reintentos, cancelación) para que los
+// services solo tengan que decir "qué" piden.
+//
+// Patrón: módulo con configuración privada + funciones exportadas
+// (el mismo patrón que store.js). Sin clases, sin dependencias.
+//
+// API pública:
+//   configureApiClient(partial) → cambia la configuración (merge superficial)
+//   getApiConfig()              → devuelve la configuración actual
+//   request(path, options)      → hace el fetch y devuelve la Response
+//   ApiError                    → error HTTP estructurado (status + body)
+//   parseBody(response)         → cuerpo parseado (JSON, texto o null)
+//
+// Configuración por entorno (una sola vez, al arrancar la app):
+//   configureApiClient({ baseUrl: "http://localhost:3000" });       // mock local
+//   configureApiClient({ baseUrl: "https://staging.example.com" }); // staging
+//
+// ⚠️  request() devuelve la Response tal cual (igual que fetch):
+//     comprobar response.ok sigue siendo responsabilidad del service.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Configuración privada del módulo — solo modificable con configureApiClient.
+//   baseUrl    → prefijo de todas las rutas relativas
+//   headers    → cabeceras que se envían en todas las peticiones
+//   timeout    → ms máximos por intento antes de abortar (0 = sin timeout)
+//   retries    → reintentos extra tras un fallo de red o un 5xx
+//   retryDelay → espera base en ms; se duplica en cada reintento (backoff exponencial)
+let _config = {
+  baseUrl: "https://jsonplaceholder.typicode.com",
+  headers: { Accept: "application/json" },
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 300,
+};
+
+// Solo se reintentan los métodos idempotentes: repetir un POST o un PATCH
+// podría crear o modificar el recurso dos veces.
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+// ─── configureApiClient ──────────────────────────────────────────────────────
+// Merge superficial, igual que setState en store.js.
+// Las cabeceras se mezclan aparte para no perder las que ya había.
+export function configureApiClient(partial = {}) {
+  _config = {
+    ..._config,
+    ...partial,
+    headers: { ..._config.headers, ...partial.headers },
+  };
+}
+
+// ─── getApiConfig ────────────────────────────────────────────────────────────
+// Solo lectura — para cambiar algo, usar configureApiClient.
+export function getApiConfig() {
+  return _config;
+}
+
+// ─── request ─────────────────────────────────────────────────────────────────
+// Hace la petición aplicando la configuración y devuelve la Response.
+//
+// options → las mismas de fetch (method, headers, body, signal...) más:
+//   timeout → sobreescribe el timeout global solo para esta petición
+//   retries → sobreescribe los reintentos globales solo para esta petición
+//   json    → objeto a enviar como body; se serializa con JSON.stringify
+//             y añade Content-Type: application/json automáticamente
+//
+// Errores:
+//   - signal externo abortado → lanza el AbortError tal cual (sin reintentar)
+//   - timeout agotado         → lanza un Error con name = "TimeoutError"
+//   - red caída / 5xx         → reintenta; al agotar reintentos lanza el error
+//                               de red o devuelve la última Response 5xx
+export async function request(path, options = {}) {
+  const { timeout = _config.timeout, retries: maxRetries, signal, json, ...init } = options;
+  const method = (init.method ?? "GET").toUpperCase();
+  const retries = maxRetries ?? (IDEMPOTENT_METHODS.has(method) ? _config.retries : 0);
+
+  const url = _resolveUrl(path);
+  const headers = { ..._config.headers, ...init.headers };
+  if (json !== undefined) {
+    headers["Content-Type"] = "application/json; charset=UTF-8";
+    init.body = JSON.stringify(json);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await _fetchWithTimeout(url, { ...init, method, headers }, timeout, signal);
+      if (response.status < 500 || attempt >= retries) return response;
+    } catch (error) {
+      // La cancelación explícita nunca se reintenta: quien abortó ya no
+      // quiere la respuesta.
+      if (signal?.aborted || attempt >= retries) throw error;
+    }
+    await _wait(_config.retryDelay * 2 ** attempt, signal);
+  }
+}
+
+// ─── ApiError ────────────────────────────────────────────────────────────────
+// Error HTTP con toda la información útil para la UI y para los logs:
+//   status     → código HTTP (404, 500...)
+//   statusText → texto del status ("Not Found"...)
+//   body       → cuerpo de la respuesta ya parseado (JSON si lo es, texto si no)
+//
+// message sigue siendo el statusText (como antes) para no romper a quien
+// solo muestra error.message.
+//
+// Uso:
+//   if (!response.ok) throw await ApiError.fromResponse(response);
+//   ...
+//   catch (error) { if (error.status === 404) mostrarNoEncontrado(); }
+export class ApiError extends Error {
+  constructor(message, { status, statusText = "", body = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+  }
+
+  static async fromResponse(response) {
+    const body = await parseBody(response).catch(() => null);
+    return new ApiError(response.statusText || `HTTP ${response.status}`, {
+      status: response.status,
+      statusText: response.statusText,
+      body,
+    });
+  }
+}
+
+// ─── parseBody ───────────────────────────────────────────────────────────────
+// Lee el cuerpo como texto y lo intenta parsear como JSON.
+//   - Cuerpo vacío (204, DELETE...) → null
+//   - JSON válido                   → objeto
+//   - Cualquier otra cosa           → el texto tal cual
+export async function parseBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// ─── Helpers privados ────────────────────────────────────────────────────────
+
+// Las URLs absolutas (http://...) se respetan; las relativas se cuelgan de baseUrl.
+function _resolveUrl(path) {
+  if (/^https?:\/\//.test(path)) return path;
+  return `${_config.baseUrl.replace(/\/$/, "")}/${path.replace(/^\//, "")}`;
+}
+
+// Un AbortController por intento: lo aborta el timer del timeout O el signal
+// externo (el del componente). Así un solo fetch respeta ambas cancelaciones.
+async function _fetchWithTimeout(url, init, timeout, signal) {
+  if (signal?.aborted) throw _abortError();
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  let timedOut = false;
+  const timer = timeout > 0
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+    : null;
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(`Request timed out after ${timeout} ms`);
+      timeoutError.name = "TimeoutError";
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// Espera entre reintentos — cancelable con el mismo signal de la petición.
+function _wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(_abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(_abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function _abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
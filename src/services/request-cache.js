@@ -0,0 +1,171 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// request-cache.js — Caché en memoria + de-duplicación de peticiones
+//
+// Propósito: que pedir lo mismo dos veces no signifique ir dos veces a la red.
+//   - Caché con TTL: una respuesta vale durante `ttl` ms
+//   - De-duplicación: dos llamadas simultáneas comparten la MISMA Promise
+//   - Stale-while-revalidate: devuelve el dato caducado al instante y lo
+//     refresca en segundo plano
+//   - Invalidación explícita: tras una mutación, los datos viejos se tiran
+//
+// Patrón: módulo con estado privado + funciones exportadas (como store.js).
+// No sabe nada de HTTP: cachea el resultado de cualquier función `loader`.
+//
+// API pública:
+//   cached(key, loader, options) → Promise con el dato (de caché o del loader)
+//   peek(key, { fresh })         → dato en caché aunque esté caducado (o undefined)
+//                                  fresh: true → solo si aún no ha caducado
+//   invalidate(prefix)           → borra "users", "users/3", "users?_page=2"...
+//   clearCache()                 → borra todo (útil en tests)
+//
+// ⚠️  Los datos cacheados se comparten por referencia entre todos los
+//     consumidores. Tratarlos como solo lectura, igual que getState().
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_TTL = 30000;
+
+// key → { data, expiresAt }
+const _entries = new Map();
+
+// key → { key, promise, controller, consumers }
+// consumers cuenta cuántos llamantes esperan la Promise. Solo cuando TODOS
+// han cancelado se aborta el fetch real (controller): si un componente se
+// desmonta pero otro sigue esperando, la petición sigue viva.
+const _inflight = new Map();
+
+// key → número de generación. invalidate() lo incrementa: así una petición
+// que estaba en vuelo al invalidar no guarda su resultado (ya viejo) en caché.
+const _generations = new Map();
+
+// ─── cached ──────────────────────────────────────────────────────────────────
+// loader → (signal) => Promise. Recibe un signal compartido que solo se
+//          aborta cuando todos los consumidores han cancelado.
+//
+// options:
+//   ttl                  → ms que el dato se considera fresco (default: 30 s)
+//   force                → ignora la caché y lanza una petición nueva
+//   staleWhileRevalidate → si el dato está caducado, lo devuelve igualmente
+//                          y lo refresca en segundo plano
+//   signal               → cancela la espera de ESTE llamante
+export function cached(key, loader, options = {}) {
+  const {
+    ttl = DEFAULT_TTL,
+    force = false,
+    staleWhileRevalidate = false,
+    signal,
+  } = options;
+
+  if (signal?.aborted) return Promise.reject(_abortError());
+
+  const entry = _entries.get(key);
+  if (entry && !force) {
+    if (Date.now() < entry.expiresAt) return Promise.resolve(entry.data);
+    if (staleWhileRevalidate) {
+      // Refresco en segundo plano: el error no le importa a nadie que esté
+      // esperando (ya recibió el dato viejo), así que se descarta.
+      // _join sin signal → cuenta como consumidor que nunca cancela: otro
+      // llamante que se una y aborte no puede matar el refresco.
+      _join(_load(key, loader, ttl, false)).catch(() => {});
+      return Promise.resolve(entry.data);
+    }
+  }
+
+  return _join(_load(key, loader, ttl, force), signal);
+}
+
+// ─── peek ────────────────────────────────────────────────────────────────────
+// Lectura síncrona sin ir a la red. Devuelve undefined si no hay nada.
+// fresh: true → también undefined si el dato ya ha caducado (mismo criterio
+// de TTL que cached()).
+export function peek(key, { fresh = false } = {}) {
+  const entry = _entries.get(key);
+  if (!entry || (fresh && Date.now() >= entry.expiresAt)) return undefined;
+  return entry.data;
+}
+
+// ─── invalidate ──────────────────────────────────────────────────────────────
+// Borra la clave exacta y todas sus "hijas":
+//   invalidate("users") → "users", "users/3", "users?_page=2"
+// Las peticiones en vuelo de esas claves dejan de compartirse: la siguiente
+// llamada a cached() irá a la red.
+export function invalidate(prefix) {
+  const matches = (key) =>
+    key === prefix ||
+    key.startsWith(`${prefix}/`) ||
+    key.startsWith(`${prefix}?`);
+
+  for (const key of new Set([..._entries.keys(), ..._inflight.keys()])) {
+    if (!matches(key)) continue;
+    _entries.delete(key);
+    _inflight.delete(key);
+    _generations.set(key, (_generations.get(key) ?? 0) + 1);
+  }
+}
+
+// ─── clearCache ──────────────────────────────────────────────────────────────
+export function clearCache() {
+  for (const key of new Set([..._entries.keys(), ..._inflight.keys()])) {
+    _generations.set(key, (_generations.get(key) ?? 0) + 1);
+  }
+  _entries.clear();
+  _inflight.clear();
+}
+
+// ─── Helpers privados ────────────────────────────────────────────────────────
+
+// Devuelve la petición en vuelo para `key`, creándola si no existe (o si
+// `force` pide una nueva). Al terminar, guarda el resultado en caché salvo
+// que alguien haya invalidado la clave entretanto.
+function _load(key, loader, ttl, force) {
+  const current = _inflight.get(key);
+  if (current && !force) return current;
+  // La petición vieja que `force` deja atrás no debe pisar a la nueva.
+  if (current) _generations.set(key, (_generations.get(key) ?? 0) + 1);
+
+  const generation = _generations.get(key) ?? 0;
+  const controller = new AbortController();
+  const inflight = { key, promise: null, controller, consumers: 0 };
+
+  inflight.promise = loader(controller.signal)
+    .then((data) => {
+      if ((_generations.get(key) ?? 0) === generation) {
+        _entries.set(key, { data, expiresAt: Date.now() + ttl });
+      }
+      return data;
+    })
+    .finally(() => {
+      if (_inflight.get(key) === inflight) _inflight.delete(key);
+    });
+
+  _inflight.set(key, inflight);
+  return inflight;
+}
+
+// Suma un consumidor a la petición compartida. Si su signal se aborta,
+// ESTE llamante recibe un AbortError al instante; el fetch real solo se
+// aborta cuando ya no queda ningún consumidor esperando.
+function _join(inflight, signal) {
+  inflight.consumers++;
+  if (!signal) return inflight.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      inflight.consumers--;
+      if (inflight.consumers === 0) {
+        // Una petición abortada ya no se puede compartir: el siguiente
+        // llamante debe lanzar una nueva, no unirse a una que va a fallar.
+        if (_inflight.get(inflight.key) === inflight) _inflight.delete(inflight.key);
+        inflight.controller.abort();
+      }
+      reject(_abortError());
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    inflight.promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+function _abortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
@@ -11,22 +11,139 @@
 //
 // Patrón elegido: funciones puras exportadas (sin clase, sin estado)
 //   → mínima complejidad, máxima claridad
+//
+// El "cómo" de la petición (URL base, timeout, reintentos) vive en
+// api-client.js. Aquí solo se decide "qué" se pide y cómo se interpreta.
+//
+// Cancelación: todas las funciones aceptan { signal } de un AbortController.
+//   const controller = new AbortController();
+//   getUsers({ signal: controller.signal });
+//   controller.abort(); // → la Promise rechaza con un AbortError
+//
+// Caché (ver request-cache.js): las lecturas se cachean y de-duplican.
+//   getUsers()                      → usa la caché si está fresca
+//   getUsers({ force: true })       → ignora la caché y va a la red
+//   getUsers({ staleWhileRevalidate: true }) → dato viejo al instante + refresco
+// Las mutaciones (create/update/patch/delete) invalidan todo lo de "users".
+//
+// Errores HTTP: se lanzan como ApiError (ver api-client.js) con
+//   error.status → 404, 500...    error.body → cuerpo parseado de la respuesta
 // ─────────────────────────────────────────────────────────────────────────────
 
-const BASE_URL = "https://jsonplaceholder.typicode.com";
+import { request, ApiError, parseBody } from "./api-client.js";
+import { cached, peek, invalidate } from "./request-cache.js";
+
+// Prefijo de todas las claves de caché de este service.
+const CACHE_KEY = "users";
 
 // ⚠️  response.ok vs try/catch:
 //   fetch() solo lanza excepción en errores de red (sin conexión, timeout).
 //   Un status 404 o 500 NO lanza — devuelve una Response con ok=false.
 //   Por eso hay que comprobar response.ok explícitamente y lanzar manualmente.
-export const getUsers = async () => {
-  const response = await fetch(`${BASE_URL}/users`);
-  if (!response.ok) throw new Error(response.statusText);
-  return response.json();
+//
+// _handleResponse centraliza esa comprobación para todas las funciones:
+//   ok    → devuelve el cuerpo parseado (null si viene vacío)
+//   no ok → lanza un ApiError con status y body de la respuesta
+const _handleResponse = async (response) => {
+  if (!response.ok) throw await ApiError.fromResponse(response);
+  return parseBody(response);
+};
+
+// Petición de escritura + invalidación de la caché de "users".
+// Se invalida también si falla — no sabemos si el servidor llegó a aplicarla.
+const _mutate = async (path, options) => {
+  try {
+    return await _handleResponse(await request(path, options));
+  } finally {
+    invalidate(CACHE_KEY);
+  }
+};
+
+// Traduce las opciones de consulta a los parámetros estilo json-server /
+// jsonplaceholder. Solo se incluyen las que vienen definidas:
+//   { page: 2, pageSize: 10, sort: "name", order: "desc", q: "ann" }
+//   → "_page=2&_limit=10&_sort=name&_order=desc&q=ann"
+const _toQueryString = ({ page, pageSize, sort, order, q }) => {
+  const params = new URLSearchParams();
+  if (page != null) params.set("_page", page);
+  if (pageSize != null) params.set("_limit", pageSize);
+  if (sort) params.set("_sort", sort);
+  if (sort && order) params.set("_order", order);
+  if (q) params.set("q", q);
+  return params.toString();
+};
+
+// ─── Lectura ─────────────────────────────────────────────────────────────────
+// options → { signal, force, ttl, staleWhileRevalidate } (ver request-cache.js)
+//           + opciones de consulta { page, pageSize, sort, order, q }
+//
+// Forma de la respuesta:
+//   sin page → Array de usuarios (ordenado/filtrado por el server si se pidió)
+//   con page → { items, total, page, pageSize }
+//              total sale de la cabecera X-Total-Count; si el server no la
+//              envía, se usa items.length
+//
+// El loader recibe el signal COMPARTIDO de la caché, no el del llamante:
+// si dos listas piden usuarios a la vez y una se desmonta, la otra sigue
+// esperando la misma petición.
+export const getUsers = async (options = {}) => {
+  const { page, pageSize = 10 } = options;
+  const query = _toQueryString({ ...options, pageSize: page != null ? pageSize : undefined });
+  const path = query ? `/users?${query}` : "/users";
+
+  return cached(
+    query ? `${CACHE_KEY}?${query}` : CACHE_KEY,
+    async (signal) => {
+      const response = await request(path, { signal });
+      const items = await _handleResponse(response);
+      if (page == null) return items;
+      const total = Number(response.headers.get("X-Total-Count") ?? items.length);
+      return { items, total, page, pageSize };
+    },
+    options,
+  );
 };
 
-export const getUserById = async (id) => {
-  const response = await fetch(`${BASE_URL}/users/${id}`);
-  if (!response.ok) throw new Error(response.statusText);
-  return response.json();
+// Si la lista completa está en caché, aún fresca, y contiene al usuario, se
+// sirve desde ahí sin ir a la red (salvo force: true). Caducada → /users/:id.
+export const getUserById = async (id, options = {}) => {
+  if (!options.force) {
+    const known = peek(CACHE_KEY, { fresh: true })?.find((user) => String(user.id) === String(id));
+    if (known) return known;
+  }
+  return cached(
+    `${CACHE_KEY}/${id}`,
+    async (signal) => _handleResponse(await request(`/users/${id}`, { signal })),
+    options,
+  );
 };
+
+// ─── Escritura ───────────────────────────────────────────────────────────────
+// Semántica REST de cada verbo:
+//   POST   /users     → createUser: crea un usuario nuevo (el server asigna id)
+//   PUT    /users/:id → updateUser: reemplaza el usuario COMPLETO
+//   PATCH  /users/:id → patchUser:  cambia solo los campos enviados
+//   DELETE /users/:id → deleteUser: elimina el usuario
+//
+// `json` hace que api-client serialice el objeto y añada el Content-Type.
+// Todas devuelven el cuerpo de la respuesta (el usuario resultante; en
+// DELETE normalmente un objeto vacío o null).
+//
+// Tras cada mutación se invalida la caché de "users" (lista y detalles):
+// la próxima lectura irá a la red y verá el cambio.
+export const createUser = async (user, { signal } = {}) => {
+  return _mutate("/users", { method: "POST", json: user, signal });
+};
+
+export const updateUser = async (id, user, { signal } = {}) => {
+  return _mutate(`/users/${id}`, { method: "PUT", json: user, signal });
+};
+
+export const patchUser = async (id, changes, { signal } = {}) => {
+  return _mutate(`/users/${id}`, { method: "PATCH", json: changes, signal });
+};
+
+export const deleteUser = async (id, { signal } = {}) => {
+  return _mutate(`/users/${id}`, { method: "DELETE", signal });
+};
+
@@ -0,0 +1,141 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// user-transfer.js — Exportar e importar usuarios (CSV / JSON)
+//
+// Propósito: sacar la lista de usuarios a una hoja de cálculo y meter
+// usuarios desde un CSV, validando cada fila antes de crearla.
+//
+// API pública:
+//   usersToCsv(users)   → CSV con una columna por campo aplanado
+//                         (address.city, company.name...; ver user-schema.js)
+//   usersToJson(users)  → JSON con la forma original (objetos anidados)
+//   downloadUsers(users, format?, filename?) → descarga el fichero en el
+//                         navegador. format: 'csv' | 'json' (default: 'csv')
+//   parseUsersCsv(text) → valida sin crear nada:
+//                         { users: [{ row, user }], errors: [{ row, errors }] }
+//   importUsers(users, { signal, onProgress }) → crea con createUser las
+//                         filas que devolvió parseUsersCsv:
+//                         { created: [usuarios], errors }
+//   importUsersCsv(text, options) → parseUsersCsv + importUsers en un paso
+//
+// Errores por fila: { row, errors: { campo: mensaje } }
+//   row → línea del fichero donde empieza la fila (la cabecera suele ser
+//         la 1). Cuenta las líneas en blanco y las celdas de varias líneas.
+//   Si la API rechaza una fila válida, el mensaje va en errors.request.
+//   Si al fichero le falta una columna obligatoria, hay un único error en
+//   la fila de la cabecera (errors.file) y ninguna fila se valida.
+//   Los mensajes salen en el idioma activo (ver i18n.js).
+//
+// Uso:
+//   downloadUsers(list, "csv");
+//   const { users, errors } = parseUsersCsv(await file.text());
+//   // ...enseñar `errors` y, si el usuario sigue:
+//   const { created } = await importUsers(users, { onProgress });
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { createUser } from "./user-service.js";
+import { fromCsvValue, parseCsvRecords, toCsv } from "../utils/csv.js";
+import { validate } from "../utils/validators.js";
+import { formatList, t } from "../i18n/i18n.js";
+import {
+  USER_COLUMNS,
+  USER_RULES,
+  flattenUser,
+  unflattenUser,
+} from "../utils/user-schema.js";
+
+const MIME_TYPES = {
+  csv: "text/csv;charset=utf-8",
+  json: "application/json",
+};
+
+// Tiempo que la URL del Blob sigue viva tras pedir la descarga (ms).
+const REVOKE_DELAY = 10000;
+
+// Columnas sin las que una fila no puede ser válida: las que tienen la
+// regla required() en USER_RULES.
+const REQUIRED_COLUMNS = Object.keys(USER_RULES).filter((field) =>
+  USER_RULES[field].some((rule) => rule("") !== null),
+);
+
+// ─── Exportar ────────────────────────────────────────────────────────────────
+export function usersToCsv(users) {
+  return toCsv(users.map(flattenUser), USER_COLUMNS);
+}
+
+export function usersToJson(users) {
+  return JSON.stringify(users, null, 2);
+}
+
+// BOM (U+FEFF) al principio del CSV → Excel lo abre como UTF-8 y los
+// acentos se ven bien. parseCsv lo quita al importar.
+// El enlace se añade al documento antes del click (Firefox no descarga desde
+// un <a> suelto) y la URL se revoca más tarde: revocarla justo después del
+// click puede cancelar la descarga, que el navegador empieza en otra tarea.
+export function downloadUsers(users, format = "csv", filename = "users") {
+  const content = format === "json" ? usersToJson(users) : `\uFEFF${usersToCsv(users)}`;
+  const blob = new Blob([content], { type: MIME_TYPES[format] ?? MIME_TYPES.csv });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${filename}.${format}`;
+  link.hidden = true;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
+
+// ─── Importar ────────────────────────────────────────────────────────────────
+// Columnas desconocidas se ignoran; `id` también: lo asigna el servidor.
+// Las celdas se recortan y pierden el apóstrofo anti-fórmulas de toCsv.
+export function parseUsersCsv(text) {
+  const [header = { line: 1, cells: [] }, ...records] = parseCsvRecords(text);
+  const columns = header.cells.map((name) => name.trim());
+  const missing = REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length) {
+    const file = t("import.missingColumns", { columns: formatList(missing) });
+    return { users: [], errors: [{ row: header.line, errors: { file } }] };
+  }
+
+  const users = [];
+  const errors = [];
+  records.forEach(({ line: row, cells }) => {
+    const flat = {};
+    columns.forEach((column, i) => {
+      if (column !== "id" && USER_COLUMNS.includes(column)) {
+        flat[column] = fromCsvValue((cells[i] ?? "").trim());
+      }
+    });
+    const rowErrors = validate(flat, USER_RULES);
+    if (Object.keys(rowErrors).length) errors.push({ row, errors: rowErrors });
+    else users.push({ row, user: unflattenUser(flat) });
+  });
+  return { users, errors };
+}
+
+// De una en una (y no con Promise.all): una importación de cientos de filas
+// no lanza cientos de POST a la vez, y onProgress puede contar. Un fallo de
+// la API no detiene el resto; un abort sí.
+export async function importUsers(entries, { signal, onProgress } = {}) {
+  const created = [];
+  const errors = [];
+  for (const [i, { row, user }] of entries.entries()) {
+    try {
+      created.push(await createUser(user, { signal }));
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      errors.push({ row, errors: { request: error.message } });
+    }
+    onProgress?.({ done: i + 1, total: entries.length });
+  }
+  return { created, errors };
+}
+
+export async function importUsersCsv(text, options) {
+  const parsed = parseUsersCsv(text);
+  const { created, errors } = await importUsers(parsed.users, options);
+  return {
+    created,
+    errors: [...parsed.errors, ...errors].sort((a, b) => a.row - b.row),
+  };
+}
@@ -0,0 +1,138 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// store-persist.js — Persistencia y sincronización entre pestañas para store.js
+//
+// Propósito: que el estado elegido sobreviva a un reload y se mantenga igual
+// en todas las pestañas abiertas de la app. Es opt-in: solo se persiste lo
+// que se pide explícitamente.
+//
+// Patrón: una función que recibe un store y se engancha a él con un
+// middleware (use) — el store no sabe nada de localStorage.
+//
+// API pública:
+//   persist(store, options) → rehidrata, guarda y sincroniza.
+//                             Devuelve una función para desconectarlo.
+//
+// options:
+//   key      → clave en el storage (obligatoria)
+//   keys     → lista blanca de propiedades del estado a persistir
+//   storage  → localStorage (default) | sessionStorage | cualquier objeto
+//              con getItem/setItem/removeItem
+//   version  → número de versión del formato guardado (default: 1)
+//   migrate  → (oldState, oldVersion) => newState
+//              se llama si lo guardado tiene otra versión. Si no hay migrate,
+//              o devuelve null/undefined, o lanza → se descarta lo guardado.
+//   sync     → false | 'storage' | 'broadcast'         (default: 'storage')
+//              'storage'   → evento `storage` (solo localStorage)
+//              'broadcast' → BroadcastChannel (también vale con sessionStorage
+//                            u otros storages)
+//
+// Formato guardado:  { "version": 1, "state": { ...claves de la lista blanca } }
+//
+// Uso:
+//   persist(store, {
+//     key: "lit-ds-lab:state",
+//     keys: ["selectedUser", "userFilter"],
+//   });
+//
+// ⚠️  Un payload corrupto o de una versión sin migración NUNCA rompe la app:
+//     se ignora y el store se queda con su estado inicial.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function persist(store, options) {
+  const {
+    key,
+    keys,
+    storage = globalThis.localStorage,
+    version = 1,
+    migrate,
+    sync = "storage",
+  } = options;
+
+  // true mientras aplicamos un cambio que viene de OTRA pestaña (o del
+  // storage al arrancar). Evita reescribir y re-emitir lo que acabamos de leer.
+  let applyingExternal = false;
+
+  const pick = (state) =>
+    Object.fromEntries(keys.filter((k) => k in state).map((k) => [k, state[k]]));
+
+  // ─── Lectura + validación + migración ──────────────────────────────────────
+  // Devuelve el estado listo para aplicar o null si no hay nada válido.
+  const decode = (raw) => {
+    if (!raw) return null;
+    try {
+      const payload = JSON.parse(raw);
+      if (!payload || typeof payload !== "object" || typeof payload.state !== "object") {
+        return null;
+      }
+      let state = payload.state;
+      if (payload.version !== version) {
+        state = migrate ? migrate(state, payload.version) : null;
+      }
+      return state && typeof state === "object" ? pick(state) : null;
+    } catch (error) {
+      console.warn(`[store-persist] Ignoring invalid payload for "${key}"`, error);
+      return null;
+    }
+  };
+
+  // label → aparece en el historial del store ("persist:rehydrate"...).
+  const applyExternal = (state, label) => {
+    if (!state) return;
+    applyingExternal = true;
+    try {
+      store.setState(state, label);
+    } finally {
+      applyingExternal = false;
+    }
+  };
+
+  // ─── 1. Rehidratación ──────────────────────────────────────────────────────
+  const raw = _safe(() => storage.getItem(key));
+  const initial = decode(raw);
+  if (raw && !initial) _safe(() => storage.removeItem(key)); // limpia lo corrupto
+  applyExternal(initial, "persist:rehydrate");
+
+  // ─── 2. Sincronización entre pestañas ──────────────────────────────────────
+  let channel = null;
+  const onStorage = (e) => {
+    if (e.key !== key || e.storageArea !== storage) return;
+    applyExternal(decode(e.newValue), "persist:sync");
+  };
+
+  if (sync === "storage") {
+    window.addEventListener("storage", onStorage);
+  } else if (sync === "broadcast" && "BroadcastChannel" in globalThis) {
+    channel = new BroadcastChannel(key);
+    channel.onmessage = (e) => applyExternal(decode(e.data), "persist:sync");
+  }
+
+  // ─── 3. Escritura (middleware) ─────────────────────────────────────────────
+  // Después de aplicar el cambio (next), si toca alguna clave de la lista
+  // blanca, se guarda el subconjunto completo y se avisa a las demás pestañas.
+  const removeMiddleware = store.use(({ getState }) => (next) => (partial) => {
+    next(partial);
+    if (applyingExternal) return;
+    if (!keys.some((k) => k in partial)) return;
+
+    const encoded = JSON.stringify({ version, state: pick(getState()) });
+    _safe(() => storage.setItem(key, encoded));
+    channel?.postMessage(encoded);
+  });
+
+  return () => {
+    removeMiddleware();
+    window.removeEventListener("storage", onStorage);
+    channel?.close();
+  };
+}
+
+// El storage puede lanzar (cuota llena, modo privado de Safari, cookies
+// bloqueadas). Persistir es un extra: si falla, la app sigue funcionando.
+function _safe(fn) {
+  try {
+    return fn();
+  } catch (error) {
+    console.warn("[store-persist] Storage not available", error);
+    return null;
+  }
+}
@@ -4,71 +4,325 @@
 // Propósito: permitir que componentes que NO son padre-hijo compartan datos
 // sin necesidad de librerías externas ni patrones complejos.
 //
-// Patrón: módulo JavaScript con estado privado + funciones exportadas.
+// Patrón: función factoría (createStore) con estado privado en un closure +
+// un store por defecto cuyas funciones se exportan directamente.
 // Sin clases, sin decoradores, sin dependencias.
 //
-// API pública:
+// API pública (store por defecto, también disponible en cada createStore()):
 //   getState()        → devuelve el estado actual
-//   setState(partial) → actualiza el estado y notifica a los suscriptores
-//   subscribe(fn)     → registra una función que se llama cuando el estado cambia
-//                       devuelve una función para cancelar la suscripción
+//   setState(partial) → actualiza el estado y programa la notificación
+//   subscribe(fn)     → fn(state) se llama cuando el estado cambia
+//   subscribe(selector, fn, { equals }) → fn(selected, previous) solo se llama
+//                       cuando selector(state) cambia (Object.is por defecto)
+//                       Ambas formas devuelven una función para cancelar.
+//   use(middleware)   → intercepta cada setState (logging, validación,
+//                       persistencia...). Devuelve una función para quitarlo.
+//
+//   createStore(initialState, options) → crea un store independiente
+//                       (tests, features aisladas)
+//
+// Historial (opcional, createStore(initial, { history: { limit: 50 } })):
+//   setState(partial, label) → label describe la acción ("select user"...)
+//   undo() / redo()          → vuelve al estado anterior / siguiente
+//   canUndo() / canRedo()    → ¿hay a dónde volver?
+//   jumpTo(index)            → time-travel a cualquier punto del historial
+//   getHistory()             → [{ state, label, timestamp }] del más viejo al más nuevo
+//   inspect(fn)              → fn({ type, label, state, previousState, timestamp })
+//                              en cada transición (set/undo/redo/jump).
+//                              Devuelve una función para dejar de inspeccionar.
+//   Sin history, undo/redo no hacen nada y getHistory() devuelve [].
+//   Si un middleware bloquea el viaje (no llama a next), la posición en el
+//   historial no se mueve y undo/redo/jumpTo devuelven false.
+//
+// Notificaciones agrupadas (batching):
+//   setState cambia el estado AL INSTANTE (getState() ya ve el valor nuevo),
+//   pero los suscriptores se avisan una sola vez en una microtarea:
+//
+//     setState({ a: 1 });
+//     setState({ b: 2 });   // → UNA notificación con { a: 1, b: 2 }
 //
 // Uso típico en un componente LitElement:
 //
 //   connectedCallback() {
 //     super.connectedCallback();
-//     this._unsubscribe = subscribe(state => {
-//       this._selectedUser = state.selectedUser;
-//     });
+//     this._unsubscribe = subscribe(
+//       (state) => state.selectedUser,
+//       (selectedUser) => (this._selectedUser = selectedUser),
+//     );
 //   }
 //
 //   disconnectedCallback() {
 //     super.disconnectedCallback();
 //     this._unsubscribe(); // limpieza — evita memory leaks
 //   }
+//
+// En componentes Lit es más cómodo usar StoreController
+// (src/controllers/store-controller.js), que hace exactamente esto por ti.
 // ─────────────────────────────────────────────────────────────────────────────
 
-// Estado privado del módulo — solo modificable a través de setState.
-// El prefijo _ indica que es privado por convención (no enforced por JS).
-let _state = {
-  selectedUser: null,
-};
-
-// Set de funciones suscritas — se ejecutan todas cuando el estado cambia.
-// Usamos Set en vez de Array para evitar duplicados si alguien suscribe la misma fn dos veces.
-const _listeners = new Set();
-
-// ─── getState ────────────────────────────────────────────────────────────────
-// Devuelve el estado actual. Solo lectura — no modificar el objeto devuelto
-// directamente, siempre usar setState para cambios.
-export function getState() {
-  return _state;
-}
+// ─── createStore ─────────────────────────────────────────────────────────────
+// options.history → true | { limit } — activa el historial.
+//   limit: número máximo de entradas guardadas (default: 50). Al superarlo,
+//   se descartan las más antiguas.
+export function createStore(initialState = {}, options = {}) {
+  // Estado privado del closure — solo modificable a través de setState.
+  let _state = { ...initialState };
 
-// ─── setState ────────────────────────────────────────────────────────────────
-// Actualiza el estado de forma inmutable (crea un nuevo objeto) y notifica
-// a todos los suscriptores con el nuevo estado.
-//
-// newState → objeto con solo las propiedades que cambian:
-//   setState({ selectedUser: user }) → solo actualiza selectedUser
-//
-// { ..._state, ...newState } → spread operator:
-//   copia todas las propiedades del estado actual y sobreescribe
-//   solo las que vienen en newState. El resto queda igual.
-export function setState(newState) {
-  _state = { ..._state, ...newState };
-  _listeners.forEach((fn) => fn(_state));
-}
+  // ─── Historial ─────────────────────────────────────────────────────────────
+  // _history → línea temporal de entradas { state, label, timestamp }
+  // _index   → posición del estado actual en _history
+  // Hacer setState tras un undo descarta el "futuro" (como en un editor).
+  const _historyLimit = options.history
+    ? Math.max(1, options.history.limit ?? 50)
+    : 0;
+  const _history = _historyLimit
+    ? [{ state: _state, label: "@@init", timestamp: Date.now() }]
+    : [];
+  let _index = 0;
+  const _inspectors = new Set();
 
-// ─── subscribe ───────────────────────────────────────────────────────────────
-// Registra una función que se ejecuta cada vez que setState es llamado.
-// Devuelve una función de "unsubscribe" para limpiar cuando el componente
-// se destruye — importante para evitar memory leaks.
-//
-// Patrón de uso:
-//   const unsubscribe = subscribe(state => console.log(state));
-//   unsubscribe(); // cuando ya no necesitas escuchar cambios
-export function subscribe(fn) {
-  _listeners.add(fn);
-  return () => _listeners.delete(fn); // función de limpieza
+  // Etiqueta de la acción en curso. Se guarda aquí (y no se pasa por la
+  // cadena) para que los middlewares no tengan que reenviarla.
+  let _label;
+  // true mientras undo/redo/jumpTo aplican un estado del historial:
+  // ese cambio no debe crear una entrada nueva.
+  // _travelIndex → entrada a la que se viaja; _index solo la toma en _apply,
+  // cuando el cambio ha pasado de verdad por todos los middlewares.
+  let _travelling = false;
+  let _travelIndex = 0;
+
+  // Set de suscripciones — cada una es { selector, fn, equals, last }.
+  // Usamos Set en vez de Array para poder borrar en O(1) al cancelar.
+  const _subscriptions = new Set();
+
+  // Middlewares en orden de registro. El primero registrado es el más externo.
+  const _middlewares = [];
+
+  // ¿Hay ya una notificación programada en la cola de microtareas?
+  let _notifyScheduled = false;
+
+  // ─── getState ──────────────────────────────────────────────────────────────
+  // Devuelve el estado actual. Solo lectura — no modificar el objeto devuelto
+  // directamente, siempre usar setState para cambios.
+  function getState() {
+    return _state;
+  }
+
+  // ─── setState ──────────────────────────────────────────────────────────────
+  // Pasa el cambio por la cadena de middlewares y, al final de la cadena,
+  // lo aplica de forma inmutable:
+  //
+  // { ..._state, ...newState } → spread operator:
+  //   copia todas las propiedades del estado actual y sobreescribe
+  //   solo las que vienen en newState. El resto queda igual.
+  //
+  // label (opcional) → nombre de la acción para el historial y el inspector.
+  function setState(newState, label) {
+    const previousLabel = _label;
+    _label = label;
+    try {
+      _dispatch(newState);
+    } finally {
+      _label = previousLabel;
+    }
+  }
+
+  // El "núcleo" que los middlewares envuelven: aplica, registra en el
+  // historial, avisa a los inspectores y programa la notificación.
+  function _apply(newState) {
+    const previousState = _state;
+    _state = _travelling ? { ...newState } : { ..._state, ...newState };
+    const timestamp = Date.now();
+
+    if (_travelling) {
+      _index = _travelIndex;
+    } else if (_historyLimit) {
+      _history.splice(_index + 1); // descarta el futuro tras un undo
+      _history.push({ state: _state, label: _label, timestamp });
+      if (_history.length > _historyLimit) _history.shift();
+      _index = _history.length - 1;
+    }
+
+    const type = _travelling || "set";
+    _inspectors.forEach((fn) =>
+      fn({ type, label: _label, state: _state, previousState, timestamp }),
+    );
+    _scheduleNotify();
+  }
+
+  // Aplica una entrada del historial. Pasa por los middlewares (para que,
+  // p. ej., la persistencia guarde el estado restaurado) pero sin crear
+  // una entrada nueva. Devuelve false si algún middleware lo bloqueó.
+  function _travel(index, type) {
+    const entry = _history[index];
+    _travelling = type;
+    _travelIndex = index;
+    const previousLabel = _label;
+    _label = entry.label;
+    try {
+      _dispatch(entry.state);
+    } finally {
+      _travelling = false;
+      _label = previousLabel;
+    }
+    return _index === index;
+  }
+
+  // Compone los middlewares al vuelo (son pocos y pueden cambiar con use):
+  //   m1(m2(m3(_apply)))  → m1 recibe el cambio primero
+  function _dispatch(newState) {
+    const api = { getState, setState };
+    const chain = _middlewares.reduceRight(
+      (next, middleware) => middleware(api)(next),
+      _apply,
+    );
+    chain(newState);
+  }
+
+  // queueMicrotask → se ejecuta cuando termina el código síncrono actual,
+  // antes del siguiente render. Varios setState seguidos → un solo aviso.
+  function _scheduleNotify() {
+    if (_notifyScheduled) return;
+    _notifyScheduled = true;
+    queueMicrotask(_notify);
+  }
+
+  // Cada suscripción compara su valor seleccionado con el último que vio.
+  // Las suscripciones sin selector seleccionan el estado completo → se
+  // avisan siempre que el objeto de estado es nuevo.
+  function _notify() {
+    _notifyScheduled = false;
+    for (const subscription of [..._subscriptions]) {
+      // Puede haberse cancelado durante el aviso a otro suscriptor.
+      if (!_subscriptions.has(subscription)) continue;
+      const next = subscription.selector(_state);
+      const previous = subscription.last;
+      if (subscription.equals(previous, next)) continue;
+      subscription.last = next;
+      subscription.fn(next, previous);
+    }
+  }
+
+  // ─── subscribe ─────────────────────────────────────────────────────────────
+  // Dos formas:
+  //   subscribe(fn)                     → fn(state) en cada cambio
+  //   subscribe(selector, fn, options)  → fn(selected, previous) solo cuando
+  //                                       el valor seleccionado cambia
+  //
+  // options.equals → función (a, b) => boolean para comparar selecciones.
+  //   Por defecto Object.is (igualdad por referencia). Para selectores que
+  //   construyen objetos nuevos, pasar una comparación superficial.
+  //
+  // Devuelve una función de "unsubscribe" para limpiar cuando el componente
+  // se destruye — importante para evitar memory leaks.
+  function subscribe(selectorOrFn, fn, { equals = Object.is } = {}) {
+    const subscription =
+      typeof fn === "function"
+        ? { selector: selectorOrFn, fn, equals }
+        : { selector: (state) => state, fn: selectorOrFn, equals: Object.is };
+    subscription.last = subscription.selector(_state);
+    _subscriptions.add(subscription);
+    return () => _subscriptions.delete(subscription); // función de limpieza
+  }
+
+  // ─── use ───────────────────────────────────────────────────────────────────
+  // Registra un middleware con la forma clásica (la de Redux):
+  //
+  //   const logger = ({ getState }) => (next) => (partial) => {
+  //     console.log("antes", getState(), "cambio", partial);
+  //     next(partial);                    // ← sin esto el cambio se descarta
+  //     console.log("después", getState());
+  //   };
+  //   use(logger);
+  //
+  // Un middleware puede transformar el cambio (next({ ...partial, x })),
+  // bloquearlo (no llamar a next) o reaccionar después (persistencia).
+  function use(middleware) {
+    _middlewares.push(middleware);
+    return () => {
+      const index = _middlewares.indexOf(middleware);
+      if (index !== -1) _middlewares.splice(index, 1);
+    };
+  }
+
+  // ─── Historial: undo / redo / jumpTo ───────────────────────────────────────
+  function canUndo() {
+    return _historyLimit > 0 && _index > 0;
+  }
+
+  function canRedo() {
+    return _historyLimit > 0 && _index < _history.length - 1;
+  }
+
+  function undo() {
+    if (!canUndo()) return false;
+    return _travel(_index - 1, "undo");
+  }
+
+  function redo() {
+    if (!canRedo()) return false;
+    return _travel(_index + 1, "redo");
+  }
+
+  function jumpTo(index) {
+    if (!_historyLimit || index < 0 || index >= _history.length) return false;
+    return _travel(index, "jump");
+  }
+
+  // Copia superficial: quien la lea no puede alterar el historial real.
+  function getHistory() {
+    return _history.map((entry, i) => ({ ...entry, current: i === _index }));
+  }
+
+  // ─── inspect ───────────────────────────────────────────────────────────────
+  // Hook de depuración: se llama SÍNCRONAMENTE en cada transición (no se
+  // agrupa como subscribe), así se ve cada paso aunque haya batching.
+  //
+  //   inspect(({ type, label, state }) => console.log(type, label, state));
+  function inspect(fn) {
+    _inspectors.add(fn);
+    return () => _inspectors.delete(fn);
+  }
+
+  return {
+    getState,
+    setState,
+    subscribe,
+    use,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    jumpTo,
+    getHistory,
+    inspect,
+  };
 }
+
+// ─── Store por defecto ───────────────────────────────────────────────────────
+// El que comparte toda la app. Se exportan sus funciones sueltas para que
+// los componentes puedan hacer `import { setState } from "./store.js"`.
+// Con historial: permite deshacer en flujos de edición y depurar cómo se
+// llegó al estado actual (store.getHistory()).
+export const store = createStore(
+  {
+    selectedUser: null,
+    userFilter: "",
+    userView: "cards",
+  },
+  { history: { limit: 100 } },
+);
+
+export const {
+  getState,
+  setState,
+  subscribe,
+  use,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  jumpTo,
+  getHistory,
+  inspect,
+} = store;
@@ -0,0 +1,43 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// form-styles.js — Estilos compartidos de los controles de formulario
+//
+// Propósito: que todos los campos del design system se vean y enfoquen
+// igual. Antes el anillo de foco vivía copiado dentro de ds-user-list.
+//
+// API pública:
+//   focusRing    → declaraciones del anillo de foco (para meter en un selector)
+//   invalidRing  → lo mismo en rojo, para campos inválidos
+//   controlBase  → caja de un campo de texto: borde, radio, padding, fuente
+//
+// Todo sale de los tokens --ds-* (tokens.js) → siguen el tema claro/oscuro.
+//
+// Uso (un CSSResult se puede interpolar dentro de otro css``):
+//   static styles = css`
+//     input { ${controlBase} }
+//     input:focus { ${focusRing} }
+//   `;
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { css } from "lit";
+import "./tokens.js";
+
+export const focusRing = css`
+  border-color: var(--ds-color-primary);
+  box-shadow: var(--ds-shadow-focus);
+`;
+
+export const invalidRing = css`
+  border-color: var(--ds-color-danger-strong);
+  box-shadow: var(--ds-shadow-focus-danger);
+`;
+
+export const controlBase = css`
+  padding: 10px var(--ds-space-3);
+  border: 1px solid var(--ds-color-border);
+  border-radius: var(--ds-radius-lg);
+  font: inherit;
+  font-size: var(--ds-font-size-base);
+  color: var(--ds-color-text);
+  outline: none;
+  background: var(--ds-color-surface);
+`;
@@ -0,0 +1,198 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// tokens.js — Design tokens del design system (--ds-*)
+//
+// Propósito: un único sitio para colores, espaciado, radios, tipografía y
+// sombras. Los componentes no escriben "#3b82f6": escriben
+// var(--ds-color-primary). Cambiar el tema = cambiar los valores de las
+// custom properties, sin tocar ningún componente.
+//
+// ¿Por qué custom properties y no constantes JS?
+//   Las custom properties SÍ atraviesan el Shadow DOM (se heredan como
+//   `color`). Si un ancestro redefine --ds-color-surface, todos los ds-*
+//   que cuelgan de él lo ven al momento, sin re-render.
+//
+// API pública:
+//   lightTheme  → declaraciones de todos los tokens (tema claro)
+//   darkTheme   → las que cambian en el tema oscuro (solo colores y sombras)
+//   themeStyles → :host([theme="light" | "dark"]) listo para los static
+//                 styles de un componente raíz (lo usa app-shell)
+//
+// Cómo se elige el tema:
+//   1. Al importar este módulo se instala una hoja en el document:
+//        :root { tema claro }  +  @media (prefers-color-scheme: dark) { oscuro }
+//      → sin hacer nada, la app sigue la preferencia del sistema.
+//   2. <app-shell theme="dark"> / theme="light" fuerza un tema en su árbol:
+//      el valor más cercano gana, igual que con cualquier propiedad heredada.
+//   3. <html data-ds-theme="dark"> / "light" fuerza el tema de la página
+//      entera (app-shell lo pone para que el fondo del <body> le siga).
+//
+// Uso en un componente:
+//   import "../styles/tokens.js";
+//   static styles = css`
+//     .card { background: var(--ds-color-surface); padding: var(--ds-space-4); }
+//   `;
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { css } from "lit";
+
+export const lightTheme = css`
+  color-scheme: light;
+
+  /* ── Color: marca ── */
+  --ds-color-primary: #3b82f6;
+  --ds-color-primary-contrast: #fff;
+  --ds-color-primary-subtle: #eff6ff;
+  --ds-color-primary-border: #bfdbfe;
+  --ds-color-primary-text: #1d4ed8;
+  --ds-color-secondary: #6b7280;
+  --ds-color-danger: #ef4444;
+  --ds-color-danger-strong: #dc2626;
+  --ds-color-danger-text: #b91c1c;
+
+  /* ── Color: superficies y bordes ── */
+  --ds-color-bg: #f8fafc;
+  --ds-color-surface: #fff;
+  --ds-color-surface-muted: #f1f5f9;
+  --ds-color-border: #e2e8f0;
+  --ds-color-border-muted: #f1f5f9;
+  --ds-color-highlight: #fef08a;
+  --ds-color-backdrop: rgba(15, 23, 42, 0.45);
+
+  /* ── Color: texto (de más a menos contraste) ── */
+  --ds-color-text: #0f172a;
+  --ds-color-text-secondary: #334155;
+  --ds-color-text-tertiary: #475569;
+  --ds-color-text-muted: #64748b;
+  --ds-color-text-subtle: #94a3b8;
+  --ds-color-text-disabled: #cbd5e1;
+
+  /* ── Color: estados (ds-alert, avisos) ── */
+  --ds-color-success-bg: #d1fae5;
+  --ds-color-success-text: #065f46;
+  --ds-color-error-bg: #fee2e2;
+  --ds-color-error-text: #991b1b;
+  --ds-color-warning-bg: #fef3c7;
+  --ds-color-warning-text: #92400e;
+
+  /* ── Espaciado (escala de 4px) ── */
+  --ds-space-1: 4px;
+  --ds-space-2: 8px;
+  --ds-space-3: 12px;
+  --ds-space-4: 16px;
+  --ds-space-5: 24px;
+  --ds-space-6: 32px;
+
+  /* ── Radios ── */
+  --ds-radius-sm: 4px;
+  --ds-radius-md: 6px;
+  --ds-radius-lg: 10px;
+  --ds-radius-xl: 14px;
+  --ds-radius-full: 999px;
+
+  /* ── Tipografía ── */
+  --ds-font-family: ui-sans-serif, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto,
+    Helvetica, Arial, "Apple Color Emoji", "Segoe UI Emoji";
+  --ds-font-size-xs: 0.75rem;
+  --ds-font-size-sm: 0.8rem;
+  --ds-font-size-md: 0.9rem;
+  --ds-font-size-base: 0.95rem;
+  --ds-font-size-lg: 1rem;
+  --ds-font-size-xl: 1.8rem;
+  --ds-font-weight-medium: 600;
+  --ds-font-weight-bold: 700;
+  --ds-font-weight-heavy: 800;
+
+  /* ── Sombras (incluye los anillos de foco) ── */
+  --ds-shadow-sm: 0 1px 2px rgba(15, 23, 42, 0.06);
+  --ds-shadow-lg: 0 10px 30px rgba(15, 23, 42, 0.12), 0 2px 6px rgba(15, 23, 42, 0.06);
+  --ds-shadow-focus: 0 0 0 3px rgba(59, 130, 246, 0.15);
+  --ds-shadow-focus-strong: 0 0 0 3px rgba(59, 130, 246, 0.35);
+  --ds-shadow-focus-danger: 0 0 0 3px rgba(220, 38, 38, 0.15);
+`;
+
+// Espaciado, radios y tipografía no cambian con el tema: solo se
+// redefinen colores y sombras.
+export const darkTheme = css`
+  color-scheme: dark;
+
+  --ds-color-primary: #3b82f6;
+  --ds-color-primary-contrast: #fff;
+  --ds-color-primary-subtle: rgba(59, 130, 246, 0.16);
+  --ds-color-primary-border: #1e40af;
+  --ds-color-primary-text: #93c5fd;
+  --ds-color-secondary: #475569;
+  --ds-color-danger: #dc2626;
+  --ds-color-danger-strong: #f87171;
+  --ds-color-danger-text: #fca5a5;
+
+  --ds-color-bg: #020617;
+  --ds-color-surface: #0f172a;
+  --ds-color-surface-muted: #1e293b;
+  --ds-color-border: #334155;
+  --ds-color-border-muted: #1e293b;
+  --ds-color-highlight: #854d0e;
+  --ds-color-backdrop: rgba(0, 0, 0, 0.65);
+
+  --ds-color-text: #f1f5f9;
+  --ds-color-text-secondary: #e2e8f0;
+  --ds-color-text-tertiary: #cbd5e1;
+  --ds-color-text-muted: #94a3b8;
+  --ds-color-text-subtle: #64748b;
+  --ds-color-text-disabled: #475569;
+
+  --ds-color-success-bg: #064e3b;
+  --ds-color-success-text: #a7f3d0;
+  --ds-color-error-bg: #7f1d1d;
+  --ds-color-error-text: #fecaca;
+  --ds-color-warning-bg: #78350f;
+  --ds-color-warning-text: #fde68a;
+
+  --ds-shadow-sm: 0 1px 2px rgba(0, 0, 0, 0.4);
+  --ds-shadow-lg: 0 10px 30px rgba(0, 0, 0, 0.5), 0 2px 6px rgba(0, 0, 0, 0.3);
+  --ds-shadow-focus: 0 0 0 3px rgba(96, 165, 250, 0.35);
+  --ds-shadow-focus-strong: 0 0 0 3px rgba(96, 165, 250, 0.55);
+  --ds-shadow-focus-danger: 0 0 0 3px rgba(248, 113, 113, 0.35);
+`;
+
+export const themeStyles = css`
+  :host([theme="light"]) {
+    ${lightTheme}
+  }
+
+  :host([theme="dark"]) {
+    ${darkTheme}
+  }
+`;
+
+// ─── Hoja global ─────────────────────────────────────────────────────────────
+// adoptedStyleSheets → sin <style> en el index.html: basta con que algún
+// componente importe este módulo. Un módulo se evalúa una sola vez, así que
+// la hoja se instala una sola vez aunque lo importen todos.
+//
+// [data-ds-theme] en el <html> → tema forzado para toda la página. Va
+// después del @media para ganarle con la misma especificidad.
+const documentTokens = css`
+  :root {
+    ${lightTheme}
+  }
+
+  @media (prefers-color-scheme: dark) {
+    :root {
+      ${darkTheme}
+    }
+  }
+
+  :root[data-ds-theme="light"] {
+    ${lightTheme}
+  }
+
+  :root[data-ds-theme="dark"] {
+    ${darkTheme}
+  }
+`;
+
+if (typeof document !== "undefined" && "adoptedStyleSheets" in document) {
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(documentTokens.cssText);
+  document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+}
@@ -0,0 +1,105 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// csv.js — Lectura y escritura de CSV (RFC 4180)
+//
+// Propósito: convertir filas ↔ texto CSV sin dependencias ni DOM. No sabe
+// nada de usuarios: user-transfer.js decide qué columnas van y cómo se
+// interpretan.
+//
+// API pública:
+//   toCsv(rows, columns) → texto CSV con cabecera
+//                          rows    → array de objetos planos
+//                          columns → claves a exportar, en orden
+//   parseCsv(text)       → array de filas; cada fila, array de strings
+//   parseCsvRecords(text) → igual, con la línea del fichero donde empieza
+//                          cada fila: [{ line, cells }] (la primera es la 1)
+//   fromCsvValue(text)   → quita el apóstrofo que toCsv pone delante de lo
+//                          que parece una fórmula
+//
+// Uso:
+//   toCsv([{ name: "Ana", city: "Madrid, ES" }], ["name", "city"]);
+//   // → 'name,city\r\nAna,"Madrid, ES"\r\n'
+//
+//   parseCsv('name,city\nAna,"Madrid, ES"');
+//   // → [["name", "city"], ["Ana", "Madrid, ES"]]
+//
+// Comillas: un campo va entre comillas si contiene separador, comillas o
+// salto de línea; las comillas de dentro se duplican ("" → ").
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Caracteres con los que Excel / Sheets interpretan una celda como fórmula.
+// Un nombre como "=HYPERLINK(...)" exportado tal cual se ejecutaría al abrir
+// el fichero: se le antepone un apóstrofo (ver fromCsvValue). Los números
+// con signo (-37.31, una latitud) no son fórmulas y se dejan tal cual.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const SIGNED_NUMBER = /^[+-]\d*\.?\d+$/;
+
+// ─── toCsv ───────────────────────────────────────────────────────────────────
+// \r\n → el fin de línea del estándar (y el que espera Excel).
+export function toCsv(rows, columns) {
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))];
+  return lines.map((cells) => cells.map(toCsvValue).join(",")).join("\r\n") + "\r\n";
+}
+
+function toCsvValue(value) {
+  let text = value == null ? "" : String(value);
+  if (FORMULA_START.test(text) && !SIGNED_NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Deshace la protección de toCsvValue: "'=1+1" → "=1+1". Un apóstrofo
+// delante de cualquier otra cosa se deja: es parte del dato ("'90s").
+export function fromCsvValue(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// ─── parseCsv ────────────────────────────────────────────────────────────────
+export function parseCsv(text) {
+  return parseCsvRecords(text).map((record) => record.cells);
+}
+
+// ─── parseCsvRecords ─────────────────────────────────────────────────────────
+// Máquina de estados carácter a carácter: dentro de comillas, la coma y el
+// salto de línea son texto; fuera, separan campos y filas.
+// Acepta \n, \r\n y \r, y quita el BOM que añade Excel al guardar en UTF-8.
+// Las líneas en blanco se ignoran, pero cuentan para `line`, igual que los
+// saltos de línea dentro de comillas: así `line` es la que ve un editor.
+export function parseCsvRecords(text) {
+  const source = text.startsWith("\uFEFF") ? text.slice(1) : text;
+  const records = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") records.push({ line: start, cells: row });
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+        if (char === "\n" || (char === "\r" && source[i + 1] !== "\n")) line++;
+      } else if (source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else quoted = false;
+    } else if (char === '"') quoted = true;
+    else if (char === ",") endField();
+    else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      endRow();
+      start = ++line;
+    } else field += char;
+  }
+  if (field || row.length) endRow();
+  return records;
+}
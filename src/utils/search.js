@@ -0,0 +1,97 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// search.js — Utilidades de búsqueda, ordenación y resaltado
+//
+// Propósito: lógica de búsqueda reutilizable y sin DOM (salvo highlight,
+// que devuelve un template de Lit). ds-user-list la usa en modo client.
+//
+// API pública:
+//   normalize(text)              → minúsculas y sin acentos ("Ámbar" → "ambar")
+//   getPath(obj, path)           → valor anidado: getPath(u, "company.name")
+//   matchesQuery(item, q, paths) → ¿algún campo contiene q? (sin acentos ni mayúsculas)
+//   compareBy(path, order)       → función para Array.sort por un campo
+//   highlight(text, q)           → template con las coincidencias en <mark>
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { html } from "lit";
+
+// ─── normalize ───────────────────────────────────────────────────────────────
+// NFD separa cada letra de su acento ("é" → "e" + "´"); luego se eliminan
+// las marcas diacríticas (\p{Diacritic}). Así "José" y "jose" coinciden.
+export function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/\p{Diacritic}/gu, "")
+    .toLowerCase();
+}
+
+// ─── getPath ─────────────────────────────────────────────────────────────────
+// "address.city" → item.address?.city. Devuelve undefined si falta algún nivel.
+export function getPath(item, path) {
+  return path.split(".").reduce((value, key) => value?.[key], item);
+}
+
+// ─── matchesQuery ────────────────────────────────────────────────────────────
+export function matchesQuery(item, query, paths) {
+  const needle = normalize(query).trim();
+  if (!needle) return true;
+  return paths.some((path) => normalize(getPath(item, path)).includes(needle));
+}
+
+// ─── compareBy ───────────────────────────────────────────────────────────────
+// localeCompare con sensitivity "base" → ignora acentos y mayúsculas al
+// ordenar. numeric: true → "user 2" va antes que "user 10".
+// Los valores vacíos van siempre al final, sea cual sea el orden.
+export function compareBy(path, order = "asc") {
+  const direction = order === "desc" ? -1 : 1;
+  return (a, b) => {
+    const left = getPath(a, path);
+    const right = getPath(b, path);
+    if (left == null || left === "") return right == null || right === "" ? 0 : 1;
+    if (right == null || right === "") return -1;
+    return (
+      direction *
+      String(left).localeCompare(String(right), undefined, {
+        sensitivity: "base",
+        numeric: true,
+      })
+    );
+  };
+}
+
+// ─── highlight ───────────────────────────────────────────────────────────────
+// Busca `query` en `text` sin acentos ni mayúsculas, pero pinta el texto
+// ORIGINAL (con sus acentos). Para eso se construye el texto normalizado
+// carácter a carácter guardando de qué posición original viene cada uno.
+//
+//   highlight("José Pérez", "pe") → José <mark>Pé</mark>rez
+export function highlight(text, query) {
+  const source = String(text ?? "");
+  const needle = normalize(query).trim();
+  if (!needle || !source) return source;
+
+  // normalized[i] viene de source[origin[i]]
+  let normalized = "";
+  const origin = [];
+  let index = 0;
+  for (const char of source) {
+    const normalizedChar = normalize(char);
+    for (let i = 0; i < normalizedChar.length; i++) origin.push(index);
+    normalized += normalizedChar;
+    index += char.length;
+  }
+  origin.push(source.length); // centinela: fin del texto
+
+  const parts = [];
+  let cursor = 0;
+  let from = normalized.indexOf(needle);
+  while (from !== -1) {
+    const start = origin[from];
+    const end = origin[from + needle.length];
+    if (start > cursor) parts.push(source.slice(cursor, start));
+    parts.push(html`<mark>${source.slice(start, end)}</mark>`);
+    cursor = end;
+    from = normalized.indexOf(needle, from + needle.length);
+  }
+  if (cursor < source.length) parts.push(source.slice(cursor));
+  return parts;
+}
@@ -0,0 +1,69 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// user-schema.js — Forma de un usuario y sus reglas de validación
+//
+// Propósito: un único sitio que dice qué campos tiene un usuario y cuáles
+// son obligatorios. Lo comparten el formulario (ds-user-form) y la
+// importación CSV (user-transfer.js): un usuario que el formulario no
+// dejaría guardar tampoco entra por CSV.
+//
+// API pública:
+//   USER_RULES   → reglas de validate() por campo (ver validators.js)
+//   USER_COLUMNS → campos de un usuario "aplanados" ('address.city'...),
+//                  en el orden en que se exportan
+//   flattenUser(user)   → { "address.city": "Gwenborough", ... }
+//   unflattenUser(flat) → { address: { city: "Gwenborough" }, ... }
+//
+// ¿Por qué aplanar? Una hoja de cálculo no tiene objetos anidados: cada
+// ruta ('company.name') pasa a ser una columna.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { email, required, url } from "./validators.js";
+import { getPath } from "./search.js";
+
+export const USER_RULES = {
+  name: [required()],
+  username: [required()],
+  email: [required(), email()],
+  website: [url()],
+};
+
+export const USER_COLUMNS = [
+  "id",
+  "name",
+  "username",
+  "email",
+  "phone",
+  "website",
+  "address.street",
+  "address.suite",
+  "address.city",
+  "address.zipcode",
+  "address.geo.lat",
+  "address.geo.lng",
+  "company.name",
+  "company.catchPhrase",
+  "company.bs",
+];
+
+// ─── flattenUser ─────────────────────────────────────────────────────────────
+// Solo las columnas conocidas: lo que la API añada en el futuro no se cuela
+// en el fichero sin que nadie decida en qué columna va.
+export function flattenUser(user) {
+  return Object.fromEntries(USER_COLUMNS.map((column) => [column, getPath(user, column)]));
+}
+
+// ─── unflattenUser ───────────────────────────────────────────────────────────
+// Las celdas vacías no crean nada: un CSV sin datos de dirección da un
+// usuario sin `address`, no { address: { city: "" } }.
+export function unflattenUser(flat) {
+  const user = {};
+  for (const [path, value] of Object.entries(flat)) {
+    if (value == null || value === "") continue;
+    const keys = path.split(".");
+    const last = keys.pop();
+    let target = user;
+    for (const key of keys) target = target[key] ??= {};
+    target[last] = value;
+  }
+  return user;
+}
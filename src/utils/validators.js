@@ -0,0 +1,72 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// validators.js — Validación de formularios en cliente
+//
+// Propósito: reglas pequeñas y combinables que cualquier formulario del
+// design system puede reutilizar. Sin DOM: reciben un valor y devuelven
+// el mensaje de error, o null si el valor es válido.
+//
+// API pública:
+//   required(message?)  → falla si el valor está vacío (solo espacios = vacío)
+//   email(message?)     → formato usuario@dominio.tld (vacío = válido)
+//   url(message?)       → URL http(s); acepta "hildegard.org" sin protocolo
+//   validate(values, rules) → { campo: mensaje } solo con los campos inválidos
+//
+// Uso:
+//   const RULES = { name: [required()], email: [required(), email()] };
+//   const errors = validate({ name: "", email: "x" }, RULES);
+//   // → { name: "This field is required", email: "Enter a valid email address" }
+//
+// Solo `required` rechaza el vacío: así un campo opcional con formato
+// (website) se puede dejar en blanco.
+//
+// Sin `message`, el texto sale de i18n en el idioma activo AL VALIDAR (no
+// al crear la regla): unas reglas creadas al cargar el módulo siguen
+// hablando el idioma que el usuario elija después.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { t } from "../i18n/i18n.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) => value == null || String(value).trim() === "";
+
+export const required = (message) => (value) =>
+  isEmpty(value) ? message ?? t("validation.required") : null;
+
+export const email = (message) => (value) =>
+  isEmpty(value) || EMAIL_PATTERN.test(String(value).trim())
+    ? null
+    : message ?? t("validation.email");
+
+// new URL() hace el trabajo duro. Sin protocolo se prueba con https://
+// delante (jsonplaceholder guarda las webs como "hildegard.org"). Se exige
+// un punto en el dominio: new URL("https://hola") es válida pero no es una web.
+export const url = (message) => (value) => {
+  if (isEmpty(value)) return null;
+  const error = message ?? t("validation.url");
+  const text = String(value).trim();
+  try {
+    const parsed = new URL(/^[a-z]+:\/\//i.test(text) ? text : `https://${text}`);
+    const valid = /^https?:$/.test(parsed.protocol) && parsed.hostname.includes(".");
+    return valid ? null : error;
+  } catch {
+    return error;
+  }
+};
+
+// ─── validate ────────────────────────────────────────────────────────────────
+// La primera regla que falla gana: un email vacío dice "obligatorio", no
+// "formato inválido".
+export function validate(values, rules) {
+  const errors = {};
+  for (const [field, fieldRules] of Object.entries(rules)) {
+    for (const rule of fieldRules) {
+      const message = rule(values[field]);
+      if (message) {
+        errors[field] = message;
+        break;
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,123 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// api-client.test.js — Tests del cliente HTTP
+//
+// Conceptos clave:
+//   Sin fixture: api-client no es un componente, se testea llamando a sus
+//   funciones directamente. Basta con mockear window.fetch.
+//
+//   Configuración compartida:
+//     api-client guarda su configuración en el módulo → un test que la cambia
+//     afecta a los siguientes. Guardamos la original en beforeEach y la
+//     restauramos en afterEach (igual que window.fetch).
+//
+//   retryDelay: 0 → los reintentos no esperan, los tests siguen siendo rápidos.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { expect } from "@open-wc/testing";
+import {
+  configureApiClient,
+  getApiConfig,
+  request,
+} from "../src/services/api-client.js";
+
+describe("api-client", () => {
+  let originalFetch;
+  let originalConfig;
+  let calls;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    originalConfig = getApiConfig();
+    calls = [];
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      return Promise.resolve(new Response("[]", { status: 200 }));
+    };
+    configureApiClient({ retryDelay: 0 });
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    configureApiClient(originalConfig);
+  });
+
+  // ── Test 1: baseUrl + cabeceras por defecto ──────────────────────────────
+  it("prefixes relative paths with baseUrl and sends default headers", async () => {
+    configureApiClient({
+      baseUrl: "http://localhost:3000/",
+      headers: { "X-Env": "test" },
+    });
+    await request("/users");
+    expect(calls[0].url).to.equal("http://localhost:3000/users");
+    expect(calls[0].init.headers["X-Env"]).to.equal("test");
+    expect(calls[0].init.headers.Accept).to.equal("application/json");
+  });
+
+  // ── Test 2: reintento con 5xx ─────────────────────────────────────────────
+  // Las dos primeras respuestas son 503, la tercera 200 → request resuelve con
+  // la 200 tras 3 llamadas a fetch (1 intento + 2 reintentos).
+  it("retries 5xx responses until one succeeds", async () => {
+    const statuses = [503, 503, 200];
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      return Promise.resolve(new Response("[]", { status: statuses.shift() }));
+    };
+    const response = await request("/users", { retries: 2 });
+    expect(response.status).to.equal(200);
+    expect(calls.length).to.equal(3);
+  });
+
+  // ── Test 3: los 4xx no se reintentan ──────────────────────────────────────
+  it("does not retry 4xx responses", async () => {
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      return Promise.resolve(new Response("", { status: 404 }));
+    };
+    const response = await request("/users/999", { retries: 2 });
+    expect(response.status).to.equal(404);
+    expect(calls.length).to.equal(1);
+  });
+
+  // ── Test 4: timeout ───────────────────────────────────────────────────────
+  // El fetch mock solo termina cuando su signal se aborta → el timeout de
+  // 10 ms es lo único que puede desbloquearlo.
+  it("rejects with a TimeoutError when the request takes too long", async () => {
+    window.fetch = (url, init) =>
+      new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () =>
+          reject(new DOMException("Aborted", "AbortError")),
+        );
+      });
+    let error;
+    try {
+      await request("/users", { timeout: 10, retries: 0 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.name).to.equal("TimeoutError");
+  });
+
+  // ── Test 5: cancelación externa ───────────────────────────────────────────
+  // Abortar el signal del llamante rechaza con AbortError y no reintenta.
+  it("rejects with an AbortError and does not retry when the caller aborts", async () => {
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () =>
+          reject(new DOMException("Aborted", "AbortError")),
+        );
+      });
+    };
+    const controller = new AbortController();
+    const promise = request("/users", { signal: controller.signal, retries: 2 });
+    controller.abort();
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+    expect(error.name).to.equal("AbortError");
+    expect(calls.length).to.equal(1);
+  });
+});
@@ -9,7 +9,7 @@
 //   shadowRoot     → acceso al DOM interno del componente
 // ─────────────────────────────────────────────────────────────────────────────
 
-import { fixture, html, expect, oneEvent } from "@open-wc/testing";
+import { fixture, html, expect, oneEvent, aTimeout } from "@open-wc/testing";
 import "../src/components/ds-alert.js";
 
 describe("ds-alert", () => {
@@ -77,4 +77,40 @@ describe("ds-alert", () => {
     expect(div).to.have.class("warning");
   });
 
+  // ── Test 5: duration configurable y alert fijo ────────────────────────────
+  // duration corto → se cierra solo; duration 0 → sigue ahí.
+  it("closes after its duration unless it is sticky", async () => {
+    const el = await fixture(html`<ds-alert message="Quick" duration="30"></ds-alert>`);
+    const sticky = await fixture(html`<ds-alert message="Sticky" duration="0"></ds-alert>`);
+    await oneEvent(el, "ds-close");
+    await aTimeout(50);
+    expect(el.shadowRoot.querySelector(".alert")).to.be.null;
+    expect(sticky.shadowRoot.querySelector(".alert")).to.exist;
+  });
+
+  // ── Test 6: hover pausa el temporizador ───────────────────────────────────
+  // Al salir sigue con lo que le quedaba, no vuelve a empezar.
+  it("pauses the timer while hovered", async () => {
+    const el = await fixture(html`<ds-alert message="Read me" duration="60"></ds-alert>`);
+    el.dispatchEvent(new MouseEvent("mouseenter"));
+    await aTimeout(100);
+    expect(el.shadowRoot.querySelector(".alert")).to.exist;
+
+    el.dispatchEvent(new MouseEvent("mouseleave"));
+    await oneEvent(el, "ds-close");
+  });
+
+  // ── Test 7: botón de acción ───────────────────────────────────────────────
+  it("emits ds-alert-action and closes when the action is clicked", async () => {
+    const el = await fixture(
+      html`<ds-alert message="User deleted" action-label="Undo" duration="0"></ds-alert>`,
+    );
+    const button = el.shadowRoot.querySelector(".action-btn");
+    expect(button.textContent).to.equal("Undo");
+    const closed = oneEvent(el, "ds-close");
+    setTimeout(() => button.click());
+    await oneEvent(el, "ds-alert-action");
+    await closed;
+  });
+
 });
@@ -13,6 +13,7 @@
 // ─────────────────────────────────────────────────────────────────────────────
 
 import { fixture, html, expect, oneEvent } from "@open-wc/testing";
+import { sendKeys } from "@web/test-runner-commands";
 import "../src/components/ds-button.js"; // registra <ds-button> en customElements
 
 describe("ds-button", () => {
@@ -87,4 +88,108 @@ describe("ds-button", () => {
     const event = await listener; // esperar a que el evento ocurra
     expect(event).to.exist;
   });
+
+  // ── Test 6: tamaños y variantes nuevas ────────────────────────────────────
+  // size se refleja en el host; md es el tamaño base y no añade clase.
+  it("applies size and outline/ghost variant classes", async () => {
+    const el = await fixture(html`<ds-button size="sm" variant="outline">OK</ds-button>`);
+    const button = el.shadowRoot.querySelector("button");
+    expect(button).to.have.class("sm");
+    expect(button).to.have.class("outline");
+    expect(el).to.have.attribute("size", "sm");
+
+    el.size = "md";
+    el.variant = "ghost";
+    await el.updateComplete;
+    expect(button).not.to.have.class("sm");
+    expect(button).to.have.class("ghost");
+  });
+
+  // ── Test 7: loading bloquea clicks y anuncia aria-busy ────────────────────
+  // El <button> NO se deshabilita (conservaría el foco), pero ni ds-click ni
+  // el click nativo llegan al consumidor.
+  it("blocks clicks and sets aria-busy while loading", async () => {
+    const el = await fixture(html`<ds-button loading>Save</ds-button>`);
+    let clicks = 0;
+    el.addEventListener("ds-click", () => clicks++);
+    el.addEventListener("click", () => clicks++);
+    const button = el.shadowRoot.querySelector("button");
+    button.click();
+    expect(clicks).to.equal(0);
+    expect(button.getAttribute("aria-busy")).to.equal("true");
+    expect(button.disabled).to.be.false;
+    expect(el.shadowRoot.querySelector(".spinner")).to.exist;
+
+    el.loading = false;
+    await el.updateComplete;
+    expect(button.hasAttribute("aria-busy")).to.be.false;
+    expect(el.shadowRoot.querySelector(".spinner")).to.be.null;
+  });
+
+  // ── Test 8: slots prefix / suffix ─────────────────────────────────────────
+  it("projects prefix and suffix icons around the label", async () => {
+    const el = await fixture(html`
+      <ds-button><span slot="prefix">+</span>New<span slot="suffix">→</span></ds-button>
+    `);
+    const names = [...el.shadowRoot.querySelectorAll("slot")].map((slot) => slot.name);
+    expect(names).to.deep.equal(["prefix", "", "suffix"]);
+    const prefix = el.shadowRoot.querySelector("slot[name='prefix']");
+    expect(prefix.assignedElements()[0].textContent).to.equal("+");
+  });
+
+  // ── Test 9: modo enlace ───────────────────────────────────────────────────
+  // href → <a>. Deshabilitado → sin href (no navegable) y aria-disabled.
+  it("renders an anchor when href is set", async () => {
+    const el = await fixture(html`<ds-button href="/users" target="_blank">Users</ds-button>`);
+    const link = el.shadowRoot.querySelector("a");
+    expect(el.shadowRoot.querySelector("button")).to.be.null;
+    expect(link.getAttribute("href")).to.equal("/users");
+    expect(link.getAttribute("rel")).to.equal("noopener noreferrer");
+
+    el.disabled = true;
+    await el.updateComplete;
+    expect(link.hasAttribute("href")).to.be.false;
+    expect(link.getAttribute("aria-disabled")).to.equal("true");
+  });
+
+  // ── Test 10: type="submit" / "reset" actúan sobre el <form> ───────────────
+  // El botón interno está en el Shadow DOM: sin form-association no podría.
+  it("submits and resets the enclosing form", async () => {
+    const form = await fixture(html`
+      <form>
+        <input name="q" value="start" />
+        <ds-button type="submit">Send</ds-button>
+        <ds-button type="reset">Reset</ds-button>
+        <ds-button>Plain</ds-button>
+      </form>
+    `);
+    let submits = 0;
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      submits++;
+    });
+    const [submit, reset, plain] = form.querySelectorAll("ds-button");
+    expect(submit.form).to.equal(form);
+
+    plain.shadowRoot.querySelector("button").click();
+    expect(submits).to.equal(0); // type por defecto: 'button'
+
+    submit.shadowRoot.querySelector("button").click();
+    expect(submits).to.equal(1);
+
+    form.querySelector("input").value = "changed";
+    reset.shadowRoot.querySelector("button").click();
+    expect(form.querySelector("input").value).to.equal("start");
+  });
+
+  // ── Test 11: foco por teclado ─────────────────────────────────────────────
+  // delegatesFocus → Tab llega al <button> interno, que pinta :focus-visible.
+  it("shows a focus-visible outline when reached with the keyboard", async () => {
+    const el = await fixture(html`<ds-button>OK</ds-button>`);
+    await sendKeys({ press: "Tab" });
+    const button = el.shadowRoot.querySelector("button");
+    expect(el.shadowRoot.activeElement).to.equal(button);
+    expect(button.matches(":focus-visible")).to.be.true;
+    expect(getComputedStyle(button).outlineStyle).to.equal("solid");
+  });
 });
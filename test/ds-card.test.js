@@ -0,0 +1,115 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-card.test.js — Tests de los modos interactivo y plegable de ds-card
+//
+// Conceptos clave:
+//   region(el, name) → la sección interna (.card-header, .card-footer...)
+//     para comprobar si está hidden.
+//
+//   El role por defecto (button / link) va por ElementInternals y no se ve
+//   con getAttribute("role"): el atributo solo se comprueba cuando lo pone
+//   el consumidor.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, oneEvent } from "@open-wc/testing";
+import { sendKeys } from "@web/test-runner-commands";
+import "../src/components/ds-card.js";
+
+const region = (el, name) => el.shadowRoot.querySelector(`.card-${name}`);
+
+describe("ds-card", () => {
+  // ── Test 1: regiones vacías ocultas ───────────────────────────────────────
+  it("hides empty header, footer and media regions", async () => {
+    const el = await fixture(html`<ds-card>Only body</ds-card>`);
+    expect(region(el, "header").hidden).to.be.true;
+    expect(region(el, "footer").hidden).to.be.true;
+    expect(region(el, "media").hidden).to.be.true;
+    expect(region(el, "body").hidden).to.be.false;
+  });
+
+  // ── Test 2: slotchange ────────────────────────────────────────────────────
+  // Añadir y quitar contenido después del primer render también cuenta.
+  it("shows and hides regions as slotted content changes", async () => {
+    const el = await fixture(html`
+      <ds-card>
+        <span slot="header">Title</span>
+        Body
+      </ds-card>
+    `);
+    expect(region(el, "header").hidden).to.be.false;
+
+    const footer = Object.assign(document.createElement("small"), { slot: "footer" });
+    el.append(footer);
+    await oneEvent(el.shadowRoot.querySelector("slot[name='footer']"), "slotchange");
+    await el.updateComplete;
+    expect(region(el, "footer").hidden).to.be.false;
+
+    el.querySelector("[slot='header']").remove();
+    await oneEvent(el.shadowRoot.querySelector("slot[name='header']"), "slotchange");
+    await el.updateComplete;
+    expect(region(el, "header").hidden).to.be.true;
+  });
+
+  // ── Test 3: interactive → enfocable y activable con click ─────────────────
+  it("makes an interactive card focusable and emits ds-card-activate on click", async () => {
+    const el = await fixture(html`<ds-card interactive>Open</ds-card>`);
+    expect(el.getAttribute("tabindex")).to.equal("0");
+    setTimeout(() => el.click());
+    const { detail } = await oneEvent(el, "ds-card-activate");
+    expect(detail.originalEvent.type).to.equal("click");
+
+    // Sin interactive se quita el tabindex que puso la card
+    el.interactive = false;
+    await el.updateComplete;
+    expect(el.hasAttribute("tabindex")).to.be.false;
+  });
+
+  // ── Test 4: activación con teclado ────────────────────────────────────────
+  it("activates with Enter and Space like a native button", async () => {
+    const el = await fixture(html`<ds-card interactive>Open</ds-card>`);
+    const keys = [];
+    el.addEventListener("ds-card-activate", (e) => keys.push(e.detail.originalEvent.key));
+    el.focus();
+    await sendKeys({ press: "Enter" });
+    await sendKeys({ press: "Space" });
+    expect(keys).to.deep.equal(["Enter", " "]);
+  });
+
+  // ── Test 5: los controles del contenido no activan la card ────────────────
+  // Un role del consumidor (option en ds-user-list) no se pisa.
+  it("ignores clicks from nested controls and keeps the consumer's role", async () => {
+    const el = await fixture(html`
+      <ds-card interactive role="option" tabindex="-1">
+        <input type="checkbox" />
+      </ds-card>
+    `);
+    let activations = 0;
+    el.addEventListener("ds-card-activate", () => activations++);
+    el.querySelector("input").click();
+    expect(activations).to.equal(0);
+    expect(el.getAttribute("role")).to.equal("option");
+    expect(el.getAttribute("tabindex")).to.equal("-1");
+  });
+
+  // ── Test 6: collapsible ───────────────────────────────────────────────────
+  // Plegada → aria-expanded="false" y cuerpo inert (fuera del orden de Tab).
+  it("toggles a collapsible card from its header button", async () => {
+    const el = await fixture(html`
+      <ds-card collapsible>
+        <span slot="header">Details</span>
+        <button>Inside</button>
+      </ds-card>
+    `);
+    const toggle = el.shadowRoot.querySelector(".toggle");
+    const content = el.shadowRoot.querySelector("#content");
+    expect(toggle.getAttribute("aria-expanded")).to.equal("false");
+    expect(content.inert).to.be.true;
+
+    setTimeout(() => toggle.click());
+    const { detail } = await oneEvent(el, "ds-toggle");
+    expect(detail.open).to.be.true;
+    await el.updateComplete;
+    expect(el.hasAttribute("open")).to.be.true;
+    expect(toggle.getAttribute("aria-expanded")).to.equal("true");
+    expect(content.inert).to.be.false;
+  });
+});
@@ -0,0 +1,43 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-checkbox.test.js — Tests de ds-checkbox
+//
+// Como un checkbox nativo: desmarcado NO aparece en el FormData.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect } from "@open-wc/testing";
+import "../src/components/ds-checkbox.js";
+
+describe("ds-checkbox", () => {
+  // ── Test 1: valor solo si está marcado ────────────────────────────────────
+  it("submits its value only when checked", async () => {
+    const form = await fixture(html`
+      <form><ds-checkbox name="news" value="yes" label="News"></ds-checkbox></form>
+    `);
+    const el = form.querySelector("ds-checkbox");
+    await el.updateComplete;
+    expect(new FormData(form).has("news")).to.be.false;
+
+    el.shadowRoot.querySelector("input").click();
+    await el.updateComplete;
+    expect(el.checked).to.be.true;
+    expect(new FormData(form).get("news")).to.equal("yes");
+  });
+
+  // ── Test 2: required y reset ──────────────────────────────────────────────
+  it("requires being checked and resets to the initial state", async () => {
+    const form = await fixture(html`
+      <form><ds-checkbox name="terms" required></ds-checkbox></form>
+    `);
+    const el = form.querySelector("ds-checkbox");
+    await el.updateComplete;
+    expect(form.checkValidity()).to.be.false;
+
+    el.shadowRoot.querySelector("input").click();
+    await el.updateComplete;
+    expect(form.checkValidity()).to.be.true;
+
+    form.reset();
+    await el.updateComplete;
+    expect(el.checked).to.be.false;
+  });
+});
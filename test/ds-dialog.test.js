@@ -0,0 +1,153 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-dialog.test.js — Tests del modal y de confirm()
+//
+// Conceptos clave:
+//   sendKeys({ press: "Escape" }) → pulsación real de teclado: pasa por el
+//     mismo camino que la de un usuario (keydown en el <dialog>).
+//
+//   deepActive() → el elemento enfocado de verdad, bajando por los shadow
+//     roots (document.activeElement se queda en el host).
+//
+//   clickButton(label) → pulsa el ds-button de confirm() con ese texto.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, oneEvent } from "@open-wc/testing";
+import { sendKeys } from "@web/test-runner-commands";
+import { confirm } from "../src/components/ds-dialog.js";
+
+const nativeDialog = (el) => el.shadowRoot.querySelector("dialog");
+
+function deepActive() {
+  let active = document.activeElement;
+  while (active?.shadowRoot?.activeElement) active = active.shadowRoot.activeElement;
+  return active;
+}
+
+const clickButton = (label) =>
+  [...document.querySelectorAll("body > ds-dialog ds-button")]
+    .find((button) => button.textContent.trim() === label)
+    .shadowRoot.querySelector("button")
+    .click();
+
+describe("ds-dialog", () => {
+  // ── Test 1: abre como modal nativo con sus slots ──────────────────────────
+  it("opens a native modal dialog with header, body and footer", async () => {
+    const el = await fixture(html`
+      <ds-dialog heading="Delete user">
+        <p>Body text</p>
+        <button slot="footer">OK</button>
+      </ds-dialog>
+    `);
+    expect(nativeDialog(el).open).to.be.false;
+    setTimeout(() => el.show());
+    await oneEvent(el, "ds-open");
+    expect(nativeDialog(el).open).to.be.true;
+    expect(nativeDialog(el).matches(":modal")).to.be.true;
+    expect(el.shadowRoot.querySelector(".heading").textContent).to.include("Delete user");
+    expect(el.shadowRoot.querySelector(".footer").hidden).to.be.false;
+    el.close();
+  });
+
+  // ── Test 2: sin footer no se pinta el pie ─────────────────────────────────
+  it("hides the footer region when the slot is empty", async () => {
+    const el = await fixture(html`<ds-dialog open>Only body</ds-dialog>`);
+    expect(el.shadowRoot.querySelector(".footer").hidden).to.be.true;
+    el.close();
+  });
+
+  // ── Test 3: foco al abrir y vuelta al cerrar ──────────────────────────────
+  it("moves focus inside on open and restores it on close", async () => {
+    const root = await fixture(html`
+      <div>
+        <button id="opener">Open</button>
+        <ds-dialog heading="Edit"><input autofocus /></ds-dialog>
+      </div>
+    `);
+    const opener = root.querySelector("#opener");
+    const el = root.querySelector("ds-dialog");
+    opener.focus();
+    el.open = true;
+    await el.updateComplete;
+    expect(deepActive()).to.equal(el.querySelector("input"));
+
+    el.open = false;
+    await oneEvent(el, "ds-close");
+    expect(document.activeElement).to.equal(opener);
+  });
+
+  // ── Test 4: Escape se puede vetar ─────────────────────────────────────────
+  // Primera vez: el host cancela ds-request-close → sigue abierto.
+  // Segunda vez: nadie lo cancela → se cierra con reason "escape".
+  it("lets the host veto Escape through ds-request-close", async () => {
+    const el = await fixture(html`<ds-dialog heading="Unsaved"><input autofocus /></ds-dialog>`);
+    el.show();
+    await el.updateComplete;
+
+    let veto = true;
+    const reasons = [];
+    el.addEventListener("ds-request-close", (e) => {
+      reasons.push(e.detail.reason);
+      if (veto) e.preventDefault();
+    });
+    await sendKeys({ press: "Escape" });
+    expect(el.open).to.be.true;
+    expect(nativeDialog(el).open).to.be.true;
+
+    veto = false;
+    const closed = oneEvent(el, "ds-close");
+    await sendKeys({ press: "Escape" });
+    const { detail } = await closed;
+    expect(reasons).to.deep.equal(["escape", "escape"]);
+    expect(detail.reason).to.equal("escape");
+    expect(el.open).to.be.false;
+  });
+
+  // ── Test 5: click en el fondo ─────────────────────────────────────────────
+  // El <dialog> no tiene padding: un click cuyo target es el <dialog> es el
+  // fondo; uno en el panel no cierra.
+  it("closes on backdrop click but not on clicks inside the panel", async () => {
+    const el = await fixture(html`<ds-dialog heading="Backdrop">Body</ds-dialog>`);
+    el.show();
+    await el.updateComplete;
+    const dialog = nativeDialog(el);
+
+    const panel = el.shadowRoot.querySelector(".panel");
+    panel.dispatchEvent(new PointerEvent("pointerdown", { bubbles: true }));
+    panel.click();
+    expect(el.open).to.be.true;
+
+    const closed = oneEvent(el, "ds-close");
+    dialog.dispatchEvent(new PointerEvent("pointerdown", { bubbles: true }));
+    dialog.click();
+    expect((await closed).detail.reason).to.equal("backdrop");
+  });
+});
+
+describe("confirm", () => {
+  // ── Test 6: confirmar → true ──────────────────────────────────────────────
+  it("resolves true when confirmed and removes the dialog", async () => {
+    const result = confirm({ title: "Delete?", message: "Really?", confirmLabel: "Delete" });
+    await customElements.whenDefined("ds-dialog");
+    const dialog = document.querySelector("body > ds-dialog");
+    await dialog.updateComplete;
+    expect(dialog.heading).to.equal("Delete?");
+    expect(dialog.textContent).to.include("Really?");
+    clickButton("Delete");
+    expect(await result).to.be.true;
+    expect(document.querySelector("body > ds-dialog")).to.be.null;
+  });
+
+  // ── Test 7: danger → foco en Cancelar; Escape → false ─────────────────────
+  it("focuses cancel for danger confirms and resolves false on Escape", async () => {
+    const result = confirm({ title: "Delete 3 users?", variant: "danger" });
+    const dialog = document.querySelector("body > ds-dialog");
+    await dialog.updateComplete;
+    const buttons = dialog.querySelectorAll("ds-button");
+    await buttons[0].updateComplete;
+    expect(buttons[1].variant).to.equal("danger");
+    expect(deepActive()).to.equal(buttons[0].shadowRoot.querySelector("button"));
+
+    await sendKeys({ press: "Escape" });
+    expect(await result).to.be.false;
+  });
+});
@@ -0,0 +1,138 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-input.test.js — Tests de ds-input (y de lo común de DsFormControl)
+//
+// Conceptos clave:
+//   Form-associated custom elements:
+//     el ds-input se monta DENTRO de un <form> real y se comprueba con las
+//     APIs nativas: new FormData(form), form.checkValidity(), form.reset().
+//     Si el elemento participa de verdad, se comporta como un <input>.
+//
+//   type(el, texto):
+//     escribe en el <input> interno y lanza `input`, como al teclear.
+//     Para minlength hace falta teclear de verdad (sendKeys).
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect } from "@open-wc/testing";
+import { sendKeys } from "@web/test-runner-commands";
+import "../src/components/ds-input.js";
+
+function type(el, text) {
+  const control = el.shadowRoot.querySelector("input");
+  control.value = text;
+  control.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+  return el.updateComplete;
+}
+
+describe("ds-input", () => {
+  // ── Test 1: el valor viaja en el FormData ─────────────────────────────────
+  it("submits its value with the native form", async () => {
+    const form = await fixture(html`
+      <form><ds-input name="city" value="Madrid"></ds-input></form>
+    `);
+    const el = form.querySelector("ds-input");
+    await el.updateComplete;
+    expect(new FormData(form).get("city")).to.equal("Madrid");
+
+    await type(el, "Sevilla");
+    expect(el.value).to.equal("Sevilla");
+    expect(new FormData(form).get("city")).to.equal("Sevilla");
+    expect(el.form).to.equal(form);
+  });
+
+  // ── Test 2: required / pattern / minlength ────────────────────────────────
+  it("applies required, pattern and minlength constraints", async () => {
+    const form = await fixture(html`
+      <form>
+        <ds-input name="a" required></ds-input>
+        <ds-input name="b" pattern="[0-9]{5}" value="12"></ds-input>
+        <ds-input name="c" minlength="4"></ds-input>
+      </form>
+    `);
+    const [a, b, c] = form.querySelectorAll("ds-input");
+    await Promise.all([a.updateComplete, b.updateComplete, c.updateComplete]);
+    expect(a.validity.valueMissing).to.be.true;
+    expect(b.validity.patternMismatch).to.be.true;
+    expect(form.checkValidity()).to.be.false;
+
+    await type(a, "x");
+    await type(b, "28001");
+    // tooShort solo salta con texto tecleado de verdad, no asignado por código
+    c.focus();
+    await sendKeys({ type: "abc" });
+    await c.updateComplete;
+    expect(c.validity.tooShort).to.be.true;
+    await sendKeys({ type: "d" });
+    await c.updateComplete;
+    expect(form.checkValidity()).to.be.true;
+  });
+
+  // ── Test 3: el error aparece tras intentar enviar ─────────────────────────
+  // form.checkValidity() lanza `invalid` en cada campo inválido.
+  it("shows the validation message after an invalid submit attempt", async () => {
+    const form = await fixture(html`<form><ds-input name="a" required></ds-input></form>`);
+    const el = form.querySelector("ds-input");
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector(".error")).to.be.null;
+
+    form.checkValidity();
+    await el.updateComplete;
+    const error = el.shadowRoot.querySelector(".error");
+    expect(error.textContent.trim()).to.equal(el.validationMessage);
+    const control = el.shadowRoot.querySelector("input");
+    expect(control.getAttribute("aria-invalid")).to.equal("true");
+    expect(control.getAttribute("aria-describedby")).to.equal("hint error");
+  });
+
+  // ── Test 4: slots label / hint / error ────────────────────────────────────
+  it("renders label, hint and error from properties or slots", async () => {
+    const el = await fixture(html`
+      <ds-input label="Zip" hint="Five digits" pattern="[0-9]{5}" value="1">
+        <span slot="error">Use five digits</span>
+      </ds-input>
+    `);
+    expect(el.shadowRoot.querySelector(".label").textContent).to.include("Zip");
+    expect(el.shadowRoot.querySelector(".hint").textContent).to.include("Five digits");
+    el.reportValidity();
+    await el.updateComplete;
+    await el.updateComplete;
+    const slot = el.shadowRoot.querySelector("slot[name='error']");
+    expect(slot.assignedElements()[0].textContent).to.equal("Use five digits");
+  });
+
+  // ── Test 5: error propio (servidor) ───────────────────────────────────────
+  it("marks the field invalid with a custom error until it is cleared", async () => {
+    const el = await fixture(html`<ds-input value="taken"></ds-input>`);
+    el.error = "Username already taken";
+    await el.updateComplete;
+    expect(el.validity.customError).to.be.true;
+    expect(el.validationMessage).to.equal("Username already taken");
+    el.error = "";
+    await el.updateComplete;
+    expect(el.checkValidity()).to.be.true;
+  });
+
+  // ── Test 6: reset y fieldset disabled ─────────────────────────────────────
+  it("restores the initial value on reset and follows fieldset disabled", async () => {
+    const form = await fixture(html`
+      <form>
+        <fieldset><ds-input name="a" value="start"></ds-input></fieldset>
+      </form>
+    `);
+    const el = form.querySelector("ds-input");
+    await type(el, "changed");
+    form.reset();
+    await el.updateComplete;
+    expect(el.value).to.equal("start");
+
+    form.querySelector("fieldset").disabled = true;
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector("input").disabled).to.be.true;
+  });
+
+  // ── Test 7: el foco va al control interno ─────────────────────────────────
+  it("delegates focus to the inner input", async () => {
+    const el = await fixture(html`<ds-input></ds-input>`);
+    el.focus();
+    expect(el.shadowRoot.activeElement).to.equal(el.shadowRoot.querySelector("input"));
+  });
+});
@@ -0,0 +1,53 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-select.test.js — Tests de ds-select
+//
+// Las opciones pueden venir de la propiedad `options` o de <option> hijos;
+// se prueban las dos formas.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, oneEvent } from "@open-wc/testing";
+import "../src/components/ds-select.js";
+
+describe("ds-select", () => {
+  // ── Test 1: <option> hijos + placeholder obligatorio ──────────────────────
+  it("reads child options and requires a choice over the placeholder", async () => {
+    const form = await fixture(html`
+      <form>
+        <ds-select name="role" placeholder="Choose one..." required>
+          <option value="admin">Admin</option>
+          <option value="editor">Editor</option>
+        </ds-select>
+      </form>
+    `);
+    const el = form.querySelector("ds-select");
+    await el.updateComplete;
+    await el.updateComplete;
+    const labels = [...el.shadowRoot.querySelectorAll("select option")].map((o) => o.textContent);
+    expect(labels).to.deep.equal(["Choose one...", "Admin", "Editor"]);
+    expect(el.validity.valueMissing).to.be.true;
+
+    const select = el.shadowRoot.querySelector("select");
+    select.value = "editor";
+    select.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+    setTimeout(() => select.dispatchEvent(new Event("change")));
+    await oneEvent(el, "change");
+    await el.updateComplete;
+    expect(new FormData(form).get("role")).to.equal("editor");
+    expect(form.checkValidity()).to.be.true;
+  });
+
+  // ── Test 2: propiedad options y valor inicial ─────────────────────────────
+  // Sin placeholder ni value, el valor es el de la primera opción (como nativo).
+  it("renders options from the property and reflects the initial value", async () => {
+    const options = [
+      { value: "es", label: "Español" },
+      { value: "en", label: "English" },
+    ];
+    const first = await fixture(html`<ds-select .options=${options}></ds-select>`);
+    await first.updateComplete;
+    expect(first.value).to.equal("es");
+
+    const chosen = await fixture(html`<ds-select .options=${options} value="en"></ds-select>`);
+    expect(chosen.shadowRoot.querySelector("select").value).to.equal("en");
+  });
+});
@@ -0,0 +1,173 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-table.test.js — Tests de la tabla de datos genérica
+//
+// Conceptos clave:
+//   cells(el, col) → texto de la columna `col` en cada fila, en el orden en
+//     que se pintan: así se comprueba la ordenación sin mirar los datos.
+//
+//   header(el, key) → el <th> de una columna (data-key): ahí viven aria-sort,
+//     el botón de ordenar y el tirador de ancho.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, oneEvent } from "@open-wc/testing";
+import { sendKeys } from "@web/test-runner-commands";
+import "../src/components/ds-table.js";
+
+const ROWS = [
+  { id: 1, name: "Carla", company: { name: "Acme" } },
+  { id: 2, name: "Ana", company: { name: "Globex" } },
+  { id: 3, name: "Bruno", company: { name: "Initech" } },
+];
+
+const COLUMNS = [
+  { key: "name", header: "Name", sortable: true },
+  { key: "company.name", header: "Company" },
+];
+
+const cells = (el, col) =>
+  [...el.shadowRoot.querySelectorAll("tbody tr")].map((tr) =>
+    tr.querySelectorAll("td:not(.select-cell)")[col].textContent.trim(),
+  );
+
+const header = (el, key) => el.shadowRoot.querySelector(`th[data-key='${key}']`);
+
+describe("ds-table", () => {
+  // ── Test 1: columnas, rutas y renderer ────────────────────────────────────
+  it("renders one row per item using column keys and renderers", async () => {
+    const el = await fixture(html`
+      <ds-table
+        .rows=${ROWS}
+        .columns=${[...COLUMNS, { key: "id", header: "#", render: (row) => `#${row.id}` }]}
+      ></ds-table>
+    `);
+    expect(cells(el, 0)).to.deep.equal(["Carla", "Ana", "Bruno"]);
+    expect(cells(el, 1)).to.deep.equal(["Acme", "Globex", "Initech"]);
+    expect(cells(el, 2)).to.deep.equal(["#1", "#2", "#3"]);
+    expect(header(el, "company.name").hasAttribute("aria-sort")).to.be.false;
+  });
+
+  // ── Test 2: ordenar desde la cabecera ─────────────────────────────────────
+  // Primer click → asc; segundo → desc. aria-sort acompaña.
+  it("sorts by a sortable column and reflects it in aria-sort", async () => {
+    const el = await fixture(html`<ds-table .rows=${ROWS} .columns=${COLUMNS}></ds-table>`);
+    expect(header(el, "name").getAttribute("aria-sort")).to.equal("none");
+    const button = header(el, "name").querySelector(".sort-btn");
+
+    setTimeout(() => button.click());
+    const { detail } = await oneEvent(el, "ds-sort-change");
+    expect(detail).to.deep.equal({ sort: "name", order: "asc" });
+    await el.updateComplete;
+    expect(cells(el, 0)).to.deep.equal(["Ana", "Bruno", "Carla"]);
+    expect(header(el, "name").getAttribute("aria-sort")).to.equal("ascending");
+
+    button.click();
+    await el.updateComplete;
+    expect(cells(el, 0)).to.deep.equal(["Carla", "Bruno", "Ana"]);
+    expect(header(el, "name").getAttribute("aria-sort")).to.equal("descending");
+  });
+
+  // ── Test 3: manual-sort ───────────────────────────────────────────────────
+  it("only emits ds-sort-change in manual-sort mode", async () => {
+    const el = await fixture(
+      html`<ds-table manual-sort .rows=${ROWS} .columns=${COLUMNS}></ds-table>`,
+    );
+    setTimeout(() => header(el, "name").querySelector(".sort-btn").click());
+    await oneEvent(el, "ds-sort-change");
+    await el.updateComplete;
+    expect(cells(el, 0)).to.deep.equal(["Carla", "Ana", "Bruno"]);
+  });
+
+  // ── Test 4: selección multiple ────────────────────────────────────────────
+  // Checkbox por fila + "select all" en la cabecera (con indeterminate).
+  it("selects rows with checkboxes and select-all in multiple mode", async () => {
+    const el = await fixture(html`
+      <ds-table selection-mode="multiple" .rows=${ROWS} .columns=${COLUMNS}></ds-table>
+    `);
+    const boxes = () => [...el.shadowRoot.querySelectorAll("tbody input[type='checkbox']")];
+    const all = el.shadowRoot.querySelector("thead input[type='checkbox']");
+
+    setTimeout(() => boxes()[1].click());
+    const { detail } = await oneEvent(el, "ds-selection-change");
+    expect(detail.selected).to.deep.equal([2]);
+    expect(detail.rows).to.deep.equal([ROWS[1]]);
+    await el.updateComplete;
+    expect(all.indeterminate).to.be.true;
+
+    all.click();
+    await el.updateComplete;
+    expect(el.selected).to.deep.equal([1, 2, 3]);
+    expect(el.shadowRoot.querySelectorAll("tbody tr[aria-selected='true']").length).to.equal(3);
+    // aria-selected solo cuenta dentro de un grid
+    const table = el.shadowRoot.querySelector("table");
+    expect(table.getAttribute("role")).to.equal("grid");
+    expect(table.getAttribute("aria-multiselectable")).to.equal("true");
+
+    el.selectionMode = "none";
+    await el.updateComplete;
+    expect(table.hasAttribute("role")).to.be.false;
+    expect(el.shadowRoot.querySelector("tbody tr[aria-selected]")).to.be.null;
+  });
+
+  // ── Test 5: teclado ───────────────────────────────────────────────────────
+  // Roving tabindex en las filas; Enter activa (y en single selecciona).
+  it("moves between rows with arrows and activates with Enter", async () => {
+    const el = await fixture(html`
+      <ds-table selection-mode="single" .rows=${ROWS} .columns=${COLUMNS}></ds-table>
+    `);
+    const rows = () => [...el.shadowRoot.querySelectorAll("tbody tr")];
+    expect(rows().map((tr) => tr.getAttribute("tabindex"))).to.deep.equal(["0", "-1", "-1"]);
+
+    rows()[0].focus();
+    await sendKeys({ press: "ArrowDown" });
+    await el.updateComplete;
+    expect(el.shadowRoot.activeElement).to.equal(rows()[1]);
+
+    setTimeout(() => sendKeys({ press: "Enter" }));
+    const { detail } = await oneEvent(el, "ds-row-activate");
+    expect(detail.row).to.equal(ROWS[1]);
+    expect(el.selected).to.deep.equal([2]);
+  });
+
+  // ── Test 6: columnas ocultas y menú ───────────────────────────────────────
+  it("hides and shows columns from the column picker", async () => {
+    const el = await fixture(html`
+      <ds-table
+        column-picker
+        .rows=${ROWS}
+        .columns=${[...COLUMNS, { key: "id", header: "#", hidden: true }]}
+      ></ds-table>
+    `);
+    expect(header(el, "id")).to.be.null;
+    const toggles = [...el.shadowRoot.querySelectorAll(".menu input")];
+    expect(toggles.map((box) => box.checked)).to.deep.equal([true, true, false]);
+
+    setTimeout(() => toggles[2].click());
+    const { detail } = await oneEvent(el, "ds-columns-change");
+    expect(detail.hidden).to.deep.equal([]);
+    await el.updateComplete;
+    expect(header(el, "id")).to.exist;
+
+    toggles[0].click();
+    await el.updateComplete;
+    expect(header(el, "name")).to.be.null;
+  });
+
+  // ── Test 7: redimensionar ─────────────────────────────────────────────────
+  // Con el teclado en el tirador: → ensancha la columna (RESIZE_STEP px).
+  it("resizes a column from its resize handle", async () => {
+    const el = await fixture(html`
+      <div style="width: 600px">
+        <ds-table .rows=${ROWS} .columns=${COLUMNS}></ds-table>
+      </div>
+    `);
+    const table = el.querySelector("ds-table");
+    const before = header(table, "name").getBoundingClientRect().width;
+    header(table, "name").querySelector(".resizer").focus();
+    setTimeout(() => sendKeys({ press: "ArrowRight" }));
+    const { detail } = await oneEvent(table, "ds-column-resize");
+    expect(detail.key).to.equal("name");
+    expect(detail.width).to.equal(Math.round(before + 16));
+    await table.updateComplete;
+    expect(header(table, "name").getBoundingClientRect().width).to.be.closeTo(detail.width, 1);
+  });
+});
@@ -0,0 +1,29 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-textarea.test.js — Tests de ds-textarea
+//
+// Lo común (slots, reset, errores) ya lo cubre ds-input.test.js: aquí solo
+// lo propio del textarea.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect } from "@open-wc/testing";
+import "../src/components/ds-textarea.js";
+
+describe("ds-textarea", () => {
+  // ── Test 1: varias líneas en el FormData ──────────────────────────────────
+  it("submits multi-line text and honours required", async () => {
+    const form = await fixture(html`
+      <form><ds-textarea name="bio" rows="5" required></ds-textarea></form>
+    `);
+    const el = form.querySelector("ds-textarea");
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector("textarea").rows).to.equal(5);
+    expect(form.checkValidity()).to.be.false;
+
+    const control = el.shadowRoot.querySelector("textarea");
+    control.value = "line 1\nline 2";
+    control.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+    await el.updateComplete;
+    expect(new FormData(form).get("bio")).to.equal("line 1\nline 2");
+    expect(form.checkValidity()).to.be.true;
+  });
+});
@@ -0,0 +1,92 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-toaster.test.js — Tests del sistema de toasts
+//
+// Conceptos clave:
+//   alerts(toaster) → los ds-alert pintados ahora mismo (los visibles).
+//     Los que esperan en cola todavía no existen en el DOM.
+//
+//   afterEach → toast() sin toaster crea uno en <body>; se limpia para que
+//     no se quede entre tests.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, oneEvent } from "@open-wc/testing";
+import { toast } from "../src/components/ds-toaster.js";
+import { setLocale } from "../src/i18n/i18n.js";
+
+const alerts = (toaster) => [...toaster.shadowRoot.querySelectorAll("ds-alert")];
+
+// aria-label de la región en inglés ("Notifications").
+before(() => setLocale("en"));
+
+describe("ds-toaster", () => {
+  afterEach(() => {
+    document.querySelectorAll("body > ds-toaster").forEach((toaster) => toaster.remove());
+  });
+
+  // ── Test 1: apila y respeta el máximo visible ─────────────────────────────
+  it("stacks toasts and queues the ones over the limit", async () => {
+    const toaster = await fixture(html`<ds-toaster max="2"></ds-toaster>`);
+    toaster.show({ message: "One", duration: 0 });
+    const second = toaster.show({ type: "error", message: "Two", duration: 0 });
+    toaster.show({ message: "Three", duration: 0 });
+    await toaster.updateComplete;
+    expect(alerts(toaster).map((alert) => alert.message)).to.deep.equal(["One", "Two"]);
+    expect(alerts(toaster)[1].type).to.equal("error");
+
+    second.dismiss();
+    await toaster.updateComplete;
+    expect(alerts(toaster).map((alert) => alert.message)).to.deep.equal(["One", "Three"]);
+  });
+
+  // ── Test 2: al cerrarse sale del DOM ──────────────────────────────────────
+  it("removes a toast from the DOM when it closes", async () => {
+    const toaster = await fixture(html`<ds-toaster></ds-toaster>`);
+    toaster.show({ message: "Bye", duration: 20 });
+    await toaster.updateComplete;
+    await oneEvent(toaster, "ds-close");
+    await toaster.updateComplete;
+    expect(alerts(toaster)).to.have.length(0);
+  });
+
+  // ── Test 3: región aria-live ──────────────────────────────────────────────
+  it("announces toasts through a polite live region", async () => {
+    const toaster = await fixture(html`<ds-toaster></ds-toaster>`);
+    const region = toaster.shadowRoot.querySelector("[aria-live]");
+    expect(region.getAttribute("aria-live")).to.equal("polite");
+    expect(region.getAttribute("aria-label")).to.equal("Notifications");
+    toaster.show("Saved");
+    await toaster.updateComplete;
+    expect(region.contains(alerts(toaster)[0])).to.be.true;
+  });
+
+  // ── Test 4: toast() y la acción ───────────────────────────────────────────
+  // Usa el último ds-toaster conectado; onClick se llama al pulsar la acción.
+  it("toast() shows the notification in the connected toaster", async () => {
+    const toaster = await fixture(html`<ds-toaster></ds-toaster>`);
+    let undone = false;
+    toast({
+      type: "warning",
+      message: "User deleted",
+      duration: 0,
+      action: { label: "Undo", onClick: () => (undone = true) },
+    });
+    await toaster.updateComplete;
+    const [alert] = alerts(toaster);
+    expect(alert.actionLabel).to.equal("Undo");
+    await alert.updateComplete;
+    alert.shadowRoot.querySelector(".action-btn").click();
+    await toaster.updateComplete;
+    expect(undone).to.be.true;
+    expect(alerts(toaster)).to.have.length(0);
+  });
+
+  // ── Test 5: sin toaster, toast() crea uno ─────────────────────────────────
+  it("creates a toaster in the body when none is connected", async () => {
+    const { dismiss } = toast("Hello");
+    const toaster = document.querySelector("body > ds-toaster");
+    expect(toaster).to.exist;
+    await toaster.updateComplete;
+    expect(alerts(toaster)[0].message).to.equal("Hello");
+    dismiss();
+  });
+});
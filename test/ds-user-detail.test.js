@@ -0,0 +1,150 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-user-detail.test.js — Tests de la ficha de usuario
+//
+// Conceptos clave:
+//   Dos formas de montar el componente:
+//     .user=${...}  → datos ya disponibles, sin fetch
+//     user-id="1"   → el componente llama a getUserById (fetch mockeado)
+//
+//   Eventos cancelables:
+//     e.preventDefault() en el listener → dispatchEvent devuelve false y el
+//     componente no ejecuta la acción por defecto (portapapeles).
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, oneEvent, aTimeout } from "@open-wc/testing";
+import "../src/components/ds-user-detail.js";
+import { configureApiClient, getApiConfig } from "../src/services/api-client.js";
+import { clearCache } from "../src/services/request-cache.js";
+import { setLocale } from "../src/i18n/i18n.js";
+
+const FULL_USER = {
+  id: 1,
+  name: "Leanne Graham",
+  username: "Bret",
+  email: "Sincere@april.biz",
+  phone: "1-770-736-8031",
+  website: "hildegard.org",
+  address: {
+    street: "Kulas Light",
+    suite: "Apt. 556",
+    city: "Gwenborough",
+    zipcode: "92998-3874",
+    geo: { lat: "-37.3159", lng: "81.1496" },
+  },
+  company: {
+    name: "Romaguera-Crona",
+    catchPhrase: "Multi-layered client-server neural-net",
+    bs: "harness real-time e-markets",
+  },
+};
+
+// "Loading" y "User not found" son del catálogo en inglés.
+before(() => setLocale("en"));
+
+describe("ds-user-detail", () => {
+  let originalFetch;
+  let originalConfig;
+
+  beforeEach(() => {
+    clearCache();
+    originalFetch = window.fetch;
+    originalConfig = getApiConfig();
+    configureApiClient({ retries: 0 });
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    configureApiClient(originalConfig);
+  });
+
+  // ── Test 1: todas las secciones ───────────────────────────────────────────
+  it("renders contact, address with geo and company sections", async () => {
+    const el = await fixture(html`<ds-user-detail .user=${FULL_USER}></ds-user-detail>`);
+    const text = el.shadowRoot.textContent;
+    expect(text).to.include("@Bret");
+    expect(text).to.include("1-770-736-8031");
+    expect(el.shadowRoot.querySelector(".address").textContent).to.include("-37.3159, 81.1496");
+    expect(el.shadowRoot.querySelector(".company").textContent).to.include("Romaguera-Crona");
+  });
+
+  // ── Test 2: carga por id ──────────────────────────────────────────────────
+  it("fetches the user when only user-id is given", async () => {
+    let requestedUrl;
+    window.fetch = (url) => {
+      requestedUrl = url;
+      return Promise.resolve(new Response(JSON.stringify(FULL_USER), { status: 200 }));
+    };
+    const el = await fixture(html`<ds-user-detail user-id="1"></ds-user-detail>`);
+    expect(el.shadowRoot.textContent).to.include("Loading");
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(requestedUrl).to.match(/\/users\/1$/);
+    expect(el.shadowRoot.querySelector(".name").textContent).to.equal("Leanne Graham");
+  });
+
+  // ── Test 3: error con ds-alert ────────────────────────────────────────────
+  it("shows an error alert when the user cannot be loaded", async () => {
+    window.fetch = () =>
+      Promise.resolve(new Response("{}", { status: 404, statusText: "Not Found" }));
+    const el = await fixture(html`<ds-user-detail user-id="99"></ds-user-detail>`);
+    await aTimeout(0);
+    await el.updateComplete;
+    const alert = el.shadowRoot.querySelector("ds-alert");
+    expect(alert).to.exist;
+    expect(alert.message).to.include("User not found");
+  });
+
+  // ── Test 4: evento cancelable ─────────────────────────────────────────────
+  it("emits a cancelable ds-user-copy-email event with the email", async () => {
+    const el = await fixture(html`<ds-user-detail .user=${FULL_USER}></ds-user-detail>`);
+    el.addEventListener("ds-user-copy-email", (e) => e.preventDefault());
+    const listener = oneEvent(el, "ds-user-copy-email");
+    el.shadowRoot.querySelector(".actions ds-button").shadowRoot.querySelector("button").click();
+    const { detail, defaultPrevented } = await listener;
+    expect(detail.email).to.equal("Sincere@april.biz");
+    expect(defaultPrevented).to.be.true;
+  });
+
+  // ── Test 5: URL del website con protocolo ─────────────────────────────────
+  it("emits ds-user-open-website with an absolute url", async () => {
+    const el = await fixture(html`<ds-user-detail .user=${FULL_USER}></ds-user-detail>`);
+    el.addEventListener("ds-user-open-website", (e) => e.preventDefault());
+    const listener = oneEvent(el, "ds-user-open-website");
+    const [, website] = el.shadowRoot.querySelectorAll(".actions ds-button");
+    website.shadowRoot.querySelector("button").click();
+    const { detail } = await listener;
+    expect(detail.url).to.equal("https://hildegard.org");
+  });
+
+  // ── Test 6: el host pasa el usuario mientras carga ────────────────────────
+  // La petición en curso se aborta y se pinta el usuario recibido.
+  it("aborts the pending load when user satisfies user-id", async () => {
+    let signal;
+    window.fetch = (url, init) => {
+      signal = init.signal;
+      return new Promise(() => {});
+    };
+    const el = await fixture(html`<ds-user-detail user-id="1"></ds-user-detail>`);
+    expect(el.shadowRoot.textContent).to.include("Loading");
+
+    el.user = FULL_USER;
+    await el.updateComplete;
+    expect(signal.aborted).to.be.true;
+    expect(el.shadowRoot.querySelector(".name").textContent).to.equal("Leanne Graham");
+  });
+
+  // ── Test 7: el host quita el user-id tras un error ────────────────────────
+  it("clears a failed load when user-id becomes empty", async () => {
+    window.fetch = () =>
+      Promise.resolve(new Response("{}", { status: 500, statusText: "Server Error" }));
+    const el = await fixture(html`<ds-user-detail user-id="1"></ds-user-detail>`);
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector("ds-alert")).to.exist;
+
+    el.userId = "";
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelector("ds-alert")).to.not.exist;
+    expect(el.shadowRoot.textContent.trim()).to.equal("");
+  });
+});
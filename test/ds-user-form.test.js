@@ -0,0 +1,250 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// ds-user-form.test.js — Tests del formulario de usuario
+//
+// Conceptos clave:
+//   fill(el, campo, valor):
+//     escribe en el input y dispara input + blur, igual que un usuario que
+//     escribe y pasa al siguiente campo (el error solo aparece tras el blur).
+//
+//   Rollback optimista:
+//     el test monta ds-user-list y ds-user-form juntos y los conecta con
+//     los mismos tres listeners que app-shell. Así se prueba el contrato
+//     completo: ds-user-save → upsertUser → ds-user-save-error → rollback.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, oneEvent, aTimeout } from "@open-wc/testing";
+import "../src/components/ds-user-form.js";
+import "../src/components/ds-user-list.js";
+import { configureApiClient, getApiConfig } from "../src/services/api-client.js";
+import { clearCache } from "../src/services/request-cache.js";
+import { email, required, url, validate } from "../src/utils/validators.js";
+import { setLocale } from "../src/i18n/i18n.js";
+
+const USER = {
+  id: 1,
+  name: "Leanne Graham",
+  username: "Bret",
+  email: "Sincere@april.biz",
+  phone: "1-770-736-8031",
+  website: "hildegard.org",
+  address: { city: "Gwenborough" },
+  company: { name: "Romaguera-Crona", bs: "harness real-time e-markets" },
+};
+
+// Cada campo es un ds-input: el <input> y el mensaje de error viven en su
+// shadow DOM.
+const input = (el, name) => el.shadowRoot.querySelector(`ds-input[name='${name}']`);
+const control = (el, name) => input(el, name).shadowRoot.querySelector("input");
+const errorOf = (el, name) =>
+  input(el, name).shadowRoot.querySelector("#error")?.textContent.trim();
+
+// Como al teclear: `input` composed (cruza el shadow DOM) y luego blur.
+function fill(el, name, value) {
+  const field = control(el, name);
+  field.value = value;
+  field.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+  field.dispatchEvent(new Event("blur"));
+}
+
+// El error va del formulario al ds-input (.error) y de ahí a su validity
+// (en updated) → varias actualizaciones encadenadas en microtareas.
+async function settle(el) {
+  await aTimeout(0);
+  await el.updateComplete;
+}
+
+const clickSave = (el) =>
+  [...el.shadowRoot.querySelectorAll("ds-button")]
+    .find((button) => button.textContent.trim() === "Save")
+    .shadowRoot.querySelector("button")
+    .click();
+
+// Hook raíz: los mensajes de validación de los dos describe se comprueban
+// en inglés, sea cual sea el idioma del navegador.
+before(() => setLocale("en"));
+
+describe("validators", () => {
+  // ── Test 1: reglas sueltas ────────────────────────────────────────────────
+  it("checks required, email and url formats", () => {
+    expect(required()("  ")).to.equal("This field is required");
+    expect(email()("nope")).to.equal("Enter a valid email address");
+    expect(email()("a@b.co")).to.be.null;
+    expect(url()("hildegard.org")).to.be.null;
+    expect(url()("https://example.com/path")).to.be.null;
+    expect(url()("not a url")).to.equal("Enter a valid URL");
+    expect(url()("ftp://example.com")).to.equal("Enter a valid URL");
+    expect(url()("")).to.be.null; // opcional
+  });
+
+  // ── Test 2: validate → primera regla que falla ────────────────────────────
+  it("reports the first failing rule per field", () => {
+    const errors = validate(
+      { name: "Ann", email: "" },
+      { name: [required()], email: [required(), email()] },
+    );
+    expect(errors).to.deep.equal({ email: "This field is required" });
+  });
+});
+
+describe("ds-user-form", () => {
+  let originalFetch;
+  let originalRetries;
+
+  before(() => {
+    originalRetries = getApiConfig().retries;
+    configureApiClient({ retries: 0 });
+  });
+
+  after(() => {
+    configureApiClient({ retries: originalRetries });
+  });
+
+  beforeEach(() => {
+    clearCache();
+    originalFetch = window.fetch;
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  // ── Test 3: carga los valores del usuario ─────────────────────────────────
+  it("fills the fields from the user", async () => {
+    const el = await fixture(html`<ds-user-form .user=${USER}></ds-user-form>`);
+    expect(input(el, "name").value).to.equal("Leanne Graham");
+    expect(input(el, "company").value).to.equal("Romaguera-Crona");
+  });
+
+  // ── Test 4: errores por campo tras el blur ────────────────────────────────
+  it("shows per-field errors after leaving a field", async () => {
+    const el = await fixture(html`<ds-user-form .user=${USER}></ds-user-form>`);
+    expect(errorOf(el, "email")).to.be.undefined;
+    fill(el, "email", "not-an-email");
+    fill(el, "website", "nope");
+    await settle(el);
+    expect(errorOf(el, "email")).to.equal("Enter a valid email address");
+    expect(errorOf(el, "website")).to.equal("Enter a valid URL");
+    expect(errorOf(el, "phone")).to.be.undefined;
+    expect(control(el, "email").getAttribute("aria-invalid")).to.equal("true");
+    expect(control(el, "email").getAttribute("aria-describedby")).to.equal("hint error");
+
+    fill(el, "email", "ok@example.com");
+    await settle(el);
+    expect(errorOf(el, "email")).to.be.undefined;
+  });
+
+  // ── Test 5: no guarda si hay errores ──────────────────────────────────────
+  // Sin tocar nada, guardar muestra TODOS los errores y enfoca el primero.
+  it("does not send a request when the form is invalid", async () => {
+    let requests = 0;
+    window.fetch = () => {
+      requests++;
+      return Promise.resolve(new Response("{}", { status: 200 }));
+    };
+    const el = await fixture(html`<ds-user-form></ds-user-form>`);
+    clickSave(el);
+    await settle(el);
+    expect(requests).to.equal(0);
+    expect(errorOf(el, "name")).to.equal("This field is required");
+    expect(errorOf(el, "username")).to.equal("This field is required");
+    expect(errorOf(el, "email")).to.equal("This field is required");
+    expect(el.shadowRoot.activeElement).to.equal(input(el, "name"));
+  });
+
+  // ── Test 6: guardado correcto ─────────────────────────────────────────────
+  // PUT con el usuario completo (conserva address y company.bs).
+  it("sends a PUT and emits ds-user-save then ds-user-saved", async () => {
+    let request;
+    window.fetch = (url, init) => {
+      request = { url: String(url), init };
+      return Promise.resolve(new Response(init.body, { status: 200 }));
+    };
+    const el = await fixture(html`<ds-user-form .user=${USER}></ds-user-form>`);
+    fill(el, "name", "Leanne G.");
+    fill(el, "company", "Acme");
+
+    const events = [];
+    el.addEventListener("ds-user-save", (e) => events.push(["save", e.detail.user.name]));
+    setTimeout(() => clickSave(el));
+    const { detail } = await oneEvent(el, "ds-user-saved");
+    events.push(["saved", detail.user.name]);
+
+    expect(events).to.deep.equal([["save", "Leanne G."], ["saved", "Leanne G."]]);
+    expect(request.url).to.match(/\/users\/1$/);
+    expect(request.init.method).to.equal("PUT");
+    const body = JSON.parse(request.init.body);
+    expect(body.address).to.deep.equal({ city: "Gwenborough" });
+    expect(body.company).to.deep.equal({ name: "Acme", bs: "harness real-time e-markets" });
+    expect(detail.previous).to.equal(USER);
+  });
+
+  // ── Test 7: alta sin usuario → POST, sin evento optimista ─────────────────
+  it("creates a user with POST when there is no user", async () => {
+    let method;
+    let optimistic = false;
+    window.fetch = (url, init) => {
+      method = init.method;
+      return Promise.resolve(new Response(JSON.stringify({ id: 11 }), { status: 201 }));
+    };
+    const el = await fixture(html`<ds-user-form></ds-user-form>`);
+    el.addEventListener("ds-user-save", () => (optimistic = true));
+    fill(el, "name", "New");
+    fill(el, "username", "new");
+    fill(el, "email", "new@example.com");
+    setTimeout(() => clickSave(el));
+    const { detail } = await oneEvent(el, "ds-user-saved");
+    expect(method).to.equal("POST");
+    expect(detail.user).to.include({ id: 11, name: "New" });
+    expect(optimistic).to.be.false;
+  });
+
+  // ── Test 8: fallo → rollback del cambio optimista en la lista ─────────────
+  it("rolls back the optimistic list update when the save fails", async () => {
+    const users = [USER, { id: 2, name: "Ervin Howell", email: "shanna@melissa.tv" }];
+    window.fetch = (url, init = {}) =>
+      Promise.resolve(
+        init.method === "PUT"
+          ? new Response(JSON.stringify({ message: "nope" }), {
+              status: 500,
+              statusText: "Internal Server Error",
+            })
+          : new Response(JSON.stringify(users), { status: 200 }),
+      );
+
+    const root = await fixture(html`
+      <div>
+        <ds-user-list></ds-user-list>
+        <ds-user-form .user=${USER}></ds-user-form>
+      </div>
+    `);
+    const list = root.querySelector("ds-user-list");
+    const form = root.querySelector("ds-user-form");
+    await aTimeout(0);
+    await list.updateComplete;
+
+    // Mismo cableado que app-shell
+    let rollback;
+    const names = [];
+    root.addEventListener("ds-user-save", async (e) => {
+      rollback = list.upsertUser(e.detail.user);
+      await list.updateComplete;
+      names.push(list.shadowRoot.querySelector("ds-card [slot='header']").textContent);
+    });
+    root.addEventListener("ds-user-save-error", () => rollback());
+
+    fill(form, "name", "Optimistic Name");
+    setTimeout(() => clickSave(form));
+    const { detail } = await oneEvent(root, "ds-user-save-error");
+    expect(detail.error.status).to.equal(500);
+    await list.updateComplete;
+    await form.updateComplete;
+
+    expect(names).to.deep.equal(["Optimistic Name"]); // se pintó antes de la respuesta
+    expect(list.shadowRoot.querySelector("ds-card [slot='header']").textContent).to.equal(
+      "Leanne Graham",
+    );
+    // El formulario sigue con lo escrito y enseña el error
+    expect(input(form, "name").value).to.equal("Optimistic Name");
+    expect(form.shadowRoot.querySelector("ds-alert").message).to.include("Internal Server Error");
+  });
+});
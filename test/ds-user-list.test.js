@@ -18,23 +18,51 @@
 //     afterEach  → restaura window.fetch original
 //     Tests individuales pueden sobreescribir window.fetch para casos especiales
 //     (loading infinito, error HTTP 500).
+//
+//   Reintentos desactivados:
+//     api-client reintenta los 5xx con backoff. En estos tests queremos ver el
+//     estado de error al instante → retries: 0 mientras dura la suite.
+//
+//   clearCache():
+//     user-service cachea getUsers(). Sin limpiar la caché, el segundo test
+//     recibiría los usuarios del primero sin llegar a llamar a nuestro mock.
 // ─────────────────────────────────────────────────────────────────────────────
 
 import { fixture, html, expect, oneEvent, aTimeout } from "@open-wc/testing";
+import { sendKeys } from "@web/test-runner-commands";
 import "../src/components/ds-user-list.js";
+import "../src/components/ds-toaster.js";
+import { configureApiClient, getApiConfig } from "../src/services/api-client.js";
+import { clearCache } from "../src/services/request-cache.js";
+import { setLocale } from "../src/i18n/i18n.js";
 
 const MOCK_USERS = [
   { id: 1, name: "Alice", email: "alice@example.com" },
   { id: 2, name: "Bob", email: "bob@example.com" },
 ];
 
+// Textos en inglés ("Loading", "Retry"...): el idioma se fija aquí, no
+// lo decide el navegador donde corren los tests.
+before(() => setLocale("en"));
+
 describe("ds-user-list", () => {
   let originalFetch;
+  let originalRetries;
+
+  before(() => {
+    originalRetries = getApiConfig().retries;
+    configureApiClient({ retries: 0 });
+  });
+
+  after(() => {
+    configureApiClient({ retries: originalRetries });
+  });
 
   // ── beforeEach: mock de fetch exitoso por defecto ─────────────────────────
   // Todos los tests que no sobreescriban window.fetch usarán este mock.
   // Devuelve MOCK_USERS con status 200 — simula una API real sin red.
   beforeEach(() => {
+    clearCache();
     originalFetch = window.fetch;
     window.fetch = () =>
       Promise.resolve(
@@ -130,4 +158,706 @@ describe("ds-user-list", () => {
     expect(cards.length).to.equal(1);
   });
 
+  // ── Test 6: cancelación al desconectar ────────────────────────────────────
+  // El mock captura el signal que recibe fetch. Al quitar el elemento del DOM,
+  // disconnectedCallback aborta la petición en curso.
+  it("aborts the in-flight request when disconnected", async () => {
+    let fetchSignal;
+    window.fetch = (url, init) => {
+      fetchSignal = init.signal;
+      return new Promise(() => {});
+    };
+    const el = await fixture(html`<ds-user-list></ds-user-list>`);
+    el.remove();
+    expect(fetchSignal.aborted).to.be.true;
+  });
+
+  // ── Test 7: una respuesta obsoleta no pisa una carga más nueva ────────────
+  // La primera petición queda pendiente; recargamos con force (aborta la
+  // primera y salta la caché) y la segunda resuelve. Si la primera resolviera
+  // tarde, no debe cambiar nada.
+  it("ignores a stale response after reloading", async () => {
+    const pending = [];
+    window.fetch = (url, init) =>
+      new Promise((resolve, reject) => {
+        pending.push(resolve);
+        init.signal.addEventListener("abort", () =>
+          reject(new DOMException("Aborted", "AbortError")),
+        );
+      });
+    const el = await fixture(html`<ds-user-list></ds-user-list>`);
+    el._loadUsers({ force: true });
+    pending[1](new Response(JSON.stringify([MOCK_USERS[1]]), { status: 200 }));
+    pending[0](new Response(JSON.stringify(MOCK_USERS), { status: 200 }));
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(el._status).to.equal("success");
+    expect(el.shadowRoot.querySelectorAll("ds-card").length).to.equal(1);
+  });
+
+  // ── Test 8: de-duplicación entre instancias ───────────────────────────────
+  // Dos listas montadas a la vez comparten la misma petición → un solo fetch.
+  it("shares a single request between two lists mounted together", async () => {
+    let fetchCount = 0;
+    window.fetch = () => {
+      fetchCount++;
+      return Promise.resolve(
+        new Response(JSON.stringify(MOCK_USERS), { status: 200 }),
+      );
+    };
+    const el = await fixture(html`
+      <div>
+        <ds-user-list></ds-user-list>
+        <ds-user-list></ds-user-list>
+      </div>
+    `);
+    await aTimeout(0);
+    const lists = el.querySelectorAll("ds-user-list");
+    await Promise.all([...lists].map((list) => list.updateComplete));
+    expect(fetchCount).to.equal(1);
+    lists.forEach((list) =>
+      expect(list.shadowRoot.querySelectorAll("ds-card").length).to.equal(2),
+    );
+  });
+
+  // ── Test 9: modo server — parámetros de página y total ────────────────────
+  // El mock devuelve la cabecera X-Total-Count → el componente calcula el
+  // número de páginas. Al pulsar "Next" se pide la página 2.
+  it("requests pages from the server and navigates with the pager", async () => {
+    const urls = [];
+    window.fetch = (url) => {
+      urls.push(url);
+      return Promise.resolve(
+        new Response(JSON.stringify(MOCK_USERS), {
+          status: 200,
+          headers: { "X-Total-Count": "5" },
+        }),
+      );
+    };
+    const el = await fixture(
+      html`<ds-user-list mode="server" page-size="2"></ds-user-list>`,
+    );
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(urls[0]).to.include("_page=1").and.include("_limit=2");
+    expect(el.shadowRoot.querySelector(".pager span").textContent).to.include("of 3");
+
+    const [, next] = el.shadowRoot.querySelectorAll(".pager ds-button");
+    next.shadowRoot.querySelector("button").click();
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(urls[1]).to.include("_page=2");
+  });
+
+  // ── Test 10: modo server — "load more" acumula resultados ─────────────────
+  it("appends the next page when using load-more pagination", async () => {
+    window.fetch = () =>
+      Promise.resolve(
+        new Response(JSON.stringify([{ id: Math.random(), name: "X", email: "x" }]), {
+          status: 200,
+          headers: { "X-Total-Count": "2" },
+        }),
+      );
+    const el = await fixture(html`
+      <ds-user-list mode="server" page-size="1" pagination="load-more"></ds-user-list>
+    `);
+    await aTimeout(0);
+    await el.updateComplete;
+    el.shadowRoot.querySelector(".pager ds-button").shadowRoot.querySelector("button").click();
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(el.shadowRoot.querySelectorAll("ds-card").length).to.equal(2);
+    expect(el.shadowRoot.querySelector(".pager")).to.be.null;
+  });
+
+  // ── Búsqueda, orden y facetas (modo client) ───────────────────────────────
+  // Dataset con acentos, empresas y ciudades para ejercitar search.js.
+  describe("search, sort and facets", () => {
+    const RICH_USERS = [
+      { id: 1, name: "José Pérez", email: "jose@acme.com", company: { name: "Acme" }, address: { city: "Sevilla" } },
+      { id: 2, name: "ana lópez", email: "ana@globex.com", company: { name: "Globex" }, address: { city: "Madrid" } },
+      { id: 3, name: "Bruno Díaz", email: "bruno@acme.com", company: { name: "Acme" }, address: { city: "Madrid" } },
+    ];
+
+    beforeEach(() => {
+      window.fetch = () =>
+        Promise.resolve(new Response(JSON.stringify(RICH_USERS), { status: 200 }));
+    });
+
+    const names = (el) =>
+      [...el.shadowRoot.querySelectorAll("ds-card [slot='header']")].map(
+        (header) => header.textContent,
+      );
+
+    // ── Test 11: sin acentos ni mayúsculas, en varios campos ─────────────────
+    it("matches the query ignoring accents and case across search fields", async () => {
+      const el = await fixture(html`<ds-user-list></ds-user-list>`);
+      await aTimeout(0);
+      el._filter = "PEREZ";
+      await el.updateComplete;
+      expect(names(el)).to.deep.equal(["José Pérez"]);
+
+      el._filter = "globex"; // solo está en email y company.name
+      await el.updateComplete;
+      expect(names(el)).to.deep.equal(["ana lópez"]);
+    });
+
+    // ── Test 12: search-fields limita dónde se busca ─────────────────────────
+    it("only searches the fields listed in search-fields", async () => {
+      const el = await fixture(html`<ds-user-list search-fields="name"></ds-user-list>`);
+      await aTimeout(0);
+      expect(el.searchFields).to.deep.equal(["name"]);
+      el._filter = "globex";
+      await el.updateComplete;
+      expect(names(el)).to.deep.equal([]);
+    });
+
+    // ── Test 13: resaltado ───────────────────────────────────────────────────
+    // El <mark> contiene el texto ORIGINAL con su acento.
+    it("highlights matches with <mark> keeping the original text", async () => {
+      const el = await fixture(html`<ds-user-list></ds-user-list>`);
+      await aTimeout(0);
+      el._filter = "pe";
+      await el.updateComplete;
+      const mark = el.shadowRoot.querySelector("ds-card [slot='header'] mark");
+      expect(mark.textContent).to.equal("Pé");
+    });
+
+    // ── Test 14: orden por campo anidado y asc/desc ──────────────────────────
+    it("sorts by the sort property and toggles the order", async () => {
+      const el = await fixture(html`<ds-user-list sort="name"></ds-user-list>`);
+      await aTimeout(0);
+      await el.updateComplete;
+      expect(names(el)).to.deep.equal(["ana lópez", "Bruno Díaz", "José Pérez"]);
+
+      setTimeout(() => el.shadowRoot.querySelector(".order").click());
+      const { detail } = await oneEvent(el, "ds-sort-change");
+      expect(detail).to.deep.equal({ sort: "name", order: "desc" });
+      await el.updateComplete;
+      expect(names(el)).to.deep.equal(["José Pérez", "Bruno Díaz", "ana lópez"]);
+
+      const select = el.shadowRoot.querySelector("select");
+      select.value = "company.name";
+      select.dispatchEvent(new Event("change"));
+      await el.updateComplete;
+      expect(names(el)[0]).to.equal("ana lópez"); // Globex > Acme en desc
+    });
+
+    // ── Test 15: facetas con recuento, OR dentro y AND entre facetas ─────────
+    it("filters by facets and shows counts for each value", async () => {
+      const el = await fixture(html`<ds-user-list></ds-user-list>`);
+      await aTimeout(0);
+      await el.updateComplete;
+      const chip = (label) =>
+        [...el.shadowRoot.querySelectorAll(".chip")].find((button) =>
+          button.textContent.trim().startsWith(label),
+        );
+      expect(chip("Madrid").querySelector(".count").textContent).to.equal("2");
+
+      setTimeout(() => chip("Madrid").click());
+      const { detail } = await oneEvent(el, "ds-facets-change");
+      expect(detail.activeFacets).to.deep.equal({ "address.city": ["Madrid"] });
+      await el.updateComplete;
+      expect(names(el)).to.have.members(["ana lópez", "Bruno Díaz"]);
+      expect(chip("Madrid").getAttribute("aria-pressed")).to.equal("true");
+      // Acme cuenta solo los de Madrid (AND con la faceta de ciudad)
+      expect(chip("Acme").querySelector(".count").textContent).to.equal("1");
+
+      chip("Sevilla").click(); // OR dentro de la misma faceta
+      await el.updateComplete;
+      expect(names(el).length).to.equal(3);
+
+      chip("Acme").click();
+      await el.updateComplete;
+      expect(names(el)).to.have.members(["José Pérez", "Bruno Díaz"]);
+    });
+  });
+
+  // ── Scroll virtual ────────────────────────────────────────────────────────
+  // 10.000 usuarios: sin virtualizar serían 10.000 ds-card en el DOM.
+  describe("virtual mode", () => {
+    const MANY_USERS = Array.from({ length: 10000 }, (_, i) => ({
+      id: i + 1,
+      name: `User ${i + 1}`,
+      email: `user${i + 1}@example.com`,
+      company: { name: `Company ${i % 5}` },
+    }));
+
+    beforeEach(() => {
+      window.fetch = () =>
+        Promise.resolve(new Response(JSON.stringify(MANY_USERS), { status: 200 }));
+    });
+
+    // Espera a la carga y a los re-renders que provoca medir el viewport.
+    async function mountVirtual() {
+      const el = await fixture(html`<ds-user-list virtual limit="10000"></ds-user-list>`);
+      await aTimeout(0);
+      await el.updateComplete;
+      await aTimeout(50);
+      await el.updateComplete;
+      return el;
+    }
+
+    // ── Test 16: nodos acotados ──────────────────────────────────────────────
+    it("renders a bounded number of nodes for 10,000 users", async () => {
+      const el = await mountVirtual();
+      const cards = el.shadowRoot.querySelectorAll("ds-card").length;
+      expect(cards).to.be.greaterThan(0);
+      expect(cards).to.be.lessThan(60);
+      expect(el.shadowRoot.querySelectorAll("*").length).to.be.lessThan(400);
+      // La barra de scroll mide como si estuvieran todas
+      const viewport = el.shadowRoot.querySelector(".viewport");
+      expect(viewport.scrollHeight).to.be.greaterThan(100000);
+    });
+
+    // ── Test 17: al hacer scroll se pintan otras filas ───────────────────────
+    it("renders the rows in view after scrolling", async () => {
+      const el = await mountVirtual();
+      const viewport = el.shadowRoot.querySelector(".viewport");
+      viewport.scrollTop = 200000;
+      viewport.dispatchEvent(new Event("scroll"));
+      await el.updateComplete;
+      const headers = [...el.shadowRoot.querySelectorAll("ds-card [slot='header']")];
+      expect(headers.length).to.be.greaterThan(0);
+      expect(headers.some((header) => header.textContent === "User 1")).to.be.false;
+      expect(el.shadowRoot.querySelectorAll("ds-card").length).to.be.lessThan(60);
+    });
+
+    // ── Test 18: filtrar no pierde el foco ni el scroll ──────────────────────
+    it("keeps focus and scroll position while the filter changes", async () => {
+      const el = await mountVirtual();
+      const viewport = el.shadowRoot.querySelector(".viewport");
+      viewport.scrollTop = 3000;
+      viewport.dispatchEvent(new Event("scroll"));
+      await el.updateComplete;
+
+      const search = el.shadowRoot.querySelector("ds-input.search");
+      const input = search.shadowRoot.querySelector("input");
+      input.focus();
+      input.value = "user 1";
+      input.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+      await el.updateComplete;
+      expect(el.shadowRoot.activeElement).to.equal(search);
+      expect(search.shadowRoot.activeElement).to.equal(input);
+      expect(el.shadowRoot.querySelector(".viewport")).to.equal(viewport);
+      expect(viewport.scrollTop).to.equal(3000);
+      expect(el.shadowRoot.querySelectorAll("ds-card").length).to.be.lessThan(60);
+    });
+  });
+
+  // ── Selección ─────────────────────────────────────────────────────────────
+  describe("selection", () => {
+    const THREE_USERS = [
+      { id: 1, name: "Alice", email: "alice@example.com" },
+      { id: 2, name: "Bob", email: "bob@example.com" },
+      { id: 3, name: "Carol", email: "carol@example.com" },
+    ];
+
+    beforeEach(() => {
+      window.fetch = () =>
+        Promise.resolve(new Response(JSON.stringify(THREE_USERS), { status: 200 }));
+    });
+
+    async function mount(template) {
+      const el = await fixture(template);
+      await aTimeout(0);
+      await el.updateComplete;
+      return el;
+    }
+
+    const checkboxes = (el) => [...el.shadowRoot.querySelectorAll("ds-card .select")];
+
+    // Click "de verdad" con shiftKey: dispara @click en el checkbox.
+    const clickBox = (box, shiftKey = false) =>
+      box.dispatchEvent(new MouseEvent("click", { bubbles: true, composed: true, shiftKey }));
+
+    // ── Test 19: single (por defecto) ────────────────────────────────────────
+    it("selects the clicked card in single mode", async () => {
+      const el = await mount(html`<ds-user-list></ds-user-list>`);
+      expect(checkboxes(el).length).to.equal(0);
+      const card = el.shadowRoot.querySelectorAll("ds-card")[1];
+      setTimeout(() => card.click());
+      const { detail } = await oneEvent(el, "ds-selection-change");
+      expect(detail.selected).to.deep.equal([2]);
+      await el.updateComplete;
+      expect(card.selected).to.be.true;
+    });
+
+    // ── Test 20: none ────────────────────────────────────────────────────────
+    it("does not track selection in none mode", async () => {
+      const el = await mount(html`<ds-user-list selection-mode="none"></ds-user-list>`);
+      let changes = 0;
+      el.addEventListener("ds-selection-change", () => changes++);
+      setTimeout(() => el.shadowRoot.querySelector("ds-card").click());
+      await oneEvent(el, "ds-user-selected");
+      expect(changes).to.equal(0);
+    });
+
+    // ── Test 21: multiple — checkbox y rango con shift ───────────────────────
+    // Marcar un checkbox NO emite ds-user-selected (no abre el detalle).
+    it("toggles checkboxes and selects a range with shift-click", async () => {
+      const el = await mount(html`<ds-user-list selection-mode="multiple"></ds-user-list>`);
+      let opened = 0;
+      el.addEventListener("ds-user-selected", () => opened++);
+
+      clickBox(checkboxes(el)[0]);
+      await el.updateComplete;
+      expect(el.selected).to.deep.equal([1]);
+
+      setTimeout(() => clickBox(checkboxes(el)[2], true));
+      const { detail } = await oneEvent(el, "ds-selection-change");
+      expect(detail.selected).to.deep.equal([1, 2, 3]);
+      expect(detail.users.map((user) => user.name)).to.deep.equal(["Alice", "Bob", "Carol"]);
+      expect(opened).to.equal(0);
+
+      clickBox(checkboxes(el)[1]);
+      await el.updateComplete;
+      expect(el.selected).to.deep.equal([1, 3]);
+    });
+
+    // ── Test 22: select all respeta el filtro ────────────────────────────────
+    it("selects all users matching the current filter", async () => {
+      const el = await mount(html`
+        <ds-user-list selection-mode="multiple" search-fields="name"></ds-user-list>
+      `);
+      el._filter = "o"; // Bob, Carol
+      await el.updateComplete;
+      const selectAll = el.shadowRoot.querySelector(".select-all input");
+      selectAll.click();
+      await el.updateComplete;
+      expect(el.selected).to.deep.equal([2, 3]);
+      expect(selectAll.checked).to.be.true;
+
+      el._filter = "";
+      await el.updateComplete;
+      expect(selectAll.indeterminate).to.be.true;
+    });
+
+    // ── Test 23: el host fija la selección ───────────────────────────────────
+    // Los ids pueden llegar como string (p. ej. desde la URL).
+    it("reflects a selection set by the host", async () => {
+      const el = await mount(html`
+        <ds-user-list selection-mode="multiple" .selected=${["3"]}></ds-user-list>
+      `);
+      expect(checkboxes(el).map((box) => box.checked)).to.deep.equal([false, false, true]);
+    });
+
+    // ── Test 37: modo server — la selección sobrevive al cambio de página ────
+    // _users solo tiene la página actual: detail.users debe incluir también
+    // al usuario marcado en la página 1.
+    it("keeps users selected on other server pages in detail.users", async () => {
+      const PAGES = {
+        1: [
+          { id: 1, name: "Alice", email: "alice@example.com" },
+          { id: 2, name: "Bob", email: "bob@example.com" },
+        ],
+        2: [
+          { id: 3, name: "Carol", email: "carol@example.com" },
+          { id: 4, name: "Dave", email: "dave@example.com" },
+        ],
+      };
+      window.fetch = (url) => {
+        const page = new URL(url, location.href).searchParams.get("_page");
+        return Promise.resolve(
+          new Response(JSON.stringify(PAGES[page]), {
+            status: 200,
+            headers: { "X-Total-Count": "4" },
+          }),
+        );
+      };
+      const el = await fixture(html`
+        <ds-user-list mode="server" page-size="2" selection-mode="multiple"></ds-user-list>
+      `);
+      await aTimeout(0);
+      await el.updateComplete;
+      clickBox(checkboxes(el)[0]);
+      await el.updateComplete;
+
+      const [, next] = el.shadowRoot.querySelectorAll(".pager ds-button");
+      next.shadowRoot.querySelector("button").click();
+      await aTimeout(0);
+      await el.updateComplete;
+
+      setTimeout(() => clickBox(checkboxes(el)[1]));
+      const { detail } = await oneEvent(el, "ds-selection-change");
+      expect(detail.selected).to.deep.equal([1, 4]);
+      expect(detail.users.map((user) => user.name)).to.deep.equal(["Alice", "Dave"]);
+    });
+  });
+
+  // ── Teclado y ARIA ────────────────────────────────────────────────────────
+  // sendKeys (de @web/test-runner-commands) pulsa teclas de verdad en el
+  // navegador → el evento llega igual que con un teclado físico.
+  describe("keyboard and ARIA", () => {
+    const USERS = ["Ana", "Bruno", "Carla", "Carlos", "Diego"].map((name, i) => ({
+      id: i + 1,
+      name,
+      email: `${name.toLowerCase()}@example.com`,
+    }));
+
+    beforeEach(() => {
+      window.fetch = () =>
+        Promise.resolve(new Response(JSON.stringify(USERS), { status: 200 }));
+    });
+
+    // Ancho fijo de 600px → 2 columnas (minmax(280px, 1fr) + gap 16px).
+    async function mount(attrs = "") {
+      const el = await fixture(html`
+        <div style="width: 600px">
+          <ds-user-list selection-mode=${attrs || "single"}></ds-user-list>
+        </div>
+      `);
+      const list = el.querySelector("ds-user-list");
+      await aTimeout(0);
+      await list.updateComplete;
+      return list;
+    }
+
+    const options = (el) => [...el.shadowRoot.querySelectorAll("[role='option']")];
+    const focused = (el) => el.shadowRoot.activeElement?.textContent.trim().split(/\s/)[0];
+
+    // ── Test 24: roles y roving tabindex ─────────────────────────────────────
+    it("exposes a listbox with one tabbable option", async () => {
+      const el = await mount();
+      const listbox = el.shadowRoot.querySelector("[role='listbox']");
+      expect(listbox).to.exist;
+      expect(options(el).map((option) => option.getAttribute("tabindex"))).to.deep.equal([
+        "0", "-1", "-1", "-1", "-1",
+      ]);
+      expect(options(el)[0].getAttribute("aria-selected")).to.equal("false");
+      // Un solo modelo de foco: el roving tabindex, sin aria-activedescendant
+      expect(listbox.hasAttribute("aria-activedescendant")).to.be.false;
+    });
+
+    // ── Test 25: flechas según el número de columnas, Home / End ─────────────
+    it("moves focus with arrow keys by column count, Home and End", async () => {
+      const el = await mount();
+      options(el)[0].focus();
+      await sendKeys({ press: "ArrowRight" });
+      expect(focused(el)).to.equal("Bruno");
+      await sendKeys({ press: "ArrowDown" }); // 2 columnas → salta 2
+      expect(focused(el)).to.equal("Carlos");
+      await sendKeys({ press: "ArrowLeft" });
+      expect(focused(el)).to.equal("Carla");
+      await sendKeys({ press: "End" });
+      expect(focused(el)).to.equal("Diego");
+      await sendKeys({ press: "ArrowDown" }); // sin wrap
+      expect(focused(el)).to.equal("Diego");
+      await sendKeys({ press: "Home" });
+      expect(focused(el)).to.equal("Ana");
+      expect(options(el)[0].getAttribute("tabindex")).to.equal("0");
+      expect(options(el)[4].getAttribute("tabindex")).to.equal("-1");
+    });
+
+    // ── Test 26: Enter / Space seleccionan ───────────────────────────────────
+    it("selects the active option with Enter and Space", async () => {
+      const el = await mount();
+      options(el)[1].focus();
+      setTimeout(() => sendKeys({ press: "Enter" }));
+      const { detail } = await oneEvent(el, "ds-user-selected");
+      expect(detail.user.name).to.equal("Bruno");
+      await el.updateComplete;
+      expect(options(el)[1].getAttribute("aria-selected")).to.equal("true");
+
+      await sendKeys({ press: "ArrowRight" });
+      await sendKeys({ press: "Space" });
+      await el.updateComplete;
+      expect(el.selected).to.deep.equal([3]);
+    });
+
+    // ── Test 27: Space en modo multiple marca y desmarca ─────────────────────
+    it("toggles options with Space in multiple mode", async () => {
+      const el = await mount("multiple");
+      const listbox = el.shadowRoot.querySelector("[role='listbox']");
+      expect(listbox.getAttribute("aria-multiselectable")).to.equal("true");
+      options(el)[0].focus();
+      await sendKeys({ press: "Space" });
+      await sendKeys({ press: "ArrowRight" });
+      await sendKeys({ press: "Space" });
+      await el.updateComplete;
+      expect(el.selected).to.deep.equal([1, 2]);
+      await sendKeys({ press: "Space" });
+      await el.updateComplete;
+      expect(el.selected).to.deep.equal([1]);
+    });
+
+    // ── Test 28: type-ahead ──────────────────────────────────────────────────
+    it("jumps to a matching name when typing", async () => {
+      const el = await mount();
+      options(el)[0].focus();
+      await sendKeys({ type: "carlo" });
+      expect(focused(el)).to.equal("Carlos");
+      await aTimeout(600); // se vacía el buffer
+      await sendKeys({ press: "d" });
+      expect(focused(el)).to.equal("Diego");
+    });
+  });
+
+  // ── Esqueletos, estados vacíos y error parcial ────────────────────────────
+  describe("loading, empty and partial-error states", () => {
+    const respond = (users) =>
+      Promise.resolve(new Response(JSON.stringify(users), { status: 200 }));
+
+    // ── Test 29: esqueletos con el mismo grid ────────────────────────────────
+    it("renders skeleton cards inside the grid while loading", async () => {
+      window.fetch = () => new Promise(() => {});
+      const el = await fixture(html`<ds-user-list limit="3"></ds-user-list>`);
+      const skeletons = el.shadowRoot.querySelectorAll(".grid ds-card.skeleton");
+      expect(skeletons.length).to.equal(3);
+      expect(el.shadowRoot.querySelector(".grid").getAttribute("aria-hidden")).to.equal("true");
+      expect(el.shadowRoot.querySelector("[role='status']").textContent).to.include("Loading");
+    });
+
+    // ── Test 30: sin datos ≠ sin coincidencias ───────────────────────────────
+    it("distinguishes an empty dataset from a filter without matches", async () => {
+      window.fetch = () => respond([]);
+      const empty = await fixture(html`<ds-user-list></ds-user-list>`);
+      await aTimeout(0);
+      await empty.updateComplete;
+      expect(empty.shadowRoot.querySelector(".empty-title").textContent).to.include("No users yet");
+      expect(empty.shadowRoot.querySelector("ds-input.search")).to.be.null;
+
+      window.fetch = () => respond(MOCK_USERS);
+      clearCache();
+      const el = await fixture(html`<ds-user-list></ds-user-list>`);
+      await aTimeout(0);
+      el._filter = "zzz";
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelector(".empty-title").textContent).to.include("zzz");
+      expect(el.shadowRoot.querySelector("ds-input.search")).to.exist; // se puede seguir escribiendo
+    });
+
+    // ── Test 31: "Clear filters" ─────────────────────────────────────────────
+    it("clears the filter from the no-matches state", async () => {
+      const el = await fixture(html`<ds-user-list></ds-user-list>`);
+      await aTimeout(0);
+      el._filter = "zzz";
+      await el.updateComplete;
+      const button = el.shadowRoot.querySelector(".empty-state ds-button");
+      setTimeout(() => button.shadowRoot.querySelector("button").click());
+      const { detail } = await oneEvent(el, "ds-filter-change");
+      expect(detail.filter).to.equal("");
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelectorAll("ds-card").length).to.equal(2);
+    });
+
+    // ── Test 32: slots con nombre ────────────────────────────────────────────
+    // El contenido del host sustituye al de por defecto: el slot queda
+    // asignado y se proyecta en su sitio.
+    it("lets the host override a state through its named slot", async () => {
+      const el = await fixture(html`
+        <ds-user-list>
+          <p slot="no-matches" class="custom">Nothing here</p>
+        </ds-user-list>
+      `);
+      await aTimeout(0);
+      el._filter = "zzz";
+      await el.updateComplete;
+      const slot = el.shadowRoot.querySelector("slot[name='no-matches']");
+      expect(slot.assignedElements()[0].textContent).to.equal("Nothing here");
+    });
+
+    // ── Test 33: error parcial ───────────────────────────────────────────────
+    // Si falla una recarga con datos en pantalla, la lista sigue ahí.
+    it("keeps the list visible when a refresh fails", async () => {
+      const el = await fixture(html`<ds-user-list></ds-user-list>`);
+      await aTimeout(0);
+      window.fetch = () =>
+        Promise.resolve(new Response("", { status: 500, statusText: "Server Error" }));
+      await el.reload();
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelectorAll("ds-card").length).to.equal(2);
+      const alert = el.shadowRoot.querySelector(".partial-error ds-alert");
+      expect(alert.type).to.equal("warning");
+      expect(alert.message).to.include("Server Error");
+    });
+
+    // ── Test 34: error parcial como toast ────────────────────────────────────
+    // error-display="toast" → nada encima de la lista; el aviso (con Retry)
+    // sale en el toaster.
+    it("surfaces refresh errors through the toaster in toast mode", async () => {
+      const toaster = await fixture(html`<ds-toaster></ds-toaster>`);
+      const el = await fixture(html`<ds-user-list error-display="toast"></ds-user-list>`);
+      await aTimeout(0);
+      window.fetch = () =>
+        Promise.resolve(new Response("", { status: 500, statusText: "Server Error" }));
+      await el.reload();
+      await el.updateComplete;
+      await toaster.updateComplete;
+      expect(el.shadowRoot.querySelector(".partial-error")).to.be.null;
+      const alert = toaster.shadowRoot.querySelector("ds-alert");
+      expect(alert.type).to.equal("warning");
+      expect(alert.message).to.include("Server Error");
+      expect(alert.actionLabel).to.equal("Retry");
+
+      // Retry recarga la lista
+      let requests = 0;
+      window.fetch = () => {
+        requests++;
+        return respond(MOCK_USERS);
+      };
+      await alert.updateComplete;
+      alert.shadowRoot.querySelector(".action-btn").click();
+      await aTimeout(0);
+      expect(requests).to.equal(1);
+    });
+  });
+
+  // ─── Vista tabla ──────────────────────────────────────────────────────────
+  // view="table" pinta los mismos usuarios en un ds-table. Ordenar y
+  // seleccionar desde la tabla cambia el estado de la lista y sale con los
+  // eventos de siempre (no con los de ds-table).
+  describe("table view", () => {
+    async function mount(template) {
+      const el = await fixture(template);
+      await aTimeout(0);
+      await el.updateComplete;
+      return el;
+    }
+
+    const table = (el) => el.shadowRoot.querySelector("ds-table");
+
+    // ── Test 35: interruptor cards / tabla ───────────────────────────────────
+    it("switches between cards and a table of the same users", async () => {
+      const el = await mount(html`<ds-user-list></ds-user-list>`);
+      expect(table(el)).to.be.null;
+      const [cards, tableButton] = el.shadowRoot.querySelectorAll(".view-switch .chip");
+      expect(cards.getAttribute("aria-pressed")).to.equal("true");
+
+      setTimeout(() => tableButton.click());
+      const { detail } = await oneEvent(el, "ds-view-change");
+      expect(detail.view).to.equal("table");
+      await el.updateComplete;
+      expect(el.shadowRoot.querySelectorAll("ds-card").length).to.equal(0);
+      expect(table(el).rows).to.deep.equal(MOCK_USERS);
+
+      // El filtro sigue aplicando
+      el._filter = "bob";
+      await el.updateComplete;
+      expect(table(el).rows.map((user) => user.name)).to.deep.equal(["Bob"]);
+    });
+
+    // ── Test 36: orden y selección compartidos ───────────────────────────────
+    it("sorts and selects through the list from table interactions", async () => {
+      const el = await mount(html`<ds-user-list view="table"></ds-user-list>`);
+      await table(el).updateComplete;
+      let tableEvents = 0;
+      el.addEventListener("ds-row-activate", () => tableEvents++);
+
+      const nameHeader = table(el).shadowRoot.querySelector("th[data-key='name'] .sort-btn");
+      nameHeader.click();
+      nameHeader.click();
+      expect(el.sort).to.equal("name");
+      expect(el.order).to.equal("desc");
+      await el.updateComplete;
+      expect(table(el).rows.map((user) => user.name)).to.deep.equal(["Bob", "Alice"]);
+
+      const row = table(el).shadowRoot.querySelector("tbody tr");
+      setTimeout(() => row.click());
+      const { detail } = await oneEvent(el, "ds-user-selected");
+      expect(detail.user.name).to.equal("Bob");
+      expect(el.selected).to.deep.equal([2]);
+      expect(tableEvents).to.equal(0);
+    });
+  });
 });
@@ -0,0 +1,127 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// i18n.test.js — Tests de traducciones, formatos y cambio de idioma
+//
+// Conceptos clave:
+//   Cada test empieza en inglés (setLocale en beforeEach), no en el idioma
+//   que detecte el navegador de los tests. afterEach devuelve el original.
+//   Las suites que comprueban textos en inglés fijan 'en' en su before().
+//
+//   setLocale avisa a los componentes en una microtarea (el store agrupa
+//   notificaciones) → aTimeout(0) + updateComplete antes de leer el DOM.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, aTimeout } from "@open-wc/testing";
+import {
+  detectLocale,
+  formatDate,
+  formatList,
+  formatNumber,
+  getLocale,
+  setLocale,
+  t,
+} from "../src/i18n/i18n.js";
+import "../src/components/ds-user-list.js";
+import "../src/components/ds-user-form.js";
+
+const USERS = [{ id: 1, name: "Ana", email: "ana@example.com" }];
+
+describe("i18n", () => {
+  let originalLocale;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalLocale = getLocale();
+    setLocale("en");
+    originalFetch = window.fetch;
+    window.fetch = () =>
+      Promise.resolve(new Response(JSON.stringify(USERS), { status: 200 }));
+  });
+
+  afterEach(() => {
+    setLocale(originalLocale);
+    window.fetch = originalFetch;
+  });
+
+  // ── Test 1: idioma base de navigator.languages ────────────────────────────
+  it("detects the first supported language and falls back to Spanish", () => {
+    expect(detectLocale(["fr-FR", "en-GB", "es"])).to.equal("en");
+    expect(detectLocale(["ES-mx"])).to.equal("es");
+    expect(detectLocale(["fr", "de"])).to.equal("es");
+    expect(detectLocale([])).to.equal("es");
+  });
+
+  // ── Test 2: interpolación, claves desconocidas e idiomas sin catálogo ─────
+  it("interpolates params and keeps unknown keys visible", () => {
+    setLocale("es");
+    expect(t("userList.page", { page: 2, pages: 5 })).to.equal("Página 2 de 5");
+    expect(t("userList.noMatchesQuery", { query: "ann" })).to.equal(
+      "Ningún usuario coincide con “ann”",
+    );
+    expect(t("nope.missing")).to.equal("nope.missing");
+    expect(setLocale("fr")).to.be.false;
+    expect(getLocale()).to.equal("es");
+  });
+
+  // ── Test 3: plural con Intl.PluralRules ───────────────────────────────────
+  // Los números se formatean según el idioma (1,500 / 1500).
+  it("picks the plural form for count", () => {
+    setLocale("en");
+    expect(t("app.bulkSelected", { count: 1 })).to.equal("1 user selected");
+    expect(t("app.bulkSelected", { count: 1500 })).to.equal("1,500 users selected");
+    setLocale("es");
+    expect(t("import.run", { count: 1 })).to.equal("Importar 1 usuario");
+    expect(t("import.run", { count: 0 })).to.equal("Importar 0 usuarios");
+  });
+
+  // ── Test 4: formatos Intl ─────────────────────────────────────────────────
+  it("formats numbers, dates and lists for the active locale", () => {
+    const date = Date.UTC(2024, 4, 1);
+    setLocale("en");
+    expect(formatNumber(12345.5)).to.equal("12,345.5");
+    expect(formatList(["name", "email"])).to.equal("name and email");
+    expect(formatDate(date, { dateStyle: "long", timeZone: "UTC" })).to.equal("May 1, 2024");
+    setLocale("es");
+    expect(formatNumber(12345.5)).to.equal("12.345,5");
+    expect(formatList(["name", "email"])).to.equal("name y email");
+    expect(formatDate(date, { dateStyle: "long", timeZone: "UTC" })).to.equal("1 de mayo de 2024");
+  });
+
+  // ── Test 5: los componentes se vuelven a pintar ───────────────────────────
+  // Sin recargar datos: la misma lista cambia de idioma (y <html lang>).
+  it("re-renders mounted components when the locale changes", async () => {
+    const el = await fixture(html`<ds-user-list></ds-user-list>`);
+    await aTimeout(0);
+    await el.updateComplete;
+    const search = () => el.shadowRoot.querySelector("ds-input.search");
+    expect(search().placeholder).to.equal("Search users");
+
+    setLocale("es");
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(search().placeholder).to.equal("Buscar usuarios");
+    expect(el.shadowRoot.querySelector(".view-switch .chip").textContent).to.equal("Tarjetas");
+    expect(document.documentElement.lang).to.equal("es");
+  });
+
+  // ── Test 6: errores de validación ya visibles ─────────────────────────────
+  // El formulario no pierde lo escrito; el mensaje cambia de idioma.
+  it("translates validation errors that are already shown", async () => {
+    const el = await fixture(html`<ds-user-form></ds-user-form>`);
+    const email = el.shadowRoot.querySelector("ds-input[name='email']");
+    const field = email.shadowRoot.querySelector("input");
+    field.value = "not-an-email";
+    field.dispatchEvent(new Event("input", { bubbles: true, composed: true }));
+    field.dispatchEvent(new Event("blur"));
+    await aTimeout(0);
+    await el.updateComplete;
+    const error = () => email.shadowRoot.querySelector("#error").textContent.trim();
+    expect(error()).to.equal("Enter a valid email address");
+
+    setLocale("es");
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(error()).to.equal("Introduce un email válido");
+    expect(email.value).to.equal("not-an-email");
+    expect(el.shadowRoot.querySelector("#field-name").label).to.equal("Nombre");
+  });
+});
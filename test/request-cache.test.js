@@ -0,0 +1,126 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// request-cache.test.js — Tests de la caché de peticiones
+//
+// Conceptos clave:
+//   loader falso: en vez de fetch, cada test pasa una función que cuenta
+//   cuántas veces se la llama. request-cache no sabe nada de HTTP, así que
+//   no hace falta mockear window.fetch.
+//
+//   Promise "manual" (deferred): guardamos resolve fuera de la Promise para
+//   decidir desde el test CUÁNDO termina la petición.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { expect, aTimeout } from "@open-wc/testing";
+import {
+  cached,
+  peek,
+  invalidate,
+  clearCache,
+} from "../src/services/request-cache.js";
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+};
+
+describe("request-cache", () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  // ── Test 1: de-duplicación ────────────────────────────────────────────────
+  it("shares one in-flight promise between concurrent callers", async () => {
+    let loads = 0;
+    const { promise, resolve } = deferred();
+    const loader = () => {
+      loads++;
+      return promise;
+    };
+    const a = cached("users", loader);
+    const b = cached("users", loader);
+    resolve(["x"]);
+    expect(await a).to.deep.equal(["x"]);
+    expect(await b).to.deep.equal(["x"]);
+    expect(loads).to.equal(1);
+  });
+
+  // ── Test 2: TTL ───────────────────────────────────────────────────────────
+  it("serves fresh data from cache and reloads once the ttl expires", async () => {
+    let loads = 0;
+    const loader = async () => ++loads;
+    await cached("users", loader, { ttl: 20 });
+    expect(await cached("users", loader, { ttl: 20 })).to.equal(1);
+    await aTimeout(30);
+    expect(await cached("users", loader, { ttl: 20 })).to.equal(2);
+  });
+
+  // ── Test 3: stale-while-revalidate ────────────────────────────────────────
+  // Con el dato caducado: devuelve el viejo al instante y refresca detrás.
+  it("returns stale data immediately and revalidates in the background", async () => {
+    let loads = 0;
+    const loader = async () => ++loads;
+    await cached("users", loader, { ttl: 0 });
+    const stale = await cached("users", loader, { ttl: 0, staleWhileRevalidate: true });
+    expect(stale).to.equal(1);
+    await aTimeout(0);
+    expect(peek("users")).to.equal(2);
+  });
+
+  // ── Test 4: el refresco de fondo no lo cancela otro llamante ─────────────
+  // Quien se une al refresco y aborta recibe su AbortError, pero el fetch
+  // sigue y el dato caducado se sustituye.
+  it("keeps the background refresh alive when a joined caller aborts", async () => {
+    let loads = 0;
+    let loaderSignal;
+    let finish;
+    await cached("users", async () => ++loads, { ttl: 0 });
+    const loader = (signal) => {
+      loaderSignal = signal;
+      return new Promise((resolve) => (finish = () => resolve(++loads)));
+    };
+    expect(await cached("users", loader, { ttl: 0, staleWhileRevalidate: true })).to.equal(1);
+
+    const controller = new AbortController();
+    const joined = cached("users", loader, { ttl: 0, signal: controller.signal });
+    controller.abort();
+    let error;
+    await joined.catch((e) => (error = e));
+    expect(error.name).to.equal("AbortError");
+    expect(loaderSignal.aborted).to.be.false;
+
+    finish();
+    await aTimeout(0);
+    expect(peek("users")).to.equal(2);
+  });
+
+  // ── Test 5: invalidación por prefijo ──────────────────────────────────────
+  it("invalidates a key and its children", async () => {
+    await cached("users", async () => "list");
+    await cached("users/1", async () => "detail");
+    await cached("posts", async () => "posts");
+    invalidate("users");
+    expect(peek("users")).to.be.undefined;
+    expect(peek("users/1")).to.be.undefined;
+    expect(peek("posts")).to.equal("posts");
+  });
+
+  // ── Test 6: cancelación con consumidores compartidos ──────────────────────
+  // Si uno de dos consumidores cancela, el fetch real sigue vivo; solo se
+  // aborta cuando cancelan todos.
+  it("aborts the shared load only when every consumer has aborted", async () => {
+    let loaderSignal;
+    const loader = (signal) => {
+      loaderSignal = signal;
+      return new Promise(() => {});
+    };
+    const first = new AbortController();
+    const second = new AbortController();
+    cached("users", loader, { signal: first.signal }).catch(() => {});
+    cached("users", loader, { signal: second.signal }).catch(() => {});
+    first.abort();
+    expect(loaderSignal.aborted).to.be.false;
+    second.abort();
+    expect(loaderSignal.aborted).to.be.true;
+  });
+});
@@ -0,0 +1,110 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// router.test.js — Tests del router y del RouterController
+//
+// Conceptos clave:
+//   URL real del test:
+//     navigate() cambia la URL de la página donde corren los tests. Guardamos
+//     la original en beforeEach y la restauramos con replaceState en afterEach
+//     para no afectar a otros tests.
+//
+//   Componente de prueba: un LitElement mínimo que usa RouterController y
+//   pinta el nombre de la ruta y sus parámetros.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect } from "@open-wc/testing";
+import { LitElement, html as litHtml } from "lit";
+import { matchRoute, buildUrl, navigate } from "../src/router.js";
+import { RouterController } from "../src/controllers/router-controller.js";
+
+const ROUTES = [
+  { path: "/old-users", redirect: "/users" },
+  { path: "/users", name: "users" },
+  { path: "/users/:id", name: "user" },
+  { path: "*", name: "not-found" },
+];
+
+class RouterHost extends LitElement {
+  constructor() {
+    super();
+    this.changes = [];
+    this.router = new RouterController(this, ROUTES, {
+      onChange: (match, { initial }) => this.changes.push({ ...match, initial }),
+    });
+  }
+
+  render() {
+    return litHtml`${this.router.route?.name}:${this.router.params.id ?? ""}`;
+  }
+}
+customElements.define("router-host", RouterHost);
+
+describe("router", () => {
+  let originalUrl;
+
+  beforeEach(() => {
+    originalUrl = window.location.pathname + window.location.search;
+  });
+
+  afterEach(() => {
+    history.replaceState(null, "", originalUrl);
+  });
+
+  // ── Test 1: matchRoute ────────────────────────────────────────────────────
+  it("matches static and parameterized routes", () => {
+    expect(matchRoute(ROUTES, "/users").route.name).to.equal("users");
+    const match = matchRoute(ROUTES, "/users/42/");
+    expect(match.route.name).to.equal("user");
+    expect(match.params).to.deep.equal({ id: "42" });
+    expect(matchRoute(ROUTES, "/nope").route.name).to.equal("not-found");
+  });
+
+  // ── Test 2: buildUrl omite valores vacíos ─────────────────────────────────
+  it("builds urls skipping empty query values", () => {
+    expect(buildUrl("/users", { q: "ann lee", page: "" })).to.equal("/users?q=ann+lee");
+    expect(buildUrl("/users", { q: "" })).to.equal("/users");
+  });
+
+  // ── Test 3: el controller sigue a navigate() ──────────────────────────────
+  it("updates the host when navigating", async () => {
+    history.replaceState(null, "", "/users");
+    const el = await fixture(html`<router-host></router-host>`);
+    expect(el.shadowRoot.textContent).to.include("users:");
+
+    navigate("/users/7?q=ann");
+    await el.updateComplete;
+    expect(el.shadowRoot.textContent).to.include("user:7");
+    expect(el.router.query).to.deep.equal({ q: "ann" });
+    expect(el.changes[0].initial).to.be.true;
+    expect(el.changes[1].initial).to.be.false;
+  });
+
+  // ── Test 4: botón atrás (popstate) ────────────────────────────────────────
+  it("reacts to popstate events", async () => {
+    history.replaceState(null, "", "/users/1");
+    const el = await fixture(html`<router-host></router-host>`);
+    history.replaceState(null, "", "/users/2");
+    window.dispatchEvent(new PopStateEvent("popstate"));
+    await el.updateComplete;
+    expect(el.router.params.id).to.equal("2");
+  });
+
+  // ── Test 5: redirecciones ─────────────────────────────────────────────────
+  it("follows redirect routes replacing the url", async () => {
+    history.replaceState(null, "", "/old-users");
+    const el = await fixture(html`<router-host></router-host>`);
+    expect(window.location.pathname).to.equal("/users");
+    expect(el.router.route.name).to.equal("users");
+  });
+
+  // ── Test 6: segmento mal codificado ───────────────────────────────────────
+  // decodeURIComponent("%E0") lanza URIError → cae en "*", y el controller
+  // monta igualmente.
+  it("treats a malformed percent-encoding as not found", async () => {
+    expect(matchRoute(ROUTES, "/users/%E0").route.name).to.equal("not-found");
+    expect(matchRoute(ROUTES, "/users/ana%20lee").params).to.deep.equal({ id: "ana lee" });
+
+    history.replaceState(null, "", "/users/%E0");
+    const el = await fixture(html`<router-host></router-host>`);
+    expect(el.router.route.name).to.equal("not-found");
+  });
+});
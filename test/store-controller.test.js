@@ -0,0 +1,75 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// store-controller.test.js — Tests del StoreController
+//
+// Conceptos clave:
+//   Componente de prueba: definimos un LitElement mínimo SOLO para el test
+//   que usa el controller con un store propio (createStore) → sin tocar el
+//   store global de la app.
+//
+//   Contador de renders: el host cuenta cuántas veces se ejecuta render()
+//   para comprobar que solo se re-renderiza cuando cambia SU porción.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, aTimeout } from "@open-wc/testing";
+import { LitElement, html as litHtml } from "lit";
+import { createStore } from "../src/store.js";
+import { StoreController } from "../src/controllers/store-controller.js";
+
+const testStore = createStore({ selectedUser: null, filter: "" });
+
+class StoreControllerHost extends LitElement {
+  constructor() {
+    super();
+    this.renders = 0;
+    this.selection = new StoreController(this, (state) => state.selectedUser, {
+      store: testStore,
+    });
+  }
+
+  render() {
+    this.renders++;
+    return litHtml`<span>${this.selection.value?.name ?? "none"}</span>`;
+  }
+}
+customElements.define("store-controller-host", StoreControllerHost);
+
+describe("StoreController", () => {
+  beforeEach(() => {
+    testStore.setState({ selectedUser: null, filter: "" });
+  });
+
+  // ── Test 1: valor inicial y actualización ─────────────────────────────────
+  it("exposes the selected slice and re-renders when it changes", async () => {
+    const el = await fixture(html`<store-controller-host></store-controller-host>`);
+    expect(el.shadowRoot.textContent).to.include("none");
+    testStore.setState({ selectedUser: { id: 1, name: "Alice" } });
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(el.selection.value.name).to.equal("Alice");
+    expect(el.shadowRoot.textContent).to.include("Alice");
+  });
+
+  // ── Test 2: sin re-render por cambios ajenos ──────────────────────────────
+  it("does not re-render when an unrelated slice changes", async () => {
+    const el = await fixture(html`<store-controller-host></store-controller-host>`);
+    const renders = el.renders;
+    testStore.setState({ filter: "ann" });
+    await aTimeout(0);
+    await el.updateComplete;
+    expect(el.renders).to.equal(renders);
+  });
+
+  // ── Test 3: limpieza al desconectar ───────────────────────────────────────
+  // Desconectado no recibe avisos; al reconectar recoge el valor actual.
+  it("unsubscribes on disconnect and resyncs on reconnect", async () => {
+    const el = await fixture(html`<store-controller-host></store-controller-host>`);
+    const parent = el.parentNode;
+    el.remove();
+    testStore.setState({ selectedUser: { id: 2, name: "Bob" } });
+    await aTimeout(0);
+    expect(el.selection.value).to.be.null;
+    parent.appendChild(el);
+    await el.updateComplete;
+    expect(el.selection.value.name).to.equal("Bob");
+  });
+});
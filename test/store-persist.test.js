@@ -0,0 +1,126 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// store-persist.test.js — Tests de persistencia y sincronización del store
+//
+// Conceptos clave:
+//   Storage falso (memoryStorage):
+//     un objeto con getItem/setItem/removeItem sobre un Map. Aísla los tests
+//     del localStorage real salvo en el test del evento `storage`, que
+//     necesita un Storage de verdad (StorageEvent no acepta otro objeto).
+//
+//   dispose():
+//     persist() devuelve una función de limpieza. Llamarla en cada test evita
+//     que queden listeners de `storage` o BroadcastChannels abiertos.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { expect, aTimeout } from "@open-wc/testing";
+import { createStore } from "../src/store.js";
+import { persist } from "../src/store-persist.js";
+
+const KEY = "test:store-persist";
+
+const memoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+};
+
+const initialState = () => ({ selectedUser: null, userFilter: "", secret: "x" });
+
+describe("store-persist", () => {
+  let disposers;
+
+  beforeEach(() => {
+    disposers = [];
+  });
+
+  afterEach(() => {
+    disposers.forEach((dispose) => dispose());
+    localStorage.removeItem(KEY);
+  });
+
+  const setup = (store, options) => {
+    disposers.push(persist(store, { key: KEY, keys: ["selectedUser", "userFilter"], ...options }));
+  };
+
+  // ── Test 1: guarda solo la lista blanca ───────────────────────────────────
+  it("writes whitelisted keys with the version number", () => {
+    const storage = memoryStorage();
+    const store = createStore(initialState());
+    setup(store, { storage, sync: false, version: 3 });
+    store.setState({ userFilter: "ann", secret: "leak" });
+    expect(JSON.parse(storage.getItem(KEY))).to.deep.equal({
+      version: 3,
+      state: { selectedUser: null, userFilter: "ann" },
+    });
+  });
+
+  // ── Test 2: rehidratación ─────────────────────────────────────────────────
+  it("rehydrates the store from a stored payload", () => {
+    const storage = memoryStorage({
+      [KEY]: JSON.stringify({ version: 1, state: { userFilter: "bob", secret: "no" } }),
+    });
+    const store = createStore(initialState());
+    setup(store, { storage, sync: false });
+    expect(store.getState().userFilter).to.equal("bob");
+    expect(store.getState().secret).to.equal("x");
+  });
+
+  // ── Test 3: payload corrupto ──────────────────────────────────────────────
+  it("falls back to the initial state when the payload is corrupted", () => {
+    const storage = memoryStorage({ [KEY]: "{not json" });
+    const store = createStore(initialState());
+    setup(store, { storage, sync: false });
+    expect(store.getState()).to.deep.equal(initialState());
+    expect(storage.getItem(KEY)).to.be.null;
+  });
+
+  // ── Test 4: migración de versión ──────────────────────────────────────────
+  it("migrates an older payload and discards it without migrate", () => {
+    const old = JSON.stringify({ version: 1, state: { filter: "legacy" } });
+
+    const migrated = createStore(initialState());
+    setup(migrated, {
+      storage: memoryStorage({ [KEY]: old }),
+      sync: false,
+      version: 2,
+      migrate: (state) => ({ userFilter: state.filter }),
+    });
+    expect(migrated.getState().userFilter).to.equal("legacy");
+
+    const discarded = createStore(initialState());
+    setup(discarded, { storage: memoryStorage({ [KEY]: old }), sync: false, version: 2 });
+    expect(discarded.getState()).to.deep.equal(initialState());
+  });
+
+  // ── Test 5: sincronización vía evento storage ─────────────────────────────
+  // Simulamos lo que haría otra pestaña: el navegador dispara `storage` con
+  // el valor nuevo.
+  it("applies changes coming from other tabs through the storage event", () => {
+    const store = createStore(initialState());
+    setup(store, { storage: localStorage, sync: "storage" });
+    window.dispatchEvent(
+      new StorageEvent("storage", {
+        key: KEY,
+        newValue: JSON.stringify({ version: 1, state: { userFilter: "remote" } }),
+        storageArea: localStorage,
+      }),
+    );
+    expect(store.getState().userFilter).to.equal("remote");
+  });
+
+  // ── Test 6: sincronización vía BroadcastChannel ───────────────────────────
+  // Dos stores en la misma página con canales distintos se comportan como
+  // dos pestañas.
+  it("synchronizes two stores through BroadcastChannel", async () => {
+    const a = createStore(initialState());
+    const b = createStore(initialState());
+    setup(a, { storage: memoryStorage(), sync: "broadcast" });
+    setup(b, { storage: memoryStorage(), sync: "broadcast" });
+    a.setState({ userFilter: "shared" });
+    await aTimeout(50);
+    expect(b.getState().userFilter).to.equal("shared");
+  });
+});
@@ -0,0 +1,212 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// store.test.js — Tests del store
+//
+// Conceptos clave:
+//   createStore() en cada test:
+//     el store por defecto es un singleton compartido por toda la app.
+//     Los tests crean su propio store para no contaminarse entre sí.
+//
+//   await Promise.resolve():
+//     las notificaciones se agrupan en una microtarea. Esperar una microtarea
+//     basta para que los suscriptores ya hayan sido avisados.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { expect } from "@open-wc/testing";
+import { createStore } from "../src/store.js";
+
+const flush = () => Promise.resolve();
+
+describe("store", () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore({ selectedUser: null, filter: "" });
+  });
+
+  // ── Test 1: getState refleja el cambio al instante ────────────────────────
+  it("applies setState synchronously", () => {
+    store.setState({ filter: "ann" });
+    expect(store.getState()).to.deep.equal({ selectedUser: null, filter: "ann" });
+  });
+
+  // ── Test 2: batching ──────────────────────────────────────────────────────
+  // Tres setState seguidos → una sola notificación con el estado final.
+  it("batches several setState calls into one notification", async () => {
+    const calls = [];
+    store.subscribe((state) => calls.push(state));
+    store.setState({ filter: "a" });
+    store.setState({ filter: "an" });
+    store.setState({ filter: "ann" });
+    expect(calls.length).to.equal(0);
+    await flush();
+    expect(calls.length).to.equal(1);
+    expect(calls[0].filter).to.equal("ann");
+  });
+
+  // ── Test 3: selectores ────────────────────────────────────────────────────
+  // La suscripción a selectedUser no se entera de cambios en filter.
+  it("only notifies selector subscribers when the selected value changes", async () => {
+    const calls = [];
+    store.subscribe(
+      (state) => state.selectedUser,
+      (user, previous) => calls.push({ user, previous }),
+    );
+    store.setState({ filter: "x" });
+    await flush();
+    expect(calls.length).to.equal(0);
+
+    store.setState({ selectedUser: { id: 1 } });
+    await flush();
+    expect(calls).to.deep.equal([{ user: { id: 1 }, previous: null }]);
+  });
+
+  // ── Test 4: función de igualdad configurable ──────────────────────────────
+  it("uses the custom equals function to compare selections", async () => {
+    const calls = [];
+    store.subscribe(
+      (state) => state.selectedUser,
+      (user) => calls.push(user),
+      { equals: (a, b) => a?.id === b?.id },
+    );
+    store.setState({ selectedUser: { id: 1 } });
+    await flush();
+    store.setState({ selectedUser: { id: 1, name: "same id" } });
+    await flush();
+    expect(calls.length).to.equal(1);
+  });
+
+  // ── Test 5: unsubscribe ───────────────────────────────────────────────────
+  it("stops notifying after unsubscribe", async () => {
+    let count = 0;
+    const unsubscribe = store.subscribe(() => count++);
+    unsubscribe();
+    store.setState({ filter: "x" });
+    await flush();
+    expect(count).to.equal(0);
+  });
+
+  // ── Test 6: middleware ────────────────────────────────────────────────────
+  // Un middleware de validación transforma el cambio y otro bloquea los
+  // cambios inválidos (no llama a next).
+  it("runs middlewares in order and lets them transform or block updates", () => {
+    const log = [];
+    store.use(() => (next) => (partial) => {
+      log.push("outer");
+      next({ ...partial, filter: partial.filter?.trim() });
+    });
+    store.use(() => (next) => (partial) => {
+      log.push("inner");
+      if (partial.filter === "forbidden") return;
+      next(partial);
+    });
+
+    store.setState({ filter: "  ann  " });
+    expect(store.getState().filter).to.equal("ann");
+    store.setState({ filter: "forbidden" });
+    expect(store.getState().filter).to.equal("ann");
+    expect(log).to.deep.equal(["outer", "inner", "outer", "inner"]);
+  });
+
+  // ── Test 7: quitar un middleware ──────────────────────────────────────────
+  it("removes a middleware with the returned function", () => {
+    const remove = store.use(() => () => () => {}); // bloquea todo
+    store.setState({ filter: "blocked" });
+    remove();
+    store.setState({ filter: "ok" });
+    expect(store.getState().filter).to.equal("ok");
+  });
+
+  // ── Historial ─────────────────────────────────────────────────────────────
+  // Store con historial limitado a 3 entradas (incluida la inicial).
+  describe("history", () => {
+    beforeEach(() => {
+      store = createStore({ filter: "" }, { history: { limit: 3 } });
+    });
+
+    // ── Test 8: undo / redo ─────────────────────────────────────────────────
+    it("undoes and redoes state changes", () => {
+      store.setState({ filter: "a" }, "type a");
+      store.setState({ filter: "ab" }, "type b");
+      expect(store.undo()).to.be.true;
+      expect(store.getState().filter).to.equal("a");
+      expect(store.canRedo()).to.be.true;
+      store.redo();
+      expect(store.getState().filter).to.equal("ab");
+      expect(store.canRedo()).to.be.false;
+    });
+
+    // ── Test 9: un setState tras undo descarta el futuro ────────────────────
+    it("drops the redo stack when a new change is made after undo", () => {
+      store.setState({ filter: "a" });
+      store.undo();
+      store.setState({ filter: "z" });
+      expect(store.canRedo()).to.be.false;
+    });
+
+    // ── Test 10: límite de historial ────────────────────────────────────────
+    it("keeps at most `limit` entries with labels and timestamps", () => {
+      store.setState({ filter: "1" }, "one");
+      store.setState({ filter: "2" }, "two");
+      store.setState({ filter: "3" }, "three");
+      const history = store.getHistory();
+      expect(history.map((entry) => entry.label)).to.deep.equal(["one", "two", "three"]);
+      expect(history[2].current).to.be.true;
+      expect(history[0].timestamp).to.be.a("number");
+      store.undo();
+      store.undo();
+      expect(store.canUndo()).to.be.false;
+      expect(store.getState().filter).to.equal("1");
+    });
+
+    // ── Test 11: inspector ──────────────────────────────────────────────────
+    // Se llama en cada transición, sin batching, con el tipo de transición.
+    it("reports every transition to inspectors", () => {
+      const events = [];
+      store.inspect(({ type, label, state, previousState }) =>
+        events.push({ type, label, from: previousState.filter, to: state.filter }),
+      );
+      store.setState({ filter: "a" }, "type a");
+      store.undo();
+      store.jumpTo(1);
+      expect(events).to.deep.equal([
+        { type: "set", label: "type a", from: "", to: "a" },
+        { type: "undo", label: "@@init", from: "a", to: "" },
+        { type: "jump", label: "type a", from: "", to: "a" },
+      ]);
+    });
+
+    // ── Test 12: undo notifica a los suscriptores ───────────────────────────
+    it("notifies subscribers after undo", async () => {
+      const seen = [];
+      store.setState({ filter: "a" });
+      await flush();
+      store.subscribe((state) => state.filter, (filter) => seen.push(filter));
+      store.undo();
+      await flush();
+      expect(seen).to.deep.equal([""]);
+    });
+  });
+
+  // ── Test 13: un middleware bloquea el undo ────────────────────────────────
+  // Ni el estado ni la posición en el historial se mueven.
+  it("keeps the history position when a middleware blocks a travel", () => {
+    store = createStore({ filter: "" }, { history: true });
+    store.setState({ filter: "a" });
+    const remove = store.use(() => () => () => {});
+    expect(store.undo()).to.be.false;
+    expect(store.getState().filter).to.equal("a");
+    expect(store.getHistory().map((entry) => entry.current)).to.deep.equal([false, true]);
+    expect(store.canRedo()).to.be.false;
+
+    remove();
+    expect(store.undo()).to.be.true;
+    expect(store.getState().filter).to.equal("");
+  });
+
+  // ── Test 14: sin historial, undo no hace nada ─────────────────────────────
+  it("ignores undo when history is disabled", () => {
+    store.setState({ filter: "a" });
+    expect(store.undo()).to.be.false;
+    expect(store.getHistory()).to.deep.equal([]);
+  });
+});
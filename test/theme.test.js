@@ -0,0 +1,102 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// theme.test.js — Tests de los design tokens y del tema claro/oscuro
+//
+// Conceptos clave:
+//   getComputedStyle → el color que el navegador pinta de verdad, ya
+//     resuelto (rgb(...)). Si el tema funciona, cambia sin re-render: las
+//     custom properties se heredan a través del Shadow DOM.
+//
+//   emulateMedia({ colorScheme }) → simula la preferencia del sistema
+//     operativo (prefers-color-scheme) en el navegador del test.
+//
+//   app-shell se monta con fetch simulado (un usuario): solo interesan
+//   sus colores, no los datos.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { fixture, html, expect, aTimeout } from "@open-wc/testing";
+import { emulateMedia } from "@web/test-runner-commands";
+import "../src/app-shell.js";
+import "../src/components/ds-card.js";
+import "../src/components/ds-button.js";
+
+const USER = { id: 1, name: "Leanne Graham", email: "Sincere@april.biz" };
+
+const colorOf = (element, property = "color") => getComputedStyle(element)[property];
+
+const cardBackground = (card) =>
+  colorOf(card.shadowRoot.querySelector(".card"), "backgroundColor");
+
+describe("design tokens", () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = window.fetch;
+    window.fetch = () =>
+      Promise.resolve(new Response(JSON.stringify([USER]), { status: 200 }));
+  });
+
+  afterEach(async () => {
+    window.fetch = originalFetch;
+    await emulateMedia({ colorScheme: "light" });
+  });
+
+  // ── Test 1: los tokens están definidos en el documento ────────────────────
+  it("exposes the --ds-* tokens on the document", () => {
+    const root = getComputedStyle(document.documentElement);
+    expect(root.getPropertyValue("--ds-color-primary").trim()).to.equal("#3b82f6");
+    expect(root.getPropertyValue("--ds-space-4").trim()).to.equal("16px");
+    expect(root.getPropertyValue("--ds-radius-xl").trim()).to.equal("14px");
+  });
+
+  // ── Test 2: los componentes consumen los tokens ───────────────────────────
+  // Redefinir un token en un ancestro cambia a todos los ds-* de dentro.
+  it("components read colors from the tokens", async () => {
+    const root = await fixture(html`
+      <div style="--ds-color-surface: rgb(1, 2, 3); --ds-color-primary: rgb(4, 5, 6)">
+        <ds-card>Body</ds-card>
+        <ds-button>OK</ds-button>
+      </div>
+    `);
+    const button = root.querySelector("ds-button").shadowRoot.querySelector("button");
+    expect(cardBackground(root.querySelector("ds-card"))).to.equal("rgb(1, 2, 3)");
+    expect(colorOf(button, "backgroundColor")).to.equal("rgb(4, 5, 6)");
+  });
+
+  // ── Test 3: theme="dark" en app-shell ─────────────────────────────────────
+  it("switches computed colors with the theme attribute on app-shell", async () => {
+    const shell = await fixture(html`<app-shell></app-shell>`);
+    await aTimeout(0);
+    await shell.shadowRoot.querySelector("ds-user-list").updateComplete;
+    const title = shell.shadowRoot.querySelector("h1");
+    const list = shell.shadowRoot.querySelector("ds-user-list");
+    const search = list.shadowRoot.querySelector("ds-input").shadowRoot.querySelector("input");
+
+    const light = { title: colorOf(title), search: colorOf(search, "backgroundColor") };
+    expect(light).to.deep.equal({ title: "rgb(15, 23, 42)", search: "rgb(255, 255, 255)" });
+
+    shell.theme = "dark";
+    await shell.updateComplete;
+    expect(shell.getAttribute("theme")).to.equal("dark");
+    expect(colorOf(title)).to.equal("rgb(241, 245, 249)");
+    expect(colorOf(search, "backgroundColor")).to.equal("rgb(15, 23, 42)");
+    // El tema llega también al documento (fondo de la página del index.html)
+    const root = () => getComputedStyle(document.documentElement);
+    expect(document.documentElement.dataset.dsTheme).to.equal("dark");
+    expect(root().getPropertyValue("--ds-color-bg").trim()).to.equal("#020617");
+
+    shell.theme = null;
+    await shell.updateComplete;
+    expect(colorOf(title)).to.equal(light.title);
+    expect(document.documentElement.dataset.dsTheme).to.be.undefined;
+    expect(root().getPropertyValue("--ds-color-bg").trim()).to.equal("#f8fafc");
+  });
+
+  // ── Test 4: sin atributo se sigue prefers-color-scheme ────────────────────
+  it("follows prefers-color-scheme when no theme is forced", async () => {
+    const card = await fixture(html`<ds-card>Auto</ds-card>`);
+    expect(cardBackground(card)).to.equal("rgb(255, 255, 255)");
+
+    await emulateMedia({ colorScheme: "dark" });
+    expect(cardBackground(card)).to.equal("rgb(15, 23, 42)");
+  });
+});
@@ -0,0 +1,169 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// user-service.test.js — Tests del service layer
+//
+// Conceptos clave:
+//   Mock que registra llamadas:
+//     window.fetch guarda url + init de cada llamada en `calls` y devuelve la
+//     Response que el test haya preparado en `nextResponse`. Así podemos
+//     comprobar QUÉ se envió (método, body, cabeceras) y CÓMO se interpreta
+//     la respuesta.
+//
+//   retries: 0 → los errores 5xx se ven al instante, sin backoff.
+//   clearCache() → cada test empieza sin datos cacheados por el anterior.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { expect } from "@open-wc/testing";
+import {
+  getUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  patchUser,
+  deleteUser,
+} from "../src/services/user-service.js";
+import {
+  ApiError,
+  configureApiClient,
+  getApiConfig,
+} from "../src/services/api-client.js";
+import { clearCache } from "../src/services/request-cache.js";
+
+const jsonResponse = (data, status = 200) =>
+  new Response(JSON.stringify(data), { status });
+
+describe("user-service", () => {
+  let originalFetch;
+  let originalConfig;
+  let calls;
+  let nextResponse;
+
+  beforeEach(() => {
+    clearCache();
+    originalFetch = window.fetch;
+    originalConfig = getApiConfig();
+    configureApiClient({ retries: 0 });
+    calls = [];
+    nextResponse = () => jsonResponse({});
+    window.fetch = (url, init) => {
+      calls.push({ url, init });
+      return Promise.resolve(nextResponse());
+    };
+  });
+
+  afterEach(() => {
+    window.fetch = originalFetch;
+    configureApiClient(originalConfig);
+  });
+
+  // ── Test 1: POST con body JSON ────────────────────────────────────────────
+  it("createUser POSTs the serialized user and returns the created record", async () => {
+    nextResponse = () => jsonResponse({ id: 11, name: "Carol" }, 201);
+    const created = await createUser({ name: "Carol" });
+    expect(calls[0].url).to.match(/\/users$/);
+    expect(calls[0].init.method).to.equal("POST");
+    expect(JSON.parse(calls[0].init.body)).to.deep.equal({ name: "Carol" });
+    expect(calls[0].init.headers["Content-Type"]).to.include("application/json");
+    expect(created).to.deep.equal({ id: 11, name: "Carol" });
+  });
+
+  // ── Test 2: PUT y PATCH apuntan al recurso concreto ───────────────────────
+  it("updateUser uses PUT and patchUser uses PATCH on /users/:id", async () => {
+    await updateUser(3, { id: 3, name: "Full" });
+    await patchUser(3, { name: "Partial" });
+    expect(calls[0].url).to.match(/\/users\/3$/);
+    expect(calls[0].init.method).to.equal("PUT");
+    expect(calls[1].init.method).to.equal("PATCH");
+    expect(JSON.parse(calls[1].init.body)).to.deep.equal({ name: "Partial" });
+  });
+
+  // ── Test 3: DELETE con cuerpo vacío ───────────────────────────────────────
+  it("deleteUser resolves with null when the response body is empty", async () => {
+    nextResponse = () => new Response(null, { status: 204 });
+    const result = await deleteUser(3);
+    expect(calls[0].init.method).to.equal("DELETE");
+    expect(result).to.be.null;
+  });
+
+  // ── Test 4: error estructurado ────────────────────────────────────────────
+  // Un 422 con cuerpo JSON → ApiError con status y body parseado.
+  it("throws an ApiError carrying status and parsed body", async () => {
+    nextResponse = () =>
+      new Response(JSON.stringify({ email: "taken" }), {
+        status: 422,
+        statusText: "Unprocessable Entity",
+      });
+    let error;
+    try {
+      await createUser({ email: "a@b.c" });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(ApiError);
+    expect(error.status).to.equal(422);
+    expect(error.message).to.equal("Unprocessable Entity");
+    expect(error.body).to.deep.equal({ email: "taken" });
+  });
+
+  // ── Test 5: las lecturas usan el mismo manejo de errores ──────────────────
+  it("getUsers rejects with an ApiError on a 500", async () => {
+    nextResponse = () => new Response("boom", { status: 500 });
+    let error;
+    try {
+      await getUsers();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.status).to.equal(500);
+    expect(error.body).to.equal("boom");
+  });
+
+  // ── Test 6: getUserById desde la lista cacheada ───────────────────────────
+  it("serves getUserById from the cached list without a new request", async () => {
+    nextResponse = () => jsonResponse([{ id: 1, name: "Alice" }]);
+    await getUsers();
+    const user = await getUserById(1);
+    expect(user.name).to.equal("Alice");
+    expect(calls.length).to.equal(1);
+  });
+
+  // ── Test 7: lista caducada → petición al recurso ──────────────────────────
+  // ttl: 0 → la lista caduca al guardarse; getUserById no la usa.
+  it("fetches the user when the cached list has expired", async () => {
+    nextResponse = () => jsonResponse([{ id: 1, name: "Alice" }]);
+    await getUsers({ ttl: 0 });
+    nextResponse = () => jsonResponse({ id: 1, name: "Alice Updated" });
+    const user = await getUserById(1);
+    expect(user.name).to.equal("Alice Updated");
+    expect(calls[1].url).to.match(/\/users\/1$/);
+  });
+
+  // ── Test 8: las mutaciones invalidan la caché ─────────────────────────────
+  it("refetches the list after a mutation", async () => {
+    nextResponse = () => jsonResponse([]);
+    await getUsers();
+    await getUsers();
+    await deleteUser(1);
+    await getUsers();
+    const listCalls = calls.filter((call) => call.init.method === "GET");
+    expect(listCalls.length).to.equal(2);
+  });
+
+  // ── Test 9: consulta paginada ─────────────────────────────────────────────
+  // Con `page`, getUsers traduce las opciones a query string y devuelve
+  // { items, total } leyendo la cabecera X-Total-Count.
+  it("builds the paging query and returns items with the total count", async () => {
+    nextResponse = () =>
+      new Response(JSON.stringify([{ id: 1 }]), {
+        status: 200,
+        headers: { "X-Total-Count": "42" },
+      });
+    const result = await getUsers({ page: 2, pageSize: 5, sort: "name", order: "desc", q: "an" });
+    const url = new URL(calls[0].url);
+    expect(url.searchParams.get("_page")).to.equal("2");
+    expect(url.searchParams.get("_limit")).to.equal("5");
+    expect(url.searchParams.get("_sort")).to.equal("name");
+    expect(url.searchParams.get("_order")).to.equal("desc");
+    expect(url.searchParams.get("q")).to.equal("an");
+    expect(result).to.deep.equal({ items: [{ id: 1 }], total: 42, page: 2, pageSize: 5 });
+  });
+});
@@ -0,0 +1,178 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// user-transfer.test.js — Tests de exportar / importar usuarios (CSV y JSON)
+//
+// Conceptos clave:
+//   Sin DOM ni descargas: se prueban las funciones puras (usersToCsv,
+//   parseUsersCsv, parseCsv...) con strings. downloadUsers solo envuelve
+//   usersToCsv / usersToJson en un Blob.
+//
+//   importUsers → mismo mock de fetch que user-service.test.js: registra
+//   las llamadas y responde lo que prepare cada test.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { expect } from "@open-wc/testing";
+import {
+  importUsers,
+  importUsersCsv,
+  parseUsersCsv,
+  usersToCsv,
+  usersToJson,
+} from "../src/services/user-transfer.js";
+import { parseCsv, parseCsvRecords, toCsv } from "../src/utils/csv.js";
+import { configureApiClient, getApiConfig } from "../src/services/api-client.js";
+import { clearCache } from "../src/services/request-cache.js";
+import { setLocale } from "../src/i18n/i18n.js";
+
+const USER = {
+  id: 1,
+  name: "Leanne Graham",
+  username: "Bret",
+  email: "Sincere@april.biz",
+  address: { street: "Kulas Light", city: "Gwenborough", geo: { lat: "-37.3159" } },
+  company: { name: "Romaguera-Crona", catchPhrase: 'Multi-layered "client-server"' },
+};
+
+const HEADER = "name,username,email,company.name";
+
+// Los errores por fila salen en el idioma activo → inglés fijo.
+before(() => setLocale("en"));
+
+describe("user-transfer", () => {
+  // ── Test 1: CSV con comillas, comas y saltos de línea ─────────────────────
+  it("quotes CSV fields and parses them back", () => {
+    const rows = [{ a: 'say "hi"', b: "x, y", c: "line 1\nline 2", d: "" }];
+    const csv = toCsv(rows, ["a", "b", "c", "d"]);
+    expect(csv).to.equal('a,b,c,d\r\n"say ""hi""","x, y","line 1\nline 2",\r\n');
+    expect(parseCsv(csv)).to.deep.equal([
+      ["a", "b", "c", "d"],
+      ['say "hi"', "x, y", "line 1\nline 2", ""],
+    ]);
+    // BOM de Excel, \r\n y líneas vacías
+    expect(parseCsv("\uFEFFa,b\r\n\r\n1,2")).to.deep.equal([["a", "b"], ["1", "2"]]);
+  });
+
+  // ── Test 2: exportar aplana address y company ─────────────────────────────
+  // Las celdas que parecen fórmulas llevan apóstrofo; los números con signo no.
+  it("flattens nested fields into CSV columns", () => {
+    const [header, row] = parseCsv(usersToCsv([{ ...USER, website: "=HYPERLINK(1)" }]));
+    const cell = (column) => row[header.indexOf(column)];
+    expect(header.slice(0, 4)).to.deep.equal(["id", "name", "username", "email"]);
+    expect(cell("address.city")).to.equal("Gwenborough");
+    expect(cell("address.geo.lat")).to.equal("-37.3159");
+    expect(cell("company.catchPhrase")).to.equal('Multi-layered "client-server"');
+    expect(cell("address.zipcode")).to.equal("");
+    expect(cell("website")).to.equal("'=HYPERLINK(1)");
+    expect(JSON.parse(usersToJson([USER]))).to.deep.equal([USER]);
+  });
+
+  // ── Test 3: importar valida cada fila ─────────────────────────────────────
+  // row = fila de la hoja de cálculo (la cabecera es la 1).
+  it("validates rows and reports errors per spreadsheet row", () => {
+    const csv = [
+      `id,${HEADER},address.city`,
+      "9,Ana,ana,ana@example.com,Acme,Madrid",
+      "10,,bruno,not-an-email,,",
+      "11,Carla,carla,carla@example.com,,",
+    ].join("\n");
+    const { users, errors } = parseUsersCsv(csv);
+    expect(users).to.deep.equal([
+      {
+        row: 2,
+        user: {
+          name: "Ana",
+          username: "ana",
+          email: "ana@example.com",
+          company: { name: "Acme" },
+          address: { city: "Madrid" },
+        },
+      },
+      { row: 4, user: { name: "Carla", username: "carla", email: "carla@example.com" } },
+    ]);
+    expect(errors).to.deep.equal([
+      {
+        row: 3,
+        errors: { name: "This field is required", email: "Enter a valid email address" },
+      },
+    ]);
+  });
+
+  // ── Test 4: filas que no son una línea ────────────────────────────────────
+  // Las líneas en blanco y las celdas entre comillas con saltos de línea
+  // desplazan las filas: row es la línea donde empieza cada una.
+  it("reports the file line where each row starts", () => {
+    const csv = [
+      HEADER,
+      "Ana,ana,ana@example.com,",
+      "",
+      ',bruno,bruno@example.com,"Acme',
+      'Ltd"',
+      "Carla,carla,not-an-email,",
+    ].join("\r\n");
+    const { users, errors } = parseUsersCsv(csv);
+    expect(users.map((item) => item.row)).to.deep.equal([2]);
+    expect(errors.map((item) => item.row)).to.deep.equal([4, 6]);
+    expect(parseCsvRecords("a\n\n\nb").map((record) => record.line)).to.deep.equal([1, 4]);
+  });
+
+  // ── Test 5: columnas obligatorias ─────────────────────────────────────────
+  it("rejects a file that lacks required columns", () => {
+    const { users, errors } = parseUsersCsv("name,phone\nAna,123");
+    expect(users).to.deep.equal([]);
+    expect(errors).to.deep.equal([
+      { row: 1, errors: { file: "Missing columns: username and email" } },
+    ]);
+  });
+
+  // ── Tests 6–7: creación con el service layer ──────────────────────────────
+  describe("import", () => {
+    let originalFetch;
+    let originalConfig;
+    let calls;
+
+    beforeEach(() => {
+      clearCache();
+      originalFetch = window.fetch;
+      originalConfig = getApiConfig();
+      configureApiClient({ retries: 0 });
+      calls = [];
+      window.fetch = (url, init) => {
+        const body = JSON.parse(init.body);
+        calls.push(body);
+        return Promise.resolve(
+          body.name === "Fail"
+            ? new Response("", { status: 500, statusText: "Server Error" })
+            : new Response(JSON.stringify({ id: 100 + calls.length, ...body }), { status: 201 }),
+        );
+      };
+    });
+
+    afterEach(() => {
+      window.fetch = originalFetch;
+      configureApiClient(originalConfig);
+    });
+
+    // ── Test 6: POST por fila válida, con progreso ──────────────────────────
+    it("creates valid users one by one and reports progress", async () => {
+      const { users } = parseUsersCsv(`${HEADER}\nAna,ana,ana@example.com,\nBob,bob,bob@example.com,`);
+      const progress = [];
+      const { created, errors } = await importUsers(users, {
+        onProgress: ({ done, total }) => progress.push(`${done}/${total}`),
+      });
+      expect(calls.map((body) => body.name)).to.deep.equal(["Ana", "Bob"]);
+      expect(created.map((user) => user.id)).to.deep.equal([101, 102]);
+      expect(errors).to.deep.equal([]);
+      expect(progress).to.deep.equal(["1/2", "2/2"]);
+    });
+
+    // ── Test 7: un fallo de la API no detiene el resto ──────────────────────
+    // Sus errores se mezclan con los de validación, ordenados por fila.
+    it("keeps importing after an API failure and merges the errors by row", async () => {
+      const csv = `${HEADER}\nFail,f,f@example.com,\n,x,x@example.com,\nBob,bob,bob@example.com,`;
+      const { created, errors } = await importUsersCsv(csv);
+      expect(created.map((user) => user.name)).to.deep.equal(["Bob"]);
+      expect(errors.map((item) => item.row)).to.deep.equal([2, 3]);
+      expect(errors[0].errors.request).to.equal("Server Error");
+      expect(errors[1].errors).to.deep.equal({ name: "This field is required" });
+    });
+  });
+});